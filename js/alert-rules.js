@@ -0,0 +1,621 @@
+// Weather Alert Rules for KrishiMitra
+// Data-driven alert rules evaluated against current, daily and hourly weather. Thresholds come from
+// defaults, then the crop and growth-stage profile, then the user's overrides in Settings
+
+const AlertRules = {
+    // Named thresholds the rules compare against
+    THRESHOLDS: {
+        frost: { label: 'Frost below', unit: '°C', value: 2 },
+        cold: { label: 'Cold advisory below', unit: '°C', value: 5 },
+        heatStress: { label: 'Heat stress from', unit: '°C', value: 35 },
+        extremeHeat: { label: 'Extreme heat above', unit: '°C', value: 40 },
+        windy: { label: 'Windy from', unit: 'km/h', value: 15 },
+        highWind: { label: 'High wind above', unit: 'km/h', value: 25 },
+        lowHumidity: { label: 'Low humidity below', unit: '%', value: 30 },
+        highHumidity: { label: 'High humidity above', unit: '%', value: 85 },
+        rainChance: { label: 'Rain forecast chance above', unit: '%', value: 60 },
+        coldSpell: { label: 'Cold spell forecast below', unit: '°C', value: 5 },
+        heatWave: { label: 'Heat wave forecast above', unit: '°C', value: 38 }
+    },
+
+    // Crop and growth-stage thresholds, keyed like The Strategist's crop list.
+    // Frost thresholds sit about 1°C above the stage's 10% bud/flower kill temperature, leaving time to protect
+    PROFILES: {
+        apple: {
+            name: 'Apple',
+            stages: {
+                dormant: { name: 'Dormant', thresholds: { frost: -20, cold: -12, coldSpell: -12 } },
+                silverTip: { name: 'Silver tip', thresholds: { frost: -8.5, cold: -4, coldSpell: -4 } },
+                greenTip: { name: 'Green tip', thresholds: { frost: -7, cold: -3, coldSpell: -3 } },
+                halfInchGreen: { name: 'Half-inch green', thresholds: { frost: -4, cold: 0, coldSpell: 0 } },
+                tightCluster: { name: 'Tight cluster', thresholds: { frost: -2, cold: 2, coldSpell: 1 } },
+                pink: { name: 'Pink', thresholds: { frost: -1, cold: 2, coldSpell: 2 } },
+                bloom: { name: 'Full bloom', thresholds: { frost: -1, cold: 2, coldSpell: 2 } },
+                petalFall: { name: 'Petal fall', thresholds: { frost: -1, cold: 2, coldSpell: 2 } },
+                fruit: { name: 'Fruit development', thresholds: { heatStress: 32, extremeHeat: 38 } }
+            }
+        },
+        grape: {
+            name: 'Grape',
+            stages: {
+                dormant: { name: 'Dormant', thresholds: { frost: -15, cold: -8, coldSpell: -8 } },
+                budbreak: { name: 'Budbreak', thresholds: { frost: -1, cold: 2, coldSpell: 2 } },
+                bloom: { name: 'Bloom', thresholds: { frost: 0, cold: 10, heatStress: 35, highHumidity: 80 } },
+                veraison: { name: 'Veraison to harvest', thresholds: { heatStress: 35, extremeHeat: 40 } }
+            }
+        },
+        wheat: {
+            name: 'Wheat',
+            thresholds: { frost: -2, cold: 0, coldSpell: 0 },
+            stages: {
+                tillering: { name: 'Tillering', thresholds: { frost: -10, cold: -5, coldSpell: -5 } },
+                jointing: { name: 'Jointing', thresholds: { frost: -4, cold: -1, coldSpell: -1 } },
+                booting: { name: 'Booting', thresholds: { frost: -1, cold: 2, coldSpell: 2 } },
+                flowering: { name: 'Heading and flowering', thresholds: { frost: -1, cold: 2, heatStress: 30, extremeHeat: 34, heatWave: 32 } },
+                grainFill: { name: 'Grain fill', thresholds: { heatStress: 32, extremeHeat: 36, heatWave: 34 } }
+            }
+        },
+        maize: {
+            name: 'Maize',
+            stages: {
+                seedling: { name: 'Seedling', thresholds: { frost: 0, cold: 8 } },
+                vegetative: { name: 'Vegetative', thresholds: {} },
+                silking: { name: 'Tasseling and silking', thresholds: { heatStress: 35, extremeHeat: 38, heatWave: 35, lowHumidity: 35 } },
+                grainFill: { name: 'Grain fill', thresholds: { heatStress: 35, extremeHeat: 40 } }
+            }
+        },
+        rice: {
+            name: 'Rice',
+            thresholds: { frost: 5, cold: 15, coldSpell: 15 },
+            stages: {
+                vegetative: { name: 'Vegetative', thresholds: { cold: 12, coldSpell: 12 } },
+                booting: { name: 'Panicle initiation to booting', thresholds: { cold: 17, coldSpell: 17 } },
+                flowering: { name: 'Flowering', thresholds: { cold: 20, coldSpell: 20, heatStress: 33, extremeHeat: 35, heatWave: 35 } },
+                ripening: { name: 'Ripening', thresholds: { windy: 25, highWind: 40 } }
+            }
+        },
+        tomato: {
+            name: 'Tomato',
+            thresholds: { frost: 2, cold: 10, coldSpell: 8 },
+            stages: {
+                vegetative: { name: 'Vegetative', thresholds: {} },
+                flowering: { name: 'Flowering and fruit set', thresholds: { cold: 13, coldSpell: 10, heatStress: 32, extremeHeat: 35, heatWave: 32 } },
+                ripening: { name: 'Fruit ripening', thresholds: { heatStress: 32, extremeHeat: 38 } }
+            }
+        },
+        potato: {
+            name: 'Potato',
+            thresholds: { frost: 0, cold: 4, coldSpell: 2 },
+            stages: {
+                emergence: { name: 'Emergence', thresholds: {} },
+                tuberization: { name: 'Tuber initiation and bulking', thresholds: { heatStress: 29, extremeHeat: 35, heatWave: 30 } }
+            }
+        },
+        mango: {
+            name: 'Mango',
+            thresholds: { frost: 2, cold: 8, coldSpell: 8 },
+            stages: {
+                flowering: { name: 'Flowering', thresholds: { cold: 10, coldSpell: 10, highHumidity: 80, rainChance: 50 } },
+                fruit: { name: 'Fruit development', thresholds: { heatStress: 38, extremeHeat: 44, highWind: 40 } }
+            }
+        }
+    },
+
+    // Built-in rules. A condition reads a current value (`value`), the daily forecast (`forecast`, days [from, to))
+    // or the coming hours (`hourly`, hours ahead) and compares with below / above / atLeast / atMost - a number
+    // or a threshold name - or in / notIn. `count` is how many days or hours must match (default 1).
+    // Messages fill {temperature}, {humidity}, {windSpeed}, any {threshold}, {profile}, and for the last
+    // forecast or hourly condition {days}, {count}, {lowest}, {highest} and {first}
+    RULES: [
+        {
+            id: 'extreme_heat',
+            severity: 'severe',
+            type: 'temperature',
+            title: '🔥 Extreme Heat Warning',
+            when: [{ value: 'temperature', above: 'extremeHeat' }],
+            message: 'Temperature is {temperature}°C! Crops are at high risk of heat stress and wilting. Avoid fieldwork during midday.',
+            advice: [
+                'Increase irrigation frequency',
+                'Apply mulch to retain soil moisture',
+                'Provide shade for sensitive crops',
+                'Harvest ripe produce early morning'
+            ],
+            expiresHours: 6
+        },
+        {
+            id: 'frost_warning',
+            severity: 'severe',
+            type: 'temperature',
+            title: '❄️ Frost Warning',
+            when: [{ value: 'temperature', below: 'frost' }],
+            message: 'Temperature is {temperature}°C, below the {frost}°C frost threshold for {profile}! Risk of frost damage to crops.',
+            advice: [
+                'Cover sensitive plants with cloth or plastic',
+                'Move potted plants indoors',
+                'Avoid watering in evening',
+                'Harvest frost-sensitive produce immediately'
+            ],
+            expiresHours: 12
+        },
+        {
+            id: 'thunderstorm',
+            severity: 'severe',
+            type: 'storm',
+            title: '⛈️ Severe Thunderstorm',
+            when: [{ value: 'weatherCode', in: [95, 96, 99] }],
+            message: 'Active thunderstorm detected! Seek shelter immediately and avoid open fields.',
+            advice: [
+                'Stop all outdoor activities',
+                'Secure loose equipment',
+                'Stay away from tall trees',
+                'Check drainage systems'
+            ],
+            expiresHours: 3
+        },
+        {
+            id: 'heavy_rain',
+            severity: 'severe',
+            type: 'precipitation',
+            title: '🌧️ Heavy Rain Alert',
+            when: [{ value: 'weatherCode', in: [65, 82] }],
+            message: 'Heavy rainfall in progress. Risk of waterlogging and soil erosion.',
+            advice: [
+                'Check field drainage',
+                'Avoid spraying pesticides',
+                'Postpone fertilizer application',
+                'Monitor for fungal disease outbreaks'
+            ],
+            expiresHours: 6
+        },
+        {
+            id: 'high_heat',
+            severity: 'warning',
+            type: 'temperature',
+            title: '🌡️ Heat Stress Warning',
+            when: [{ value: 'temperature', atLeast: 'heatStress', atMost: 'extremeHeat' }],
+            message: 'High temperature of {temperature}°C detected (heat stress from {heatStress}°C for {profile}). Crops may experience stress.',
+            advice: [
+                'Irrigate during cooler hours',
+                'Monitor plants for wilting',
+                'Avoid fieldwork 11am-3pm'
+            ],
+            expiresHours: 8
+        },
+        {
+            id: 'cold_weather',
+            severity: 'warning',
+            type: 'temperature',
+            title: '🥶 Cold Weather Advisory',
+            when: [{ value: 'temperature', atLeast: 'frost', below: 'cold' }],
+            message: 'Temperature is {temperature}°C. Sensitive crops may be affected.',
+            advice: [
+                'Monitor overnight temperatures',
+                'Prepare frost protection materials',
+                'Delay planting of warm-season crops'
+            ],
+            expiresHours: 12
+        },
+        {
+            id: 'high_wind',
+            severity: 'warning',
+            type: 'wind',
+            title: '💨 High Wind Warning',
+            when: [{ value: 'windSpeed', above: 'highWind' }],
+            message: 'Wind speed is {windSpeed} km/h. Not suitable for spraying.',
+            advice: [
+                'Do not spray pesticides or herbicides',
+                'Secure greenhouse covers',
+                'Support tall plants and trellises',
+                'Delay foliar feeding'
+            ],
+            expiresHours: 6
+        },
+        {
+            id: 'low_humidity',
+            severity: 'warning',
+            type: 'humidity',
+            title: '🏜️ Low Humidity Alert',
+            when: [{ value: 'humidity', below: 'lowHumidity' }],
+            message: 'Humidity is only {humidity}%. Increased water stress possible.',
+            advice: [
+                'Increase irrigation frequency',
+                'Apply anti-transpirant sprays',
+                'Add mulch to reduce evaporation'
+            ],
+            expiresHours: 8
+        },
+        {
+            id: 'moderate_wind',
+            severity: 'advisory',
+            type: 'wind',
+            title: '🍃 Windy Conditions',
+            when: [{ value: 'windSpeed', atLeast: 'windy', atMost: 'highWind' }],
+            message: 'Wind at {windSpeed} km/h. Consider spray timing carefully.',
+            advice: [
+                'Use low-drift nozzles if spraying',
+                'Spray in early morning when calmer',
+                'Reduce spray pressure'
+            ],
+            expiresHours: 4
+        },
+        {
+            id: 'high_humidity',
+            severity: 'advisory',
+            type: 'humidity',
+            title: '💧 High Humidity Advisory',
+            when: [{ value: 'humidity', above: 'highHumidity' }],
+            message: 'Humidity at {humidity}%. Increased risk of fungal diseases.',
+            advice: [
+                'Scout for early signs of fungal infection',
+                'Improve air circulation in dense plantings',
+                'Consider preventive fungicide application',
+                'Avoid overhead irrigation'
+            ],
+            expiresHours: 8
+        },
+        {
+            id: 'fog',
+            severity: 'advisory',
+            type: 'visibility',
+            title: '🌫️ Fog Advisory',
+            when: [{ value: 'weatherCode', in: [45, 48] }],
+            message: 'Foggy conditions detected. Increased disease pressure possible.',
+            advice: [
+                'Delay spraying until fog lifts',
+                'Monitor for fungal diseases',
+                'Extended leaf wetness may increase infections'
+            ],
+            expiresHours: 4
+        },
+        {
+            id: 'frost_forecast',
+            severity: 'warning',
+            type: 'forecast',
+            title: '❄️ Frost Forecast',
+            when: [
+                { value: 'temperature', atLeast: 'frost' },
+                { hourly: 'temperature', hours: 24, below: 'frost' }
+            ],
+            message: 'Temperatures forecast to fall to {lowest}°C in the next 24 hours - below the {frost}°C frost threshold for {profile}.',
+            advice: [
+                'Start frost protection (wind machines, sprinklers, covers) before the temperature drops',
+                'Irrigate dry soil during the day - moist soil holds more heat',
+                'Check flowers or buds for damage two days after the frost'
+            ],
+            expiresHours: 24
+        },
+        {
+            id: 'rain_forecast',
+            severity: 'info',
+            type: 'forecast',
+            title: '🌧️ Rain Expected',
+            when: [
+                { value: 'weatherCode', notIn: [61, 63, 65, 80, 81, 82] },
+                { forecast: 'precipProbability', days: [0, 3], above: 'rainChance' }
+            ],
+            message: 'Rain likely on {days} ({first}% chance).',
+            advice: [
+                'Complete spraying today if needed',
+                'Harvest mature produce before rain',
+                'Check drainage systems',
+                'Apply protective fungicides now'
+            ],
+            expiresHours: 24
+        },
+        {
+            id: 'temp_drop',
+            severity: 'info',
+            type: 'forecast',
+            title: '📉 Cold Spell Coming',
+            when: [
+                { value: 'temperature', above: 10 },
+                { forecast: 'tempMin', days: [1, 4], below: 'coldSpell' }
+            ],
+            message: 'Temperature expected to drop to {lowest}°C.',
+            advice: [
+                'Prepare frost protection',
+                'Delay transplanting tender seedlings',
+                'Harvest frost-sensitive crops'
+            ],
+            expiresHours: 48
+        },
+        {
+            id: 'heat_wave',
+            severity: 'warning',
+            type: 'forecast',
+            title: '🔥 Heat Wave Approaching',
+            when: [
+                { value: 'temperature', below: 'heatStress' },
+                { forecast: 'tempMax', days: [1, 4], above: 'heatWave', count: 2 }
+            ],
+            message: 'Temperatures above {heatWave}°C expected for {count} days.',
+            advice: [
+                'Prepare irrigation systems',
+                'Harvest before heat peak',
+                'Apply shade cloth if available',
+                'Schedule work for early morning'
+            ],
+            expiresHours: 48
+        }
+    ],
+
+    SEVERITIES: ['severe', 'warning', 'advisory', 'info', 'good'],
+    COMPARISONS: {
+        below: (a, b) => a < b,
+        above: (a, b) => a > b,
+        atLeast: (a, b) => a >= b,
+        atMost: (a, b) => a <= b
+    },
+
+    // Wire up the alert rules section in Settings
+    init() {
+        const cropSelect = $('#alert-crop');
+        if (!cropSelect) return;
+
+        cropSelect.innerHTML = `
+            <option value="">Any crop (defaults)</option>
+            ${Object.entries(this.PROFILES).map(([key, profile]) => `<option value="${key}">${profile.name}</option>`).join('')}
+        `;
+
+        const { crop = '', stage = '', customRules = [] } = this.settings;
+        cropSelect.value = crop;
+        this.populateStages(stage);
+        $('#alert-custom-rules').value = customRules.length ? JSON.stringify(customRules, null, 2) : '';
+
+        cropSelect.addEventListener('change', () => this.populateStages());
+        $('#alert-stage').addEventListener('change', () => this.renderThresholds());
+        $('#alert-rules-save')?.addEventListener('click', () => this.save());
+        $('#alert-rules-reset')?.addEventListener('click', () => this.reset());
+    },
+
+    // { crop, stage, overrides: { threshold: value }, customRules: [rule] }
+    get settings() {
+        return Utils.storage.get(CONFIG.STORAGE_KEYS.ALERT_RULES, {});
+    },
+
+    set settings(value) {
+        Utils.storage.set(CONFIG.STORAGE_KEYS.ALERT_RULES, value);
+    },
+
+    // ===========================
+    // THRESHOLDS AND RULES
+    // ===========================
+
+    // Defaults, then the crop, then its stage, then the user's overrides
+    resolveThresholds({ crop, stage, overrides = {} } = this.settings) {
+        const profile = this.PROFILES[crop];
+        const thresholds = Object.fromEntries(Object.entries(this.THRESHOLDS).map(([key, t]) => [key, t.value]));
+        return {
+            ...thresholds,
+            ...(profile?.thresholds || {}),
+            ...(profile?.stages[stage]?.thresholds || {}),
+            ...overrides
+        };
+    },
+
+    // "Apple - Full bloom", or "your crops" without a profile
+    profileLabel({ crop, stage } = this.settings) {
+        const profile = this.PROFILES[crop];
+        if (!profile) return 'your crops';
+        return profile.stages[stage] ? `${profile.name} - ${profile.stages[stage].name}` : profile.name;
+    },
+
+    // Built-in rules with custom rules added, a custom rule replacing a built-in one with the same id
+    getRules(customRules = this.settings.customRules || []) {
+        const custom = customRules.filter(rule => !this.validate(rule));
+        return [
+            ...this.RULES.filter(rule => !custom.some(c => c.id === rule.id)),
+            ...custom
+        ];
+    },
+
+    // Problem with a rule as text, or null when it can run
+    validate(rule) {
+        if (!rule || typeof rule !== 'object') return 'Each rule must be an object';
+        if (!rule.id || !rule.title) return 'Each rule needs an id and a title';
+        if (rule.severity && !this.SEVERITIES.includes(rule.severity)) return `${rule.id}: severity must be one of ${this.SEVERITIES.join(', ')}`;
+        if (!Array.isArray(rule.when) || !rule.when.length) return `${rule.id}: "when" must be a list of conditions`;
+        if (rule.advice !== undefined && (!Array.isArray(rule.advice) || rule.advice.some(line => typeof line !== 'string'))) {
+            return `${rule.id}: advice must be a list of text`;
+        }
+
+        for (const condition of rule.when) {
+            if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return `${rule.id}: each condition must be an object`;
+
+            const sources = ['value', 'forecast', 'hourly'].filter(key => condition[key] !== undefined);
+            if (sources.length !== 1) return `${rule.id}: each condition reads one of value, forecast or hourly`;
+
+            const tests = [...Object.keys(this.COMPARISONS), 'in', 'notIn'].filter(key => condition[key] !== undefined);
+            if (!tests.length) return `${rule.id}: each condition needs below, above, atLeast, atMost, in or notIn`;
+            // A string would pass .includes() on substrings
+            if (['in', 'notIn'].some(key => condition[key] !== undefined && !Array.isArray(condition[key]))) {
+                return `${rule.id}: in and notIn must be lists`;
+            }
+
+            if (condition.days !== undefined &&
+                (!Array.isArray(condition.days) || condition.days.length !== 2 || !condition.days.every(Number.isFinite))) {
+                return `${rule.id}: days must be a [from, to] pair of numbers`;
+            }
+            if (condition.hours !== undefined && !(Number.isFinite(condition.hours) && condition.hours > 0)) {
+                return `${rule.id}: hours must be a positive number`;
+            }
+
+            const unknown = Object.keys(this.COMPARISONS)
+                .map(key => condition[key])
+                .find(limit => typeof limit === 'string' && !(limit in this.THRESHOLDS));
+            if (unknown) return `${rule.id}: unknown threshold "${unknown}"`;
+        }
+        return null;
+    },
+
+    // Whether a value passes a condition's comparisons
+    passes(value, condition, thresholds) {
+        if (value === null || value === undefined) return false;
+        if (condition.in && !condition.in.includes(value)) return false;
+        if (condition.notIn && condition.notIn.includes(value)) return false;
+
+        return Object.entries(this.COMPARISONS).every(([key, compare]) => {
+            if (condition[key] === undefined) return true;
+            const limit = typeof condition[key] === 'string' ? thresholds[condition[key]] : condition[key];
+            return compare(value, limit);
+        });
+    },
+
+    // Days or hours matching a condition, or null when it fails
+    match(condition, context, thresholds) {
+        if (condition.value !== undefined) {
+            return this.passes(context.current[condition.value], condition, thresholds) ? [] : null;
+        }
+
+        const items = condition.forecast !== undefined ?
+            context.forecast.slice(...(condition.days || [0, 3])).map(day => ({ label: day.dayName, value: day[condition.forecast] })) :
+            context.hourly
+                .filter(hour => new Date(hour.time) >= context.now)
+                .slice(0, condition.hours || 24)
+                .map(hour => ({
+                    label: new Date(hour.time).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+                    value: hour[condition.hourly]
+                }));
+
+        const matches = items.filter(item => this.passes(item.value, condition, thresholds));
+        return matches.length >= (condition.count || 1) ? matches : null;
+    },
+
+    // Fill a message template
+    format(text, values) {
+        return String(text || '').replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+    },
+
+    // Alerts for the current conditions - context: { current, forecast, hourly, now }
+    evaluate(context, settings = this.settings) {
+        const thresholds = this.resolveThresholds(settings);
+        const profile = this.profileLabel(settings);
+
+        return this.getRules(settings.customRules).map(rule => {
+            // A broken custom rule skips only itself, never the other alerts
+            try {
+                return this.apply(rule, context, thresholds, profile);
+            } catch (error) {
+                console.error(`Alert rule ${rule.id} failed:`, error);
+                return null;
+            }
+        }).filter(Boolean);
+    },
+
+    // Alert for one rule, or null when its conditions don't hold
+    apply(rule, context, thresholds, profile) {
+        let matches = [];
+        for (const condition of rule.when) {
+            const result = this.match(condition, context, thresholds);
+            if (!result) return null;
+            if (condition.value === undefined) matches = result;
+        }
+
+        const values = matches.map(item => item.value);
+        const fill = text => this.format(text, {
+            ...thresholds,
+            temperature: context.current.temperature,
+            humidity: context.current.humidity,
+            windSpeed: context.current.windSpeed,
+            profile,
+            days: matches.map(item => item.label).join(', '),
+            count: matches.length,
+            lowest: values.length ? Math.round(Math.min(...values) * 10) / 10 : '',
+            highest: values.length ? Math.round(Math.max(...values) * 10) / 10 : '',
+            first: values.length ? values[0] : ''
+        });
+
+        return {
+            id: rule.id,
+            severity: rule.severity || 'advisory',
+            type: rule.type || 'custom',
+            title: fill(rule.title),
+            message: fill(rule.message),
+            advice: (rule.advice || []).map(fill),
+            timestamp: context.now.toISOString(),
+            expiresAt: new Date(context.now.getTime() + (rule.expiresHours || 6) * 60 * 60 * 1000).toISOString()
+        };
+    },
+
+    // ===========================
+    // SETTINGS UI
+    // ===========================
+
+    populateStages(selected = '') {
+        const profile = this.PROFILES[$('#alert-crop').value];
+        const select = $('#alert-stage');
+
+        select.innerHTML = profile ? `
+            <option value="">Whole season</option>
+            ${Object.entries(profile.stages).map(([key, stage]) => `<option value="${key}">${stage.name}</option>`).join('')}
+        ` : '<option value="">Choose a crop first</option>';
+        select.disabled = !profile;
+        select.value = profile?.stages[selected] ? selected : '';
+        this.renderThresholds();
+    },
+
+    // One input per threshold - the crop/stage value as placeholder, the user's override as value
+    renderThresholds() {
+        const container = $('#alert-thresholds');
+        if (!container) return;
+
+        const choice = { crop: $('#alert-crop').value, stage: $('#alert-stage').value };
+        const profileValues = this.resolveThresholds(choice);
+        const { overrides = {} } = this.settings;
+
+        container.innerHTML = Object.entries(this.THRESHOLDS).map(([key, threshold]) => `
+            <div class="form-group">
+                <label for="alert-threshold-${key}">${threshold.label} (${threshold.unit})</label>
+                <input type="number" id="alert-threshold-${key}" data-threshold="${key}" step="any"
+                       placeholder="${profileValues[key]}" value="${overrides[key] ?? ''}">
+            </div>
+        `).join('');
+    },
+
+    save() {
+        let customRules = [];
+        const text = $('#alert-custom-rules').value.trim();
+
+        if (text) {
+            try {
+                customRules = JSON.parse(text);
+                if (!Array.isArray(customRules)) customRules = [customRules];
+            } catch (error) {
+                Utils.toast.error('Custom rules are not valid JSON');
+                return;
+            }
+            const problem = customRules.map(rule => this.validate(rule)).find(Boolean);
+            if (problem) {
+                Utils.toast.error(problem);
+                return;
+            }
+        }
+
+        const overrides = {};
+        $$('#alert-thresholds input[data-threshold]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) overrides[input.dataset.threshold] = value;
+        });
+
+        this.settings = {
+            crop: $('#alert-crop').value,
+            stage: $('#alert-stage').value,
+            overrides,
+            customRules
+        };
+        WeatherAPI.clearCache();
+        Utils.toast.success(`Alert rules saved for ${this.profileLabel()}`);
+    },
+
+    reset() {
+        this.settings = {};
+        WeatherAPI.clearCache();
+        $('#alert-crop').value = '';
+        $('#alert-custom-rules').value = '';
+        this.populateStages();
+        Utils.toast.info('Alert rules reset to the defaults');
+    }
+};
+
+// Export
+window.AlertRules = AlertRules;
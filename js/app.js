@@ -15,6 +15,7 @@ const App = {
         GeminiAPI.init();
         WeatherAPI.init();
         VoiceAPI.init();
+        ProductDB.init();
         
         // Setup UI
         this.setupEventListeners();
@@ -27,6 +28,10 @@ const App = {
         EyeModule.init();
         SpecialistModule.init();
         StrategistModule.init();
+        Phenology.init();
+        Irrigation.init();
+        AlertRules.init();
+        SprayRecords.init();
         PartnerModule.init();
         
         // Load dashboard data
@@ -109,6 +114,12 @@ const App = {
         if (page === 'strategist') {
             StrategistModule.loadForecast();
         }
+        if (page === 'cases') {
+            DiagnosisCases.render();
+        }
+        if (page === 'sprays') {
+            SprayRecords.render();
+        }
         
         // Update history if needed (not during back navigation)
         if (updateHistory && !this.isNavigatingBack) {
@@ -261,6 +272,9 @@ const App = {
             });
         }
         
+        // Product database
+        this.setupProductDBHandlers();
+        
         // Location
         const detectLocation = $('#detect-location');
         const defaultLocation = $('#default-location');
@@ -289,6 +303,66 @@ const App = {
         }
     },
     
+    // Setup product database import, export and clear
+    setupProductDBHandlers() {
+        const status = $('#product-db-status');
+        const fileInput = $('#product-db-file');
+        const hideUnregistered = $('#product-db-hide');
+
+        const updateStatus = () => {
+            const count = ProductDB.products.length;
+            if (status) {
+                status.textContent = count ? `${count} product${count === 1 ? '' : 's'} in your database` : 'No products imported yet';
+            }
+        };
+        ProductDB.ready?.then(updateStatus);
+
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+
+                try {
+                    const { added, updated, skipped } = await ProductDB.importFile(file);
+                    Utils.toast.success(`Imported ${added} new, ${updated} updated product${added + updated === 1 ? '' : 's'}${skipped ? ` (${skipped} rows without a name skipped)` : ''}`);
+                } catch (error) {
+                    console.error('Product import failed:', error);
+                    Utils.toast.error('Import failed: ' + error.message);
+                } finally {
+                    fileInput.value = '';
+                    updateStatus();
+                }
+            });
+        }
+
+        if (hideUnregistered) {
+            hideUnregistered.checked = ProductDB.hideUnregistered;
+            hideUnregistered.addEventListener('change', () => {
+                ProductDB.hideUnregistered = hideUnregistered.checked;
+            });
+        }
+
+        $('#product-db-export')?.addEventListener('click', () => {
+            if (!ProductDB.products.length) {
+                Utils.toast.info('The product database is empty');
+                return;
+            }
+            GeoExport.download(ProductDB.exportBlob(), `krishimitra-products-${new Date().toISOString().slice(0, 10)}.json`);
+        });
+
+        $('#product-db-clear')?.addEventListener('click', async () => {
+            if (!ProductDB.products.length || !confirm('Remove all imported products?')) return;
+
+            try {
+                await ProductDB.clear();
+                Utils.toast.success('Product database cleared');
+            } catch (error) {
+                Utils.toast.error('Could not clear the product database');
+            }
+            updateStatus();
+        });
+    },
+
     // Load theme
     loadTheme() {
         const savedTheme = Utils.storage.get(CONFIG.STORAGE_KEYS.THEME, 'light');
@@ -499,6 +573,8 @@ const App = {
             analysis: '🛰️',
             diagnosis: '🔬',
             strategy: '🎯',
+            spray: '🧪',
+            irrigation: '💧',
             chat: '💬'
         };
         
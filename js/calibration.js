@@ -0,0 +1,175 @@
+// Radiometric Calibration for KrishiMitra
+// Per-band gains that turn pixel values into reflectance, from a reflectance panel or exposure/sun-sensor metadata
+
+const RadiometricCalibration = {
+    // Exposure that leaves metadata gains at 1: 1/1000 s at ISO 100 and f/2.8
+    REFERENCE_EXPOSURE: 0.001 / (2.8 * 2.8),
+    REFERENCE_IRRADIANCE: 1,    // W/m²/nm - sun sensors report roughly this around midday
+    DEFAULT_REFLECTANCE: 0.5,   // Typical grey calibration panel
+    SAMPLE_SIZE: 0.03,          // Panel sample square, as a share of the shorter image side
+    MAX_PANEL_CV: 0.1,          // Rougher samples probably straddle the panel edge
+    SATURATION: 250,            // 0-255 values at or above this are clipped
+
+    MODES: {
+        none: { label: 'Uncalibrated' },
+        metadata: { label: 'Exposure & sun sensor' },
+        panel: { label: 'Reflectance panel' }
+    },
+
+    // Relative exposure t·ISO/N², or null without an exposure time
+    exposure(meta) {
+        if (!meta?.exposureTime) return null;
+        return meta.exposureTime * ((meta.iso || 100) / 100) / Math.pow(meta.fNumber || 2.8, 2);
+    },
+
+    // Downwelling irradiance from a sun sensor (DLS, Sequoia, P4 Multispectral), or null
+    irradiance(meta) {
+        return meta?.irradiance > 0 ? meta.irradiance : null;
+    },
+
+    // Mean, spread and clipping of a panel sample
+    // channels: { red, green, blue?, nir?, rededge? } arrays of 0-255 values; encoded = 8-bit sRGB pixels
+    // metas: EXIF/XMP metadata of the panel image per band
+    measurePanel(channels, { encoded, metas, source, name }) {
+        const means = {};
+        let cv = 0;
+        let saturated = false;
+
+        Object.entries(channels).forEach(([role, values]) => {
+            let sum = 0;
+            let sumSq = 0;
+            values.forEach(value => {
+                if (value >= this.SATURATION) saturated = true;
+                const v = encoded ? SpectralIndices.srgbToLinear(value) : value;
+                sum += v;
+                sumSq += v * v;
+            });
+
+            const mean = sum / values.length;
+            means[role] = mean;
+            if (mean > 0) {
+                cv = Math.max(cv, Math.sqrt(Math.max(0, sumSq / values.length - mean * mean)) / mean);
+            }
+        });
+
+        return {
+            means,
+            cv,
+            saturated,
+            encoded,
+            source,
+            name,
+            exposures: Object.fromEntries(Object.keys(channels).map(role => [role, this.exposure(metas[role])])),
+            irradiances: Object.fromEntries(Object.keys(channels).map(role => [role, this.irradiance(metas[role])])),
+            measuredAt: new Date().toISOString()
+        };
+    },
+
+    // Problems that make a panel sample unreliable, or null
+    checkPanel(panel) {
+        if (panel.saturated) return 'Panel is overexposed - some values are clipped';
+        if (panel.cv > this.MAX_PANEL_CV) return 'Sample is not uniform - click the middle of the panel';
+        if (Object.values(panel.means).some(mean => !(mean > 0))) return 'Panel reads black in at least one band';
+        return null;
+    },
+
+    // Gains for the image about to be analysed
+    // roles: bands present in the image; metas: image metadata per band; encoded: 8-bit sRGB pixels
+    // Returns { calibration, warning } - calibration is null when uncalibrated
+    resolve({ mode, panel, reflectance, roles, metas, encoded }) {
+        if (mode === 'metadata') return this.fromMetadata(roles, metas, encoded);
+        if (mode === 'panel') return this.fromPanel(panel, reflectance, roles, metas, encoded);
+        return { calibration: null, warning: null };
+    },
+
+    // Exposure and sun-sensor normalization - comparable across days for the same camera, not absolute reflectance
+    fromMetadata(roles, metas, encoded) {
+        const gains = {};
+        let exposureUsed = false;
+        let irradianceUsed = false;
+
+        roles.forEach(role => {
+            const exposure = this.exposure(metas[role]);
+            const irradiance = this.irradiance(metas[role]);
+            gains[role] = (exposure ? this.REFERENCE_EXPOSURE / exposure : 1) *
+                          (irradiance ? this.REFERENCE_IRRADIANCE / irradiance : 1);
+            exposureUsed = exposureUsed || !!exposure;
+            irradianceUsed = irradianceUsed || !!irradiance;
+        });
+
+        if (!exposureUsed && !irradianceUsed) {
+            return { calibration: null, warning: 'No exposure or sun-sensor metadata - analysing uncalibrated values' };
+        }
+
+        return {
+            calibration: this.create('metadata', gains, encoded, {
+                label: irradianceUsed ? 'Exposure & sun sensor' : 'Exposure metadata',
+                exposure: exposureUsed,
+                irradiance: irradianceUsed
+            }),
+            warning: null
+        };
+    },
+
+    // Reflectance = value × panel reflectance / panel value, corrected for exposure and irradiance
+    // differences between the panel shot and the image when both carry the tags
+    fromPanel(panel, reflectance, roles, metas, encoded) {
+        if (!panel) {
+            return { calibration: null, warning: 'No reflectance panel measured - analysing uncalibrated values' };
+        }
+        if (panel.encoded !== encoded || roles.some(role => !panel.means[role])) {
+            return { calibration: null, warning: 'The panel was measured with different bands than this image - measure it again' };
+        }
+
+        const gains = {};
+        roles.forEach(role => {
+            const exposure = this.exposure(metas[role]);
+            const irradiance = this.irradiance(metas[role]);
+            const panelExposure = panel.exposures[role];
+            const panelIrradiance = panel.irradiances[role];
+
+            gains[role] = (reflectance * 255 / panel.means[role]) *
+                          (exposure && panelExposure ? panelExposure / exposure : 1) *
+                          (irradiance && panelIrradiance ? panelIrradiance / irradiance : 1);
+        });
+
+        return {
+            calibration: this.create('panel', gains, encoded, {
+                label: `Reflectance panel (${reflectance.toFixed(2)})`,
+                reflectance,
+                panelSource: panel.source,
+                panelName: panel.name
+            }),
+            warning: null
+        };
+    },
+
+    // Calibration record passed to the tile processor and stored with the analysis
+    // RGB cameras have no NIR band - simulated NIR takes the mean visible gain so it stays on the same scale
+    create(source, gains, encoded, details) {
+        if (!gains.nir) {
+            const visible = ['red', 'green', 'blue'].map(role => gains[role]).filter(Boolean);
+            gains.nir = visible.reduce((sum, gain) => sum + gain, 0) / visible.length;
+        }
+
+        return {
+            source,
+            gains: Object.fromEntries(Object.entries(gains).map(([role, gain]) => [role, +gain.toFixed(5)])),
+            linearize: encoded,
+            createdAt: new Date().toISOString(),
+            ...details
+        };
+    },
+
+    // One-line gain summary, e.g. "R ×0.82 · G ×0.91 · NIR ×1.10"
+    describeGains(gains) {
+        const short = { red: 'R', green: 'G', blue: 'B', rededge: 'RE', nir: 'NIR' };
+        return Object.keys(short)
+            .filter(role => gains[role])
+            .map(role => `${short[role]} ×${gains[role].toFixed(2)}`)
+            .join(' · ');
+    }
+};
+
+// Export
+window.RadiometricCalibration = RadiometricCalibration;
@@ -10,6 +10,7 @@ const CONFIG = {
     
     // Weather API (Open-Meteo - Free, no API key required)
     WEATHER_API_URL: 'https://api.open-meteo.com/v1/forecast',
+    WEATHER_ARCHIVE_API_URL: 'https://archive-api.open-meteo.com/v1/archive',
     GEOCODING_API_URL: 'https://geocoding-api.open-meteo.com/v1/search',
     
     // Storage Keys
@@ -20,7 +21,27 @@ const CONFIG = {
         VOICE_ENABLED: 'krishimitra_voice_enabled',
         VOICE_SPEED: 'krishimitra_voice_speed',
         ANALYSES: 'krishimitra_analyses',
-        ACTIVITY: 'krishimitra_activity'
+        ACTIVITY: 'krishimitra_activity',
+        LAST_FIELD: 'krishimitra_last_field',
+        CALIBRATION: 'krishimitra_calibration',
+        HIDE_UNREGISTERED: 'krishimitra_hide_unregistered',
+        TANK_MIX: 'krishimitra_tank_mix',
+        SPRAY_OPERATOR: 'krishimitra_spray_operator',
+        PHENOLOGY: 'krishimitra_phenology',
+        ALERT_RULES: 'krishimitra_alert_rules'
+    },
+    
+    // IndexedDB (records too large for localStorage)
+    DB_NAME: 'krishimitra',
+    DB_VERSION: 6,
+    DB_STORES: {
+        fields: { keyPath: 'id' },
+        fieldAnalyses: { keyPath: 'id', indexes: ['fieldId'] },
+        diagnosisQueue: { keyPath: 'id' },
+        diagnosisCases: { keyPath: 'id', indexes: ['fieldId'] },
+        products: { keyPath: 'id' },
+        sprayRecords: { keyPath: 'id', indexes: ['fieldId'] },
+        waterEvents: { keyPath: 'id', indexes: ['fieldId'] }
     },
     
     // Default Location (can be overridden)
@@ -32,6 +53,29 @@ const CONFIG = {
     
     // Feature Settings
     MAX_IMAGE_SIZE: 10 * 1024 * 1024, // 10MB
+    MAX_MULTISPECTRAL_SIZE: 300 * 1024 * 1024, // 300MB per GeoTIFF
+    SPECTRAL_TILE_SIZE: 1024, // px - images are processed tile by tile in Web Workers
+    SPECTRAL_OVERVIEW_SIZE: 2048, // px - longest side of the composite maps
+    SPECTRAL_MAX_WORKERS: 4,
+    ZONE_COUNT: 4, // management zones clustered from the imagery
+    ZONE_MIN_AREA_PCT: 2, // smaller patches merge into a neighbouring zone
+    MOSAIC_MAX_FRAMES: 300, // drone frames stitched per flight
+    MOSAIC_MAX_SIZE: 4096, // px - longest side of a stitched mosaic (coarser ground resolution beyond)
+    MOSAIC_ALIGN_SIZE: 1024, // px - grid used for feature alignment
+    CLASSIFIER_RUNTIME_URL: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.3/dist/ort.min.js',
+    CLASSIFIER_MODEL_URL: '/models/crop-disease/model.onnx', // on-device fallback when Gemini is unreachable
+    CLASSIFIER_LABELS_URL: '/models/crop-disease/labels.json',
+    CLASSIFIER_INPUT_SIZE: 224, // px - square model input
+    CLASSIFIER_TOP_K: 3,
+    DIAGNOSIS_VIEWS: [ // photo views that help tell look-alike problems apart
+        { id: 'upper', label: 'Upper leaf', icon: '🍃' },
+        { id: 'underside', label: 'Leaf underside', icon: '🔍' },
+        { id: 'stem', label: 'Stem', icon: '🌿' },
+        { id: 'fruit', label: 'Fruit', icon: '🍅' },
+        { id: 'whole', label: 'Whole plant', icon: '🌱' }
+    ],
+    MAX_DIAGNOSIS_VIEWS: 5, // photos sent together for one diagnosis
+    DIAGNOSIS_VIEW_SIZE: 1600, // px - added views are downscaled before upload
     MAX_ACTIVITY_ITEMS: 20,
     FORECAST_DAYS: 7,
     
@@ -199,6 +243,7 @@ ANALYSIS GUIDELINES:
 IMPORTANT: You MUST respond with ONLY a valid JSON object (no markdown, no code blocks, no explanation text outside JSON). Use this EXACT structure:
 
 {
+  "crop": "Crop or host plant in the image (e.g., 'Tomato'), or empty if unclear",
   "identification": {
     "name": "Common name of the pest/disease (e.g., 'Leaf Spot Disease', 'Aphid Infestation')",
     "scientificName": "Scientific/Latin name if known",
@@ -224,6 +269,7 @@ IMPORTANT: You MUST respond with ONLY a valid JSON object (no markdown, no code
   "chemicalTreatments": [
     {
       "name": "Product/active ingredient name",
+      "activeIngredient": "Active ingredient(s) only, e.g. 'Mancozeb' or 'Azoxystrobin; Difenoconazole'",
       "description": "Application instructions",
       "timing": "When and how often to apply",
       "safety": "Safety precautions and pre-harvest interval"
@@ -243,8 +289,38 @@ GUIDELINES:
 - Provide at least 2-3 organic treatments and 2-3 chemical treatments
 - Provide at least 4 prevention tips
 - Be specific and actionable with real product names and dosages where applicable
+- Always fill "activeIngredient" for chemical treatments - suggestions are checked against the farmer's registered product labels
 - If the image shows a healthy plant, say so with name "Healthy Plant" and confidence level`,
 
+    // The Specialist - appended to PEST_DIAGNOSIS when several views of one plant are sent
+    MULTI_VIEW_DIAGNOSIS: `MULTIPLE VIEWS: You are given {count} photos of the SAME plant, in this order:
+{views}
+
+Use every view. Findings in one view can confirm or rule out what another suggests. For example, concentric rings on the upper leaf point to early blight, while pycnidia in small spots point to Septoria. Webbing on the underside points to mites, while even stippling without mites points to nutrient stress. Base "identification" on the consensus of all the views.
+
+Add these two fields to the JSON object:
+
+  "views": [
+    {
+      "image": 1,
+      "view": "Upper leaf",
+      "findings": ["Specific symptom visible in this photo"],
+      "supports": "Name of the diagnosis this photo points to, or 'Inconclusive'",
+      "weight": "Decisive"
+    }
+  ],
+  "consensus": {
+    "agreement": "Strong",
+    "summary": "How the views together lead to the diagnosis and which photo was decisive",
+    "ruledOut": [
+      { "name": "Look-alike problem that was considered", "reason": "Which photo rules it out and why" }
+    ]
+  }
+
+- Include one "views" entry per photo, numbered as above
+- weight must be one of: "Decisive", "Supporting", "Neutral", "Contradicting"
+- agreement must be one of: "Strong", "Partial", "Conflicting"`,
+
     // Early Stress Detection Analysis
     STRESS_DETECTION: `You are an expert agricultural analyst specializing in early crop stress detection from imagery. Analyze this crop/field image and identify any early signs of stress BEFORE they become major problems.
 
@@ -362,6 +438,7 @@ IMPORTANT: Respond with ONLY valid JSON. Use this exact structure:
     "schedule": [
       {
         "product": "Neem oil",
+        "activeIngredient": "Azadirachtin",
         "type": "Organic",
         "timing": "Weekly preventive",
         "targetPests": ["Aphids", "Whiteflies"],
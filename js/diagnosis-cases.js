@@ -0,0 +1,287 @@
+// Diagnosis Cases for KrishiMitra
+// Every Specialist diagnosis kept as a case - photo, full result, field/crop, GPS, notes and outcome
+
+const DiagnosisCases = {
+    SEVERITIES: ['low', 'moderate', 'high', 'critical'],
+
+    OUTCOMES: {
+        open: { label: 'Open', icon: '🕒' },
+        treated: { label: 'Treated', icon: '💊' },
+        resolved: { label: 'Resolved', icon: '✅' },
+        recurring: { label: 'Came back', icon: '🔁' },
+        'no-action': { label: 'No action needed', icon: '➖' }
+    },
+
+    cases: [],
+
+    // Wire up the history page filters
+    init() {
+        ['#case-filter-pest', '#case-filter-crop', '#case-filter-severity', '#case-filter-from', '#case-filter-to']
+            .forEach(selector => {
+                const input = $(selector);
+                if (!input) return;
+                input.addEventListener(input.tagName === 'SELECT' || input.type === 'date' ? 'change' : 'input',
+                    Utils.debounce(() => this.renderList(), 200));
+            });
+
+        $('#case-filter-reset')?.addEventListener('click', () => this.resetFilters());
+    },
+
+    // ===========================
+    // STORAGE
+    // ===========================
+
+    // All cases, newest first
+    async getAll() {
+        const cases = await Utils.db.getAll('diagnosisCases');
+        return cases.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    get(id) {
+        return Utils.db.get('diagnosisCases', id);
+    },
+
+    // Headline fields pulled out of a diagnosis result, for listing and filtering
+    summarize(result) {
+        if (!result) return { name: 'Awaiting diagnosis', scientificName: '', confidence: null, severity: null };
+
+        const identification = result.identification || result;
+        return {
+            name: identification.name || identification.primaryDiagnosis || 'Unknown Issue',
+            scientificName: identification.scientificName || '',
+            confidence: identification.confidence || identification.confidenceLevel || null,
+            severity: SpecialistModule.getRiskClass(result.riskAssessment?.severity || result.risk?.level || result.severity)
+        };
+    },
+
+    // Store a new case
+    // result may be null while an offline photo waits for its diagnosis
+    async create({ id = Utils.generateId(), result, source, thumbnail, views, quality, lesions, fieldId, crop, location, capturedAt }) {
+        const fields = fieldId ? await FieldHistory.getFields() : [];
+        const record = {
+            id,
+            createdAt: new Date().toISOString(),
+            capturedAt: capturedAt || null,
+            source,
+            pending: source !== 'gemini',
+            result,
+            ...this.summarize(result),
+            crop: crop || result?.crop || result?.offline?.predictions?.[0]?.crop || '',
+            fieldId: fieldId || null,
+            fieldName: fields.find(field => field.id === fieldId)?.name || '',
+            location: location || null,
+            thumbnail: thumbnail || null,
+            views: views || [],    // [{ label, thumbnail }] for multi-view diagnoses
+            quality: quality || null,
+            lesions: lesions || null,   // LesionAnalyzer measurement of the main photo
+            notes: '',
+            outcome: 'open'
+        };
+
+        await Utils.db.put('diagnosisCases', record);
+        return record;
+    },
+
+    // Merge changes into a case; a new result refreshes the headline fields
+    async update(id, changes) {
+        const record = await this.get(id);
+        if (!record) return null;
+
+        const updated = {
+            ...record,
+            ...changes,
+            ...(changes.result ? this.summarize(changes.result) : {}),
+            updatedAt: new Date().toISOString()
+        };
+        if (!updated.crop && changes.result?.crop) updated.crop = changes.result.crop;
+
+        await Utils.db.put('diagnosisCases', updated);
+        return updated;
+    },
+
+    async remove(id) {
+        await Utils.db.delete('diagnosisCases', id);
+        this.cases = this.cases.filter(record => record.id !== id);
+        this.renderList();
+    },
+
+    // Device position for photos without GPS tags (null when unavailable or denied)
+    getPosition() {
+        return new Promise(resolve => {
+            if (!navigator.geolocation) {
+                resolve(null);
+                return;
+            }
+
+            navigator.geolocation.getCurrentPosition(
+                position => resolve({
+                    lat: position.coords.latitude,
+                    lon: position.coords.longitude,
+                    accuracy: Math.round(position.coords.accuracy),
+                    source: 'device'
+                }),
+                () => resolve(null),
+                { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+            );
+        });
+    },
+
+    // ===========================
+    // FILTERING
+    // ===========================
+
+    // Current filter values from the history page
+    getFilters() {
+        return {
+            pest: ($('#case-filter-pest')?.value || '').trim().toLowerCase(),
+            crop: $('#case-filter-crop')?.value || '',
+            severity: $('#case-filter-severity')?.value || '',
+            from: $('#case-filter-from')?.value || '',
+            to: $('#case-filter-to')?.value || ''
+        };
+    },
+
+    // Cases matching the filters - dates compare as local YYYY-MM-DD, both ends inclusive
+    filter(cases, { pest, crop, severity, from, to }) {
+        return cases.filter(record => {
+            const day = this.localDay(record.capturedAt || record.createdAt);
+
+            if (pest && ![record.name, record.scientificName, record.notes]
+                .some(text => (text || '').toLowerCase().includes(pest))) return false;
+            if (crop && record.crop.toLowerCase() !== crop.toLowerCase()) return false;
+            if (severity && record.severity !== severity) return false;
+            if (from && day < from) return false;
+            if (to && day > to) return false;
+            return true;
+        });
+    },
+
+    localDay(dateTime) {
+        const d = new Date(dateTime);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    resetFilters() {
+        ['#case-filter-pest', '#case-filter-crop', '#case-filter-severity', '#case-filter-from', '#case-filter-to']
+            .forEach(selector => {
+                const input = $(selector);
+                if (input) input.value = '';
+            });
+        this.renderList();
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    // Reload cases and redraw the history page
+    async render() {
+        try {
+            this.cases = await this.getAll();
+        } catch (error) {
+            console.error('Could not load diagnosis cases:', error);
+            Utils.toast.error('Could not load diagnosis history');
+            this.cases = [];
+        }
+
+        this.populateCropFilter();
+        this.renderList();
+    },
+
+    // Crops seen so far, keeping the current choice
+    populateCropFilter() {
+        const select = $('#case-filter-crop');
+        if (!select) return;
+
+        const current = select.value;
+        const crops = [...new Set(this.cases.map(record => record.crop).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+
+        select.innerHTML = `
+            <option value="">All crops</option>
+            ${crops.map(crop => `<option value="${crop}">${crop}</option>`).join('')}
+        `;
+        select.value = crops.includes(current) ? current : '';
+    },
+
+    renderList() {
+        const container = $('#case-list');
+        const count = $('#case-count');
+        if (!container) return;
+
+        const cases = this.filter(this.cases, this.getFilters());
+
+        if (count) {
+            count.textContent = this.cases.length ?
+                `${cases.length} of ${this.cases.length} case${this.cases.length === 1 ? '' : 's'}` : '';
+        }
+
+        if (!this.cases.length) {
+            container.innerHTML = '<p class="history-hint">No diagnoses yet. Cases are saved automatically when you diagnose a plant in The Specialist.</p>';
+            return;
+        }
+        if (!cases.length) {
+            container.innerHTML = '<p class="history-hint">No cases match these filters.</p>';
+            return;
+        }
+
+        container.innerHTML = cases.map(record => {
+            const outcome = this.OUTCOMES[record.outcome] || this.OUTCOMES.open;
+            return `
+                <div class="case-card glass-card" data-id="${record.id}">
+                    ${record.thumbnail ? `<img src="${record.thumbnail}" alt="${record.name}" class="case-card-thumb">` : '<div class="case-card-thumb empty">🌿</div>'}
+                    <div class="case-card-info">
+                        <strong>${record.name}</strong>
+                        <span>${[record.crop, record.fieldName].filter(Boolean).join(' · ') || 'No crop recorded'}</span>
+                        <span class="history-item-meta">${Utils.date.format(record.capturedAt || record.createdAt, 'full')}${record.location ? ' · 📍' : ''}${record.pending ? ' · 📴 Awaiting full diagnosis' : ''}</span>
+                        <div class="case-card-tags">
+                            ${record.severity ? `<span class="case-tag risk-label ${record.severity}">${Utils.string.capitalize(record.severity)}</span>` : ''}
+                            ${record.lesions ? `<span class="case-tag">📏 ${record.lesions.diseasedPct}% · HB ${record.lesions.horsfallBarratt.grade}</span>` : ''}
+                            <span class="case-tag">${outcome.icon} ${outcome.label}</span>
+                        </div>
+                    </div>
+                    <button class="history-delete" data-id="${record.id}" title="Delete case">🗑️</button>
+                </div>
+            `;
+        }).join('');
+
+        $$('.case-card').forEach(card => {
+            card.addEventListener('click', () => this.open(card.dataset.id));
+        });
+        $$('.case-card .history-delete').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (confirm('Delete this case and its notes?')) {
+                    this.remove(btn.dataset.id).catch(error => {
+                        console.error('Could not delete case:', error);
+                        Utils.toast.error('Could not delete the case');
+                    });
+                }
+            });
+        });
+    },
+
+    // Reopen a case in The Specialist's result view
+    async open(id) {
+        const record = this.cases.find(c => c.id === id) || await this.get(id);
+        if (!record) return;
+
+        if (!record.result) {
+            Utils.toast.info('This photo is still waiting for a connection to be diagnosed');
+            return;
+        }
+
+        App.navigateTo('specialist');
+        SpecialistModule.openCase(record);
+    },
+
+    // Location as text, with a map link
+    formatLocation(location) {
+        if (!location) return '';
+        const coords = `${location.lat.toFixed(5)}, ${location.lon.toFixed(5)}`;
+        return `<a href="https://www.openstreetmap.org/?mlat=${location.lat}&mlon=${location.lon}#map=17/${location.lat}/${location.lon}" target="_blank" rel="noopener">📍 ${coords}</a>${location.source === 'device' ? ` <small>(device, ±${location.accuracy} m)</small>` : ''}`;
+    }
+};
+
+// Export
+window.DiagnosisCases = DiagnosisCases;
@@ -0,0 +1,380 @@
+// Disease Risk Models for KrishiMitra
+// Infection models run on hourly temperature, humidity, estimated leaf wetness and rainfall -
+// a daily risk index per crop for the alert list and The Strategist's forecast
+
+const DiseaseModels = {
+    LEVELS: ['none', 'low', 'moderate', 'high'],
+    HISTORY_DAYS: 14,       // past days fetched - BLITECAST looks back 7, TOMCAST accumulates since the last spray
+    FORECAST_DAYS: 5,
+    WET_RH: 90,             // humid hours for BLITECAST and Smith periods
+
+    MODELS: {
+        lateBlight: {
+            name: 'Late blight',
+            pathogen: 'Phytophthora infestans',
+            icon: '🥔',
+            crops: ['potato', 'tomato'],
+            method: 'Smith periods and BLITECAST severity values',
+            advice: [
+                'Apply a protectant fungicide before the next humid spell',
+                'Destroy cull piles and volunteer plants',
+                'Scout lower leaves for water-soaked lesions with white growth'
+            ]
+        },
+        tomcast: {
+            name: 'Early blight and leaf spots',
+            pathogen: 'Alternaria solani, Septoria lycopersici',
+            icon: '🍅',
+            crops: ['tomato', 'potato', 'carrot'],
+            method: 'TOMCAST disease severity values since the last spray',
+            threshold: 15,      // DSV between sprays; 20 is common where pressure is low
+            advice: [
+                'Spray when the DSV total reaches the threshold, then reset the count',
+                'Remove infected lower leaves and mulch to stop soil splash',
+                'Avoid overhead irrigation late in the day'
+            ]
+        },
+        appleScab: {
+            name: 'Apple scab',
+            pathogen: 'Venturia inaequalis',
+            icon: '🍎',
+            crops: ['apple'],
+            method: 'Mills table infection periods',
+            advice: [
+                'Apply a protectant before the wet period, or a post-infection fungicide within its kick-back time',
+                'Shred fallen leaves to cut the ascospore supply',
+                'Check trees for olive-green spots 9-17 days after an infection period'
+            ]
+        },
+        downyMildew: {
+            name: 'Downy mildew',
+            pathogen: 'Plasmopara viticola and related downy mildews',
+            icon: '🍇',
+            crops: ['grape', 'cucumber', 'watermelon', 'bottle-gourd', 'bitter-gourd', 'onion', 'lettuce'],
+            method: '3-10 rule for primary and wet-period rule for secondary infection',
+            advice: [
+                'Apply a systemic or protectant fungicide before the rain',
+                'Open the canopy for faster drying',
+                'Look for oily spots on top of leaves and downy growth underneath'
+            ]
+        }
+    },
+
+    // Wallin severity values: hours at RH >= 90% needed for 1-4 SV by mean temperature of those hours
+    WALLIN: [
+        { min: 7.2, max: 11.7, hours: [16, 19, 22, 25] },
+        { min: 11.7, max: 15.1, hours: [13, 16, 19, 22] },
+        { min: 15.1, max: 26.7, hours: [10, 13, 16, 19] }
+    ],
+
+    // TOMCAST disease severity values: leaf-wet hours needed for 1-4 DSV by mean temperature while wet
+    TOMCAST: [
+        { min: 13, max: 18, hours: [7, 16, 21] },
+        { min: 18, max: 21, hours: [4, 9, 16, 23] },
+        { min: 21, max: 26, hours: [3, 6, 13, 21] },
+        { min: 26, max: 30, hours: [4, 9, 16, 23] }
+    ],
+
+    // Revised Mills table (MacHardy & Gadoury): wet hours for a light ascospore infection by mean °C
+    // Moderate and severe infections take about 1.5x and 2x as long
+    MILLS: { 1: 41, 2: 35, 3: 30, 4: 28, 5: 21, 6: 18, 7: 15, 8: 13, 9: 12, 10: 11, 11: 9, 12: 8, 13: 8, 14: 7, 15: 7,
+             16: 6, 17: 6, 18: 6, 19: 6, 20: 6, 21: 6, 22: 6, 23: 6, 24: 6, 25: 8, 26: 11 },
+    MILLS_DRY_BREAK: 8,     // a dry spell shorter than this does not end a wet period
+
+    cache: null,
+
+    // ===========================
+    // DATA
+    // ===========================
+
+    // Hourly weather evaluated by every model: { days: [date], models: { key: [{ date, risk, detail }] } }
+    async evaluate() {
+        if (this.cache && Date.now() - this.cache.timestamp < WeatherAPI.cacheExpiry &&
+            this.cache.location === WeatherAPI.location) {
+            return this.cache.data;
+        }
+
+        const hourly = await WeatherAPI.getHourlyForecast(this.FORECAST_DAYS, this.HISTORY_DAYS);
+        const lastSpray = await this.getLastSpray(this.MODELS.tomcast.crops);
+        const days = this.groupDays(hourly);
+
+        const data = {
+            days: days.map(day => day.date),
+            models: {
+                lateBlight: this.lateBlight(days),
+                tomcast: this.tomcast(days, lastSpray),
+                appleScab: this.appleScab(days, hourly),
+                downyMildew: this.downyMildew(days)
+            }
+        };
+
+        this.cache = { data, timestamp: Date.now(), location: WeatherAPI.location };
+        return data;
+    },
+
+    // Date (YYYY-MM-DD) of the latest recorded spray on any of these crops
+    async getLastSpray(crops) {
+        try {
+            const records = await SprayRecords.getAll();
+            const record = records.find(r => crops.includes(Utils.string.slugify(r.crop || '')));
+            return record ? record.appliedAt.slice(0, 10) : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Crops the farmer works with - from spray records, diagnoses and The Strategist's crop choice
+    async getCrops() {
+        const crops = new Set();
+        const add = crop => crop && crops.add(Utils.string.slugify(crop));
+
+        try {
+            (await SprayRecords.getAll()).forEach(record => add(record.crop));
+            (await DiagnosisCases.getAll()).forEach(record => add(record.crop));
+        } catch (error) {
+            console.error('Could not read crops for disease models:', error);
+        }
+        add($('#crop-type')?.value);
+        return [...crops];
+    },
+
+    // Hours grouped into local days with the summaries the models use
+    groupDays(hourly) {
+        const byDate = {};
+        hourly.forEach(hour => {
+            if (hour.temperature === null || hour.humidity === null) return;
+            const date = hour.time.slice(0, 10);
+            if (!byDate[date]) byDate[date] = [];
+            byDate[date].push(hour);
+        });
+
+        const mean = values => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+        return Object.entries(byDate).sort(([a], [b]) => a.localeCompare(b)).map(([date, hours]) => {
+            const humid = hours.filter(h => h.humidity >= this.WET_RH);
+            const wet = hours.filter(h => this.isWet(h));
+            return {
+                date,
+                hours,
+                tempMin: Math.min(...hours.map(h => h.temperature)),
+                tempMean: mean(hours.map(h => h.temperature)),
+                rain: hours.reduce((sum, h) => sum + (h.precipitation || 0), 0),
+                humidHours: humid.length,
+                humidTemp: mean(humid.map(h => h.temperature)),
+                wetHours: wet.length,
+                wetTemp: mean(wet.map(h => h.temperature))
+            };
+        });
+    },
+
+    // Leaf wetness from WeatherAPI's dew point depression estimate
+    isWet(hour) {
+        return hour.leafWet;
+    },
+
+    // Severity value from a table of hour thresholds by temperature band
+    severityValue(table, hours, temperature) {
+        if (temperature === null) return 0;
+        const band = table.find(row => temperature >= row.min && temperature < row.max);
+        return band ? band.hours.filter(needed => hours >= needed).length : 0;
+    },
+
+    // ===========================
+    // MODELS
+    // ===========================
+
+    // Smith period: two consecutive days with min >= 10°C and 11+ hours at RH >= 90%
+    // BLITECAST: 7-day total of Wallin severity values - 3+ low, 5+ moderate, 7+ high
+    lateBlight(days) {
+        const values = days.map(day => this.severityValue(this.WALLIN, day.humidHours, day.humidTemp));
+        const smithDay = day => !!day && day.tempMin >= 10 && day.humidHours >= 11;
+
+        return days.map((day, i) => {
+            const week = values.slice(Math.max(0, i - 6), i + 1).reduce((sum, v) => sum + v, 0);
+            const smith = smithDay(day) && smithDay(days[i - 1]);
+
+            let risk = week >= 7 ? 3 : week >= 5 ? 2 : week >= 3 ? 1 : 0;
+            if (smith) risk = 3;
+            else if (smithDay(day)) risk = Math.max(risk, 2);
+
+            return {
+                date: day.date,
+                risk,
+                detail: `${smith ? 'Smith period · ' : smithDay(day) ? 'half a Smith period · ' : ''}${week} severity value${week === 1 ? '' : 's'} in 7 days`
+            };
+        });
+    },
+
+    // Daily DSV summed since the last recorded spray, against the spray threshold
+    tomcast(days, lastSpray) {
+        const { threshold } = this.MODELS.tomcast;
+        let total = 0;
+
+        return days.map(day => {
+            const dsv = this.severityValue(this.TOMCAST, day.wetHours, day.wetTemp === null ? null : Math.round(day.wetTemp));
+            total = lastSpray && day.date <= lastSpray ? 0 : total + dsv;
+
+            return {
+                date: day.date,
+                risk: total >= threshold ? 3 : total >= threshold * 0.7 ? 2 : total >= threshold * 0.4 ? 1 : 0,
+                detail: `${total} DSV ${lastSpray ? `since the ${Utils.date.format(`${lastSpray}T00:00`, 'short')} spray` : `in ${this.HISTORY_DAYS} days (no spray recorded)`}, spray at ${threshold}`
+            };
+        });
+    },
+
+    // Wet periods against the Mills table; a day takes the worst period overlapping it
+    appleScab(days, hourly) {
+        const periods = [];
+        let current = null;
+        let dry = 0;
+
+        hourly.filter(hour => hour.temperature !== null).forEach(hour => {
+            if (this.isWet(hour)) {
+                if (!current || dry >= this.MILLS_DRY_BREAK) {
+                    current = { start: hour.time, end: hour.time, temps: [] };
+                    periods.push(current);
+                }
+                current.end = hour.time;
+                current.temps.push(hour.temperature);
+                dry = 0;
+            } else {
+                dry++;
+            }
+        });
+
+        const scored = periods.map(period => {
+            const meanTemp = period.temps.reduce((sum, t) => sum + t, 0) / period.temps.length;
+            const needed = this.MILLS[Math.round(meanTemp)] || null;
+            const ratio = needed ? period.temps.length / needed : 0;
+            return {
+                ...period,
+                wetHours: period.temps.length,
+                meanTemp,
+                needed,
+                risk: ratio >= 1 ? 3 : ratio >= 0.6 ? 2 : needed && period.temps.length >= 3 ? 1 : 0,
+                infection: ratio >= 2 ? 'severe' : ratio >= 1.5 ? 'moderate' : ratio >= 1 ? 'light' : null
+            };
+        });
+
+        return days.map(day => {
+            const worst = scored
+                .filter(p => p.start.slice(0, 10) <= day.date && p.end.slice(0, 10) >= day.date)
+                .sort((a, b) => b.risk - a.risk)[0];
+            if (!worst) return { date: day.date, risk: 0, detail: 'No wet period' };
+
+            return {
+                date: day.date,
+                risk: worst.risk,
+                detail: worst.infection ?
+                    `${Utils.string.capitalize(worst.infection)} infection period - ${worst.wetHours} h wet at ${worst.meanTemp.toFixed(1)}°C (${worst.needed} h needed)` :
+                    `${worst.wetHours} h wet at ${worst.meanTemp.toFixed(1)}°C${worst.needed ? ` of ${worst.needed} h needed` : ' - too cold or hot for infection'}`
+            };
+        });
+    },
+
+    // Primary: 10 mm rain in 48 h at a mean of 10°C or more (3-10 rule; shoots 10 cm long)
+    // Secondary: 4+ leaf-wet hours at 13-28°C
+    downyMildew(days) {
+        return days.map((day, i) => {
+            const rain = day.rain + (days[i - 1]?.rain || 0);
+            const primary = rain >= 10 && day.tempMean >= 10;
+            const secondary = day.wetHours >= 4 && day.wetTemp >= 13 && day.wetTemp <= 28;
+
+            return {
+                date: day.date,
+                risk: primary ? 3 : secondary ? 2 : day.wetHours >= 2 ? 1 : 0,
+                detail: primary ? `${rain.toFixed(1)} mm rain in 48 h at ${day.tempMean.toFixed(1)}°C (3-10 rule)` :
+                        day.wetHours ? `${day.wetHours} h leaf wetness at ${day.wetTemp.toFixed(1)}°C` : 'Dry foliage'
+            };
+        });
+    },
+
+    // ===========================
+    // RISK INDEX
+    // ===========================
+
+    // Models that cover a crop (all of them without a crop)
+    modelsFor(crop) {
+        const slug = crop ? Utils.string.slugify(crop) : '';
+        return Object.keys(this.MODELS).filter(key => !slug || this.MODELS[key].crops.includes(slug));
+    },
+
+    // Daily risk index for a crop: [{ date, risk, reasons: [{ key, risk, detail }] }]
+    riskByCrop(evaluation, crop) {
+        const keys = this.modelsFor(crop);
+        return evaluation.days.map((date, i) => {
+            const reasons = keys.map(key => ({ key, ...evaluation.models[key][i] }));
+            return { date, risk: Math.max(0, ...reasons.map(r => r.risk)), reasons };
+        });
+    },
+
+    // Alerts for models covering the farmer's crops at moderate or high risk over the next three days
+    async getAlerts() {
+        const evaluation = await this.evaluate();
+        const crops = await this.getCrops();
+        const today = new Date().toLocaleDateString('en-CA');
+        const until = Utils.date.addDays(`${today}T00:00`, 2).toLocaleDateString('en-CA');
+        const now = new Date();
+
+        return Object.entries(this.MODELS).map(([key, model]) => {
+            const affected = crops.length ? model.crops.filter(crop => crops.includes(crop)) : model.crops;
+            if (!affected.length) return null;
+
+            const peak = evaluation.models[key]
+                .filter(day => day.date >= today && day.date <= until)
+                .sort((a, b) => b.risk - a.risk || a.date.localeCompare(b.date))[0];
+            if (!peak || peak.risk < 2) return null;
+
+            return {
+                id: `disease_${key}`,
+                severity: peak.risk === 3 ? 'warning' : 'advisory',
+                type: 'disease',
+                title: `${model.icon} ${model.name} Risk`,
+                message: `${Utils.string.capitalize(this.LEVELS[peak.risk])} risk for ${affected.map(crop => Utils.string.capitalize(crop.replace('-', ' '))).join(', ')} ${peak.date === today ? 'today' : `on ${Utils.date.getDayName(`${peak.date}T00:00`)}`}: ${peak.detail}. (${model.method})`,
+                advice: model.advice,
+                timestamp: now.toISOString(),
+                expiresAt: new Date(now.getTime() + 12 * 60 * 60 * 1000).toISOString()
+            };
+        }).filter(Boolean);
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    // Daily risk strip from today for a crop, with the reasons behind moderate and high days
+    renderStrip(evaluation, crop, days = 5) {
+        const today = new Date().toLocaleDateString('en-CA');
+        const keys = this.modelsFor(crop);
+        const label = crop ? Utils.string.capitalize(crop.replace('-', ' ')) : 'All modelled crops';
+
+        if (!keys.length) {
+            const covered = [...new Set(Object.values(this.MODELS).flatMap(model => model.crops))].join(', ');
+            return `<p class="helper-text">🦠 No disease model for ${label} yet. Models cover ${covered}.</p>`;
+        }
+
+        const risks = this.riskByCrop(evaluation, crop).filter(day => day.date >= today).slice(0, days);
+        const notes = risks.flatMap(day => day.reasons
+            .filter(reason => reason.risk >= 2)
+            .map(reason => `<li><strong>${Utils.date.getDayName(`${day.date}T00:00`)}</strong> ${this.MODELS[reason.key].icon} ${this.MODELS[reason.key].name}: ${reason.detail}</li>`));
+
+        return `
+            <div class="risk-strip-header">
+                <strong>🦠 Disease Risk</strong>
+                <small>${label}</small>
+            </div>
+            <div class="risk-strip">
+                ${risks.map(day => `
+                    <div class="risk-strip-day ${this.LEVELS[day.risk]}" title="${day.reasons.map(r => `${this.MODELS[r.key].name}: ${r.detail}`).join('\n')}">
+                        <span>${Utils.date.getDayName(`${day.date}T00:00`)}</span>
+                        <strong>${Utils.string.capitalize(this.LEVELS[day.risk])}</strong>
+                    </div>
+                `).join('')}
+            </div>
+            ${notes.length ? `<ul class="risk-strip-notes">${notes.slice(0, 4).join('')}</ul>` : ''}
+        `;
+    }
+};
+
+// Export
+window.DiseaseModels = DiseaseModels;
@@ -0,0 +1,190 @@
+// EXIF / XMP Metadata Reader for KrishiMitra
+// Pulls GPS position, flight altitude, heading and camera geometry from drone photos
+
+const ExifReader = {
+    // EXIF and GPS tag IDs
+    TAGS: {
+        MAKE: 271,
+        MODEL: 272,
+        DATE_TIME: 306,
+        EXPOSURE_TIME: 33434,
+        F_NUMBER: 33437,
+        ISO: 34855,
+        DATE_TIME_ORIGINAL: 36867,
+        FOCAL_LENGTH: 37386,
+        PIXEL_X_DIMENSION: 40962,
+        PIXEL_Y_DIMENSION: 40963,
+        FOCAL_PLANE_X_RESOLUTION: 41486,
+        FOCAL_PLANE_RESOLUTION_UNIT: 41488,
+        FOCAL_LENGTH_35MM: 41989,
+        GPS_LATITUDE_REF: 1,
+        GPS_LATITUDE: 2,
+        GPS_LONGITUDE_REF: 3,
+        GPS_LONGITUDE: 4,
+        GPS_ALTITUDE_REF: 5,
+        GPS_ALTITUDE: 6,
+        GPS_IMG_DIRECTION: 17
+    },
+
+    // Read metadata from a JPEG or TIFF file (returns null when nothing useful is found)
+    async read(file) {
+        try {
+            const buffer = await file.arrayBuffer();
+            const view = new DataView(buffer);
+
+            if (view.getUint16(0) === 0xFFD8) {
+                return this.readJPEG(view);
+            }
+            if (TiffReader.isTiff(file)) {
+                return this.readTIFF(view);
+            }
+        } catch (error) {
+            console.warn('Could not read image metadata:', error);
+        }
+        return null;
+    },
+
+    // Walk JPEG segments looking for the EXIF and XMP APP1 blocks
+    readJPEG(view) {
+        let offset = 2;
+        let raw = null;
+        let xmp = '';
+
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+
+            // Start of scan - no more metadata segments
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;
+
+            if (marker === 0xFFE1) {
+                const header = this.readString(view, offset + 4, 29);
+                if (header.startsWith('Exif')) {
+                    raw = this.readTIFFStructure(new DataView(view.buffer, offset + 10, length - 8));
+                } else if (header.startsWith('http://ns.adobe.com/xap/1.0/')) {
+                    xmp = this.readString(view, offset + 33, length - 31);
+                }
+            }
+
+            offset += 2 + length;
+        }
+
+        if (!raw && !xmp) return null;
+        return this.normalize({ ...(raw || { ifd0: {}, exif: {}, gps: {} }), xmp });
+    },
+
+    // TIFF files carry EXIF/GPS in sub-IFDs of the first directory
+    readTIFF(view) {
+        const raw = this.readTIFFStructure(view);
+        return this.normalize({ ...raw, xmp: TiffReader.getXMP(raw.ifd0) });
+    },
+
+    // Parse IFD0 plus its EXIF and GPS sub-IFDs from a TIFF-structured block
+    readTIFFStructure(view) {
+        const littleEndian = view.getUint16(0) === 0x4949;
+        const ifd0 = TiffReader.parseIFD(view, view.getUint32(4, littleEndian), littleEndian);
+        return {
+            ifd0,
+            exif: TiffReader.parseSubIFD(view, ifd0, TiffReader.TAGS.EXIF_IFD, littleEndian),
+            gps: TiffReader.parseSubIFD(view, ifd0, TiffReader.TAGS.GPS_IFD, littleEndian)
+        };
+    },
+
+    // Build metadata from an already decoded TiffReader image
+    fromTiff(image) {
+        return this.normalize({
+            ifd0: image.tags,
+            exif: image.exif || {},
+            gps: image.gps || {},
+            xmp: TiffReader.getXMP(image.tags)
+        });
+    },
+
+    // Read an ASCII string from the view
+    readString(view, offset, length) {
+        const end = Math.min(view.byteLength, offset + length);
+        let str = '';
+        for (let i = offset; i < end; i++) {
+            str += String.fromCharCode(view.getUint8(i));
+        }
+        return str;
+    },
+
+    // Convert raw tag maps into a flat metadata object
+    normalize({ ifd0, exif, gps, xmp }) {
+        const T = this.TAGS;
+        const get = (tags, id) => TiffReader.getTag(tags, id);
+
+        const latitude = this.toDecimalDegrees(gps[T.GPS_LATITUDE], gps[T.GPS_LATITUDE_REF]);
+        const longitude = this.toDecimalDegrees(gps[T.GPS_LONGITUDE], gps[T.GPS_LONGITUDE_REF]);
+
+        let gpsAltitude = get(gps, T.GPS_ALTITUDE);
+        if (gpsAltitude !== null && get(gps, T.GPS_ALTITUDE_REF) === 1) {
+            gpsAltitude = -gpsAltitude;
+        }
+
+        // Sensor width in mm from the focal plane resolution (unit 2 = inch, 3 = cm, 4 = mm)
+        const unitMm = { 2: 25.4, 3: 10, 4: 1 }[get(exif, T.FOCAL_PLANE_RESOLUTION_UNIT) || 2];
+        const planeResolution = get(exif, T.FOCAL_PLANE_X_RESOLUTION);
+        const pixelWidth = get(exif, T.PIXEL_X_DIMENSION) || get(ifd0, TiffReader.TAGS.IMAGE_WIDTH);
+        const sensorWidth = planeResolution && pixelWidth ? (pixelWidth / planeResolution) * unitMm : null;
+
+        // DJI and MicaSense write flight attitude to XMP
+        const relativeAltitude = this.readXMPNumber(xmp, 'RelativeAltitude');
+        const heading = this.readXMPNumber(xmp, 'GimbalYawDegree') ??
+                        this.readXMPNumber(xmp, 'FlightYawDegree') ??
+                        this.readXMPNumber(xmp, 'Yaw') ??
+                        get(gps, T.GPS_IMG_DIRECTION);
+
+        return {
+            make: (get(ifd0, T.MAKE) || '').trim(),
+            model: (get(ifd0, T.MODEL) || '').trim(),
+            dateTime: this.toISODate(get(exif, T.DATE_TIME_ORIGINAL) || get(ifd0, T.DATE_TIME)),
+            latitude,
+            longitude,
+            gpsAltitude,
+            relativeAltitude,
+            heading,
+            gimbalPitch: this.readXMPNumber(xmp, 'GimbalPitchDegree'),
+            // Sun-sensor irradiance (MicaSense DLS, Parrot Sequoia, DJI P4 Multispectral)
+            irradiance: this.readXMPNumber(xmp, 'Irradiance'),
+            focalLength: get(exif, T.FOCAL_LENGTH),
+            focalLength35: get(exif, T.FOCAL_LENGTH_35MM),
+            sensorWidth,
+            imageWidth: pixelWidth,
+            imageHeight: get(exif, T.PIXEL_Y_DIMENSION) || get(ifd0, TiffReader.TAGS.IMAGE_LENGTH),
+            exposureTime: get(exif, T.EXPOSURE_TIME),
+            fNumber: get(exif, T.F_NUMBER),
+            iso: get(exif, T.ISO),
+            hasGPS: latitude !== null && longitude !== null
+        };
+    },
+
+    // Degrees/minutes/seconds rationals to signed decimal degrees
+    toDecimalDegrees(dms, ref) {
+        if (!Array.isArray(dms) || dms.length < 3) return null;
+        const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+        if (!Number.isFinite(value)) return null;
+        return ref === 'S' || ref === 'W' ? -value : value;
+    },
+
+    // EXIF dates use "YYYY:MM:DD HH:MM:SS"
+    toISODate(value) {
+        if (!value) return null;
+        const match = value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+    },
+
+    // Read a numeric XMP property in either attribute or element form
+    readXMPNumber(xmp, name) {
+        if (!xmp) return null;
+        const match = xmp.match(new RegExp(`:${name}\\s*=\\s*"([^"]+)"`)) ||
+                      xmp.match(new RegExp(`:${name}>([^<]+)<`));
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        return Number.isFinite(value) ? value : null;
+    }
+};
+
+// Export
+window.ExifReader = ExifReader;
@@ -7,10 +7,35 @@ const EyeModule = {
     analysisResult: null,
     spectralData: null,      // Stores processed spectral analysis data
     falseColorImages: null,  // Stores generated false-color composites
+    bandCandidates: [],      // Decoded TIFF bands awaiting mapping
+    bandSet: null,           // Mapped bands passed to the SpectralProcessor
+    mosaicFrames: [],        // Drone frames (file + EXIF) awaiting stitching
+    mosaic: null,            // Stitched mosaic: blob URL, georeference and frame counts
+    imageMeta: null,         // EXIF/XMP metadata (GPS, altitude, heading)
+    imageQuality: null,      // Focus/exposure/resolution check of an RGB upload
+    georef: null,            // Pixel → WGS84 mapping when the upload can be georeferenced
+    prescription: null,      // Current variable-rate prescription
+    aiResult: null,          // Raw Gemini response, kept so zones can be re-segmented without a new call
+    zoneSettings: {          // Management zone clustering
+        count: CONFIG.ZONE_COUNT,
+        minAreaPct: CONFIG.ZONE_MIN_AREA_PCT
+    },
+    exclusions: [],          // User-drawn exclusion polygons, rings of normalized [u, v] image coordinates
+    exclusionDraft: null,    // Ring being drawn
+    scoredExclusions: '[]',  // Exclusions the current results were scored with
+    calibration: {           // Radiometric calibration settings (persisted)
+        mode: 'none',
+        reflectance: RadiometricCalibration.DEFAULT_REFLECTANCE,
+        panel: null          // Last reflectance panel measurement
+    },
+    panelPicking: false,     // The next click on the preview samples the reflectance panel
+    panelPhoto: null,        // Separately uploaded panel photo: { file, meta }
     
     // Initialize module
     init() {
         this.setupEventListeners();
+        this.setupCalibration();
+        FieldHistory.init();
     },
     
     // ===========================
@@ -19,384 +44,488 @@ const EyeModule = {
     
     // Multi-Spectral Processor - Core image analysis engine
     SpectralProcessor: {
-        canvas: null,
-        ctx: null,
-        imageData: null,
         width: 0,
         height: 0,
-        
-        // Initialize canvas with image
+        bitmap: null,            // Decoded RGB upload - read tile by tile, never drawn to one big canvas
+        bands: null,             // Real sensor bands from a multispectral upload
+        mask: null,              // Per-pixel validity of the bands (0 = alpha-transparent or GDAL no-data)
+        mode: 'rgb-simulated',   // 'multispectral' when a real NIR band is mapped
+        indices: null,           // Overview-resolution NDVI/NDWI/VARI/health arrays from the last analysis
+        grid: null,              // Cell grid shared by the stress map and management zones
+        indexIds: null,          // Registry indices computed for the loaded image
+        cellStats: null,         // Per-cell health and index sums from the last analysis
+        levels: null,            // Overview-resolution quantized values per registry index
+        indexMaps: {},           // Colorized index maps, rendered when their tab is first opened
+        exclusions: [],          // User-drawn exclusion polygons in image pixels
+        tileCanvas: null,
+        
+        // Initialize with an image
+        // Accepts an image URL (NIR simulated from RGB) or a mapped band set from a GeoTIFF upload
         async loadImage(imageSrc) {
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-                img.onload = () => {
-                    this.canvas = document.createElement('canvas');
-                    this.width = img.width;
-                    this.height = img.height;
-                    this.canvas.width = this.width;
-                    this.canvas.height = this.height;
-                    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-                    this.ctx.drawImage(img, 0, 0);
-                    this.imageData = this.ctx.getImageData(0, 0, this.width, this.height);
-                    resolve({ width: this.width, height: this.height });
-                };
-                img.onerror = reject;
-                img.src = imageSrc;
-            });
+            this.bitmap?.close();
+            this.bitmap = null;
+            this.indices = null;
+            this.levels = null;
+            this.indexMaps = {};
+            
+            if (imageSrc && typeof imageSrc === 'object' && imageSrc.bands) {
+                return this.loadBands(imageSrc);
+            }
+            
+            this.bands = null;
+            this.mask = null;
+            this.mode = 'rgb-simulated';
+            
+            const response = await fetch(imageSrc);
+            this.bitmap = await createImageBitmap(await response.blob());
+            this.width = this.bitmap.width;
+            this.height = this.bitmap.height;
+            
+            return { width: this.width, height: this.height, mode: this.mode };
         },
         
-        // Get pixel at position
-        getPixel(x, y) {
-            const i = (y * this.width + x) * 4;
-            return {
-                r: this.imageData.data[i],
-                g: this.imageData.data[i + 1],
-                b: this.imageData.data[i + 2],
-                a: this.imageData.data[i + 3]
-            };
+        // Load co-registered sensor bands (all the same size)
+        // Raw values are scaled to the 0-255 range so the index math and colormaps stay unchanged
+        loadBands(bandSet) {
+            this.width = bandSet.width;
+            this.height = bandSet.height;
+            
+            this.bands = {};
+            Object.entries(bandSet.bands).forEach(([role, band]) => {
+                this.bands[role] = { data: band.data, scale: 255 / band.maxValue };
+            });
+            this.mask = bandSet.mask || null;
+            this.mode = this.bands.nir ? 'multispectral' : 'rgb-simulated';
+            
+            return { width: this.width, height: this.height, mode: this.mode };
         },
         
-        // Set pixel at position
-        setPixel(imageData, x, y, r, g, b, a = 255) {
-            const i = (y * this.width + x) * 4;
-            imageData.data[i] = r;
-            imageData.data[i + 1] = g;
-            imageData.data[i + 2] = b;
-            imageData.data[i + 3] = a;
+        // Registry indices the loaded bands support - RGB uploads get every index that needs only RGB and NIR
+        getAvailableIndices() {
+            const bands = this.bands ? Object.keys(this.bands) : ['red', 'green', 'blue'];
+            return SpectralIndices.getAvailableIndices(bands);
         },
         
-        // Simulate NIR band from RGB
-        // Plants reflect strongly in NIR - we simulate this using green channel boosted by inverse red
-        simulateNIR(r, g, b) {
-            // Healthy vegetation: high green reflectance, low red absorption
-            // NIR approximation: emphasize green, reduce red influence
-            const nir = Math.min(255, (g * 1.4) + (255 - r) * 0.3 - b * 0.2);
-            return Math.max(0, Math.round(nir));
+        // Whether an index relies on NIR simulated from RGB
+        isSimulated(id) {
+            return this.mode !== 'multispectral' && SpectralIndices.INDICES[id].bands.includes('nir');
         },
         
-        // Calculate NDVI (Normalized Difference Vegetation Index)
-        // NDVI = (NIR - Red) / (NIR + Red)
-        calculateNDVI(r, g, b) {
-            const nir = this.simulateNIR(r, g, b);
-            const denominator = nir + r;
-            if (denominator === 0) return 0;
-            return (nir - r) / denominator; // Returns -1 to 1
+        // Tiles, overview size and stress grid for the loaded image
+        getLayout() {
+            const tileSize = CONFIG.SPECTRAL_TILE_SIZE;
+            const tiles = [];
+            for (let y = 0; y < this.height; y += tileSize) {
+                for (let x = 0; x < this.width; x += tileSize) {
+                    tiles.push({
+                        x,
+                        y,
+                        width: Math.min(tileSize, this.width - x),
+                        height: Math.min(tileSize, this.height - y)
+                    });
+                }
+            }
+            
+            // Composites are rendered at overview resolution - full-res PNGs of a 20MP image don't fit in memory
+            const overview = { scale: Math.min(1, CONFIG.SPECTRAL_OVERVIEW_SIZE / Math.max(this.width, this.height)) };
+            overview.width = SpectralIndices.overviewStart(this.width, overview);
+            overview.height = SpectralIndices.overviewStart(this.height, overview);
+            
+            const cellSize = Math.max(1, Math.ceil(Math.max(this.width, this.height) / 200));
+            
+            return {
+                tiles,
+                overview,
+                grid: {
+                    cellSize,
+                    cols: Math.ceil(this.width / cellSize),
+                    rows: Math.ceil(this.height / cellSize)
+                }
+            };
         },
         
-        // Calculate NDWI (Normalized Difference Water Index)
-        // NDWI = (Green - NIR) / (Green + NIR) - indicates water content
-        calculateNDWI(r, g, b) {
-            const nir = this.simulateNIR(r, g, b);
-            const denominator = g + nir;
-            if (denominator === 0) return 0;
-            return (g - nir) / denominator; // Returns -1 to 1
+        // Worker message for one tile - pixel data is copied out so it can be transferred
+        createTileJob(tile, id, layout) {
+            let source;
+            
+            if (this.bands) {
+                const bands = {};
+                ['red', 'green', 'blue', 'nir', 'rededge'].forEach(role => {
+                    const band = this.bands[role];
+                    if (band) bands[role] = { data: this.sliceBand(band.data, tile), scale: band.scale };
+                });
+                source = { bands, mask: this.mask ? this.sliceBand(this.mask, tile) : null };
+            } else {
+                source = { rgba: this.readTileRGBA(tile) };
+            }
+            
+            return {
+                id,
+                tile,
+                source,
+                indices: this.indexIds,
+                exclusions: this.exclusions,
+                calibration: this.calibration,
+                overview: layout.overview,
+                grid: layout.grid
+            };
         },
         
-        // Calculate VARI (Visible Atmospherically Resistant Index)
-        // Works with RGB only - useful for stress detection
-        calculateVARI(r, g, b) {
-            const denominator = g + r - b;
-            if (denominator === 0) return 0;
-            return (g - r) / denominator;
+        // Draw one tile of the decoded upload and read back its pixels
+        readTileRGBA(tile) {
+            if (!this.tileCanvas) {
+                this.tileCanvas = document.createElement('canvas');
+            }
+            this.tileCanvas.width = tile.width;
+            this.tileCanvas.height = tile.height;
+            
+            const ctx = this.tileCanvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(this.bitmap, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+            return ctx.getImageData(0, 0, tile.width, tile.height).data;
         },
         
-        // Calculate Excess Green Index (ExG)
-        // ExG = 2*G - R - B (normalized)
-        calculateExG(r, g, b) {
-            const total = r + g + b;
-            if (total === 0) return 0;
-            const rn = r / total;
-            const gn = g / total;
-            const bn = b / total;
-            return 2 * gn - rn - bn;
+        // Copy a tile's rows out of a full-size band
+        sliceBand(data, tile) {
+            const output = new data.constructor(tile.width * tile.height);
+            for (let row = 0; row < tile.height; row++) {
+                const start = (tile.y + row) * this.width + tile.x;
+                output.set(data.subarray(start, start + tile.width), row * tile.width);
+            }
+            return output;
         },
         
-        // Generate False Color Infrared (CIR) Composite
-        // Maps: NIR → Red, Red → Green, Green → Blue
-        generateCIR() {
-            const output = this.ctx.createImageData(this.width, this.height);
+        // Worker pool sized to the device (empty when workers are unavailable, e.g. file:// pages)
+        createWorkers(tileCount) {
+            if (typeof Worker === 'undefined') return [];
             
-            for (let y = 0; y < this.height; y++) {
-                for (let x = 0; x < this.width; x++) {
-                    const pixel = this.getPixel(x, y);
-                    const nir = this.simulateNIR(pixel.r, pixel.g, pixel.b);
-                    
-                    // CIR: NIR→R, R→G, G→B
-                    this.setPixel(output, x, y, nir, pixel.r, pixel.g);
-                }
-            }
+            const count = Math.min(
+                tileCount,
+                CONFIG.SPECTRAL_MAX_WORKERS,
+                Math.max(1, (navigator.hardwareConcurrency || 2) - 1)
+            );
             
-            return this.imageDataToDataURL(output);
+            try {
+                return Array.from({ length: count }, () => new Worker('js/spectral-worker.js'));
+            } catch (error) {
+                console.warn('Web Workers unavailable, processing on the main thread:', error);
+                return [];
+            }
         },
         
-        // Generate NDVI Heat Map
-        generateNDVIMap() {
-            const output = this.ctx.createImageData(this.width, this.height);
-            
-            for (let y = 0; y < this.height; y++) {
-                for (let x = 0; x < this.width; x++) {
-                    const pixel = this.getPixel(x, y);
-                    const ndvi = this.calculateNDVI(pixel.r, pixel.g, pixel.b);
-                    const color = this.ndviToColor(ndvi);
-                    this.setPixel(output, x, y, color.r, color.g, color.b);
-                }
-            }
-            
-            return this.imageDataToDataURL(output);
+        // Process a tile in a worker
+        runInWorker(worker, job) {
+            return new Promise((resolve, reject) => {
+                worker.onmessage = (e) => resolve(e.data);
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    reject(new Error(e.message || 'Spectral worker failed'));
+                };
+                worker.postMessage(job, SpectralIndices.getTransferables(job));
+            });
         },
         
-        // Generate Water Stress Map (NDWI-based)
-        generateNDWIMap() {
-            const output = this.ctx.createImageData(this.width, this.height);
+        // Feed tiles to the worker pool, merging results as they arrive
+        // Falls back to the main thread (yielding between tiles) if a worker can't be used
+        async processTiles(layout, totals, onProgress) {
+            const { tiles } = layout;
+            const workers = this.createWorkers(tiles.length);
+            let next = 0;
+            let done = 0;
             
-            for (let y = 0; y < this.height; y++) {
-                for (let x = 0; x < this.width; x++) {
-                    const pixel = this.getPixel(x, y);
-                    const ndwi = this.calculateNDWI(pixel.r, pixel.g, pixel.b);
-                    const color = this.ndwiToColor(ndwi);
-                    this.setPixel(output, x, y, color.r, color.g, color.b);
+            const run = async (worker) => {
+                while (next < tiles.length) {
+                    const id = next++;
+                    let result = null;
+                    
+                    if (worker) {
+                        try {
+                            result = await this.runInWorker(worker, this.createTileJob(tiles[id], id, layout));
+                        } catch (error) {
+                            console.warn('Spectral worker failed, continuing on the main thread:', error);
+                            worker.terminate();
+                            worker = null;
+                        }
+                    }
+                    
+                    if (!result) {
+                        await new Promise(resolve => setTimeout(resolve, 0));
+                        result = SpectralIndices.processTile(this.createTileJob(tiles[id], id, layout));
+                    }
+                    
+                    this.mergeTile(totals, result, layout);
+                    done++;
+                    if (onProgress) onProgress(done / tiles.length);
                 }
+            };
+            
+            try {
+                await Promise.all(workers.length ? workers.map(worker => run(worker)) : [run(null)]);
+            } finally {
+                workers.forEach(worker => worker.terminate());
             }
+        },
+        
+        // Running sums and overview buffers for a whole analysis
+        createTotals(layout) {
+            const overviewSize = layout.overview.width * layout.overview.height;
+            const cellCount = layout.grid.cols * layout.grid.rows;
+            const rgba = () => new Uint8ClampedArray(overviewSize * 4);
+            const ids = this.indexIds;
             
-            return this.imageDataToDataURL(output);
+            return {
+                pixels: 0,
+                ids,
+                sums: new Float64Array(ids.length),
+                stride: ids.length + 1,
+                cellSums: new Float64Array(cellCount * (ids.length + 1)),
+                cellCounts: new Uint32Array(cellCount),
+                canopySums: new Float64Array(cellCount * ids.length),
+                canopyCounts: new Uint32Array(cellCount),
+                cover: new Uint32Array(SpectralIndices.COVER_CLASSES.length),
+                composites: { cir: rgba(), ndvi: rgba(), ndwi: rgba(), stress: rgba(), nirEnhanced: rgba() },
+                indices: {
+                    ndvi: new Float32Array(overviewSize),
+                    ndwi: new Float32Array(overviewSize),
+                    vari: new Float32Array(overviewSize),
+                    health: new Float32Array(overviewSize),
+                    cover: new Uint8Array(overviewSize)
+                },
+                levels: Object.fromEntries(ids.map(id => [id, new Uint8Array(overviewSize)]))
+            };
         },
         
-        // Generate Stress Detection Map (combines multiple indices)
-        generateStressMap() {
-            const output = this.ctx.createImageData(this.width, this.height);
+        // Add one tile's sums and copy its overview pixels into place
+        mergeTile(totals, result, layout) {
+            totals.pixels += result.pixels;
+            result.sums.forEach((sum, k) => { totals.sums[k] += sum; });
+            result.cover.forEach((count, c) => { totals.cover[c] += count; });
             
-            for (let y = 0; y < this.height; y++) {
-                for (let x = 0; x < this.width; x++) {
-                    const pixel = this.getPixel(x, y);
-                    const ndvi = this.calculateNDVI(pixel.r, pixel.g, pixel.b);
-                    const vari = this.calculateVARI(pixel.r, pixel.g, pixel.b);
-                    const exg = this.calculateExG(pixel.r, pixel.g, pixel.b);
-                    
-                    // Combined stress indicator
-                    // Low NDVI + Low VARI + Low ExG = High Stress
-                    const healthScore = (ndvi + 1) / 2 * 0.5 + (vari + 1) / 2 * 0.3 + (exg + 1) / 2 * 0.2;
-                    const color = this.stressToColor(healthScore);
-                    this.setPixel(output, x, y, color.r, color.g, color.b);
+            const { grid } = result;
+            const { stride } = totals;
+            const indexCount = totals.ids.length;
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.cols; col++) {
+                    const local = row * grid.cols + col;
+                    const cell = (grid.cy0 + row) * layout.grid.cols + grid.cx0 + col;
+                    for (let k = 0; k < stride; k++) {
+                        totals.cellSums[cell * stride + k] += grid.sums[local * stride + k];
+                    }
+                    for (let k = 0; k < indexCount; k++) {
+                        totals.canopySums[cell * indexCount + k] += grid.canopySums[local * indexCount + k];
+                    }
+                    totals.cellCounts[cell] += grid.counts[local];
+                    totals.canopyCounts[cell] += grid.canopyCounts[local];
                 }
             }
             
-            return this.imageDataToDataURL(output);
+            const { overview } = result;
+            const copyRows = (target, source, channels) => {
+                for (let row = 0; row < overview.height; row++) {
+                    const start = row * overview.width * channels;
+                    const offset = ((overview.y + row) * layout.overview.width + overview.x) * channels;
+                    target.set(source.subarray(start, start + overview.width * channels), offset);
+                }
+            };
+            
+            Object.keys(totals.composites).forEach(key => copyRows(totals.composites[key], overview.composites[key], 4));
+            Object.keys(totals.indices).forEach(key => copyRows(totals.indices[key], overview.indices[key], 1));
+            Object.keys(totals.levels).forEach(key => copyRows(totals.levels[key], overview.levels[key], 1));
         },
         
-        // Generate NIR-Enhanced Composite
-        // Highlights vegetation vigor - bright red = healthy vegetation
-        generateNIRComposite() {
-            const output = this.ctx.createImageData(this.width, this.height);
+        // Downsampled grid of stress classes with mean indices per cell - used for vector export
+        buildStressGrid(totals, grid) {
+            const { cols, rows, cellSize } = grid;
+            const health = new Float32Array(cols * rows);
+            const ndvi = new Float32Array(cols * rows);
+            const ndwi = new Float32Array(cols * rows);
+            const classes = new Uint8Array(cols * rows);
+            const { stride } = totals;
+            const ndviOffset = 1 + totals.ids.indexOf('ndvi');
+            const ndwiOffset = 1 + totals.ids.indexOf('ndwi');
             
-            for (let y = 0; y < this.height; y++) {
-                for (let x = 0; x < this.width; x++) {
-                    const pixel = this.getPixel(x, y);
-                    const nir = this.simulateNIR(pixel.r, pixel.g, pixel.b);
-                    const ndvi = this.calculateNDVI(pixel.r, pixel.g, pixel.b);
-                    
-                    // Highlight vegetation: high NIR areas in magenta/red
-                    let r, g, b;
-                    if (ndvi > 0.2) {
-                        // Vegetation - scale to red-yellow based on health
-                        const health = Math.min(1, (ndvi + 1) / 2);
-                        r = Math.round(255 * health);
-                        g = Math.round(100 + 155 * health);
-                        b = Math.round(50 * (1 - health));
-                    } else if (ndvi > -0.1) {
-                        // Sparse vegetation or soil - brown/tan
-                        r = 180;
-                        g = 140;
-                        b = 100;
-                    } else {
-                        // Water or shadows - blue/dark
-                        r = 50;
-                        g = 80;
-                        b = 150;
-                    }
-                    
-                    this.setPixel(output, x, y, r, g, b);
+            for (let i = 0; i < classes.length; i++) {
+                // Cells with no valid pixels (mosaic no-data) get NaN values and no stress class
+                if (!totals.cellCounts[i]) {
+                    health[i] = ndvi[i] = ndwi[i] = NaN;
+                    classes[i] = SpectralIndices.NO_DATA;
+                    continue;
                 }
+                const n = totals.cellCounts[i];
+                health[i] = totals.cellSums[i * stride] / n;
+                ndvi[i] = totals.cellSums[i * stride + ndviOffset] / n;
+                ndwi[i] = totals.cellSums[i * stride + ndwiOffset] / n;
+                classes[i] = SpectralIndices.stressToClass(health[i]);
             }
             
-            return this.imageDataToDataURL(output);
+            return {
+                cols,
+                rows,
+                cellSize,
+                classes: ZoneSegmenter.majorityFilter(classes, cols, rows, SpectralIndices.STRESS_CLASSES.length),
+                health,
+                ndvi,
+                ndwi
+            };
         },
         
-        // NDVI to color mapping (standard colormap)
-        ndviToColor(ndvi) {
-            // NDVI ranges from -1 to 1
-            // -1 to 0: water/non-vegetation (blue to brown)
-            // 0 to 0.2: bare soil/sparse vegetation (brown to yellow)
-            // 0.2 to 0.5: moderate vegetation (yellow to light green)
-            // 0.5 to 1: dense healthy vegetation (green to dark green)
-            
-            if (ndvi < -0.2) {
-                return { r: 0, g: 0, b: 150 }; // Water - blue
-            } else if (ndvi < 0) {
-                return { r: 139, g: 90, b: 43 }; // Bare/urban - brown
-            } else if (ndvi < 0.2) {
-                return { r: 255, g: 255, b: 150 }; // Sparse - yellow
-            } else if (ndvi < 0.4) {
-                return { r: 192, g: 255, b: 62 }; // Moderate - yellow-green
-            } else if (ndvi < 0.6) {
-                return { r: 76, g: 187, b: 23 }; // Good - green
-            } else {
-                return { r: 0, g: 100, b: 0 }; // Dense - dark green
-            }
+        // Convert an overview RGBA buffer to a data URL
+        overviewToDataURL(data, width, height) {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+            return canvas.toDataURL('image/png');
         },
         
-        // NDWI to color mapping (water stress)
-        ndwiToColor(ndwi) {
-            // High NDWI = more water content (blue)
-            // Low NDWI = water stress (red/orange)
-            
-            if (ndwi > 0.3) {
-                return { r: 0, g: 100, b: 255 }; // High water - blue
-            } else if (ndwi > 0.1) {
-                return { r: 0, g: 200, b: 200 }; // Good - cyan
-            } else if (ndwi > -0.1) {
-                return { r: 100, g: 200, b: 100 }; // Moderate - green
-            } else if (ndwi > -0.3) {
-                return { r: 255, g: 200, b: 0 }; // Mild stress - yellow
-            } else {
-                return { r: 255, g: 50, b: 0 }; // Severe stress - red
-            }
+        // Colorize one registry index from its quantized overview (cached per analysis)
+        renderIndexMap(id) {
+            if (this.indexMaps[id]) return this.indexMaps[id];
+            
+            const levels = this.levels?.[id];
+            const index = SpectralIndices.INDICES[id];
+            if (!levels || !index) return null;
+            
+            // 256 possible levels - build the palette once instead of per pixel
+            const [min, max] = index.range;
+            const palette = Array.from({ length: 256 }, (_, level) =>
+                SpectralIndices.indexToColor(index, min + (level / 255) * (max - min))
+            );
+            
+            const { width, height, cover } = this.indices;
+            const data = new Uint8ClampedArray(width * height * 4);
+            levels.forEach((level, o) => {
+                if (cover[o] === SpectralIndices.NO_DATA) return;
+                const color = palette[level];
+                SpectralIndices.writeColor(data, o * 4, color.r, color.g, color.b);
+            });
+            
+            this.indexMaps[id] = this.overviewToDataURL(data, width, height);
+            return this.indexMaps[id];
         },
         
-        // Stress score to color
-        stressToColor(score) {
-            // score 0-1: 0=stressed, 1=healthy
-            if (score > 0.8) {
-                return { r: 0, g: 150, b: 0 }; // Excellent
-            } else if (score > 0.6) {
-                return { r: 100, g: 200, b: 50 }; // Good
-            } else if (score > 0.4) {
-                return { r: 255, g: 200, b: 0 }; // Moderate stress
-            } else if (score > 0.2) {
-                return { r: 255, g: 100, b: 0 }; // High stress
-            } else {
-                return { r: 200, g: 0, b: 0 }; // Critical
-            }
+        // Colorize the cover mask (canopy, soil, shadow, water, other, excluded)
+        renderCoverMap() {
+            if (this.indexMaps.cover) return this.indexMaps.cover;
+            if (!this.indices?.cover) return null;
+            
+            const { width, height, cover } = this.indices;
+            const data = new Uint8ClampedArray(width * height * 4);
+            cover.forEach((c, o) => {
+                if (c === SpectralIndices.NO_DATA) return;
+                const { color } = SpectralIndices.COVER_CLASSES[c];
+                SpectralIndices.writeColor(data, o * 4, color.r, color.g, color.b);
+            });
+            
+            this.indexMaps.cover = this.overviewToDataURL(data, width, height);
+            return this.indexMaps.cover;
         },
         
-        // Convert ImageData to data URL
-        imageDataToDataURL(imageData) {
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = this.width;
-            tempCanvas.height = this.height;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.putImageData(imageData, 0, 0);
-            return tempCanvas.toDataURL('image/png');
+        // Cluster the last analysis into management zones ({ count, minAreaPct })
+        segmentZones(options) {
+            const result = ZoneSegmenter.segment({
+                indices: this.indices,
+                width: this.width,
+                height: this.height,
+                grid: this.grid,
+                zoneCount: options.count,
+                minAreaPct: options.minAreaPct
+            });
+            this.addZoneIndexStats(result.zoneStats, result.zoneMap);
+            return result;
         },
         
-        // Calculate zone statistics
-        calculateZoneStats(zones) {
-            const zoneStats = [];
-            const gridSize = zones <= 4 ? 2 : 3;
-            const zoneWidth = Math.floor(this.width / gridSize);
-            const zoneHeight = Math.floor(this.height / gridSize);
-            
-            for (let zy = 0; zy < gridSize; zy++) {
-                for (let zx = 0; zx < gridSize; zx++) {
-                    let ndviSum = 0, ndwiSum = 0, variSum = 0;
-                    let pixelCount = 0;
-                    let stressPixels = 0;
-                    
-                    const startX = zx * zoneWidth;
-                    const startY = zy * zoneHeight;
-                    const endX = Math.min(startX + zoneWidth, this.width);
-                    const endY = Math.min(startY + zoneHeight, this.height);
-                    
-                    for (let y = startY; y < endY; y++) {
-                        for (let x = startX; x < endX; x++) {
-                            const pixel = this.getPixel(x, y);
-                            const ndvi = this.calculateNDVI(pixel.r, pixel.g, pixel.b);
-                            const ndwi = this.calculateNDWI(pixel.r, pixel.g, pixel.b);
-                            const vari = this.calculateVARI(pixel.r, pixel.g, pixel.b);
-                            
-                            ndviSum += ndvi;
-                            ndwiSum += ndwi;
-                            variSum += vari;
-                            pixelCount++;
-                            
-                            // Count stressed pixels (low NDVI or low NDWI)
-                            if (ndvi < 0.3 || ndwi < -0.2) {
-                                stressPixels++;
-                            }
-                        }
-                    }
-                    
-                    const avgNDVI = ndviSum / pixelCount;
-                    const avgNDWI = ndwiSum / pixelCount;
-                    const avgVARI = variSum / pixelCount;
-                    const stressPercentage = (stressPixels / pixelCount) * 100;
-                    
-                    // Calculate health score (0-100)
-                    const healthScore = Math.round(
-                        Math.max(0, Math.min(100, 
-                            ((avgNDVI + 1) / 2 * 60) + 
-                            ((avgNDWI + 1) / 2 * 25) + 
-                            ((avgVARI + 1) / 2 * 15)
-                        ))
-                    );
-                    
-                    zoneStats.push({
-                        zoneIndex: zy * gridSize + zx,
-                        row: zy,
-                        col: zx,
-                        avgNDVI: avgNDVI.toFixed(3),
-                        avgNDWI: avgNDWI.toFixed(3),
-                        avgVARI: avgVARI.toFixed(3),
-                        healthScore,
-                        stressPercentage: stressPercentage.toFixed(1),
-                        waterStress: avgNDWI < -0.1,
-                        vegetationStress: avgNDVI < 0.3
-                    });
+        // Mean of every computed registry index per zone, from the per-cell canopy sums
+        // (all pixels for a zone without canopy, matching ZoneSegmenter's fallback)
+        addZoneIndexStats(zoneStats, zoneMap) {
+            const { ids, stride, sums, counts, canopySums, canopyCounts } = this.cellStats;
+            const zoneSums = zoneStats.map(() => new Float64Array(ids.length));
+            const zoneCanopySums = zoneStats.map(() => new Float64Array(ids.length));
+            const zonePixels = new Float64Array(zoneStats.length);
+            const zoneCanopy = new Float64Array(zoneStats.length);
+            
+            zoneMap.labels.forEach((zone, cell) => {
+                if (zone < 0) return;
+                for (let k = 0; k < ids.length; k++) {
+                    zoneSums[zone][k] += sums[cell * stride + 1 + k];
+                    zoneCanopySums[zone][k] += canopySums[cell * ids.length + k];
                 }
-            }
+                zonePixels[zone] += counts[cell];
+                zoneCanopy[zone] += canopyCounts[cell];
+            });
             
-            return zoneStats;
+            zoneStats.forEach((zone, z) => {
+                const [values, pixels] = zoneCanopy[z] ?
+                    [zoneCanopySums[z], zoneCanopy[z]] :
+                    [zoneSums[z], zonePixels[z]];
+                zone.indices = Object.fromEntries(ids.map((id, k) => [
+                    id,
+                    (pixels ? values[k] / pixels : 0).toFixed(3)
+                ]));
+            });
         },
         
         // Generate full spectral analysis
-        async generateFullAnalysis() {
+        // One pass per tile computes every index, composite and statistic; onProgress receives 0-1
+        // exclusions are polygons of normalized [u, v] image coordinates (0-1) masked out of zone scoring
+        // calibration holds per-band reflectance gains (RadiometricCalibration), null for raw values
+        async generateFullAnalysis(onProgress, zoneOptions, exclusions = [], calibration = null) {
             console.log('🔬 Generating multi-spectral composites...');
             
-            const cir = this.generateCIR();
-            const ndviMap = this.generateNDVIMap();
-            const ndwiMap = this.generateNDWIMap();
-            const stressMap = this.generateStressMap();
-            const nirComposite = this.generateNIRComposite();
-            const zoneStats = this.calculateZoneStats(4);
-            
-            // Calculate overall statistics
-            let totalNDVI = 0, totalNDWI = 0;
-            let sampleCount = 0;
-            const sampleStep = 10; // Sample every 10th pixel for performance
-            
-            for (let y = 0; y < this.height; y += sampleStep) {
-                for (let x = 0; x < this.width; x += sampleStep) {
-                    const pixel = this.getPixel(x, y);
-                    totalNDVI += this.calculateNDVI(pixel.r, pixel.g, pixel.b);
-                    totalNDWI += this.calculateNDWI(pixel.r, pixel.g, pixel.b);
-                    sampleCount++;
-                }
-            }
+            this.indexIds = this.getAvailableIndices();
+            this.calibration = calibration;
+            this.exclusions = exclusions.map(ring => ring.map(([u, v]) => [u * this.width, v * this.height]));
+            const layout = this.getLayout();
+            const totals = this.createTotals(layout);
+            await this.processTiles(layout, totals, onProgress);
+            
+            const { width, height, scale } = layout.overview;
+            const composites = {};
+            Object.entries(totals.composites).forEach(([key, data]) => {
+                composites[key] = this.overviewToDataURL(data, width, height);
+            });
+            
+            this.indices = { width, height, scale, ...totals.indices };
+            this.grid = layout.grid;
+            this.levels = totals.levels;
+            this.indexMaps = {};
+            this.cellStats = {
+                ids: totals.ids,
+                stride: totals.stride,
+                sums: totals.cellSums,
+                counts: totals.cellCounts,
+                canopySums: totals.canopySums,
+                canopyCounts: totals.canopyCounts
+            };
+            const { zoneStats, zoneMap } = this.segmentZones(zoneOptions);
+            
+            // The decoded upload is no longer needed once every tile has been read
+            this.bitmap?.close();
+            this.bitmap = null;
+            
+            const averages = Object.fromEntries(totals.ids.map((id, k) => [id, totals.sums[k] / totals.pixels]));
+            const excluded = totals.cover[totals.cover.length - 1];
+            const scoredPixels = totals.pixels - excluded || 1;
             
             return {
-                composites: {
-                    cir,
-                    ndvi: ndviMap,
-                    ndwi: ndwiMap,
-                    stress: stressMap,
-                    nirEnhanced: nirComposite
-                },
+                mode: this.mode,
+                composites,
+                calibration: this.calibration,
+                indexIds: totals.ids,
                 statistics: {
-                    avgNDVI: (totalNDVI / sampleCount).toFixed(3),
-                    avgNDWI: (totalNDWI / sampleCount).toFixed(3),
-                    overallHealth: Math.round(((totalNDVI / sampleCount + 1) / 2) * 100)
+                    avgNDVI: averages.ndvi.toFixed(3),
+                    avgNDWI: averages.ndwi.toFixed(3),
+                    overallHealth: Math.round(((averages.ndvi + 1) / 2) * 100),
+                    indices: Object.fromEntries(totals.ids.map(id => [id, averages[id].toFixed(3)])),
+                    canopyCover: +(totals.cover[0] / scoredPixels * 100).toFixed(1),
+                    // Share of each cover class; excluded areas as a share of the whole image
+                    cover: Object.fromEntries(SpectralIndices.COVER_CLASSES.map(({ id }, c) => [
+                        id,
+                        +(totals.cover[c] / (id === 'excluded' ? totals.pixels : scoredPixels) * 100).toFixed(1)
+                    ]))
                 },
-                zoneStats
+                zoneStats,
+                zoneMap,
+                stressGrid: this.buildStressGrid(totals, layout.grid)
             };
         }
     },
@@ -431,7 +560,7 @@ const EyeModule = {
                 e.preventDefault();
                 uploadZone.classList.remove('drag-over');
                 if (e.dataTransfer.files.length) {
-                    this.handleFile(e.dataTransfer.files[0]);
+                    this.handleFiles(Array.from(e.dataTransfer.files));
                 }
             });
         }
@@ -443,64 +572,931 @@ const EyeModule = {
         if (analyzeBtn) {
             analyzeBtn.addEventListener('click', () => this.analyzeField());
         }
+        
+        const buildMosaicBtn = $('#build-mosaic-btn');
+        if (buildMosaicBtn) {
+            buildMosaicBtn.addEventListener('click', () => this.buildMosaic());
+        }
+        
+        const applyMappingBtn = $('#apply-band-mapping');
+        if (applyMappingBtn) {
+            applyMappingBtn.addEventListener('click', () => this.applyBandMapping());
+        }
+        
+        this.setupExclusionTools();
     },
     
     // Handle file selection
     handleFileSelect(e) {
         if (e.target.files.length) {
-            this.handleFile(e.target.files[0]);
+            this.handleFiles(Array.from(e.target.files));
+        }
+    },
+    
+    // Route uploads - TIFFs go through band mapping, several photos are stitched into a mosaic,
+    // anything else is a single RGB image
+    handleFiles(files) {
+        if (files.some(file => TiffReader.isTiff(file))) {
+            this.loadMultispectral(files);
+        } else if (files.length > 1) {
+            this.loadMosaicFrames(files);
+        } else {
+            this.handleFile(files[0]);
+        }
+    },
+    
+    // Handle file
+    async handleFile(file) {
+        const validation = Utils.file.validateImage(file);
+        if (!validation.valid) {
+            Utils.toast.error(validation.error);
+            return;
+        }
+        
+        try {
+            const dataUrl = await Utils.file.toDataURL(file);
+            const base64 = await Utils.file.toBase64(file);
+            
+            this.currentImage = base64;
+            this.currentImageMime = Utils.file.getMimeType(file);
+            
+            const previewImg = $('#eye-preview-img');
+            const uploadContent = $('#eye-upload-zone .upload-content');
+            const preview = $('#eye-preview');
+            const analyzeBtn = $('#eye-analyze-btn');
+            
+            this.bandSet = null;
+            this.releaseMosaic();
+            this.imageMeta = await ExifReader.read(file);
+            FieldHistory.setCaptureDate(this.imageMeta?.dateTime);
+            this.clearExclusions();
+            this.hideBandMapping();
+            this.hideMosaicPanel();
+            this.setImageQuality(await ImageQuality.assess(file, { purpose: 'field' }).catch(error => {
+                console.warn('Image quality check failed:', error);
+                return null;
+            }));
+            
+            if (previewImg) previewImg.src = dataUrl;
+            if (uploadContent) uploadContent.classList.add('hidden');
+            if (preview) preview.classList.remove('hidden');
+            if (analyzeBtn) analyzeBtn.disabled = false;
+            $('#eye-exclusion-tools')?.classList.remove('hidden');
+            this.updateModeBadge('rgb-simulated');
+            
+            Utils.toast.success('🛰️ Image loaded - Ready for multi-spectral analysis');
+        } catch (error) {
+            Utils.toast.error('Failed to load image');
+            console.error(error);
+        }
+    },
+    
+    // ===========================
+    // MULTISPECTRAL (GeoTIFF) INPUT
+    // ===========================
+    
+    // Spectral roles a band can be mapped to
+    BAND_ROLES: [
+        { id: 'blue', label: 'Blue' },
+        { id: 'green', label: 'Green' },
+        { id: 'red', label: 'Red' },
+        { id: 'rededge', label: 'Red Edge' },
+        { id: 'nir', label: 'NIR' }
+    ],
+    
+    // MicaSense RedEdge/Altum file suffixes (_1 ... _5)
+    MICASENSE_BAND_ORDER: ['blue', 'green', 'red', 'nir', 'rededge'],
+    
+    // Decode one multi-band GeoTIFF or a set of single-band TIFFs
+    async loadMultispectral(files) {
+        const tiffs = files.filter(file => TiffReader.isTiff(file));
+        if (tiffs.length < files.length) {
+            Utils.toast.warning('Non-TIFF files were skipped - upload bands as TIFF');
+        }
+        
+        const oversized = tiffs.find(file => file.size > CONFIG.MAX_MULTISPECTRAL_SIZE);
+        if (oversized) {
+            Utils.toast.error(`${oversized.name} is too large. Maximum size is ${CONFIG.MAX_MULTISPECTRAL_SIZE / (1024 * 1024)}MB.`);
+            return;
+        }
+        
+        Utils.toast.info(`📡 Reading ${tiffs.length} TIFF file${tiffs.length > 1 ? 's' : ''}...`);
+        
+        try {
+            this.bandCandidates = [];
+            
+            for (const file of tiffs) {
+                const image = await TiffReader.read(file);
+                const maxValue = TiffReader.getMaxValue(image);
+                const meta = ExifReader.fromTiff(image);
+                const alphaStart = image.samplesPerPixel - image.extraSamples.length;
+                // Alpha channels (ExtraSamples 1 = associated, 2 = unassociated alpha) become the validity mask
+                const isAlpha = (i) => i >= alphaStart && [1, 2].includes(image.extraSamples[i - alphaStart]);
+                const mask = this.buildValidityMask(image, isAlpha);
+                
+                image.bands.forEach((data, i) => {
+                    if (isAlpha(i)) return;
+                    
+                    this.bandCandidates.push({
+                        id: this.bandCandidates.length,
+                        fileName: file.name,
+                        label: image.samplesPerPixel > 1 ? `${file.name} · band ${i + 1}` : file.name,
+                        name: image.bandNames[i],
+                        data,
+                        width: image.width,
+                        height: image.height,
+                        maxValue,
+                        tags: image.tags,
+                        meta,
+                        mask,
+                        role: this.guessBandRole(image, i, file.name, tiffs.length)
+                    });
+                });
+            }
+            
+            // Keep only the first guess for each role
+            const claimed = new Set();
+            this.bandCandidates.forEach(band => {
+                if (band.role && claimed.has(band.role)) band.role = null;
+                if (band.role) claimed.add(band.role);
+            });
+            
+            this.hideMosaicPanel();
+            this.showBandMapping();
+        } catch (error) {
+            Utils.toast.error('Failed to read TIFF: ' + error.message);
+            console.error(error);
+        }
+    },
+    
+    // Per-pixel validity (1 = valid) from transparent alpha and GDAL_NODATA values - null when the file has neither
+    buildValidityMask(image, isAlpha) {
+        const alphaBands = image.bands.filter((_, i) => isAlpha(i));
+        const dataBands = image.bands.filter((_, i) => !isAlpha(i));
+        const noData = image.noData;
+        if (!alphaBands.length && noData === null) return null;
+        
+        // A NaN nodata value (common in float orthomosaics) never compares equal, so test with isNaN
+        const isNoData = noData === null ? () => false :
+                         Number.isNaN(noData) ? (value) => Number.isNaN(value) :
+                         (value) => value === noData;
+        const mask = new Uint8Array(image.width * image.height).fill(1);
+        for (let i = 0; i < mask.length; i++) {
+            if (alphaBands.some(band => band[i] === 0) || dataBands.some(band => isNoData(band[i]))) mask[i] = 0;
+        }
+        return mask;
+    },
+    
+    // Guess a band's spectral role from its metadata name, file name or position
+    guessBandRole(image, index, fileName, fileCount) {
+        const fromName = this.matchBandName(image.bandNames[index]);
+        if (fromName) return fromName;
+        
+        if (image.samplesPerPixel === 1) {
+            const fromFile = this.matchBandName(fileName.replace(/\.tiff?$/i, ''));
+            if (fromFile) return fromFile;
+            
+            const micaSense = fileName.match(/_([1-5])\.tiff?$/i);
+            if (micaSense && fileCount > 1) return this.MICASENSE_BAND_ORDER[parseInt(micaSense[1]) - 1];
+            return null;
+        }
+        
+        // Unnamed stacked bands: RGB(+NIR), BGR+NIR, or MicaSense order for 5+ bands
+        const order = image.samplesPerPixel >= 5 ? this.MICASENSE_BAND_ORDER :
+                      image.photometric === 2 ? ['red', 'green', 'blue', 'nir'] :
+                      ['blue', 'green', 'red', 'nir'];
+        return order[index] || null;
+    },
+    
+    // Match common band names (XMP BandName, GDAL descriptions, Sequoia _GRE/_RED/_REG/_NIR suffixes)
+    matchBandName(name) {
+        const n = (name || '').toLowerCase();
+        if (!n) return null;
+        if (/red.?edge|(^|[^a-z])reg?([^a-z]|$)/.test(n)) return 'rededge';
+        if (/nir|near.?infra/.test(n)) return 'nir';
+        if (/(^|[^a-z])red([^a-z]|$)/.test(n)) return 'red';
+        if (/green|(^|[^a-z])gre?([^a-z]|$)/.test(n)) return 'green';
+        if (/blue|(^|[^a-z])blu?([^a-z]|$)/.test(n)) return 'blue';
+        return null;
+    },
+    
+    // Show the band-mapping step
+    showBandMapping() {
+        const panel = $('#eye-band-mapping');
+        const list = $('#band-mapping-list');
+        if (!panel || !list) return;
+        
+        list.innerHTML = this.bandCandidates.map(band => `
+            <div class="band-mapping-row">
+                <div class="band-source">
+                    <span class="band-file">${band.label}</span>
+                    <span class="band-meta">${band.name ? `${band.name} · ` : ''}${band.width}×${band.height}</span>
+                </div>
+                <select class="band-role-select" data-band="${band.id}">
+                    <option value="">Ignore</option>
+                    ${this.BAND_ROLES.map(role => `
+                        <option value="${role.id}" ${band.role === role.id ? 'selected' : ''}>${role.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+        
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
+    
+    // Hide the band-mapping step
+    hideBandMapping() {
+        this.bandCandidates = [];
+        $('#eye-band-mapping')?.classList.add('hidden');
+    },
+    
+    // Validate the chosen mapping and prepare the band set for analysis
+    applyBandMapping() {
+        const bands = {};
+        
+        for (const select of $$('#band-mapping-list .band-role-select')) {
+            const role = select.value;
+            if (!role) continue;
+            
+            if (bands[role]) {
+                const label = this.BAND_ROLES.find(r => r.id === role).label;
+                Utils.toast.error(`Two bands are mapped to ${label}`);
+                return;
+            }
+            bands[role] = this.bandCandidates[parseInt(select.dataset.band)];
+        }
+        
+        if (!bands.red || !bands.green) {
+            Utils.toast.error('Map at least the Red and Green bands');
+            return;
+        }
+        
+        const { width, height } = bands.red;
+        if (Object.values(bands).some(band => band.width !== width || band.height !== height)) {
+            Utils.toast.error('Mapped bands must have the same dimensions - use an aligned (co-registered) band set');
+            return;
+        }
+        
+        this.bandSet = {
+            width,
+            height,
+            bands: Object.fromEntries(Object.entries(bands).map(([role, band]) => [
+                role,
+                { data: band.data, maxValue: band.maxValue, name: band.name || band.label, meta: band.meta }
+            ])),
+            mask: this.combineMasks(Object.values(bands).map(band => band.mask)),
+            sources: [...new Set(Object.values(bands).map(band => band.fileName))],
+            geoTags: bands.red.tags
+        };
+        this.releaseMosaic();
+        this.imageMeta = bands.red.meta;
+        FieldHistory.setCaptureDate(this.imageMeta?.dateTime);
+        this.clearExclusions();
+        this.setImageQuality(null);
+        
+        // RGB rendition for the preview and the Gemini request
+        const previewUrl = this.renderBandPreview(this.bandSet);
+        this.currentImage = previewUrl.split(',')[1];
+        this.currentImageMime = 'image/jpeg';
+        
+        const previewImg = $('#eye-preview-img');
+        const uploadContent = $('#eye-upload-zone .upload-content');
+        const preview = $('#eye-preview');
+        const analyzeBtn = $('#eye-analyze-btn');
+        
+        if (previewImg) previewImg.src = previewUrl;
+        if (uploadContent) uploadContent.classList.add('hidden');
+        if (preview) preview.classList.remove('hidden');
+        if (analyzeBtn) analyzeBtn.disabled = false;
+        $('#eye-exclusion-tools')?.classList.remove('hidden');
+        
+        const mode = bands.nir ? 'multispectral' : 'rgb-simulated';
+        this.updateModeBadge(mode, Object.keys(bands).length);
+        this.hideBandMapping();
+        
+        if (bands.nir) {
+            Utils.toast.success('📡 Bands mapped - NDVI/NDWI will use the real NIR band');
+        } else {
+            Utils.toast.warning('No NIR band mapped - NIR will be simulated from RGB');
+        }
+    },
+    
+    // A pixel is valid only where every mapped band's source file has data
+    combineMasks(masks) {
+        const unique = [...new Set(masks.filter(Boolean))];
+        if (unique.length <= 1) return unique[0] || null;
+        
+        const combined = new Uint8Array(unique[0]);
+        unique.slice(1).forEach(mask => {
+            for (let i = 0; i < combined.length; i++) combined[i] &= mask[i];
+        });
+        return combined;
+    },
+    
+    // Render mapped bands as a viewable image (true color, or CIR when there's no blue band)
+    renderBandPreview(bandSet, maxSize = 2048) {
+        const { width, height, bands } = bandSet;
+        const channels = bands.blue ? [bands.red, bands.green, bands.blue] :
+                         bands.nir ? [bands.nir, bands.red, bands.green] :
+                         [bands.red, bands.green, bands.green];
+        
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        const outWidth = Math.max(1, Math.round(width * scale));
+        const outHeight = Math.max(1, Math.round(height * scale));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = outWidth;
+        canvas.height = outHeight;
+        const ctx = canvas.getContext('2d');
+        const output = ctx.createImageData(outWidth, outHeight);
+        
+        // 2-98% stretch per channel - raw sensor values are usually dark
+        const stretches = channels.map(band => this.getStretch(band.data));
+        
+        for (let y = 0; y < outHeight; y++) {
+            const srcY = Math.min(height - 1, Math.floor(y / scale));
+            for (let x = 0; x < outWidth; x++) {
+                const srcIndex = srcY * width + Math.min(width - 1, Math.floor(x / scale));
+                const i = (y * outWidth + x) * 4;
+                channels.forEach((band, c) => {
+                    const { low, high } = stretches[c];
+                    output.data[i + c] = ((band.data[srcIndex] - low) / (high - low)) * 255;
+                });
+                output.data[i + 3] = 255;
+            }
+        }
+        
+        ctx.putImageData(output, 0, 0);
+        return canvas.toDataURL('image/jpeg', 0.9);
+    },
+    
+    // Percentile range of a band from a pixel sample
+    getStretch(data) {
+        const step = Math.max(1, Math.floor(data.length / 100000));
+        const sample = [];
+        for (let i = 0; i < data.length; i += step) {
+            if (Number.isFinite(data[i])) sample.push(data[i]);
+        }
+        sample.sort((a, b) => a - b);
+        
+        const low = sample[Math.floor(sample.length * 0.02)] || 0;
+        const high = sample[Math.floor(sample.length * 0.98)] || 1;
+        return { low, high: high > low ? high : low + 1 };
+    },
+    
+    // Label whether indices come from real NIR or are simulated from RGB
+    updateModeBadge(mode, bandCount = 3) {
+        const badge = $('#eye-mode-badge');
+        if (!badge) return;
+        
+        const info = this.getModeInfo(mode);
+        badge.textContent = mode === 'multispectral' ? `${info.icon} ${info.label} · ${bandCount} bands` : `${info.icon} ${info.label}`;
+        badge.className = `spectral-mode-badge ${mode}`;
+    },
+    
+    // Display text for the spectral mode
+    getModeInfo(mode) {
+        if (mode === 'multispectral') {
+            return {
+                icon: '📡',
+                label: 'Real NIR',
+                description: 'Indices computed from the sensor\'s NIR and Red bands'
+            };
+        }
+        return {
+            icon: '🧪',
+            label: 'Simulated NIR',
+            description: 'RGB image - NIR is estimated from visible bands, treat indices as approximate'
+        };
+    },
+    
+    // ===========================
+    // DRONE MOSAIC
+    // ===========================
+    
+    // Read EXIF from a batch of drone frames and show the stitching step
+    async loadMosaicFrames(files) {
+        const images = files.filter(file => file.type.startsWith('image/'));
+        if (images.length < files.length) {
+            Utils.toast.warning('Non-image files were skipped');
+        }
+        if (images.length < 2) {
+            if (images.length) this.handleFile(images[0]);
+            return;
+        }
+        if (images.length > CONFIG.MOSAIC_MAX_FRAMES) {
+            Utils.toast.error(`Too many frames - stitch at most ${CONFIG.MOSAIC_MAX_FRAMES} at a time`);
+            return;
+        }
+        
+        Utils.toast.info(`🧩 Reading ${images.length} drone frames...`);
+        
+        try {
+            this.mosaicFrames = await MosaicBuilder.readFrames(images);
+            this.hideBandMapping();
+            this.showMosaicPanel();
+        } catch (error) {
+            Utils.toast.error('Failed to read frames: ' + error.message);
+            console.error(error);
+        }
+    },
+    
+    // Show frame counts and stitching options
+    showMosaicPanel() {
+        const panel = $('#eye-mosaic-panel');
+        const summary = $('#mosaic-summary');
+        if (!panel || !summary) return;
+        
+        const { total, withGPS, missingAltitude } = MosaicBuilder.summarize(this.mosaicFrames);
+        summary.innerHTML = `
+            <span class="mosaic-stat">🖼️ ${total} frames</span>
+            <span class="mosaic-stat ${withGPS < total ? 'warning' : ''}">📍 ${withGPS} with GPS</span>
+            ${missingAltitude ? `<span class="mosaic-stat warning">📏 ${missingAltitude} without flight height - enter it below</span>` : ''}
+        `;
+        
+        $('#mosaic-progress')?.classList.add('hidden');
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
+    
+    // Hide the stitching step
+    hideMosaicPanel() {
+        this.mosaicFrames = [];
+        $('#eye-mosaic-panel')?.classList.add('hidden');
+    },
+    
+    // Stitch the frames and load the mosaic like a single RGB upload
+    async buildMosaic() {
+        if (!this.mosaicFrames.length) return;
+        
+        const button = $('#build-mosaic-btn');
+        const progress = $('#mosaic-progress');
+        const fill = $('#mosaic-progress-fill');
+        const text = $('#mosaic-progress-text');
+        const stages = { place: 'Placing frames', align: 'Matching image features', render: 'Blending frames' };
+        const options = {
+            altitude: parseFloat($('#mosaic-altitude')?.value) || null,
+            align: !!$('#mosaic-align')?.checked
+        };
+        
+        if (button) button.disabled = true;
+        progress?.classList.remove('hidden');
+        
+        try {
+            const mosaic = await MosaicBuilder.build(this.mosaicFrames, options, (stage, fraction) => {
+                if (fill) fill.style.width = `${Math.round(fraction * 100)}%`;
+                if (text) text.textContent = `${stages[stage]}... ${Math.round(fraction * 100)}%`;
+            });
+            this.loadMosaic(mosaic);
+        } catch (error) {
+            Utils.toast.error('Failed to stitch mosaic: ' + error.message);
+            console.error(error);
+        } finally {
+            if (button) button.disabled = false;
+            progress?.classList.add('hidden');
+        }
+    },
+    
+    // Use a stitched mosaic as the current image - it runs through the SpectralProcessor like any RGB upload
+    loadMosaic(mosaic) {
+        this.releaseMosaic();
+        this.mosaic = { ...mosaic, url: URL.createObjectURL(mosaic.blob) };
+        this.currentImage = mosaic.preview.split(',')[1];
+        this.currentImageMime = 'image/jpeg';
+        this.bandSet = null;
+        this.imageMeta = mosaic.meta;
+        FieldHistory.setCaptureDate(this.imageMeta?.dateTime);
+        this.clearExclusions();
+        this.hideMosaicPanel();
+        this.setImageQuality(null);
+        
+        const previewImg = $('#eye-preview-img');
+        const uploadContent = $('#eye-upload-zone .upload-content');
+        const preview = $('#eye-preview');
+        const analyzeBtn = $('#eye-analyze-btn');
+        
+        if (previewImg) previewImg.src = this.mosaic.url;
+        if (uploadContent) uploadContent.classList.add('hidden');
+        if (preview) preview.classList.remove('hidden');
+        if (analyzeBtn) analyzeBtn.disabled = false;
+        $('#eye-exclusion-tools')?.classList.remove('hidden');
+        this.updateModeBadge('rgb-simulated');
+        
+        const details = [
+            mosaic.aligned ? `${mosaic.aligned} aligned by image features` : '',
+            mosaic.skipped.length ? `${mosaic.skipped.length} skipped` : ''
+        ].filter(Boolean).join(', ');
+        Utils.toast.success(`🧩 Mosaic of ${mosaic.frameCount} frames ready${details ? ` (${details})` : ''}`);
+        if (mosaic.skipped.length) {
+            console.warn('Frames left out of the mosaic:', mosaic.skipped);
+        }
+    },
+    
+    // Show (or clear) the quality report under the preview
+    setImageQuality(quality) {
+        this.imageQuality = quality;
+        
+        const container = $('#eye-quality');
+        if (!container) return;
+        
+        container.classList.toggle('hidden', !quality);
+        container.innerHTML = quality ? ImageQuality.renderReport(quality) : '';
+        
+        if (quality?.verdict === 'reject') {
+            Utils.toast.show(`Image quality is poor - results may be unreliable. ${ImageQuality.getAdvice(quality)}`, 'warning', 8000);
+        }
+    },
+    
+    // Free the current mosaic's image
+    releaseMosaic() {
+        if (this.mosaic) URL.revokeObjectURL(this.mosaic.url);
+        this.mosaic = null;
+    },
+    
+    // Remove image
+    removeImage() {
+        this.currentImage = null;
+        this.currentImageMime = null;
+        this.analysisResult = null;
+        this.bandSet = null;
+        this.imageMeta = null;
+        this.georef = null;
+        this.prescription = null;
+        this.aiResult = null;
+        this.setImageQuality(null);
+        this.releaseMosaic();
+        this.clearExclusions();
+        this.hideBandMapping();
+        this.hideMosaicPanel();
+        
+        const uploadContent = $('#eye-upload-zone .upload-content');
+        const preview = $('#eye-preview');
+        const analyzeBtn = $('#eye-analyze-btn');
+        const results = $('#eye-results');
+        const fileInput = $('#eye-file-input');
+        
+        if (uploadContent) uploadContent.classList.remove('hidden');
+        if (preview) preview.classList.add('hidden');
+        if (analyzeBtn) analyzeBtn.disabled = true;
+        if (results) results.classList.add('hidden');
+        if (fileInput) fileInput.value = '';
+        $('#eye-mode-badge')?.classList.add('hidden');
+        $('#eye-exclusion-tools')?.classList.add('hidden');
+    },
+    
+    // ===========================
+    // RADIOMETRIC CALIBRATION
+    // ===========================
+    
+    // Restore saved settings and wire the calibration controls
+    setupCalibration() {
+        const saved = Utils.storage.get(CONFIG.STORAGE_KEYS.CALIBRATION);
+        if (saved) Object.assign(this.calibration, saved);
+        
+        const modeSelect = $('#eye-calibration-mode');
+        const reflectanceInput = $('#panel-reflectance');
+        const panelInput = $('#panel-file-input');
+        if (!modeSelect) return;
+        
+        modeSelect.value = this.calibration.mode;
+        if (reflectanceInput) reflectanceInput.value = this.calibration.reflectance;
+        
+        modeSelect.addEventListener('change', () => {
+            this.calibration.mode = modeSelect.value;
+            this.saveCalibration();
+        });
+        reflectanceInput?.addEventListener('change', () => {
+            const value = parseFloat(reflectanceInput.value);
+            if (value > 0 && value <= 1) {
+                this.calibration.reflectance = value;
+                this.saveCalibration();
+            } else {
+                Utils.toast.error('Panel reflectance must be between 0 and 1');
+                reflectanceInput.value = this.calibration.reflectance;
+            }
+        });
+        
+        $('#panel-upload-btn')?.addEventListener('click', () => panelInput?.click());
+        panelInput?.addEventListener('change', (e) => {
+            if (e.target.files.length) this.loadPanelPhoto(e.target.files[0]);
+            e.target.value = '';
+        });
+        $('#panel-pick-btn')?.addEventListener('click', () => this.togglePanelPicking());
+        $('#eye-exclusion-frame')?.addEventListener('click', (e) => this.pickPanel(e));
+        $('#panel-preview-img')?.addEventListener('click', (e) => {
+            const [u, v] = this.getClickPosition(e, e.target);
+            this.samplePanelPhoto(u, v);
+        });
+        
+        this.renderCalibrationStatus();
+    },
+    
+    // Persist the calibration settings and refresh the controls
+    saveCalibration() {
+        Utils.storage.set(CONFIG.STORAGE_KEYS.CALIBRATION, this.calibration);
+        this.renderCalibrationStatus();
+    },
+    
+    // Click position normalized to an element (0-1)
+    getClickPosition(e, element) {
+        const rect = element.getBoundingClientRect();
+        return [
+            Utils.number.clamp((e.clientX - rect.left) / rect.width, 0, 1),
+            Utils.number.clamp((e.clientY - rect.top) / rect.height, 0, 1)
+        ];
+    },
+    
+    // Arm or cancel picking the panel on the uploaded image (for shots with the panel in frame)
+    togglePanelPicking() {
+        if (!this.currentImage) {
+            Utils.toast.error('Upload an image first');
+            return;
+        }
+        
+        this.panelPicking = !this.panelPicking;
+        if (this.panelPicking) this.finishExclusion();
+        $('#eye-exclusion-frame')?.classList.toggle('picking', this.panelPicking);
+        $('#panel-pick-btn').textContent = this.panelPicking ? '✖️ Cancel picking' : '🎯 Pick panel in image';
+        if (this.panelPicking) Utils.toast.info('Click the middle of the reflectance panel in the image');
+    },
+    
+    // Sample the panel where the preview was clicked
+    pickPanel(e) {
+        if (!this.panelPicking) return;
+        
+        const [u, v] = this.getClickPosition(e, $('#eye-preview-img'));
+        this.togglePanelPicking();
+        
+        const context = this.getCalibrationContext();
+        const channels = this.bandSet ?
+            this.readBandRegion(this.bandSet, u, v) :
+            this.readImageRegion($('#eye-preview-img'), u, v);
+        
+        this.setPanel(channels, { ...context, source: 'image', name: 'current image' });
+    },
+    
+    // Show a separately photographed panel and sample its center (click the photo to resample)
+    async loadPanelPhoto(file) {
+        const validation = Utils.file.validateImage(file);
+        if (!validation.valid || TiffReader.isTiff(file)) {
+            Utils.toast.error(validation.valid ? 'Panel photos must be JPG or PNG - pick the panel in a TIFF band set instead' : validation.error);
+            return;
+        }
+        
+        const img = $('#panel-preview-img');
+        if (!img) return;
+        
+        this.panelPhoto = { file, meta: await ExifReader.read(file) };
+        img.src = await Utils.file.toDataURL(file);
+        await img.decode();
+        $('#panel-preview')?.classList.remove('hidden');
+        this.samplePanelPhoto(0.5, 0.5);
+    },
+    
+    // Sample the panel photo at a normalized position
+    samplePanelPhoto(u, v) {
+        if (!this.panelPhoto) return;
+        
+        const marker = $('#panel-marker');
+        if (marker) {
+            marker.style.left = `${u * 100}%`;
+            marker.style.top = `${v * 100}%`;
+        }
+        
+        const { meta, file } = this.panelPhoto;
+        this.setPanel(this.readImageRegion($('#panel-preview-img'), u, v), {
+            encoded: true,
+            metas: { red: meta, green: meta, blue: meta },
+            source: 'photo',
+            name: file.name
+        });
+    },
+    
+    // Measure and keep a panel sample, rejecting clipped or non-uniform ones
+    setPanel(channels, { encoded, metas, source, name }) {
+        if (!Object.values(channels).every(values => values.length)) {
+            Utils.toast.error('No image data at that spot');
+            return;
+        }
+        
+        const panel = RadiometricCalibration.measurePanel(channels, { encoded, metas, source, name });
+        const problem = RadiometricCalibration.checkPanel(panel);
+        if (problem) {
+            Utils.toast.error(problem);
+            return;
+        }
+        
+        this.calibration.panel = panel;
+        this.calibration.mode = 'panel';
+        const modeSelect = $('#eye-calibration-mode');
+        if (modeSelect) modeSelect.value = 'panel';
+        this.saveCalibration();
+        Utils.toast.success('⚖️ Reflectance panel measured');
+    },
+    
+    // Pixel square around a normalized position, clamped to the image
+    getPanelRegion(width, height, u, v) {
+        const size = Math.min(width, height, Math.max(3, Math.round(Math.min(width, height) * RadiometricCalibration.SAMPLE_SIZE)));
+        return {
+            x: Utils.number.clamp(Math.round(u * width - size / 2), 0, width - size),
+            y: Utils.number.clamp(Math.round(v * height - size / 2), 0, height - size),
+            size
+        };
+    },
+    
+    // 0-255 RGB values of a region of an image element (transparent mosaic pixels are skipped)
+    readImageRegion(img, u, v) {
+        const { x, y, size } = this.getPanelRegion(img.naturalWidth, img.naturalHeight, u, v);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, x, y, size, size, 0, 0, size, size);
+        
+        const { data } = ctx.getImageData(0, 0, size, size);
+        const channels = { red: [], green: [], blue: [] };
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            channels.red.push(data[i]);
+            channels.green.push(data[i + 1]);
+            channels.blue.push(data[i + 2]);
+        }
+        return channels;
+    },
+    
+    // Region of every mapped band, scaled to 0-255 like the SpectralProcessor does
+    readBandRegion(bandSet, u, v) {
+        const { width, height } = bandSet;
+        const { x, y, size } = this.getPanelRegion(width, height, u, v);
+        
+        return Object.fromEntries(Object.entries(bandSet.bands).map(([role, band]) => {
+            const scale = 255 / band.maxValue;
+            const values = [];
+            for (let row = y; row < y + size; row++) {
+                for (let col = x; col < x + size; col++) {
+                    const value = band.data[row * width + col];
+                    if (Number.isFinite(value)) values.push(value * scale);
+                }
+            }
+            return [role, values];
+        }));
+    },
+    
+    // Bands and metadata of the loaded image, as the calibration sees them
+    getCalibrationContext() {
+        if (this.bandSet) {
+            const roles = Object.keys(this.bandSet.bands);
+            return {
+                roles,
+                metas: Object.fromEntries(roles.map(role => [role, this.bandSet.bands[role].meta])),
+                encoded: false
+            };
+        }
+        
+        const roles = ['red', 'green', 'blue'];
+        return {
+            roles,
+            metas: Object.fromEntries(roles.map(role => [role, this.imageMeta])),
+            encoded: true
+        };
+    },
+    
+    // Gains for the image about to be analysed, or null for raw values
+    resolveCalibration() {
+        const { mode, panel, reflectance } = this.calibration;
+        const { calibration, warning } = RadiometricCalibration.resolve({
+            mode,
+            panel,
+            reflectance,
+            ...this.getCalibrationContext()
+        });
+        
+        if (warning) Utils.toast.warning(warning);
+        if (calibration) console.log('⚖️ Calibration:', calibration.label, RadiometricCalibration.describeGains(calibration.gains));
+        return calibration;
+    },
+    
+    // Mode hint and the measured panel
+    renderCalibrationStatus() {
+        const { mode, panel } = this.calibration;
+        const status = $('#calibration-status');
+        
+        $('#calibration-panel')?.classList.toggle('hidden', mode !== 'panel');
+        if (!status) return;
+        
+        if (mode === 'metadata') {
+            status.textContent = 'Each image is normalized by its exposure time, ISO and aperture, and by sun-sensor irradiance when recorded.';
+        } else if (mode === 'panel' && panel) {
+            const values = Object.entries(panel.means).map(([role, mean]) => `${role} ${mean.toFixed(1)}`).join(' · ');
+            status.textContent = `Panel from ${panel.name} (${Utils.date.format(panel.measuredAt, 'short')}): ${values}`;
+        } else if (mode === 'panel') {
+            status.textContent = 'Photograph the panel, or pick it in an image that shows it.';
+        } else {
+            status.textContent = 'Index values shift with sunlight and exposure - calibrate to compare dates reliably.';
+        }
+    },
+    
+    // ===========================
+    // EXCLUSION AREAS
+    // ===========================
+    
+    // Roads, ponds, buildings etc. outlined on the preview are masked out of zone scoring
+    setupExclusionTools() {
+        const frame = $('#eye-exclusion-frame');
+        if (!frame) return;
+        
+        frame.addEventListener('click', (e) => this.addExclusionPoint(e));
+        frame.addEventListener('dblclick', () => this.finishExclusion());
+        $('#eye-exclude-btn')?.addEventListener('click', () => this.toggleExclusionDrawing());
+        $('#eye-exclude-undo')?.addEventListener('click', () => this.undoExclusion());
+        $('#eye-exclude-clear')?.addEventListener('click', () => {
+            this.clearExclusions();
+            this.onExclusionsChanged();
+        });
+    },
+    
+    toggleExclusionDrawing() {
+        if (this.exclusionDraft) {
+            this.finishExclusion();
+            return;
+        }
+        
+        if (this.panelPicking) this.togglePanelPicking();
+        this.exclusionDraft = [];
+        $('#eye-exclusion-frame')?.classList.add('drawing');
+        $('#eye-exclude-btn').textContent = '✅ Finish area';
+        Utils.toast.info('Click around the area to exclude, then double-click or press Finish');
+    },
+    
+    // Add a vertex at the clicked point (normalized to the image)
+    addExclusionPoint(e) {
+        if (!this.exclusionDraft) return;
+        
+        const rect = $('#eye-preview-img').getBoundingClientRect();
+        const u = Utils.number.clamp((e.clientX - rect.left) / rect.width, 0, 1);
+        const v = Utils.number.clamp((e.clientY - rect.top) / rect.height, 0, 1);
+        
+        // A double-click also fires two clicks on the same spot
+        const last = this.exclusionDraft[this.exclusionDraft.length - 1];
+        if (last && Math.hypot(last[0] - u, last[1] - v) < 0.002) return;
+        
+        this.exclusionDraft.push([u, v]);
+        this.renderExclusions();
+    },
+    
+    finishExclusion() {
+        if (!this.exclusionDraft) return;
+        
+        const ring = this.exclusionDraft;
+        this.exclusionDraft = null;
+        $('#eye-exclusion-frame')?.classList.remove('drawing');
+        $('#eye-exclude-btn').textContent = '✏️ Exclude area';
+        
+        if (ring.length >= 3) {
+            this.exclusions.push(ring);
+            this.onExclusionsChanged();
+        } else {
+            Utils.toast.warning('An exclusion area needs at least 3 points');
         }
+        this.renderExclusions();
     },
     
-    // Handle file
-    async handleFile(file) {
-        const validation = Utils.file.validateImage(file);
-        if (!validation.valid) {
-            Utils.toast.error(validation.error);
-            return;
+    undoExclusion() {
+        if (this.exclusionDraft?.length) {
+            this.exclusionDraft.pop();
+        } else if (this.exclusions.length) {
+            this.exclusions.pop();
+            this.onExclusionsChanged();
         }
-        
-        try {
-            const dataUrl = await Utils.file.toDataURL(file);
-            const base64 = await Utils.file.toBase64(file);
-            
-            this.currentImage = base64;
-            this.currentImageMime = Utils.file.getMimeType(file);
-            
-            const previewImg = $('#eye-preview-img');
-            const uploadContent = $('#eye-upload-zone .upload-content');
-            const preview = $('#eye-preview');
-            const analyzeBtn = $('#eye-analyze-btn');
-            
-            if (previewImg) previewImg.src = dataUrl;
-            if (uploadContent) uploadContent.classList.add('hidden');
-            if (preview) preview.classList.remove('hidden');
-            if (analyzeBtn) analyzeBtn.disabled = false;
-            
-            Utils.toast.success('🛰️ Image loaded - Ready for multi-spectral analysis');
-        } catch (error) {
-            Utils.toast.error('Failed to load image');
-            console.error(error);
+        this.renderExclusions();
+    },
+    
+    clearExclusions() {
+        this.exclusions = [];
+        this.exclusionDraft = null;
+        $('#eye-exclusion-frame')?.classList.remove('drawing');
+        const excludeBtn = $('#eye-exclude-btn');
+        if (excludeBtn) excludeBtn.textContent = '✏️ Exclude area';
+        this.renderExclusions();
+    },
+    
+    onExclusionsChanged() {
+        if (this.spectralData && JSON.stringify(this.exclusions) !== this.scoredExclusions) {
+            Utils.toast.info('Exclusion areas changed - press Re-zone to re-score the zones');
         }
     },
     
-    // Remove image
-    removeImage() {
-        this.currentImage = null;
-        this.currentImageMime = null;
-        this.analysisResult = null;
-        
-        const uploadContent = $('#eye-upload-zone .upload-content');
-        const preview = $('#eye-preview');
-        const analyzeBtn = $('#eye-analyze-btn');
-        const results = $('#eye-results');
-        const fileInput = $('#eye-file-input');
-        
-        if (uploadContent) uploadContent.classList.remove('hidden');
-        if (preview) preview.classList.add('hidden');
-        if (analyzeBtn) analyzeBtn.disabled = true;
-        if (results) results.classList.add('hidden');
-        if (fileInput) fileInput.value = '';
+    // Draw finished areas and the draft ring on the preview (SVG in normalized coordinates)
+    renderExclusions() {
+        const layer = $('#eye-exclusion-layer');
+        if (!layer) return;
+        
+        const points = (ring) => ring.map(([u, v]) => `${u},${v}`).join(' ');
+        layer.innerHTML = `
+            ${this.exclusions.map(ring => `<polygon points="${points(ring)}" class="exclusion-area"/>`).join('')}
+            ${this.exclusionDraft?.length ? `<polyline points="${points(this.exclusionDraft)}" class="exclusion-draft"/>` : ''}
+        `;
     },
     
     // Analyze field with multi-spectral simulation
@@ -536,16 +1532,27 @@ const EyeModule = {
             
             // STEP 1: Perform actual multi-spectral analysis on the image
             console.log('🔬 Starting multi-spectral image processing...');
-            const imageSrc = $('#eye-preview-img')?.src;
+            const imageSrc = this.bandSet || $('#eye-preview-img')?.src;
             await this.SpectralProcessor.loadImage(imageSrc);
-            this.spectralData = await this.SpectralProcessor.generateFullAnalysis();
+            this.georef = this.getGeoreference();
+            this.finishExclusion();
+            this.spectralData = await this.SpectralProcessor.generateFullAnalysis(
+                (fraction) => this.updateAnalysisProgress(2, fraction),
+                this.zoneSettings,
+                this.exclusions,
+                this.resolveCalibration()
+            );
+            this.scoredExclusions = JSON.stringify(this.exclusions);
             console.log('📊 Spectral Analysis Complete:', this.spectralData);
+            this.updateAnalysisProgress(3);
             
             // Store false-color composites
             this.falseColorImages = this.spectralData.composites;
             
             // STEP 2: Get AI analysis with context from spectral data
             const result = await GeminiAPI.analyzeField(this.currentImage, this.currentImageMime, options);
+            this.aiResult = result;
+            this.updateAnalysisProgress(4);
             
             // Merge spectral data with AI analysis
             this.analysisResult = this.mergeSpectralWithAI(result, this.spectralData);
@@ -558,9 +1565,13 @@ const EyeModule = {
             Utils.activity.log('analysis', 'Multi-Spectral Health Map Generated', {
                 healthScore: this.analysisResult.healthMap?.overallScore || this.spectralData.statistics.overallHealth,
                 zonesAnalyzed: this.spectralData.zoneStats.length,
-                avgNDVI: this.spectralData.statistics.avgNDVI
+                avgNDVI: this.spectralData.statistics.avgNDVI,
+                spectralMode: this.spectralData.mode
             });
             
+            const record = await this.saveToHistory();
+            await this.applyWaterBalance(record?.fieldId);
+            
             Utils.toast.success('Multi-Spectral Health Map generated!');
         } catch (error) {
             Utils.toast.error('Analysis failed: ' + error.message);
@@ -572,20 +1583,59 @@ const EyeModule = {
         }
     },
     
+    // Add the finished analysis to the selected field's history - a storage failure shouldn't fail the analysis
+    async saveToHistory() {
+        try {
+            const record = await FieldHistory.saveAnalysis({
+                spectralData: this.spectralData,
+                zones: this.analysisResult.zones,
+                georef: this.georef,
+                quality: this.imageQuality,
+                width: this.SpectralProcessor.width,
+                height: this.SpectralProcessor.height
+            });
+            if (record) Utils.toast.info(`📅 Saved to field history (${FieldHistory.formatDate(record.date)})`);
+            return record;
+        } catch (error) {
+            console.warn('Could not save to field history:', error);
+            Utils.toast.warning('Analysis could not be saved to field history');
+            return null;
+        }
+    },
+    
+    // Replace the rule-of-thumb application rate with the field's soil water balance, when it has an irrigation profile
+    async applyWaterBalance(fieldId) {
+        const irrigation = this.analysisResult?.resourceApplication?.irrigation;
+        if (!fieldId || !irrigation) return;
+        
+        try {
+            const balance = await Irrigation.forField(fieldId);
+            if (!balance) return;
+            
+            irrigation.applicationRate = Irrigation.describeNeed(balance);
+            const panel = $('#panel-irrigation');
+            if (panel) panel.innerHTML = this.createIrrigationPanel(irrigation, this.analysisResult.zones);
+        } catch (error) {
+            console.warn('Water balance unavailable:', error);
+        }
+    },
+    
     // Merge spectral processor data with AI analysis
+    // Zones come from clustering the imagery, so the AI's own grid-based zones are not used
     mergeSpectralWithAI(aiResult, spectralData) {
-        const zoneNames = ['NW (Z1)', 'NE (Z2)', 'SW (Z3)', 'SE (Z4)'];
+        const aiDetails = { ...aiResult };
+        delete aiDetails.zones;
         
         // Enhance zones with actual spectral measurements
         const enhancedZones = spectralData.zoneStats.map((zone, i) => {
-            const aiZone = aiResult.zones?.[i] || {};
             return {
                 id: `Z${i + 1}`,
-                name: zoneNames[i] || `Zone ${i + 1}`,
+                name: this.getZoneName(zone),
                 healthScore: zone.healthScore,
                 ndvi: parseFloat(zone.avgNDVI),
                 ndwi: parseFloat(zone.avgNDWI),
                 vari: parseFloat(zone.avgVARI),
+                indices: Object.fromEntries(Object.entries(zone.indices || {}).map(([id, value]) => [id, parseFloat(value)])),
                 stressPercentage: parseFloat(zone.stressPercentage),
                 waterStress: zone.waterStress,
                 vegetationStress: zone.vegetationStress,
@@ -594,7 +1644,10 @@ const EyeModule = {
                 irrigationNeed: this.calculateIrrigationNeed(zone),
                 fertilizationNeed: this.calculateFertilizationNeed(zone),
                 priority: this.calculatePriority(zone),
-                ...aiZone
+                areaPct: zone.areaPct,
+                canopyCover: zone.canopyCover,
+                polygons: zone.polygons,
+                labelPoint: zone.labelPoint
             };
         });
         
@@ -637,13 +1690,30 @@ const EyeModule = {
                 }
             },
             falseColorComposites: spectralData.composites,
+            spectralMode: spectralData.mode,
             earlyWarnings: this.generateEarlyWarnings(spectralData.zoneStats, aiResult.earlyWarnings),
             resourceApplication: this.generateResourceRecommendations(enhancedZones),
             actionPlan: this.generateActionPlan(enhancedZones, aiResult.actionPlan),
-            ...aiResult
+            ...aiDetails,
+            zones: enhancedZones
         };
     },
     
+    // Descriptive zone name from its health and where it sits in the image, e.g. "Moderate stress · NE"
+    getZoneName(zone) {
+        const health = zone.healthScore >= 80 ? 'Vigorous' :
+                       zone.healthScore >= 60 ? 'Healthy' :
+                       zone.healthScore >= 40 ? 'Moderate stress' :
+                       zone.healthScore >= 20 ? 'High stress' : 'Critical';
+        
+        const { width, height } = this.SpectralProcessor;
+        const third = (value, size) => Math.min(2, Math.floor((value / size) * 3));
+        const vertical = ['N', '', 'S'][third(zone.centroid.y, height)];
+        const horizontal = ['W', '', 'E'][third(zone.centroid.x, width)];
+        
+        return `${health} · ${vertical + horizontal || 'Center'}`;
+    },
+    
     // Helper methods for spectral interpretation
     getColorSignature(zone) {
         const ndvi = parseFloat(zone.avgNDVI);
@@ -868,7 +1938,8 @@ const EyeModule = {
                     </div>
                     <div class="stage" id="stage-2">
                         <span class="stage-icon">🔬</span>
-                        <span class="stage-text">Simulating multi-spectral analysis (NDVI, NDWI)</span>
+                        <span class="stage-text">${this.bandSet?.bands.nir ? 'Computing NDVI/NDWI from sensor NIR band' : 'Simulating multi-spectral analysis (NDVI, NDWI)'}</span>
+                        <span class="stage-progress" id="stage-2-progress"></span>
                     </div>
                     <div class="stage" id="stage-3">
                         <span class="stage-icon">🗺️</span>
@@ -880,15 +1951,27 @@ const EyeModule = {
                     </div>
                 </div>
                 <div class="progress-bar">
-                    <div class="progress-fill"></div>
+                    <div class="progress-fill determinate" id="eye-progress-fill"></div>
                 </div>
             </div>
         `;
+    },
+    
+    // Advance the progress display - stage 2 (spectral tiles) reports a 0-1 fraction
+    updateAnalysisProgress(stage, fraction = 1) {
+        for (let i = 2; i <= stage; i++) {
+            $(`#stage-${i}`)?.classList.add('active');
+        }
+        
+        const label = $('#stage-2-progress');
+        if (label && stage === 2) {
+            label.textContent = `${Math.round(fraction * 100)}%`;
+        }
         
-        // Animate stages
-        setTimeout(() => $('#stage-2')?.classList.add('active'), 800);
-        setTimeout(() => $('#stage-3')?.classList.add('active'), 1600);
-        setTimeout(() => $('#stage-4')?.classList.add('active'), 2400);
+        // Tile processing fills most of the bar; the AI call and rendering finish it
+        const progress = { 2: 0.1 + fraction * 0.6, 3: 0.75, 4: 0.95 }[stage];
+        const fill = $('#eye-progress-fill');
+        if (fill) fill.style.width = `${Math.round(progress * 100)}%`;
     },
     
     // Display comprehensive health map
@@ -899,10 +1982,12 @@ const EyeModule = {
         const healthMap = result.healthMap || {};
         const zones = result.zones || [];
         const spectral = result.spectralAnalysis || {};
+        const calibration = this.spectralData.calibration;
         const warnings = result.earlyWarnings || [];
         const resources = result.resourceApplication || {};
         const actionPlan = result.actionPlan || [];
         const composites = result.falseColorComposites || this.falseColorImages || {};
+        const modeInfo = this.getModeInfo(result.spectralMode);
         
         resultsContainer.innerHTML = `
             <!-- Health Map Header -->
@@ -910,11 +1995,17 @@ const EyeModule = {
                 <div class="map-title">
                     <h2>🗺️ Crop Health Map</h2>
                     <span class="analysis-badge">AI-Powered Multi-Spectral Analysis</span>
+                    <span class="spectral-mode-badge ${result.spectralMode}" title="${modeInfo.description}">${modeInfo.icon} ${modeInfo.label}</span>
                 </div>
                 <div class="map-meta">
                     <span class="meta-item">📍 ${healthMap.fieldSize || 'Field analyzed'}</span>
                     <span class="meta-item">🌾 ${healthMap.cropType || 'Crop detected'}</span>
                     <span class="meta-item">📊 ${healthMap.analysisConfidence || 85}% confidence</span>
+                    <span class="meta-item">🌍 ${this.georef ? this.georef.description : 'Not georeferenced'}</span>
+                    <span class="meta-item" title="${calibration ? RadiometricCalibration.describeGains(calibration.gains) : 'Index values depend on light and exposure'}">⚖️ ${calibration ? calibration.label : 'Uncalibrated'}</span>
+                    ${this.spectralData?.statistics.canopyCover !== undefined ? `
+                        <span class="meta-item">🌿 ${this.spectralData.statistics.canopyCover}% canopy cover</span>
+                    ` : ''}
                     ${healthMap.spectralMetrics ? `
                         <span class="meta-item spectral-metric">🌱 NDVI: ${healthMap.spectralMetrics.avgNDVI}</span>
                         <span class="meta-item spectral-metric">💧 NDWI: ${healthMap.spectralMetrics.avgNDWI}</span>
@@ -926,16 +2017,18 @@ const EyeModule = {
             <div class="false-color-section glass-card">
                 <div class="fc-header">
                     <h3>🔬 False-Color Composite Analysis</h3>
-                    <p class="fc-subtitle">NIR bands mapped to RGB channels reveal invisible plant stress</p>
+                    <p class="fc-subtitle">NIR bands mapped to RGB channels reveal invisible plant stress · ${modeInfo.description}</p>
                 </div>
                 
                 <div class="fc-viewer">
                     <div class="fc-tabs">
                         <button class="fc-tab active" data-composite="original">📷 Original</button>
                         <button class="fc-tab" data-composite="cir">🔴 CIR (NIR→R)</button>
-                        <button class="fc-tab" data-composite="ndvi">🌱 NDVI Map</button>
-                        <button class="fc-tab" data-composite="ndwi">💧 Water Stress</button>
+                        ${(this.spectralData?.indexIds || ['ndvi', 'ndwi']).map(id => `
+                            <button class="fc-tab" data-composite="${id}" title="${SpectralIndices.INDICES[id].name}">${SpectralIndices.INDICES[id].icon} ${SpectralIndices.INDICES[id].label}</button>
+                        `).join('')}
                         <button class="fc-tab" data-composite="stress">⚠️ Stress Map</button>
+                        <button class="fc-tab" data-composite="cover">🎭 Cover Mask</button>
                     </div>
                     
                     <div class="fc-display">
@@ -978,6 +2071,7 @@ const EyeModule = {
             
             <!-- Interactive Health Map Grid -->
             <div class="health-map-grid glass-card">
+                ${this.createZoneControls()}
                 <div class="map-container">
                     <div class="map-image-wrapper">
                         <img src="${composites.stress || $('#eye-preview-img')?.src || ''}" alt="Field" class="map-base" id="zone-map-img">
@@ -1042,6 +2136,9 @@ const EyeModule = {
                 </div>
             </div>
             
+            <!-- Variable-Rate Prescription -->
+            ${this.createPrescriptionPanel()}
+            
             <!-- Action Plan -->
             <div class="action-plan-section glass-card">
                 <h3>📋 Prioritized Action Plan</h3>
@@ -1058,6 +2155,11 @@ const EyeModule = {
                 <button class="export-btn" onclick="EyeModule.exportData()">
                     📊 Export Data (JSON)
                 </button>
+                ${['geojson', 'kml', 'shapefile'].map(format => `
+                    <button class="export-btn" onclick="EyeModule.exportGeoData('${format}')" ${this.georef ? '' : 'disabled title="Needs a GeoTIFF or a drone photo with GPS and altitude metadata"'}>
+                        ${{ geojson: '🌍 GeoJSON', kml: '📍 KML', shapefile: '🗺️ Shapefile (ZIP)' }[format]}
+                    </button>
+                `).join('')}
             </div>
         `;
         
@@ -1067,6 +2169,9 @@ const EyeModule = {
         // Setup tab switching
         this.setupResourceTabs();
         
+        // Setup prescription builder
+        this.setupPrescriptionPanel();
+        
         // Setup zone hover interactions
         this.setupZoneInteractions();
         
@@ -1074,41 +2179,351 @@ const EyeModule = {
         resultsContainer.scrollIntoView({ behavior: 'smooth' });
     },
     
-    // Create zone overlay for the map
-    createZoneOverlay(zones) {
-        if (!zones || zones.length === 0) {
-            // Default 2x2 grid
-            zones = [
-                { id: 'Z1', name: 'NW', healthScore: 75, status: 'Good' },
-                { id: 'Z2', name: 'NE', healthScore: 60, status: 'Moderate' },
-                { id: 'Z3', name: 'SW', healthScore: 70, status: 'Good' },
-                { id: 'Z4', name: 'SE', healthScore: 45, status: 'Poor' }
-            ];
-        }
-        
-        const gridSize = zones.length <= 4 ? 2 : 3;
-        const zoneSize = 100 / gridSize;
-        
-        return zones.map((zone, i) => {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
-            const statusClass = this.getStatusClass(zone.healthScore || zone.status);
+    // ===========================
+    // VARIABLE-RATE PRESCRIPTIONS
+    // ===========================
+    
+    // Prescription builder form and preview
+    createPrescriptionPanel() {
+        const defaults = PrescriptionBuilder.DEFAULTS.fertilizer;
+        
+        return `
+            <div class="prescription-section glass-card">
+                <h3>🚜 Variable-Rate Prescription</h3>
+                <p class="rx-desc">Rates scale between your minimum and maximum - weaker zones get more product.</p>
+                
+                <div class="rx-form">
+                    <div class="form-group">
+                        <label for="rx-type">Prescription</label>
+                        <select id="rx-type">
+                            <option value="fertilizer">🌿 Fertilizer (by NDVI)</option>
+                            <option value="irrigation">💧 Irrigation (by NDWI)</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="rx-product">Product</label>
+                        <input type="text" id="rx-product" value="${defaults.product}">
+                    </div>
+                    <div class="form-group">
+                        <label for="rx-unit">Units</label>
+                        <select id="rx-unit">
+                            ${Object.values(PrescriptionBuilder.UNITS).map(unit => `
+                                <option value="${unit.label}" ${unit.label === defaults.unit ? 'selected' : ''}>${unit.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="rx-min">Min rate</label>
+                        <input type="number" id="rx-min" min="0" step="any" value="${defaults.minRate}">
+                    </div>
+                    <div class="form-group">
+                        <label for="rx-max">Max rate</label>
+                        <input type="number" id="rx-max" min="0" step="any" value="${defaults.maxRate}">
+                    </div>
+                    <div class="form-group">
+                        <label for="rx-cell">Grid cell (m)</label>
+                        <input type="number" id="rx-cell" min="1" step="1" value="10">
+                    </div>
+                    ${this.georef ? '' : `
+                        <div class="form-group">
+                            <label for="rx-area">Field area (ha)</label>
+                            <input type="number" id="rx-area" min="0.01" step="any" value="1">
+                        </div>
+                    `}
+                </div>
+                
+                <div class="rx-preview" id="rx-preview">
+                    <!-- Prescription preview will be rendered here -->
+                </div>
+                
+                <div class="rx-actions">
+                    <button class="export-btn" onclick="EyeModule.exportPrescription('isoxml')" ${this.georef ? '' : 'disabled'}>
+                        🚜 ISO-XML TaskData (ZIP)
+                    </button>
+                    <button class="export-btn" onclick="EyeModule.exportPrescription('shapefile')" ${this.georef ? '' : 'disabled'}>
+                        🗺️ Rate Shapefile (ZIP)
+                    </button>
+                </div>
+                ${this.georef ? '' : '<p class="rx-note">⚠️ Image is not georeferenced - totals use the field area above and machine exports are unavailable.</p>'}
+            </div>
+        `;
+    },
+    
+    // Wire up the prescription form
+    setupPrescriptionPanel() {
+        const typeSelect = $('#rx-type');
+        if (!typeSelect) return;
+        
+        typeSelect.addEventListener('change', () => {
+            const defaults = PrescriptionBuilder.DEFAULTS[typeSelect.value];
+            $('#rx-product').value = defaults.product;
+            $('#rx-unit').value = defaults.unit;
+            $('#rx-min').value = defaults.minRate;
+            $('#rx-max').value = defaults.maxRate;
+            this.updatePrescription();
+        });
+        
+        const update = Utils.debounce(() => this.updatePrescription(), 300);
+        ['#rx-product', '#rx-unit', '#rx-min', '#rx-max', '#rx-cell', '#rx-area'].forEach(selector => {
+            $(selector)?.addEventListener('input', update);
+        });
+        
+        this.updatePrescription();
+    },
+    
+    // Read the form into prescription settings
+    getPrescriptionSettings() {
+        const type = $('#rx-type')?.value || 'fertilizer';
+        const minRate = parseFloat($('#rx-min')?.value) || 0;
+        const maxRate = parseFloat($('#rx-max')?.value) || 0;
+        
+        return {
+            type,
+            index: PrescriptionBuilder.DEFAULTS[type].index,
+            product: $('#rx-product')?.value.trim() || PrescriptionBuilder.DEFAULTS[type].product,
+            unit: $('#rx-unit')?.value || 'kg/ha',
+            minRate: Math.min(minRate, maxRate),
+            maxRate: Math.max(minRate, maxRate),
+            cellSize: Math.max(1, parseFloat($('#rx-cell')?.value) || 10),
+            fieldAreaHa: parseFloat($('#rx-area')?.value) || 1
+        };
+    },
+    
+    // Index of the management zone under a pixel
+    getZoneAt(px, py) {
+        const { cols, rows, cellSize, labels } = this.spectralData.zoneMap;
+        const col = Math.floor(px / cellSize);
+        const row = Math.floor(py / cellSize);
+        if (col < 0 || row < 0 || col >= cols || row >= rows) return -1;
+        // Nothing to prescribe outside a mosaic's coverage (zone map and stress grid share cells)
+        if (this.spectralData.stressGrid.classes[row * cols + col] === SpectralIndices.NO_DATA) return -1;
+        return labels[row * cols + col];
+    },
+    
+    // Rebuild the prescription and render the preview
+    updatePrescription() {
+        if (!this.spectralData) return;
+        
+        const settings = this.getPrescriptionSettings();
+        const indexKey = settings.index === 'ndwi' ? 'avgNDWI' : 'avgNDVI';
+        const zones = this.spectralData.zoneStats.map((stats, i) => ({
+            id: this.analysisResult?.zones?.[i]?.id || `Z${i + 1}`,
+            name: this.analysisResult?.zones?.[i]?.name || `Zone ${i + 1}`,
+            value: parseFloat(stats[indexKey])
+        }));
+        
+        this.prescription = PrescriptionBuilder.build({
+            zones,
+            zoneAt: (px, py) => this.getZoneAt(px, py),
+            width: this.SpectralProcessor.width,
+            height: this.SpectralProcessor.height,
+            georef: this.georef,
+            settings
+        });
+        
+        this.renderPrescriptionPreview(this.prescription);
+    },
+    
+    // Totals, per-zone rates and a rate-grid thumbnail
+    renderPrescriptionPreview(rx) {
+        const container = $('#rx-preview');
+        if (!container) return;
+        
+        const { unit, settings } = rx;
+        const format = (value, digits = 1) => Utils.number.format(value, digits);
+        
+        container.innerHTML = `
+            <div class="rx-totals">
+                <div class="rx-total">
+                    <span class="rx-total-value">${format(rx.totalProduct)} ${unit.totalUnit}</span>
+                    <span class="rx-total-label">${settings.product} needed</span>
+                </div>
+                <div class="rx-total">
+                    <span class="rx-total-value">${format(rx.totalArea, 2)} ha</span>
+                    <span class="rx-total-label">Treated area</span>
+                </div>
+                <div class="rx-total">
+                    <span class="rx-total-value">${format(rx.averageRate)} ${unit.label}</span>
+                    <span class="rx-total-label">Average rate</span>
+                </div>
+                <div class="rx-total">
+                    <span class="rx-total-value">${format(Math.max(0, rx.savings))} ${unit.totalUnit}</span>
+                    <span class="rx-total-label">Saved vs. flat max rate</span>
+                </div>
+            </div>
             
-            return `
-                <div class="zone-box ${statusClass}" 
-                     data-zone="${zone.id}"
-                     style="top: ${row * zoneSize}%; left: ${col * zoneSize}%; 
-                            width: ${zoneSize}%; height: ${zoneSize}%;">
+            <div class="rx-body">
+                <canvas class="rx-canvas" id="rx-canvas"></canvas>
+                <table class="rx-table">
+                    <thead>
+                        <tr><th>Zone</th><th>${settings.index.toUpperCase()}</th><th>Rate</th><th>Area</th><th>Total</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rx.zoneRates.map(zone => `
+                            <tr>
+                                <td>${zone.name}</td>
+                                <td>${zone.value.toFixed(3)}</td>
+                                <td>${format(zone.rate)} ${unit.label}</td>
+                                <td>${format(zone.areaHa, 2)} ha</td>
+                                <td>${format(zone.total)} ${unit.totalUnit}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        this.drawPrescriptionGrid($('#rx-canvas'), rx);
+    },
+    
+    // Draw the rate grid north-up (row 0 is the southern edge)
+    drawPrescriptionGrid(canvas, rx) {
+        if (!canvas) return;
+        
+        const { cols, rows } = rx.grid;
+        const scale = Math.max(1, Math.floor(240 / Math.max(cols, rows)));
+        canvas.width = cols * scale;
+        canvas.height = rows * scale;
+        const ctx = canvas.getContext('2d');
+        const { minRate, maxRate, type } = rx.settings;
+        const hue = type === 'irrigation' ? 210 : 120;
+        
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const rate = rx.rates[row * cols + col];
+                if (rate < 0) continue;
+                
+                const t = maxRate > minRate ? (rate - minRate) / (maxRate - minRate) : 0.5;
+                ctx.fillStyle = `hsl(${hue}, 60%, ${80 - t * 50}%)`;
+                ctx.fillRect(col * scale, (rows - 1 - row) * scale, scale, scale);
+            }
+        }
+    },
+    
+    // Download the prescription for the terminal
+    exportPrescription(format) {
+        if (!this.prescription) {
+            Utils.toast.warning('No prescription to export');
+            return;
+        }
+        
+        if (!this.prescription.georeferenced) {
+            Utils.toast.warning('Machine prescriptions need a georeferenced image');
+            return;
+        }
+        
+        try {
+            const name = `${this.prescription.settings.type}-rx-${Date.now()}`;
+            if (format === 'isoxml') {
+                GeoExport.download(PrescriptionBuilder.toISOXML(this.prescription, `KrishiMitra ${this.prescription.settings.type}`), `${name}-isoxml.zip`);
+            } else {
+                GeoExport.download(PrescriptionBuilder.toShapefile(this.prescription, 'prescription'), `${name}-shapefile.zip`);
+            }
+            
+            Utils.toast.success('🚜 Prescription exported!');
+            Utils.activity.log('analysis', 'Variable-Rate Prescription Exported', {
+                product: this.prescription.settings.product,
+                total: `${this.prescription.totalProduct.toFixed(1)} ${this.prescription.unit.totalUnit}`
+            });
+        } catch (error) {
+            Utils.toast.error('Export failed: ' + error.message);
+            console.error(error);
+        }
+    },
+    
+    // Create zone overlay for the map - zone outlines drawn as SVG in image pixel coordinates
+    createZoneOverlay(zones) {
+        const { width, height } = this.SpectralProcessor;
+        if (!zones?.length || !width) return '';
+        
+        const toPath = (rings) => rings.map(ring =>
+            'M' + ring.map(([x, y]) => `${x} ${y}`).join('L') + 'Z'
+        ).join('');
+        
+        return `
+            <svg class="zone-shapes" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                ${zones.map(zone => `
+                    <path class="zone-shape ${this.getStatusClass(zone.healthScore)}"
+                          data-zone="${zone.id}"
+                          fill-rule="evenodd"
+                          vector-effect="non-scaling-stroke"
+                          d="${(zone.polygons || []).map(toPath).join('')}">
+                        <title>${zone.name} - ${zone.areaPct}% of field</title>
+                    </path>
+                `).join('')}
+            </svg>
+            ${zones.filter(zone => zone.labelPoint).map(zone => `
+                <div class="zone-label" data-zone="${zone.id}"
+                     style="left: ${(zone.labelPoint[0] / width) * 100}%; top: ${(zone.labelPoint[1] / height) * 100}%;">
                     <div class="zone-info">
-                        <span class="zone-id">${zone.id || zone.name}</span>
-                        <span class="zone-score">${zone.healthScore || '?'}</span>
+                        <span class="zone-id">${zone.id}</span>
+                        <span class="zone-score">${zone.healthScore ?? '?'}</span>
                     </div>
                     ${zone.irrigationNeed === 'Critical - Urgent' || zone.irrigationNeed === 'High - Immediate' ? 
                         '<span class="zone-alert">💧</span>' : ''}
                     ${zone.priority === 'Critical' ? '<span class="zone-critical">!</span>' : ''}
                 </div>
-            `;
-        }).join('');
+            `).join('')}
+        `;
+    },
+    
+    // Zone count and minimum patch size for re-segmenting without a new analysis
+    createZoneControls() {
+        const { count, minAreaPct } = this.zoneSettings;
+        
+        return `
+            <div class="zone-controls">
+                <div class="form-group">
+                    <label for="zone-count">Management zones</label>
+                    <select id="zone-count">
+                        ${[2, 3, 4, 5, 6, 7, 8].map(n => `<option value="${n}" ${n === count ? 'selected' : ''}>${n}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="zone-min-area">Min patch size (% of field)</label>
+                    <input type="number" id="zone-min-area" min="0" max="25" step="0.5" value="${minAreaPct}">
+                </div>
+                <button class="action-btn secondary" id="zone-resegment-btn">🔄 Re-zone</button>
+            </div>
+        `;
+    },
+    
+    // Re-cluster zones with the chosen settings and refresh the results
+    // Changed exclusion areas are applied per pixel, so they re-run the spectral pass (not the AI call)
+    async resegmentZones() {
+        if (!this.spectralData || !this.aiResult) return;
+        
+        this.zoneSettings = {
+            count: parseInt($('#zone-count')?.value) || CONFIG.ZONE_COUNT,
+            minAreaPct: Math.max(0, parseFloat($('#zone-min-area')?.value) || 0)
+        };
+        
+        try {
+            this.finishExclusion();
+            if (JSON.stringify(this.exclusions) !== this.scoredExclusions) {
+                Utils.toast.info('Re-scoring with the new exclusion areas...');
+                await this.SpectralProcessor.loadImage(this.bandSet || $('#eye-preview-img')?.src);
+                this.spectralData = await this.SpectralProcessor.generateFullAnalysis(
+                    null,
+                    this.zoneSettings,
+                    this.exclusions,
+                    this.spectralData.calibration
+                );
+                this.falseColorImages = this.spectralData.composites;
+                this.scoredExclusions = JSON.stringify(this.exclusions);
+            } else {
+                const { zoneStats, zoneMap } = this.SpectralProcessor.segmentZones(this.zoneSettings);
+                this.spectralData.zoneStats = zoneStats;
+                this.spectralData.zoneMap = zoneMap;
+            }
+            const zoneStats = this.spectralData.zoneStats;
+            this.analysisResult = this.mergeSpectralWithAI(this.aiResult, this.spectralData);
+            this.displayHealthMap(this.analysisResult);
+            Utils.toast.success(`Field split into ${zoneStats.length} management zones`);
+        } catch (error) {
+            Utils.toast.error('Zoning failed: ' + error.message);
+            console.error(error);
+        }
     },
     
     // Create legend
@@ -1179,18 +2594,26 @@ const EyeModule = {
                         ${hasSpectralData ? `
                             <div class="zone-spectral-data">
                                 <div class="spectral-mini">
-                                    <div class="spectral-mini-item ndvi-mini">
-                                        <span class="mini-label">NDVI</span>
-                                        <span class="mini-value ${zone.ndvi < 0.3 ? 'warning' : ''}">${typeof zone.ndvi === 'number' ? zone.ndvi.toFixed(2) : zone.ndvi}</span>
-                                    </div>
-                                    <div class="spectral-mini-item ndwi-mini">
-                                        <span class="mini-label">NDWI</span>
-                                        <span class="mini-value ${zone.ndwi < -0.1 ? 'warning' : ''}">${typeof zone.ndwi === 'number' ? zone.ndwi.toFixed(2) : zone.ndwi}</span>
-                                    </div>
+                                    ${Object.entries(zone.indices || { ndvi: zone.ndvi, ndwi: zone.ndwi }).map(([id, value]) => {
+                                        const index = SpectralIndices.INDICES[id];
+                                        const number = parseFloat(value);
+                                        return `
+                                            <div class="spectral-mini-item ${id}-mini" title="${index.name}">
+                                                <span class="mini-label">${index.label}</span>
+                                                <span class="mini-value ${number < index.warnBelow ? 'warning' : ''}">${number.toFixed(2)}</span>
+                                            </div>
+                                        `;
+                                    }).join('')}
                                     <div class="spectral-mini-item stress-mini">
                                         <span class="mini-label">Stress</span>
                                         <span class="mini-value ${parseFloat(zone.stressPercentage) > 30 ? 'warning' : ''}">${zone.stressPercentage}%</span>
                                     </div>
+                                    ${zone.canopyCover !== undefined ? `
+                                        <div class="spectral-mini-item canopy-mini" title="Share of the zone that is crop canopy - only canopy is scored">
+                                            <span class="mini-label">Canopy</span>
+                                            <span class="mini-value">${zone.canopyCover}%</span>
+                                        </div>
+                                    ` : ''}
                                 </div>
                             </div>
                         ` : ''}
@@ -1433,9 +2856,11 @@ const EyeModule = {
     
     // Setup zone interactions
     setupZoneInteractions() {
-        const zoneBoxes = $$('.zone-box');
+        const zoneBoxes = $$('#zone-overlay [data-zone]');
         const zoneCards = $$('.zone-card');
         
+        $('#zone-resegment-btn')?.addEventListener('click', () => this.resegmentZones());
+        
         zoneBoxes.forEach(box => {
             box.addEventListener('mouseenter', () => {
                 const zoneId = box.dataset.zone;
@@ -1465,23 +2890,15 @@ const EyeModule = {
                 
                 const compositeType = tab.dataset.composite;
                 
-                // Update displayed image
-                switch(compositeType) {
-                    case 'original':
-                        displayImg.src = originalSrc;
-                        break;
-                    case 'cir':
-                        displayImg.src = composites.cir || originalSrc;
-                        break;
-                    case 'ndvi':
-                        displayImg.src = composites.ndvi || originalSrc;
-                        break;
-                    case 'ndwi':
-                        displayImg.src = composites.ndwi || originalSrc;
-                        break;
-                    case 'stress':
-                        displayImg.src = composites.stress || originalSrc;
-                        break;
+                // Update displayed image - registry indices without a stored composite are colorized on demand
+                if (compositeType === 'original') {
+                    displayImg.src = originalSrc;
+                } else if (compositeType === 'cover') {
+                    displayImg.src = this.SpectralProcessor.renderCoverMap() || originalSrc;
+                } else {
+                    displayImg.src = composites[compositeType] ||
+                        this.SpectralProcessor.renderIndexMap(compositeType) ||
+                        originalSrc;
                 }
                 
                 // Update colorbar and info
@@ -1537,11 +2954,41 @@ const EyeModule = {
                         </div>
                     </div>
                 `;
+            case 'cover':
+                return `
+                    <div class="colorbar cover-bar">
+                        ${SpectralIndices.COVER_CLASSES.map(({ label, color }) => `
+                            <span class="cover-key"><span class="cover-swatch" style="background: rgb(${color.r}, ${color.g}, ${color.b});"></span>${label}</span>
+                        `).join('')}
+                    </div>
+                `;
             default:
+                if (SpectralIndices.INDICES[type]) return this.createIndexColorBar(type);
                 return '<div class="colorbar-placeholder">Original RGB Image</div>';
         }
     },
     
+    // Color bar sampled from a registry index's colormap
+    createIndexColorBar(id) {
+        const index = SpectralIndices.INDICES[id];
+        const [min, max] = index.range;
+        const stops = Array.from({ length: 11 }, (_, i) => {
+            const color = SpectralIndices.indexToColor(index, min + (i / 10) * (max - min));
+            return `rgb(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}) ${i * 10}%`;
+        });
+        
+        return `
+            <div class="colorbar">
+                <div class="bar-gradient" style="background: linear-gradient(90deg, ${stops.join(', ')});"></div>
+                <div class="bar-labels">
+                    <span>${min}</span>
+                    <span>${index.label}</span>
+                    <span>${max}</span>
+                </div>
+            </div>
+        `;
+    },
+    
     // Create info panel content for different composite types
     createCompositeInfo(type) {
         const spectralData = this.spectralData?.statistics || {};
@@ -1661,11 +3108,78 @@ const EyeModule = {
                         fertilization, and inspection to specific areas showing stress.
                     </div>
                 `;
+            case 'cover': {
+                const cover = spectralData.cover || {};
+                return `
+                    <h4>🎭 Land-Cover Mask</h4>
+                    <p>Only crop canopy counts toward zone health and stress</p>
+                    <div class="info-details">
+                        ${SpectralIndices.COVER_CLASSES.map(({ id, label }) => `
+                            <div class="detail-row">
+                                <span>${label}:</span>
+                                <span class="value">${cover[id] ?? 'N/A'}%</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="info-interpretation">
+                        <strong>How pixels are classed:</strong>
+                        <ul>
+                            <li>Canopy = NDVI above ${SpectralIndices.COVER_THRESHOLDS.canopyNDVI} and green-dominant</li>
+                            <li>Shadow = very dark in every band</li>
+                            <li>Water = high NDWI, or blue-dominant and not green</li>
+                            <li>Bare soil = warm-toned (red over blue); roads, equipment and the rest are "other"</li>
+                        </ul>
+                    </div>
+                    <div class="info-note">
+                        <strong>Exclusions:</strong> Outline areas on the uploaded image with ✏️ Exclude area, 
+                        then press Re-zone to leave them out of the scores (${cover.excluded ?? 0}% of the image excluded).
+                    </div>
+                `;
+            }
             default:
+                if (SpectralIndices.INDICES[type]) return this.createIndexInfo(type);
                 return '<p>Select a composite type to view information.</p>';
         }
     },
     
+    // Info panel for a registry index
+    createIndexInfo(id) {
+        const index = SpectralIndices.INDICES[id];
+        const average = this.spectralData?.statistics?.indices?.[id];
+        const bandLabels = index.bands.map(band => this.BAND_ROLES.find(role => role.id === band)?.label || band);
+        
+        return `
+            <h4>${index.icon} ${index.label} Map</h4>
+            <p>${index.name}</p>
+            <div class="info-formula">
+                <code>${index.label} = ${index.formula}</code>
+            </div>
+            <div class="info-details">
+                <div class="detail-row">
+                    <span>Field Average:</span>
+                    <span class="value">${average || 'N/A'}</span>
+                </div>
+                <div class="detail-row">
+                    <span>Bands:</span>
+                    <span>${bandLabels.join(', ')}</span>
+                </div>
+                <div class="detail-row">
+                    <span>Color Range:</span>
+                    <span>${index.range[0]} to ${index.range[1]}</span>
+                </div>
+            </div>
+            <div class="info-interpretation">
+                <strong>Use:</strong> ${index.description}
+            </div>
+            ${this.SpectralProcessor.isSimulated(id) ? `
+                <div class="info-note">
+                    <strong>Simulated NIR:</strong> No NIR band was mapped, so this index is estimated from RGB. 
+                    Upload a multispectral GeoTIFF for measured values.
+                </div>
+            ` : ''}
+        `;
+    },
+    
     // Helper functions
     getStatusClass(scoreOrStatus) {
         if (typeof scoreOrStatus === 'number') {
@@ -1729,6 +3243,166 @@ const EyeModule = {
         Utils.toast.success('Data exported!');
     },
     
+    // ===========================
+    // GEOSPATIAL EXPORT
+    // ===========================
+    
+    // Georeference the loaded raster: a stitched mosaic carries its own, else GeoTIFF tags, else photo GPS/altitude
+    getGeoreference() {
+        const { width, height } = this.SpectralProcessor;
+        let georef = this.mosaic ? this.mosaic.georef : null;
+        
+        if (!georef && this.bandSet?.geoTags) {
+            georef = GeoExport.fromGeoTiff(this.bandSet.geoTags, width, height);
+        }
+        if (!georef && this.imageMeta) {
+            georef = GeoExport.fromExif(this.imageMeta, width, height);
+        }
+        
+        if (georef) console.log('🌍 Georeferenced via', georef.description);
+        return georef;
+    },
+    
+    // Build pixel-space polygons for management zones and connected stress-class areas
+    buildGeoFeatures() {
+        const processor = this.SpectralProcessor;
+        const { zoneStats, stressGrid } = this.spectralData;
+        const zones = this.analysisResult.zones || [];
+        const pixelArea = this.georef.gsd * this.georef.gsd;
+        const areaHa = (rings) => +(rings.reduce((sum, ring, i) => {
+            const area = Math.abs(GeoExport.ringArea(ring));
+            return i === 0 ? sum + area : sum - area;
+        }, 0) * pixelArea / 10000).toFixed(4);
+        
+        // One feature per connected part of each zone
+        const zoneFeatures = zoneStats.flatMap((stats, i) => stats.polygons.map((rings, part) => {
+            const zone = zones[i] || {};
+            
+            return {
+                rings,
+                properties: {
+                    layer: 'zone',
+                    zoneId: zone.id || `Z${i + 1}`,
+                    part: part + 1,
+                    name: zone.name || `Zone ${i + 1}`,
+                    ndvi: parseFloat(stats.avgNDVI),
+                    ndwi: parseFloat(stats.avgNDWI),
+                    vari: parseFloat(stats.avgVARI),
+                    healthScore: stats.healthScore,
+                    priority: zone.priority || this.calculatePriority(stats),
+                    stressPct: parseFloat(stats.stressPercentage),
+                    canopyPct: stats.canopyCover,
+                    irrigation: zone.irrigationNeed || this.calculateIrrigationNeed(stats),
+                    fertilization: zone.fertilizationNeed || this.calculateFertilizationNeed(stats),
+                    areaHa: areaHa(rings),
+                    fill: this.toHexColor(SpectralIndices.stressToColor(stats.healthScore / 100))
+                }
+            };
+        }));
+        
+        // Per-region means of the grid cells, then trace each region's outline
+        const { cols, rows, cellSize } = stressGrid;
+        const { labels, count } = GeoExport.labelComponents(stressGrid.classes, cols, rows);
+        const sums = Array.from({ length: count }, () => ({ cells: 0, health: 0, ndvi: 0, ndwi: 0, stressClass: 0 }));
+        
+        labels.forEach((label, cell) => {
+            if (label < 0) return;
+            const region = sums[label];
+            region.cells++;
+            region.health += stressGrid.health[cell];
+            region.ndvi += stressGrid.ndvi[cell];
+            region.ndwi += stressGrid.ndwi[cell];
+            region.stressClass = stressGrid.classes[cell];
+        });
+        
+        const toPixel = ([vx, vy]) => [Math.min(vx * cellSize, processor.width), Math.min(vy * cellSize, processor.height)];
+        const stressFeatures = [];
+        
+        GeoExport.traceRegions(labels, cols, rows).forEach((gridRings, label) => {
+            const region = sums[label];
+            const stressClass = SpectralIndices.STRESS_CLASSES[region.stressClass];
+            const ndvi = region.ndvi / region.cells;
+            const ndwi = region.ndwi / region.cells;
+            const healthScore = Math.round((region.health / region.cells) * 100);
+            const rings = gridRings.map(ring => ring.map(toPixel));
+            
+            stressFeatures.push({
+                rings,
+                properties: {
+                    layer: 'stress',
+                    regionId: label + 1,
+                    stressClass: stressClass.label,
+                    ndvi: +ndvi.toFixed(3),
+                    ndwi: +ndwi.toFixed(3),
+                    healthScore,
+                    priority: this.calculatePriority({ healthScore, waterStress: ndwi < -0.1, vegetationStress: ndvi < 0.3 }),
+                    areaHa: areaHa(rings),
+                    fill: this.toHexColor(SpectralIndices.stressToColor(region.health / region.cells))
+                }
+            });
+        });
+        
+        return { zones: zoneFeatures, stress: stressFeatures };
+    },
+    
+    // {r, g, b} to #rrggbb
+    toHexColor({ r, g, b }) {
+        return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+    },
+    
+    // Export zones and stress areas as GeoJSON, KML or zipped Shapefile
+    exportGeoData(format) {
+        if (!this.analysisResult || !this.spectralData) {
+            Utils.toast.warning('No analysis data to export');
+            return;
+        }
+        
+        if (!this.georef) {
+            Utils.toast.warning('This image has no georeference - upload a GeoTIFF or a drone photo with GPS and altitude metadata');
+            return;
+        }
+        
+        try {
+            const features = this.buildGeoFeatures();
+            const zones = GeoExport.toGeoJSON(features.zones, this.georef, 'Management zones');
+            const stress = GeoExport.toGeoJSON(features.stress, this.georef, 'Stress classes');
+            const filename = `krishimitra-health-map-${Date.now()}`;
+            
+            switch (format) {
+                case 'geojson': {
+                    const collection = {
+                        type: 'FeatureCollection',
+                        name: 'KrishiMitra health map',
+                        features: [...zones.features, ...stress.features]
+                    };
+                    GeoExport.download(new Blob([JSON.stringify(collection)], { type: 'application/geo+json' }), `${filename}.geojson`);
+                    break;
+                }
+                case 'kml': {
+                    const kml = GeoExport.toKML([
+                        { name: 'Management zones', geojson: zones },
+                        { name: 'Stress classes', geojson: stress }
+                    ], 'KrishiMitra health map');
+                    GeoExport.download(new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' }), `${filename}.kml`);
+                    break;
+                }
+                case 'shapefile': {
+                    const zip = GeoExport.createZip([
+                        ...GeoExport.toShapefile(zones, 'zones'),
+                        ...GeoExport.toShapefile(stress, 'stress_classes')
+                    ]);
+                    GeoExport.download(zip, `${filename}-shapefile.zip`);
+                    break;
+                }
+            }
+            
+            Utils.toast.success(`🌍 Exported ${features.zones.length} zones and ${features.stress.length} stress areas`);
+        } catch (error) {
+            Utils.toast.error('Export failed: ' + error.message);
+            console.error(error);
+        }
+    },
+    
     // Legacy method for compatibility
     displayResults(result) {
         this.displayHealthMap(result);
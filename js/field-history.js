@@ -0,0 +1,538 @@
+// Field History for KrishiMitra
+// Stores each field's analyses over the season and compares two dates (zone deltas, difference map, trend)
+
+const FieldHistory = {
+    NEW_FIELD: '__new',
+    STABLE_DELTA: 0.02,      // |ΔNDVI| below this reads as no real change
+    DIFF_RANGE: 0.3,         // Difference map saturates at ±0.3
+
+    currentFieldId: null,
+    analyses: [],
+    comparison: null,
+
+    // Initialize the field picker and history card
+    async init() {
+        const fieldSelect = $('#eye-field-select');
+        if (!fieldSelect) return;
+
+        fieldSelect.addEventListener('change', () => this.handleFieldChange());
+        this.setCaptureDate(null);
+
+        try {
+            await this.populateFieldSelect(Utils.storage.get(CONFIG.STORAGE_KEYS.LAST_FIELD));
+        } catch (error) {
+            console.warn('Field history unavailable:', error);
+            fieldSelect.disabled = true;
+        }
+    },
+
+    // Prefill the capture date from image metadata (ISO date-time), falling back to today
+    setCaptureDate(dateTime) {
+        const input = $('#eye-capture-date');
+        if (input) input.value = (dateTime || new Date().toISOString()).slice(0, 10);
+    },
+
+    // Capture dates are plain YYYY-MM-DD - read them as local midnight so they don't shift a day
+    formatDate(date, format = 'medium') {
+        return Utils.date.format(`${date}T00:00`, format);
+    },
+
+    // ===========================
+    // STORAGE
+    // ===========================
+
+    async getFields() {
+        const fields = await Utils.db.getAll('fields');
+        return fields.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async createField(name) {
+        const field = { id: Utils.generateId(), name, createdAt: new Date().toISOString() };
+        await Utils.db.put('fields', field);
+        return field;
+    },
+
+    // Analyses for a field, oldest first
+    async getAnalyses(fieldId) {
+        const analyses = await Utils.db.getAll('fieldAnalyses', 'fieldId', fieldId);
+        return analyses.sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+    },
+
+    // Field chosen in the picker, creating it if "New field" is selected (null = don't save)
+    async resolveField() {
+        const value = $('#eye-field-select')?.value;
+        if (!value) return null;
+
+        if (value === this.NEW_FIELD) {
+            const fields = await this.getFields();
+            const name = $('#eye-field-name')?.value.trim() || `Field ${fields.length + 1}`;
+            const field = await this.createField(name);
+            await this.populateFieldSelect(field.id);
+            return field.id;
+        }
+        return value;
+    },
+
+    // Save a finished analysis to the selected field
+    async saveAnalysis({ spectralData, zones, georef, quality, width, height }) {
+        const fieldId = await this.resolveField();
+        if (!fieldId) return null;
+
+        const { stressGrid, zoneMap, statistics, composites } = spectralData;
+        const record = {
+            id: Utils.generateId(),
+            fieldId,
+            date: $('#eye-capture-date')?.value || new Date().toISOString().slice(0, 10),
+            createdAt: new Date().toISOString(),
+            mode: spectralData.mode,
+            calibration: spectralData.calibration || null,
+            quality: quality || null,
+            width,
+            height,
+            geoTransform: georef ? this.getGeoTransform(georef, width, height) : null,
+            statistics,
+            healthScore: Math.round(zones.reduce((sum, z) => sum + z.healthScore * (z.areaPct || 0), 0) / 100),
+            zones: zones.map(z => ({
+                id: z.id,
+                name: z.name,
+                healthScore: z.healthScore,
+                ndvi: z.ndvi,
+                ndwi: z.ndwi,
+                areaPct: z.areaPct
+            })),
+            grid: {
+                cols: stressGrid.cols,
+                rows: stressGrid.rows,
+                ndvi: stressGrid.ndvi,
+                ndwi: stressGrid.ndwi,
+                zones: zoneMap.labels
+            },
+            composites: {
+                ndvi: composites.ndvi,
+                ndwi: composites.ndwi,
+                stress: composites.stress
+            }
+        };
+
+        await Utils.db.put('fieldAnalyses', record);
+        Utils.storage.set(CONFIG.STORAGE_KEYS.LAST_FIELD, fieldId);
+        await this.showField(fieldId);
+        return record;
+    },
+
+    async deleteAnalysis(id) {
+        if (!confirm('Delete this analysis from the field history?')) return;
+
+        await Utils.db.delete('fieldAnalyses', id);
+        await this.showField(this.currentFieldId);
+        Utils.toast.info('Analysis removed from history');
+    },
+
+    // ===========================
+    // ALIGNMENT & COMPARISON
+    // ===========================
+
+    // Affine map from normalized image coordinates (0-1) to lon/lat - exact for GeoTIFFs and
+    // drone-photo footprints, and close enough for UTM at field scale
+    getGeoTransform(georef, width, height) {
+        const origin = georef.toLonLat(0, 0);
+        const right = georef.toLonLat(width, 0);
+        const down = georef.toLonLat(0, height);
+        return {
+            origin,
+            u: [right[0] - origin[0], right[1] - origin[1]],
+            v: [down[0] - origin[0], down[1] - origin[1]]
+        };
+    },
+
+    // Normalized image coordinates of a lon/lat point (inverse of the affine map)
+    toImageCoords(transform, lon, lat) {
+        const { origin, u, v } = transform;
+        const det = u[0] * v[1] - u[1] * v[0];
+        const dx = lon - origin[0];
+        const dy = lat - origin[1];
+        return [(dx * v[1] - dy * v[0]) / det, (u[0] * dy - u[1] * dx) / det];
+    },
+
+    // Resample the later analysis onto the earlier one's grid (NaN where it has no coverage)
+    // Georeferenced pairs align on the ground; otherwise both images are assumed to share a frame
+    alignGrid(base, other) {
+        const { cols, rows } = base.grid;
+        const useGeo = base.geoTransform && other.geoTransform;
+        const ndvi = new Float32Array(cols * rows).fill(NaN);
+        const ndwi = new Float32Array(cols * rows).fill(NaN);
+        let covered = 0;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                let u = (col + 0.5) / cols;
+                let v = (row + 0.5) / rows;
+
+                if (useGeo) {
+                    const { origin, u: eu, v: ev } = base.geoTransform;
+                    const lon = origin[0] + u * eu[0] + v * ev[0];
+                    const lat = origin[1] + u * eu[1] + v * ev[1];
+                    [u, v] = this.toImageCoords(other.geoTransform, lon, lat);
+                }
+                if (u < 0 || v < 0 || u >= 1 || v >= 1) continue;
+
+                const source = Math.floor(v * other.grid.rows) * other.grid.cols + Math.floor(u * other.grid.cols);
+                const cell = row * cols + col;
+                ndvi[cell] = other.grid.ndvi[source];
+                ndwi[cell] = other.grid.ndwi[source];
+                if (!Number.isNaN(ndvi[cell])) covered++;
+            }
+        }
+
+        return { ndvi, ndwi, method: useGeo ? 'geo' : 'frame', coverage: covered / (cols * rows) };
+    },
+
+    // Compare two analyses - deltas are later minus earlier, summarized over the earlier date's zones
+    compare(earlier, later) {
+        const aligned = this.alignGrid(earlier, later);
+        const { cols, rows } = earlier.grid;
+        const dNDVI = new Float32Array(cols * rows).fill(NaN);
+        const dNDWI = new Float32Array(cols * rows).fill(NaN);
+        const sums = earlier.zones.map(() => ({ cells: 0, ndviA: 0, ndviB: 0, ndwiA: 0, ndwiB: 0 }));
+
+        for (let cell = 0; cell < cols * rows; cell++) {
+            // NaN marks cells outside either date's coverage (e.g. mosaic no-data)
+            if (Number.isNaN(aligned.ndvi[cell]) || Number.isNaN(earlier.grid.ndvi[cell])) continue;
+
+            dNDVI[cell] = aligned.ndvi[cell] - earlier.grid.ndvi[cell];
+            dNDWI[cell] = aligned.ndwi[cell] - earlier.grid.ndwi[cell];
+
+            const zone = sums[earlier.grid.zones[cell]];
+            if (!zone) continue;
+            zone.cells++;
+            zone.ndviA += earlier.grid.ndvi[cell];
+            zone.ndviB += aligned.ndvi[cell];
+            zone.ndwiA += earlier.grid.ndwi[cell];
+            zone.ndwiB += aligned.ndwi[cell];
+        }
+
+        const zones = earlier.zones.map((zone, i) => {
+            const s = sums[i];
+            if (!s.cells) return { ...zone, covered: false };
+
+            const deltaNDVI = (s.ndviB - s.ndviA) / s.cells;
+            return {
+                ...zone,
+                covered: true,
+                ndviBefore: s.ndviA / s.cells,
+                ndviAfter: s.ndviB / s.cells,
+                deltaNDVI,
+                ndwiBefore: s.ndwiA / s.cells,
+                ndwiAfter: s.ndwiB / s.cells,
+                deltaNDWI: (s.ndwiB - s.ndwiA) / s.cells,
+                trend: Math.abs(deltaNDVI) < this.STABLE_DELTA ? 'stable' : deltaNDVI > 0 ? 'improved' : 'declined'
+            };
+        });
+
+        const mean = (values) => {
+            let sum = 0, count = 0;
+            values.forEach(value => {
+                if (!Number.isNaN(value)) {
+                    sum += value;
+                    count++;
+                }
+            });
+            return count ? sum / count : 0;
+        };
+
+        return {
+            earlier,
+            later,
+            cols,
+            rows,
+            method: aligned.method,
+            coverage: aligned.coverage,
+            dNDVI,
+            dNDWI,
+            meanDeltaNDVI: mean(dNDVI),
+            meanDeltaNDWI: mean(dNDWI),
+            zones
+        };
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    // Fill the field picker, selecting `selectedId` when given
+    async populateFieldSelect(selectedId = null) {
+        const select = $('#eye-field-select');
+        const fields = await this.getFields();
+
+        select.innerHTML = `
+            <option value="">— Don't save to history —</option>
+            ${fields.map(field => `<option value="${field.id}">${field.name}</option>`).join('')}
+            <option value="${this.NEW_FIELD}">➕ New field…</option>
+        `;
+
+        select.value = fields.some(field => field.id === selectedId) ? selectedId : fields.length ? '' : this.NEW_FIELD;
+        await this.handleFieldChange();
+    },
+
+    async handleFieldChange() {
+        const value = $('#eye-field-select').value;
+        $('#eye-field-name')?.classList.toggle('hidden', value !== this.NEW_FIELD);
+
+        if (value && value !== this.NEW_FIELD) {
+            Utils.storage.set(CONFIG.STORAGE_KEYS.LAST_FIELD, value);
+            await this.showField(value);
+        } else {
+            this.currentFieldId = null;
+            $('#eye-history')?.classList.add('hidden');
+        }
+    },
+
+    // Load and render a field's history
+    async showField(fieldId) {
+        this.currentFieldId = fieldId;
+        this.analyses = await this.getAnalyses(fieldId);
+        this.comparison = null;
+        this.render();
+    },
+
+    render() {
+        const card = $('#eye-history');
+        const container = $('#field-history-content');
+        if (!card || !container) return;
+
+        card.classList.toggle('hidden', this.analyses.length === 0);
+        if (!this.analyses.length) return;
+
+        const options = (selected) => this.analyses.map((a, i) => `
+            <option value="${i}" ${i === selected ? 'selected' : ''}>${this.formatDate(a.date)} · NDVI ${a.statistics.avgNDVI}</option>
+        `).join('');
+        const last = this.analyses.length - 1;
+
+        container.innerHTML = `
+            <div class="history-trend">
+                ${this.createTrendChart(this.analyses)}
+            </div>
+
+            <div class="history-list">
+                ${this.analyses.slice().reverse().map(a => `
+                    <div class="history-item">
+                        <img src="${a.composites.stress}" alt="Stress map ${a.date}" class="history-thumb">
+                        <div class="history-item-info">
+                            <strong>${this.formatDate(a.date)}</strong>
+                            <span>Health ${a.healthScore} · NDVI ${a.statistics.avgNDVI} · NDWI ${a.statistics.avgNDWI}</span>
+                            <span class="history-item-meta">${a.zones.length} zones · ${a.mode === 'multispectral' ? '📡 Sensor NIR' : '📷 Simulated NIR'}${a.geoTransform ? ' · 🌍' : ''}${a.calibration ? ` · ⚖️ ${a.calibration.label}` : ''}${a.quality && a.quality.verdict !== 'ok' ? ` · ⚠️ Image quality ${a.quality.score}/100` : ''}</span>
+                        </div>
+                        <button class="history-delete" data-id="${a.id}" title="Delete">🗑️</button>
+                    </div>
+                `).join('')}
+            </div>
+
+            ${this.analyses.length > 1 ? `
+                <div class="history-compare-controls">
+                    <div class="form-group">
+                        <label for="history-date-a">Before</label>
+                        <select id="history-date-a">${options(Math.max(0, last - 1))}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="history-date-b">After</label>
+                        <select id="history-date-b">${options(last)}</select>
+                    </div>
+                    <button class="action-btn primary" id="history-compare-btn">🔍 Compare</button>
+                </div>
+                <div id="history-comparison"></div>
+            ` : '<p class="history-hint">Analyze this field again later to compare dates.</p>'}
+        `;
+
+        $$('.history-delete').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteAnalysis(btn.dataset.id));
+        });
+        $('#history-compare-btn')?.addEventListener('click', () => this.runComparison());
+    },
+
+    // Compare the two selected dates (always earlier → later)
+    runComparison() {
+        const a = this.analyses[parseInt($('#history-date-a').value)];
+        const b = this.analyses[parseInt($('#history-date-b').value)];
+        if (a === b) {
+            Utils.toast.warning('Pick two different dates');
+            return;
+        }
+
+        const [earlier, later] = a.date <= b.date ? [a, b] : [b, a];
+        this.comparison = this.compare(earlier, later);
+
+        if (this.comparison.coverage < 0.1) {
+            Utils.toast.warning('These two images barely overlap - check that they show the same field');
+        }
+
+        this.renderComparison(this.comparison);
+    },
+
+    renderComparison(comparison) {
+        const container = $('#history-comparison');
+        if (!container) return;
+
+        const { earlier, later } = comparison;
+        const calibrationOf = (a) => a.calibration ? a.calibration.label : 'Uncalibrated';
+        const sameCalibration = (earlier.calibration?.source || 'none') === (later.calibration?.source || 'none');
+        const signed = (value, digits = 3) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+        const trendIcon = { improved: '📈', declined: '📉', stable: '➖' };
+
+        container.innerHTML = `
+            ${sameCalibration && earlier.calibration ? '' : `
+                <p class="comparison-note">⚠️ ${sameCalibration ?
+                    'Neither date is radiometrically calibrated - part of the change may come from light and exposure.' :
+                    `Dates use different calibration (${calibrationOf(earlier)} vs ${calibrationOf(later)}) - deltas include radiometric differences.`}</p>
+            `}
+            <div class="comparison-summary">
+                <div class="comparison-stat ${comparison.meanDeltaNDVI >= 0 ? 'positive' : 'negative'}">
+                    <span class="comparison-value">${signed(comparison.meanDeltaNDVI)}</span>
+                    <span class="comparison-label">Mean ΔNDVI</span>
+                </div>
+                <div class="comparison-stat ${comparison.meanDeltaNDWI >= 0 ? 'positive' : 'negative'}">
+                    <span class="comparison-value">${signed(comparison.meanDeltaNDWI)}</span>
+                    <span class="comparison-label">Mean ΔNDWI</span>
+                </div>
+                <div class="comparison-stat">
+                    <span class="comparison-value">${Math.round(comparison.coverage * 100)}%</span>
+                    <span class="comparison-label">${comparison.method === 'geo' ? '🌍 Aligned on coordinates' : '🖼️ Aligned by image frame'}</span>
+                </div>
+            </div>
+
+            <div class="comparison-maps">
+                <figure>
+                    <img src="${earlier.composites.ndvi}" alt="NDVI ${earlier.date}">
+                    <figcaption>${this.formatDate(earlier.date)}</figcaption>
+                </figure>
+                <figure>
+                    <img src="${later.composites.ndvi}" alt="NDVI ${later.date}">
+                    <figcaption>${this.formatDate(later.date)}</figcaption>
+                </figure>
+                <figure>
+                    <canvas id="history-diff-canvas" class="history-diff"></canvas>
+                    <figcaption>
+                        <select id="history-diff-index">
+                            <option value="dNDVI">ΔNDVI</option>
+                            <option value="dNDWI">ΔNDWI</option>
+                        </select>
+                    </figcaption>
+                </figure>
+            </div>
+            <div class="diff-legend">
+                <span>−${this.DIFF_RANGE} decline</span>
+                <div class="diff-legend-bar"></div>
+                <span>+${this.DIFF_RANGE} gain</span>
+            </div>
+
+            <table class="comparison-table">
+                <thead>
+                    <tr><th>Zone (${this.formatDate(earlier.date)})</th><th>NDVI</th><th>ΔNDVI</th><th>NDWI</th><th>ΔNDWI</th><th>Trend</th></tr>
+                </thead>
+                <tbody>
+                    ${comparison.zones.map(zone => zone.covered ? `
+                        <tr>
+                            <td>${zone.id} · ${zone.name}</td>
+                            <td>${zone.ndviBefore.toFixed(3)} → ${zone.ndviAfter.toFixed(3)}</td>
+                            <td class="${zone.deltaNDVI >= 0 ? 'positive' : 'negative'}">${signed(zone.deltaNDVI)}</td>
+                            <td>${zone.ndwiBefore.toFixed(3)} → ${zone.ndwiAfter.toFixed(3)}</td>
+                            <td class="${zone.deltaNDWI >= 0 ? 'positive' : 'negative'}">${signed(zone.deltaNDWI)}</td>
+                            <td>${trendIcon[zone.trend]} ${Utils.string.capitalize(zone.trend)}</td>
+                        </tr>
+                    ` : `
+                        <tr><td>${zone.id} · ${zone.name}</td><td colspan="5" class="history-hint">Not covered by the later image</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const indexSelect = $('#history-diff-index');
+        indexSelect.addEventListener('change', () => this.drawDifferenceMap($('#history-diff-canvas'), comparison, indexSelect.value));
+        this.drawDifferenceMap($('#history-diff-canvas'), comparison, 'dNDVI');
+    },
+
+    // Diverging red (decline) → white → green (gain) heat map of a delta grid
+    drawDifferenceMap(canvas, comparison, key) {
+        const { cols, rows } = comparison;
+        const deltas = comparison[key];
+        canvas.width = cols;
+        canvas.height = rows;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(cols, rows);
+        const decline = [215, 48, 39];
+        const neutral = [247, 247, 247];
+        const gain = [26, 152, 80];
+
+        deltas.forEach((delta, i) => {
+            const p = i * 4;
+            if (Number.isNaN(delta)) return;
+
+            const t = Math.max(-1, Math.min(1, delta / this.DIFF_RANGE));
+            const end = t < 0 ? decline : gain;
+            for (let c = 0; c < 3; c++) {
+                image.data[p + c] = neutral[c] + (end[c] - neutral[c]) * Math.abs(t);
+            }
+            image.data[p + 3] = 255;
+        });
+
+        ctx.putImageData(image, 0, 0);
+    },
+
+    // Season trend of field-average NDVI and NDWI
+    createTrendChart(analyses) {
+        const width = 600;
+        const height = 200;
+        const pad = { top: 16, right: 16, bottom: 28, left: 40 };
+        const times = analyses.map(a => new Date(a.date).getTime());
+        const values = analyses.flatMap(a => [parseFloat(a.statistics.avgNDVI), parseFloat(a.statistics.avgNDWI)]);
+
+        const tMin = Math.min(...times);
+        const tSpan = Math.max(...times) - tMin || 1;
+        const vMin = Math.floor(Math.min(0, ...values) * 10) / 10;
+        const vMax = Math.ceil(Math.max(...values) * 10) / 10 || 1;
+
+        const x = (t) => analyses.length === 1 ? width / 2 : pad.left + ((t - tMin) / tSpan) * (width - pad.left - pad.right);
+        const y = (v) => pad.top + (1 - (v - vMin) / (vMax - vMin || 1)) * (height - pad.top - pad.bottom);
+
+        const series = [
+            { key: 'avgNDVI', label: 'NDVI', className: 'trend-ndvi' },
+            { key: 'avgNDWI', label: 'NDWI', className: 'trend-ndwi' }
+        ];
+
+        const gridLines = [vMin, (vMin + vMax) / 2, vMax].map(v => `
+            <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}" class="trend-grid"/>
+            <text x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end" class="trend-axis">${v.toFixed(1)}</text>
+        `).join('');
+
+        const lines = series.map(({ key, label, className }) => {
+            const points = analyses.map((a, i) => [x(times[i]), y(parseFloat(a.statistics[key]))]);
+            return `
+                <polyline points="${points.map(p => p.join(',')).join(' ')}" class="trend-line ${className}"/>
+                ${points.map(([px, py], i) => `
+                    <circle cx="${px}" cy="${py}" r="4" class="trend-point ${className}">
+                        <title>${label} ${analyses[i].statistics[key]} · ${this.formatDate(analyses[i].date)}</title>
+                    </circle>
+                `).join('')}
+            `;
+        }).join('');
+
+        const dateLabels = analyses.map((a, i) => `
+            <text x="${x(times[i])}" y="${height - 8}" text-anchor="middle" class="trend-axis">${this.formatDate(a.date, 'short')}</text>
+        `).join('');
+
+        return `
+            <div class="trend-legend">
+                <span class="trend-key trend-ndvi">NDVI</span>
+                <span class="trend-key trend-ndwi">NDWI</span>
+            </div>
+            <svg viewBox="0 0 ${width} ${height}" class="trend-chart" role="img" aria-label="Season trend of NDVI and NDWI">
+                ${gridLines}
+                ${lines}
+                ${dateLabels}
+            </svg>
+        `;
+    }
+};
+
+// Export
+window.FieldHistory = FieldHistory;
@@ -35,6 +35,7 @@ const GeminiAPI = {
         console.log('🌱 Gemini Request (via backend):', { model, contentLength: contents.length });
         
         try {
+            // Only a rejected fetch means the backend was unreachable - tag it so callers can fall back offline
             const response = await fetch(url, {
                 method: 'POST',
                 headers: {
@@ -51,6 +52,9 @@ const GeminiAPI = {
                         systemInstruction: options.systemInstruction
                     }
                 })
+            }).catch(error => {
+                error.isNetworkError = true;
+                throw error;
             });
             
             const data = await response.json();
@@ -112,6 +116,26 @@ const GeminiAPI = {
         return this.request(CONFIG.GEMINI_VISION_MODEL, contents, options);
     },
     
+    // Analyze several images together - each image is preceded by a text part naming it
+    // images: [{ data, mimeType, label }]
+    async analyzeImages(images, prompt, options = {}) {
+        const parts = [];
+        
+        images.forEach((image, i) => {
+            const cleanBase64 = image.data.includes(',') ? image.data.split(',')[1] : image.data;
+            parts.push({ text: `Image ${i + 1}: ${image.label}` });
+            parts.push({
+                inlineData: {
+                    mimeType: image.mimeType || 'image/jpeg',
+                    data: cleanBase64
+                }
+            });
+        });
+        parts.push({ text: prompt });
+        
+        return this.request(CONFIG.GEMINI_VISION_MODEL, [{ role: 'user', parts }], options);
+    },
+    
     // Multi-turn conversation
     async chat(messages, options = {}) {
         const contents = messages.map(msg => ({
@@ -179,6 +203,36 @@ const GeminiAPI = {
         return result;
     },
     
+    // Pest/Disease Diagnosis from several views of one plant (upper leaf, underside, stem, ...)
+    // images: [{ data, mimeType, label }] - a single image falls back to diagnosePlant
+    async diagnosePlantViews(images, additionalContext = '') {
+        if (images.length === 1) {
+            return this.diagnosePlant(images[0].data, images[0].mimeType, additionalContext);
+        }
+        
+        let prompt = PROMPTS.PEST_DIAGNOSIS + '\n\n' + PROMPTS.MULTI_VIEW_DIAGNOSIS
+            .replace('{count}', images.length)
+            .replace('{views}', images.map((image, i) => `- Image ${i + 1}: ${image.label}`).join('\n'));
+        
+        if (additionalContext) {
+            prompt += `\n\nAdditional context from farmer: ${additionalContext}`;
+        }
+        
+        console.log(`🔬 Starting multi-view plant diagnosis (${images.length} photos)...`);
+        
+        const response = await this.analyzeImages(images, prompt, {
+            temperature: 0.2,
+            maxTokens: 8192
+        });
+        
+        console.log('📝 Raw AI Response:', response);
+        
+        const result = Utils.extractJSON(response);
+        console.log('🧬 Parsed Result:', result);
+        
+        return result;
+    },
+    
     // Early Stress Detection - Analyze crop imagery
     async analyzeStress(imageBase64, mimeType) {
         const prompt = PROMPTS.STRESS_DETECTION;
@@ -224,6 +278,11 @@ IMPORTANT: Use the above stress analysis to provide CONTEXT-AWARE recommendation
             prompt += `\n\nCurrent Weather Context:\n${JSON.stringify(farmData.weatherData, null, 2)}`;
         }
         
+        // Add degree-day pest phenology if a model is set
+        if (farmData.phenology) {
+            prompt += `\n\nDegree-Day Pest Phenology (align riskTimeline, sprayProtocol timing and actionCalendar with these stage dates):\n${JSON.stringify(Phenology.summarize(farmData.phenology), null, 2)}`;
+        }
+        
         console.log('🎯 Generating context-aware IPM strategy...');
         
         const response = await this.generateText(prompt, {
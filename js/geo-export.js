@@ -0,0 +1,737 @@
+// Geospatial Export for KrishiMitra
+// Georeferences analysis rasters and writes zones/stress areas as GeoJSON, KML and zipped Shapefile
+
+const GeoExport = {
+    EARTH_RADIUS: 6378137,
+    METERS_PER_DEGREE: 111320,
+
+    // WGS84 projection file written alongside shapefiles
+    WGS84_PRJ: 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+
+    // ===========================
+    // GEOREFERENCING
+    // ===========================
+
+    // Build a georeference from GeoTIFF tags; pixel coordinates are raster edges (0..width, 0..height)
+    fromGeoTiff(tags, width, height) {
+        const T = TiffReader.TAGS;
+        const scale = tags[T.MODEL_PIXEL_SCALE];
+        const tiepoint = tags[T.MODEL_TIEPOINT];
+        const matrix = tags[T.MODEL_TRANSFORMATION];
+
+        let toModel, fromModel;
+        if (Array.isArray(matrix) && matrix.length >= 8) {
+            const [a, b, , c, d, e, , f] = matrix;
+            const det = a * e - b * d;
+            toModel = (px, py) => [a * px + b * py + c, d * px + e * py + f];
+            fromModel = (x, y) => [(e * (x - c) - b * (y - f)) / det, (a * (y - f) - d * (x - c)) / det];
+        } else if (Array.isArray(scale) && Array.isArray(tiepoint) && tiepoint.length >= 6) {
+            const [i, j, , x, y] = tiepoint;
+            toModel = (px, py) => [x + (px - i) * scale[0], y - (py - j) * scale[1]];
+            fromModel = (mx, my) => [i + (mx - x) / scale[0], j + (y - my) / scale[1]];
+        } else {
+            return null;
+        }
+
+        const keys = this.readGeoKeys(tags);
+
+        // PixelIsPoint rasters reference pixel centers rather than corners
+        const shift = keys[1025] === 2 ? 0.5 : 0;
+        const epsg = keys[3072] || keys[2048] || (keys[1024] === 2 ? 4326 : null);
+        const projection = this.getProjection(epsg);
+
+        if (!projection) {
+            console.warn(`Unsupported GeoTIFF CRS: EPSG:${epsg || 'unknown'}`);
+            return null;
+        }
+
+        const georef = {
+            source: 'geotiff',
+            crs: `EPSG:${epsg}`,
+            description: `GeoTIFF (EPSG:${epsg})`,
+            width,
+            height,
+            toLonLat: (px, py) => projection.toLonLat(...toModel(px - shift, py - shift)),
+            toPixel: (lon, lat) => {
+                const [px, py] = fromModel(...projection.fromLonLat(lon, lat));
+                return [px + shift, py + shift];
+            }
+        };
+        georef.gsd = this.measureGSD(georef);
+        return georef;
+    },
+
+    // Decode the GeoKeyDirectory into { keyId: value } (numeric keys only)
+    readGeoKeys(tags) {
+        const directory = tags[TiffReader.TAGS.GEO_KEY_DIRECTORY];
+        const doubles = tags[TiffReader.TAGS.GEO_DOUBLE_PARAMS] || [];
+        const keys = {};
+        if (!Array.isArray(directory) || directory.length < 4) return keys;
+
+        for (let i = 0; i < directory[3]; i++) {
+            const [keyId, location, count, value] = directory.slice(4 + i * 4, 8 + i * 4);
+            if (location === 0) {
+                keys[keyId] = value;
+            } else if (location === TiffReader.TAGS.GEO_DOUBLE_PARAMS && count === 1) {
+                keys[keyId] = doubles[value];
+            }
+        }
+        return keys;
+    },
+
+    // Model ⇄ WGS84 converters for the CRSs drone orthomosaics are usually delivered in
+    getProjection(epsg) {
+        const R = this.EARTH_RADIUS;
+        const DEG = 180 / Math.PI;
+
+        if (epsg === 4326) {
+            return {
+                toLonLat: (x, y) => [x, y],
+                fromLonLat: (lon, lat) => [lon, lat]
+            };
+        }
+        if (epsg === 3857 || epsg === 900913) {
+            return {
+                toLonLat: (x, y) => [(x / R) * DEG, (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) * DEG],
+                fromLonLat: (lon, lat) => [R * lon / DEG, R * Math.log(Math.tan(Math.PI / 4 + lat / DEG / 2))]
+            };
+        }
+        if ((epsg > 32600 && epsg <= 32660) || (epsg > 32700 && epsg <= 32760)) {
+            const zone = epsg % 100;
+            const south = epsg > 32700;
+            return {
+                toLonLat: (x, y) => this.utmToLonLat(x, y, zone, south),
+                fromLonLat: (lon, lat) => this.lonLatToUtm(lon, lat, zone, south)
+            };
+        }
+        return null;
+    },
+
+    // Forward transverse Mercator for WGS84 UTM zones
+    lonLatToUtm(lon, lat, zone, south) {
+        const a = this.EARTH_RADIUS;
+        const f = 1 / 298.257223563;
+        const k0 = 0.9996;
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+
+        const phi = lat * Math.PI / 180;
+        const lambda0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+        const n = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        const t = Math.tan(phi) * Math.tan(phi);
+        const c = ep2 * cosPhi * cosPhi;
+        const A = cosPhi * (lon * Math.PI / 180 - lambda0);
+
+        const m = a * (
+            (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * Math.pow(e2, 3) / 256) * phi -
+            (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * Math.pow(e2, 3) / 1024) * Math.sin(2 * phi) +
+            (15 * e2 * e2 / 256 + 45 * Math.pow(e2, 3) / 1024) * Math.sin(4 * phi) -
+            (35 * Math.pow(e2, 3) / 3072) * Math.sin(6 * phi)
+        );
+
+        const easting = 500000 + k0 * n * (
+            A + (1 - t + c) * Math.pow(A, 3) / 6 +
+            (5 - 18 * t + t * t + 72 * c - 58 * ep2) * Math.pow(A, 5) / 120
+        );
+        const northing = k0 * (m + n * Math.tan(phi) * (
+            A * A / 2 +
+            (5 - t + 9 * c + 4 * c * c) * Math.pow(A, 4) / 24 +
+            (61 - 58 * t + t * t + 600 * c - 330 * ep2) * Math.pow(A, 6) / 720
+        ));
+
+        return [easting, south ? northing + 10000000 : northing];
+    },
+
+    // Inverse transverse Mercator for WGS84 UTM zones
+    utmToLonLat(easting, northing, zone, south) {
+        const a = this.EARTH_RADIUS;
+        const f = 1 / 298.257223563;
+        const k0 = 0.9996;
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+        const x = easting - 500000;
+        const y = south ? northing - 10000000 : northing;
+
+        const mu = (y / k0) / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+        const phi1 = mu +
+            (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+            (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+            (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+            (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+        const sinPhi = Math.sin(phi1);
+        const cosPhi = Math.cos(phi1);
+        const tanPhi = Math.tan(phi1);
+        const n1 = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        const t1 = tanPhi * tanPhi;
+        const c1 = ep2 * cosPhi * cosPhi;
+        const r1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+        const d = x / (n1 * k0);
+
+        const lat = phi1 - (n1 * tanPhi / r1) * (
+            d * d / 2 -
+            (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+            (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+        );
+        const lon = (d -
+            (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+            (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+        ) / cosPhi;
+
+        const centralMeridian = (zone - 1) * 6 - 180 + 3;
+        return [centralMeridian + lon * 180 / Math.PI, lat * 180 / Math.PI];
+    },
+
+    // Build a georeference for a nadir drone photo from EXIF GPS, flight altitude and camera geometry
+    // fallbackAltitude (m above ground) is used when the photo has no RelativeAltitude
+    fromExif(meta, width, height, fallbackAltitude = null) {
+        if (!meta?.hasGPS) return null;
+
+        const altitude = meta.relativeAltitude || fallbackAltitude;
+        if (!altitude || altitude <= 0) {
+            console.warn('No above-ground flight altitude in metadata - cannot scale image to ground');
+            return null;
+        }
+
+        // Oblique shots can't be mapped with a flat footprint
+        if (meta.gimbalPitch !== null && meta.gimbalPitch !== undefined && Math.abs(meta.gimbalPitch + 90) > 15) {
+            console.warn('Camera is not pointing straight down - skipping georeference');
+            return null;
+        }
+
+        // Ground sample distance (m/px) from sensor width, else from the 35mm-equivalent focal length
+        let gsd = null;
+        if (meta.sensorWidth && meta.focalLength) {
+            gsd = (meta.sensorWidth * altitude) / (meta.focalLength * width);
+        } else if (meta.focalLength35) {
+            const groundDiagonal = altitude * 43.27 / meta.focalLength35;
+            gsd = groundDiagonal / Math.hypot(width, height);
+        }
+        if (!gsd) return null;
+
+        const heading = (meta.heading || 0) * Math.PI / 180;
+        const cosH = Math.cos(heading);
+        const sinH = Math.sin(heading);
+        const metersPerLon = this.METERS_PER_DEGREE * Math.cos(meta.latitude * Math.PI / 180);
+
+        return {
+            source: 'exif',
+            crs: 'EPSG:4326',
+            description: `Photo GPS · ${altitude.toFixed(0)}m AGL · ${(gsd * 100).toFixed(1)}cm/px`,
+            width,
+            height,
+            gsd,
+            // Image top points along the heading; rotate pixel offsets from the center into east/north
+            toLonLat: (px, py) => {
+                const right = (px - width / 2) * gsd;
+                const up = (height / 2 - py) * gsd;
+                const east = right * cosH + up * sinH;
+                const north = -right * sinH + up * cosH;
+                return [
+                    meta.longitude + east / metersPerLon,
+                    meta.latitude + north / this.METERS_PER_DEGREE
+                ];
+            },
+            toPixel: (lon, lat) => {
+                const east = (lon - meta.longitude) * metersPerLon;
+                const north = (lat - meta.latitude) * this.METERS_PER_DEGREE;
+                const right = east * cosH - north * sinH;
+                const up = east * sinH + north * cosH;
+                return [width / 2 + right / gsd, height / 2 - up / gsd];
+            }
+        };
+    },
+
+    // North-up raster on a local metric grid: origin is [lon, lat], west/north are the raster's
+    // top-left corner in meters east/north of the origin
+    fromLocalGrid({ origin, west, north, gsd, width, height, description }) {
+        const [lon0, lat0] = origin;
+        const metersPerLon = this.METERS_PER_DEGREE * Math.cos(lat0 * Math.PI / 180);
+
+        return {
+            source: 'mosaic',
+            crs: 'EPSG:4326',
+            description,
+            width,
+            height,
+            gsd,
+            toLonLat: (px, py) => [
+                lon0 + (west + px * gsd) / metersPerLon,
+                lat0 + (north - py * gsd) / this.METERS_PER_DEGREE
+            ],
+            toPixel: (lon, lat) => [
+                ((lon - lon0) * metersPerLon - west) / gsd,
+                (north - (lat - lat0) * this.METERS_PER_DEGREE) / gsd
+            ]
+        };
+    },
+
+    // Approximate ground size of one pixel in meters
+    measureGSD(georef) {
+        const [lon1, lat1] = georef.toLonLat(0, 0);
+        const [lon2, lat2] = georef.toLonLat(1, 0);
+        const dx = (lon2 - lon1) * this.METERS_PER_DEGREE * Math.cos(lat1 * Math.PI / 180);
+        const dy = (lat2 - lat1) * this.METERS_PER_DEGREE;
+        return Math.hypot(dx, dy);
+    },
+
+    // ===========================
+    // RASTER → POLYGONS
+    // ===========================
+
+    // 4-connected component labeling; cells with class `ignore` get label -1
+    labelComponents(classes, cols, rows, ignore = 255) {
+        const labels = new Int32Array(cols * rows).fill(-1);
+        const stack = new Int32Array(cols * rows);
+        let count = 0;
+
+        for (let start = 0; start < classes.length; start++) {
+            if (labels[start] !== -1 || classes[start] === ignore) continue;
+
+            const value = classes[start];
+            let top = 0;
+            stack[top++] = start;
+            labels[start] = count;
+
+            while (top > 0) {
+                const cell = stack[--top];
+                const x = cell % cols;
+                const y = (cell - x) / cols;
+                const neighbors = [
+                    x > 0 ? cell - 1 : -1,
+                    x < cols - 1 ? cell + 1 : -1,
+                    y > 0 ? cell - cols : -1,
+                    y < rows - 1 ? cell + cols : -1
+                ];
+                for (const n of neighbors) {
+                    if (n >= 0 && labels[n] === -1 && classes[n] === value) {
+                        labels[n] = count;
+                        stack[top++] = n;
+                    }
+                }
+            }
+            count++;
+        }
+
+        return { labels, count };
+    },
+
+    // Trace the boundary of every labeled region into polygons ([outer, ...holes] in grid vertex coordinates)
+    // Edges run clockwise on screen (region on the right); at pinch points we turn right so diagonal cells stay separate
+    traceRegions(labels, cols, rows) {
+        const stride = cols + 1;
+        const STEP = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const edgesByLabel = new Map();
+
+        const addEdge = (label, vx, vy, dir) => {
+            if (!edgesByLabel.has(label)) edgesByLabel.set(label, new Map());
+            const edges = edgesByLabel.get(label);
+            const key = vy * stride + vx;
+            if (!edges.has(key)) edges.set(key, []);
+            edges.get(key).push(dir);
+        };
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const label = labels[y * cols + x];
+                if (label < 0) continue;
+                if (y === 0 || labels[(y - 1) * cols + x] !== label) addEdge(label, x, y, 0);
+                if (x === cols - 1 || labels[y * cols + x + 1] !== label) addEdge(label, x + 1, y, 1);
+                if (y === rows - 1 || labels[(y + 1) * cols + x] !== label) addEdge(label, x + 1, y + 1, 2);
+                if (x === 0 || labels[y * cols + x - 1] !== label) addEdge(label, x, y + 1, 3);
+            }
+        }
+
+        const polygons = new Map();
+
+        edgesByLabel.forEach((edges, label) => {
+            const rings = [];
+
+            for (const [startKey, startDirs] of edges) {
+                while (startDirs.length) {
+                    const startDir = startDirs.shift();
+                    const ring = [[startKey % stride, Math.floor(startKey / stride)]];
+                    let key = startKey;
+                    let dir = startDir;
+
+                    for (;;) {
+                        let vx = key % stride;
+                        let vy = Math.floor(key / stride);
+                        vx += STEP[dir][0];
+                        vy += STEP[dir][1];
+                        key = vy * stride + vx;
+
+                        // The starting edge is still a valid way out until the ring closes through it
+                        const options = edges.get(key) || [];
+                        const available = key === startKey ? [...options, startDir] : options;
+                        const next = [(dir + 1) % 4, dir, (dir + 3) % 4].find(d => available.includes(d));
+                        if (next === undefined) break;
+
+                        if (key === startKey && next === startDir) break;
+                        options.splice(options.indexOf(next), 1);
+
+                        if (next !== dir) ring.push([vx, vy]);
+                        dir = next;
+                    }
+
+                    ring.push([...ring[0]]);
+                    rings.push(ring);
+                }
+            }
+
+            // Largest ring is the outer boundary; the rest are holes
+            rings.sort((a, b) => Math.abs(this.ringArea(b)) - Math.abs(this.ringArea(a)));
+            polygons.set(label, rings);
+        });
+
+        return polygons;
+    },
+
+    // Signed area (shoelace) - positive is counter-clockwise with y pointing up
+    ringArea(ring) {
+        let area = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+        }
+        return area / 2;
+    },
+
+    // ===========================
+    // WRITERS
+    // ===========================
+
+    // Convert pixel-space features ({ rings: [[ [px, py] ]], properties }) to a WGS84 FeatureCollection
+    // Rings follow the GeoJSON right-hand rule: outer counter-clockwise, holes clockwise
+    toGeoJSON(features, georef, name = 'KrishiMitra export') {
+        return {
+            type: 'FeatureCollection',
+            name,
+            features: features.map(feature => ({
+                type: 'Feature',
+                properties: feature.properties,
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: feature.rings.map((ring, i) => {
+                        const projected = ring.map(([px, py]) => georef.toLonLat(px, py).map(v => +v.toFixed(8)));
+                        const ccw = this.ringArea(projected) > 0;
+                        return (i === 0) === ccw ? projected : projected.reverse();
+                    })
+                }
+            }))
+        };
+    },
+
+    // KML document with one folder per layer ({ name, geojson }) and a styled placemark per feature
+    toKML(layers, name = 'KrishiMitra export') {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        // KML colors are aabbggrr
+        const toKMLColor = (hex, alpha) => {
+            const clean = (hex || '#4caf50').replace('#', '');
+            return alpha + clean.slice(4, 6) + clean.slice(2, 4) + clean.slice(0, 2);
+        };
+
+        const coords = (ring) => ring.map(([lon, lat]) => `${lon},${lat},0`).join(' ');
+
+        const placemark = (feature) => {
+            const { fill, ...attributes } = feature.properties;
+            const [outer, ...holes] = feature.geometry.coordinates;
+
+            return `
+      <Placemark>
+        <name>${escape(attributes.name || attributes.stressClass || 'Area')}</name>
+        <Style>
+          <LineStyle><color>${toKMLColor(fill, 'ff')}</color><width>2</width></LineStyle>
+          <PolyStyle><color>${toKMLColor(fill, '80')}</color></PolyStyle>
+        </Style>
+        <ExtendedData>
+${Object.entries(attributes).map(([key, value]) => `          <Data name="${escape(key)}"><value>${escape(value)}</value></Data>`).join('\n')}
+        </ExtendedData>
+        <Polygon>
+          <outerBoundaryIs><LinearRing><coordinates>${coords(outer)}</coordinates></LinearRing></outerBoundaryIs>
+${holes.map(hole => `          <innerBoundaryIs><LinearRing><coordinates>${coords(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('\n')}
+        </Polygon>
+      </Placemark>`;
+        };
+
+        const folders = layers.map(layer => `
+    <Folder>
+      <name>${escape(layer.name)}</name>${layer.geojson.features.map(placemark).join('')}
+    </Folder>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escape(name)}</name>${folders}
+  </Document>
+</kml>
+`;
+    },
+
+    // Shapefile components (.shp/.shx/.dbf/.prj/.cpg) for one polygon layer
+    toShapefile(geojson, layerName) {
+        const features = geojson.features;
+
+        // Shapefile rings run the other way: outer clockwise, holes counter-clockwise
+        const shapes = features.map(feature => feature.geometry.coordinates.map(ring => [...ring].reverse()));
+
+        const recordSizes = shapes.map(rings => {
+            const points = rings.reduce((sum, ring) => sum + ring.length, 0);
+            return 44 + rings.length * 4 + points * 16;
+        });
+        const shpLength = 100 + recordSizes.reduce((sum, size) => sum + 8 + size, 0);
+        const shxLength = 100 + shapes.length * 8;
+
+        const shp = new DataView(new ArrayBuffer(shpLength));
+        const shx = new DataView(new ArrayBuffer(shxLength));
+
+        const allPoints = shapes.flat(2);
+        const bbox = this.getBBox(allPoints);
+        this.writeShapeHeader(shp, shpLength, bbox);
+        this.writeShapeHeader(shx, shxLength, bbox);
+
+        let offset = 100;
+        shapes.forEach((rings, i) => {
+            const box = this.getBBox(rings.flat());
+            const points = rings.flat();
+
+            shx.setInt32(100 + i * 8, offset / 2);
+            shx.setInt32(104 + i * 8, recordSizes[i] / 2);
+
+            shp.setInt32(offset, i + 1);
+            shp.setInt32(offset + 4, recordSizes[i] / 2);
+            let pos = offset + 8;
+            shp.setInt32(pos, 5, true);
+            box.forEach((value, j) => shp.setFloat64(pos + 4 + j * 8, value, true));
+            shp.setInt32(pos + 36, rings.length, true);
+            shp.setInt32(pos + 40, points.length, true);
+            pos += 44;
+
+            let partStart = 0;
+            rings.forEach(ring => {
+                shp.setInt32(pos, partStart, true);
+                pos += 4;
+                partStart += ring.length;
+            });
+            points.forEach(([x, y]) => {
+                shp.setFloat64(pos, x, true);
+                shp.setFloat64(pos + 8, y, true);
+                pos += 16;
+            });
+
+            offset += 8 + recordSizes[i];
+        });
+
+        const encoder = new TextEncoder();
+        return [
+            { name: `${layerName}.shp`, data: new Uint8Array(shp.buffer) },
+            { name: `${layerName}.shx`, data: new Uint8Array(shx.buffer) },
+            { name: `${layerName}.dbf`, data: this.writeDBF(features.map(f => f.properties)) },
+            { name: `${layerName}.prj`, data: encoder.encode(this.WGS84_PRJ) },
+            { name: `${layerName}.cpg`, data: encoder.encode('UTF-8') }
+        ];
+    },
+
+    // Bounding box [xmin, ymin, xmax, ymax]
+    getBBox(points) {
+        if (!points.length) return [0, 0, 0, 0];
+        return points.reduce(([minX, minY, maxX, maxY], [x, y]) => [
+            Math.min(minX, x), Math.min(minY, y), Math.max(maxX, x), Math.max(maxY, y)
+        ], [Infinity, Infinity, -Infinity, -Infinity]);
+    },
+
+    // 100-byte header shared by .shp and .shx
+    writeShapeHeader(view, byteLength, bbox) {
+        view.setInt32(0, 9994);
+        view.setInt32(24, byteLength / 2);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, 5, true);
+        bbox.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+    },
+
+    // dBASE III attribute table; field names are cut to 10 characters as the format requires
+    writeDBF(rows) {
+        const encoder = new TextEncoder();
+        const keys = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const usedNames = new Set();
+
+        const fields = keys.map(key => {
+            const values = rows.map(row => row[key]).filter(v => v !== undefined && v !== null);
+            const numeric = values.length > 0 && values.every(v => typeof v === 'number' && Number.isFinite(v));
+
+            let name = key.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10);
+            for (let n = 1; usedNames.has(name.toUpperCase()); n++) {
+                name = name.slice(0, 10 - String(n).length) + n;
+            }
+            usedNames.add(name.toUpperCase());
+
+            if (numeric) {
+                const decimals = values.some(v => !Number.isInteger(v)) ? 4 : 0;
+                return { key, name, type: 'N', length: 18, decimals };
+            }
+            const longest = Math.max(1, ...values.map(v => encoder.encode(String(v)).length));
+            return { key, name, type: 'C', length: Math.min(254, longest), decimals: 0 };
+        });
+
+        const headerLength = 32 + fields.length * 32 + 1;
+        const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+        const bytes = new Uint8Array(headerLength + rows.length * recordLength + 1);
+        const view = new DataView(bytes.buffer);
+        const now = new Date();
+
+        bytes[0] = 0x03;
+        bytes[1] = now.getFullYear() - 1900;
+        bytes[2] = now.getMonth() + 1;
+        bytes[3] = now.getDate();
+        view.setUint32(4, rows.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        fields.forEach((field, i) => {
+            const base = 32 + i * 32;
+            bytes.set(encoder.encode(field.name), base);
+            bytes[base + 11] = field.type.charCodeAt(0);
+            bytes[base + 16] = field.length;
+            bytes[base + 17] = field.decimals;
+        });
+        bytes[headerLength - 1] = 0x0D;
+
+        rows.forEach((row, r) => {
+            let pos = headerLength + r * recordLength;
+            bytes[pos++] = 0x20;
+
+            fields.forEach(field => {
+                const value = row[field.key];
+                let text;
+                if (value === undefined || value === null) {
+                    text = ''.padEnd(field.length);
+                } else if (field.type === 'N') {
+                    text = value.toFixed(field.decimals).padStart(field.length).slice(-field.length);
+                } else {
+                    text = String(value);
+                }
+
+                // Truncate on whole characters so multi-byte text stays valid
+                let encoded = encoder.encode(text);
+                while (encoded.length > field.length) {
+                    text = text.slice(0, -1);
+                    encoded = encoder.encode(text);
+                }
+                bytes.fill(0x20, pos, pos + field.length);
+                bytes.set(encoded, pos);
+                pos += field.length;
+            });
+        });
+        bytes[bytes.length - 1] = 0x1A;
+
+        return bytes;
+    },
+
+    // ===========================
+    // ZIP (store only)
+    // ===========================
+
+    // CRC32 lookup table (built on first use)
+    crcTable: null,
+
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    // Bundle files ({ name, data: Uint8Array }) into an uncompressed zip archive
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const entries = files.map(file => ({
+            name: encoder.encode(file.name),
+            data: file.data,
+            crc: this.crc32(file.data)
+        }));
+
+        const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+        const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 0x0800, true);
+            view.setUint16(offset + 10, dosTime, true);
+            view.setUint16(offset + 12, dosDate, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralStart = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 12, dosTime, true);
+            view.setUint16(offset + 14, dosDate, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+
+        return new Blob([bytes], { type: 'application/zip' });
+    },
+
+    // Trigger a browser download
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Export
+window.GeoExport = GeoExport;
@@ -0,0 +1,230 @@
+// Image Quality Gate for KrishiMitra
+// Focus, exposure, resolution and plant coverage checks before a photo is diagnosed or analysed
+
+const ImageQuality = {
+    SAMPLE_SIZE: 512,       // px - longest side measured; thresholds below assume this scale
+    GRID: 3,                // Focus is the sharpest block of a 3×3 grid, so a blurred background is fine
+    CLIP_LOW: 8,            // Luminance at or below reads as crushed black
+    CLIP_HIGH: 247,         // Luminance at or above reads as blown highlight
+    PLANT_EXG: 0.05,        // Excess-green (2g - r - b on chromatic coordinates) above this is plant
+
+    // [poor below, good at or above] for higher-is-better checks, [good up to, poor above] for clipping
+    THRESHOLDS: {
+        diagnosis: {
+            sharpness: [30, 80],
+            clipping: [0.05, 0.2],
+            megapixels: [0.3, 1],
+            coverage: [0.08, 0.2]
+        },
+        field: {
+            sharpness: [20, 60],
+            clipping: [0.05, 0.2],
+            megapixels: [0.5, 2],
+            coverage: null
+        }
+    },
+
+    STATUS_SCORE: { good: 100, fair: 60, poor: 15 },
+
+    // Measure an image (Blob/File, or anything drawImage accepts) for diagnosis or field analysis
+    // Returns { score, verdict: 'ok' | 'warn' | 'reject', checks, ... }
+    async assess(source, { purpose = 'diagnosis' } = {}) {
+        const bitmap = source instanceof Blob ? await createImageBitmap(source) : source;
+        const width = bitmap.width;
+        const height = bitmap.height;
+        const scale = Math.min(1, this.SAMPLE_SIZE / Math.max(width, height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        if (source instanceof Blob) bitmap.close();
+
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const metrics = this.measure(data, canvas.width, canvas.height);
+
+        return this.evaluate({ ...metrics, width, height, megapixels: width * height / 1e6 }, purpose);
+    },
+
+    // Raw metrics from RGBA pixels
+    measure(data, width, height) {
+        const count = width * height;
+        const gray = new Float32Array(count);
+        let overexposed = 0;
+        let underexposed = 0;
+        let brightness = 0;
+        let plant = 0;
+
+        for (let i = 0; i < count; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const y = 0.299 * r + 0.587 * g + 0.114 * b;
+
+            gray[i] = y;
+            brightness += y;
+            if (y >= this.CLIP_HIGH) overexposed++;
+            if (y <= this.CLIP_LOW) underexposed++;
+
+            const sum = r + g + b;
+            if (sum > 30 && (2 * g - r - b) / sum > this.PLANT_EXG) plant++;
+        }
+
+        return {
+            sharpness: this.sharpness(gray, width, height),
+            overexposed: overexposed / count,
+            underexposed: underexposed / count,
+            brightness: brightness / count,
+            coverage: plant / count
+        };
+    },
+
+    // Variance of the Laplacian, taking the sharpest grid block
+    sharpness(gray, width, height) {
+        const n = this.GRID;
+        const sums = new Float64Array(n * n);
+        const sumsSq = new Float64Array(n * n);
+        const counts = new Uint32Array(n * n);
+
+        for (let y = 1; y < height - 1; y++) {
+            const row = Math.min(n - 1, Math.floor(y * n / height));
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const lap = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width];
+                const block = row * n + Math.min(n - 1, Math.floor(x * n / width));
+                sums[block] += lap;
+                sumsSq[block] += lap * lap;
+                counts[block]++;
+            }
+        }
+
+        let best = 0;
+        for (let block = 0; block < n * n; block++) {
+            if (!counts[block]) continue;
+            const mean = sums[block] / counts[block];
+            best = Math.max(best, sumsSq[block] / counts[block] - mean * mean);
+        }
+        return best;
+    },
+
+    // Grade each metric and attach retake guidance
+    evaluate(metrics, purpose) {
+        const t = this.THRESHOLDS[purpose] || this.THRESHOLDS.diagnosis;
+        const higher = (value, [poor, good]) => value >= good ? 'good' : value >= poor ? 'fair' : 'poor';
+        const lower = (value, [good, poor]) => value <= good ? 'good' : value <= poor ? 'fair' : 'poor';
+        const checks = [];
+
+        const focus = higher(metrics.sharpness, t.sharpness);
+        checks.push({
+            id: 'focus',
+            label: 'Focus',
+            value: Math.round(metrics.sharpness),
+            display: focus === 'good' ? 'Sharp' : focus === 'fair' ? 'Slightly soft' : 'Blurry',
+            status: focus,
+            blocking: true,
+            advice: focus === 'good' ? '' : purpose === 'field' ?
+                'Motion blur or haze - fly slower, use a faster shutter or wait for calmer air' :
+                'Hold the phone steady, tap the affected area to focus, and retake from 20-30 cm'
+        });
+
+        const clipped = Math.max(metrics.overexposed, metrics.underexposed);
+        const exposure = lower(clipped, t.clipping);
+        const bright = metrics.overexposed >= metrics.underexposed;
+        checks.push({
+            id: 'exposure',
+            label: 'Exposure',
+            value: +clipped.toFixed(3),
+            display: exposure === 'good' ? 'Balanced' : `${Math.round(clipped * 100)}% ${bright ? 'blown out' : 'too dark'}`,
+            status: exposure,
+            blocking: true,
+            advice: exposure === 'good' ? '' : bright ?
+                (purpose === 'field' ? 'Highlights are clipped - lower the exposure or avoid sun glint' : 'Too bright - shade the leaf with your body or avoid harsh midday sun') :
+                (purpose === 'field' ? 'Shadows are crushed - raise the exposure or fly in better light' : 'Too dark - move into better light or turn towards the sun')
+        });
+
+        const resolution = higher(metrics.megapixels, t.megapixels);
+        checks.push({
+            id: 'resolution',
+            label: 'Resolution',
+            value: +metrics.megapixels.toFixed(2),
+            display: `${metrics.width}×${metrics.height}`,
+            status: resolution,
+            blocking: true,
+            advice: resolution === 'good' ? '' : 'Use the camera at full resolution - not a screenshot, thumbnail or image forwarded by a messaging app'
+        });
+
+        if (t.coverage) {
+            const coverage = higher(metrics.coverage, t.coverage);
+            checks.push({
+                id: 'coverage',
+                label: 'Plant in frame',
+                value: +metrics.coverage.toFixed(3),
+                display: `${Math.round(metrics.coverage * 100)}% green tissue`,
+                status: coverage,
+                blocking: true,
+                advice: coverage === 'good' ? '' : 'Move closer so the affected leaf, stem or fruit fills most of the photo'
+            });
+        }
+
+        const score = Math.round(checks.reduce((sum, c) => sum + this.STATUS_SCORE[c.status], 0) / checks.length);
+        const verdict = checks.some(c => c.status === 'poor' && c.blocking) ? 'reject' :
+                        checks.some(c => c.status !== 'good') ? 'warn' : 'ok';
+
+        return {
+            purpose,
+            score,
+            verdict,
+            width: metrics.width,
+            height: metrics.height,
+            megapixels: +metrics.megapixels.toFixed(2),
+            sharpness: Math.round(metrics.sharpness),
+            overexposed: +metrics.overexposed.toFixed(3),
+            underexposed: +metrics.underexposed.toFixed(3),
+            brightness: Math.round(metrics.brightness),
+            coverage: +metrics.coverage.toFixed(3),
+            checks,
+            assessedAt: new Date().toISOString()
+        };
+    },
+
+    // Retake guidance for the failing checks, as one sentence list
+    getAdvice(quality) {
+        return quality.checks
+            .filter(c => c.status !== 'good' && c.advice)
+            .map(c => c.advice)
+            .join('. ');
+    },
+
+    // Report card HTML shown under the preview
+    renderReport(quality) {
+        const verdicts = {
+            ok: { icon: '✅', label: 'Good photo' },
+            warn: { icon: '⚠️', label: 'Usable, could be better' },
+            reject: { icon: '🚫', label: 'Retake recommended' }
+        };
+        const statusIcons = { good: '✓', fair: '!', poor: '✗' };
+        const verdict = verdicts[quality.verdict];
+
+        return `
+            <div class="quality-report ${quality.verdict}">
+                <div class="quality-header">
+                    <strong>${verdict.icon} ${verdict.label}</strong>
+                    <span class="quality-score">${quality.score}/100</span>
+                </div>
+                <ul class="quality-checks">
+                    ${quality.checks.map(c => `
+                        <li class="${c.status}">
+                            <span class="quality-check-name">${statusIcons[c.status]} ${c.label}</span>
+                            <span class="quality-check-value">${c.display}</span>
+                            ${c.advice ? `<small>${c.advice}</small>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+};
+
+// Export
+window.ImageQuality = ImageQuality;
@@ -0,0 +1,539 @@
+// Irrigation Scheduling for KrishiMitra
+// FAO-56 Penman-Monteith reference evapotranspiration (ET₀) from WeatherAPI, crop coefficients by growth stage
+// and a daily root-zone water balance per field - when to irrigate and how much
+
+const Irrigation = {
+    // FAO-56 Table 19 mid-range water contents (m³/m³) at field capacity and wilting point
+    SOILS: {
+        sand: { name: 'Sand', fc: 0.12, wp: 0.045 },
+        loamySand: { name: 'Loamy sand', fc: 0.15, wp: 0.065 },
+        sandyLoam: { name: 'Sandy loam', fc: 0.23, wp: 0.11 },
+        loam: { name: 'Loam', fc: 0.25, wp: 0.12 },
+        siltLoam: { name: 'Silt loam', fc: 0.29, wp: 0.15 },
+        siltyClayLoam: { name: 'Silty clay loam', fc: 0.335, wp: 0.195 },
+        clay: { name: 'Clay', fc: 0.36, wp: 0.22 }
+    },
+
+    // FAO-56 Tables 11, 12 and 22, keyed like The Strategist's crop list
+    // kc: [initial, mid-season, end]; stages: days in initial, development, mid-season, late season;
+    // root: maximum effective rooting depth (m); p: fraction of available water used before stress
+    CROPS: {
+        wheat: { name: 'Wheat', kc: [0.3, 1.15, 0.3], stages: [15, 25, 50, 30], root: 1.2, p: 0.55 },
+        maize: { name: 'Maize', kc: [0.3, 1.2, 0.35], stages: [25, 40, 45, 30], root: 1.2, p: 0.55 },
+        jowar: { name: 'Sorghum', kc: [0.3, 1.05, 0.55], stages: [20, 35, 40, 30], root: 1.2, p: 0.55 },
+        bajra: { name: 'Pearl millet', kc: [0.3, 1.0, 0.3], stages: [15, 25, 40, 25], root: 1.2, p: 0.55 },
+        barley: { name: 'Barley', kc: [0.3, 1.15, 0.25], stages: [15, 25, 50, 30], root: 1.2, p: 0.55 },
+        chickpea: { name: 'Chickpea', kc: [0.4, 1.0, 0.35], stages: [20, 30, 40, 30], root: 0.8, p: 0.5 },
+        lentil: { name: 'Lentil', kc: [0.4, 1.1, 0.3], stages: [20, 30, 60, 40], root: 0.7, p: 0.5 },
+        soybean: { name: 'Soybean', kc: [0.4, 1.15, 0.5], stages: [20, 30, 60, 25], root: 0.9, p: 0.5 },
+        groundnut: { name: 'Groundnut', kc: [0.4, 1.15, 0.6], stages: [25, 35, 45, 25], root: 0.8, p: 0.5 },
+        cotton: { name: 'Cotton', kc: [0.35, 1.15, 0.7], stages: [30, 50, 60, 55], root: 1.3, p: 0.65 },
+        sugarcane: { name: 'Sugarcane', kc: [0.4, 1.25, 0.75], stages: [35, 60, 190, 120], root: 1.5, p: 0.65 },
+        mustard: { name: 'Mustard', kc: [0.35, 1.05, 0.35], stages: [25, 35, 55, 30], root: 1.0, p: 0.6 },
+        sunflower: { name: 'Sunflower', kc: [0.35, 1.05, 0.35], stages: [25, 35, 45, 25], root: 1.0, p: 0.45 },
+        tomato: { name: 'Tomato', kc: [0.6, 1.15, 0.8], stages: [30, 40, 40, 25], root: 0.9, p: 0.4 },
+        potato: { name: 'Potato', kc: [0.5, 1.15, 0.75], stages: [30, 35, 50, 30], root: 0.5, p: 0.35 },
+        onion: { name: 'Onion', kc: [0.7, 1.05, 0.75], stages: [15, 25, 70, 40], root: 0.4, p: 0.3 },
+        brinjal: { name: 'Brinjal', kc: [0.6, 1.05, 0.9], stages: [30, 40, 40, 20], root: 0.8, p: 0.45 },
+        cauliflower: { name: 'Cauliflower', kc: [0.7, 1.05, 0.95], stages: [35, 50, 40, 15], root: 0.5, p: 0.45 },
+        cabbage: { name: 'Cabbage', kc: [0.7, 1.05, 0.95], stages: [40, 60, 50, 15], root: 0.6, p: 0.45 },
+        pepper: { name: 'Pepper', kc: [0.6, 1.05, 0.9], stages: [30, 35, 40, 20], root: 0.7, p: 0.3 },
+        cucumber: { name: 'Cucumber', kc: [0.6, 1.0, 0.75], stages: [20, 30, 40, 15], root: 0.8, p: 0.5 },
+        carrot: { name: 'Carrot', kc: [0.7, 1.05, 0.95], stages: [20, 30, 50, 20], root: 0.6, p: 0.35 },
+        peas: { name: 'Peas', kc: [0.5, 1.15, 1.1], stages: [15, 25, 35, 15], root: 0.7, p: 0.35 },
+        garlic: { name: 'Garlic', kc: [0.7, 1.0, 0.7], stages: [30, 45, 60, 20], root: 0.4, p: 0.3 },
+        watermelon: { name: 'Watermelon', kc: [0.4, 1.0, 0.75], stages: [20, 30, 30, 30], root: 1.0, p: 0.4 },
+        banana: { name: 'Banana', kc: [0.5, 1.1, 1.0], stages: [120, 90, 120, 60], root: 0.7, p: 0.35, perennial: true },
+        apple: { name: 'Apple', kc: [0.45, 0.95, 0.7], stages: [20, 70, 90, 30], root: 1.2, p: 0.5, perennial: true },
+        grape: { name: 'Grape', kc: [0.3, 0.85, 0.45], stages: [20, 40, 120, 60], root: 1.2, p: 0.35, perennial: true }
+    },
+
+    STAGE_NAMES: ['Initial', 'Development', 'Mid-season', 'Late season'],
+    ROOT_DEPTH_START: 0.2,      // m at sowing; roots reach full depth by mid-season
+    DEFAULT_EFFICIENCY: 80,     // % of applied water reaching the root zone - drip ~90, sprinkler ~75, furrow ~60
+    LIGHT_RAIN_FACTOR: 0.2,     // rain below 0.2 × ET₀ evaporates from the surface (FAO-56 ch. 8)
+    FORECAST_DAYS: 7,
+    ALERT_DAYS: 2,              // scheduled irrigation this close raises an alert
+    HISTORY_DAYS: 7,            // past days shown in the balance table
+
+    balance: null,
+
+    // Wire up the irrigation card on The Strategist page
+    async init() {
+        const fieldSelect = $('#irrigation-field');
+        if (!fieldSelect) return;
+
+        $('#irrigation-crop').innerHTML = `
+            <option value="">Select crop...</option>
+            ${Object.entries(this.CROPS).map(([key, crop]) => `<option value="${key}">${crop.name}</option>`).join('')}
+        `;
+        $('#irrigation-soil').innerHTML = Object.entries(this.SOILS)
+            .map(([key, soil]) => `<option value="${key}">${soil.name}</option>`).join('');
+        $('#irrigation-soil').value = 'loam';
+        $('#irrigation-efficiency').value = this.DEFAULT_EFFICIENCY;
+        $('#irrigation-event-date').value = new Date().toLocaleDateString('en-CA');
+
+        fieldSelect.addEventListener('change', () => this.showField());
+        $('#irrigation-crop').addEventListener('change', () => this.updateCropHint());
+        $('#irrigation-save')?.addEventListener('click', () => this.save());
+        $('#irrigation-event-add')?.addEventListener('click', () => this.logEvent());
+
+        try {
+            await this.populateFields(Utils.storage.get(CONFIG.STORAGE_KEYS.LAST_FIELD));
+        } catch (error) {
+            console.warn('Irrigation fields unavailable:', error);
+            fieldSelect.disabled = true;
+        }
+    },
+
+    // Fields, with those already set up for irrigation marked
+    async populateFields(selectedId = null) {
+        const select = $('#irrigation-field');
+        const fields = await FieldHistory.getFields();
+
+        select.innerHTML = `
+            <option value="">Select a field...</option>
+            ${fields.map(field => `<option value="${field.id}">${field.irrigation ? '💧 ' : ''}${field.name}</option>`).join('')}
+            <option value="${FieldHistory.NEW_FIELD}">➕ New field...</option>
+        `;
+        select.value = fields.some(field => field.id === selectedId) ? selectedId : '';
+        await this.showField();
+    },
+
+    // Fill the form from the field's saved profile and show its balance
+    async showField() {
+        const fieldId = $('#irrigation-field').value;
+        const results = $('#irrigation-results');
+        $('#irrigation-field-name').classList.toggle('hidden', fieldId !== FieldHistory.NEW_FIELD);
+
+        const field = fieldId && fieldId !== FieldHistory.NEW_FIELD ? await Utils.db.get('fields', fieldId) : null;
+        const profile = field?.irrigation || {};
+        $('#irrigation-crop').value = profile.crop || '';
+        $('#irrigation-planted').value = profile.plantingDate || '';
+        $('#irrigation-soil').value = profile.soil || 'loam';
+        $('#irrigation-root').value = profile.rootDepth || '';
+        $('#irrigation-efficiency').value = profile.efficiency || this.DEFAULT_EFFICIENCY;
+        this.updateCropHint();
+
+        this.balance = null;
+        results.innerHTML = '';
+        await this.renderEvents(field?.id);
+        if (field?.irrigation) await this.calculateField(field);
+    },
+
+    updateCropHint() {
+        const crop = this.CROPS[$('#irrigation-crop').value];
+        const hint = $('#irrigation-crop-hint');
+        if (hint) {
+            hint.textContent = crop ?
+                `${crop.stages.reduce((sum, days) => sum + days, 0)}-day season, roots to ${crop.root} m.${crop.perennial ? ' Enter the start of this season\'s growth.' : ''}` :
+                'Flooded rice is managed by ponding depth and is not modelled.';
+        }
+    },
+
+    // Save the form to the field and recalculate
+    async save() {
+        const crop = $('#irrigation-crop').value;
+        const plantingDate = $('#irrigation-planted').value;
+        const rootDepth = parseFloat($('#irrigation-root').value);
+        const efficiency = parseFloat($('#irrigation-efficiency').value);
+
+        if (!$('#irrigation-field').value || !crop || !plantingDate) {
+            Utils.toast.error('Choose a field, crop and planting date');
+            return;
+        }
+        if (plantingDate > new Date().toLocaleDateString('en-CA')) {
+            Utils.toast.error('The planting date cannot be in the future');
+            return;
+        }
+
+        try {
+            let fieldId = $('#irrigation-field').value;
+            if (fieldId === FieldHistory.NEW_FIELD) {
+                const fields = await FieldHistory.getFields();
+                fieldId = (await FieldHistory.createField($('#irrigation-field-name').value.trim() || `Field ${fields.length + 1}`)).id;
+            }
+
+            const field = await Utils.db.get('fields', fieldId);
+            const irrigation = {
+                crop,
+                plantingDate,
+                soil: $('#irrigation-soil').value,
+                rootDepth: rootDepth > 0 ? rootDepth : null,
+                efficiency: efficiency > 0 && efficiency <= 100 ? efficiency : this.DEFAULT_EFFICIENCY
+            };
+            await Utils.db.put('fields', { ...field, irrigation });
+            Utils.storage.set(CONFIG.STORAGE_KEYS.LAST_FIELD, fieldId);
+            Utils.toast.success(`Irrigation profile saved for ${field.name}`);
+            await this.populateFields(fieldId);
+        } catch (error) {
+            console.error('Irrigation profile error:', error);
+            Utils.toast.error('Could not save the irrigation profile');
+        }
+    },
+
+    // Run the balance for a field into the card
+    async calculateField(field) {
+        const container = $('#irrigation-results');
+        container.innerHTML = '<div class="forecast-loading"><div class="spinner"></div><p>Running the water balance...</p></div>';
+
+        try {
+            this.balance = await this.calculate(field);
+            container.innerHTML = this.renderBalance(this.balance);
+        } catch (error) {
+            console.error('Irrigation error:', error);
+            container.innerHTML = '<p class="helper-text">⚠️ Could not load weather for your location. Try again when online.</p>';
+        }
+    },
+
+    // ===========================
+    // STORAGE
+    // ===========================
+
+    // Logged rain gauge readings and irrigations for a field, newest first
+    async getEvents(fieldId) {
+        const events = await Utils.db.getAll('waterEvents', 'fieldId', fieldId);
+        return events.sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async logEvent() {
+        const fieldId = $('#irrigation-field').value;
+        const date = $('#irrigation-event-date').value;
+        const amount = parseFloat($('#irrigation-event-amount').value);
+
+        if (!fieldId || fieldId === FieldHistory.NEW_FIELD) {
+            Utils.toast.error('Save the field first');
+            return;
+        }
+        if (!date || !(amount >= 0)) {
+            Utils.toast.error('Enter a date and an amount in mm');
+            return;
+        }
+
+        const event = {
+            id: Utils.generateId(),
+            fieldId,
+            date,
+            type: $('#irrigation-event-type').value,
+            amount,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await Utils.db.put('waterEvents', event);
+            $('#irrigation-event-amount').value = '';
+            Utils.toast.success(event.type === 'rain' ? `🌧️ ${amount} mm rain logged` : `💧 ${amount} mm irrigation logged`);
+            Utils.activity.log('irrigation', event.type === 'rain' ? `Logged ${amount} mm rain` : `Irrigated ${amount} mm`, { fieldId });
+            await this.showField();
+        } catch (error) {
+            console.error('Water event error:', error);
+            Utils.toast.error('Could not log the event');
+        }
+    },
+
+    async deleteEvent(id) {
+        await Utils.db.delete('waterEvents', id);
+        await this.showField();
+    },
+
+    // ===========================
+    // REFERENCE EVAPOTRANSPIRATION
+    // ===========================
+
+    // Saturation vapour pressure (kPa) at a temperature (°C)
+    saturationVapourPressure(temp) {
+        return 0.6108 * Math.exp(17.27 * temp / (temp + 237.3));
+    },
+
+    // Extraterrestrial radiation Ra (MJ/m²/day) for a latitude and day of the year (FAO-56 eq. 21)
+    extraterrestrialRadiation(latitude, dayOfYear) {
+        const phi = latitude * Math.PI / 180;
+        const dr = 1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365);
+        const declination = 0.409 * Math.sin(2 * Math.PI * dayOfYear / 365 - 1.39);
+        const sunset = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(declination))));
+
+        return 24 * 60 / Math.PI * 0.082 * dr *
+            (sunset * Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.sin(sunset));
+    },
+
+    // Daily ET₀ (mm) - FAO-56 Penman-Monteith, eq. 6, with soil heat flux taken as zero for daily steps
+    et0(day, latitude, elevation = 0) {
+        const mean = (day.tempMax + day.tempMin) / 2;
+        const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26);
+        const gamma = 0.000665 * pressure;
+        const slope = 4098 * this.saturationVapourPressure(mean) / Math.pow(mean + 237.3, 2);
+
+        const eMax = this.saturationVapourPressure(day.tempMax);
+        const eMin = this.saturationVapourPressure(day.tempMin);
+        const es = (eMax + eMin) / 2;
+        const ea = (eMin * day.rhMax / 100 + eMax * day.rhMin / 100) / 2;
+
+        const date = new Date(`${day.date}T00:00`);
+        const dayOfYear = Math.round((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
+        const ra = this.extraterrestrialRadiation(latitude, dayOfYear);
+        const clearSky = (0.75 + 2e-5 * elevation) * ra;
+        const netShortwave = 0.77 * day.radiation;
+        const netLongwave = 4.903e-9 * (Math.pow(day.tempMax + 273.16, 4) + Math.pow(day.tempMin + 273.16, 4)) / 2 *
+            (0.34 - 0.14 * Math.sqrt(ea)) * (1.35 * Math.min(1, day.radiation / clearSky) - 0.35);
+        const netRadiation = netShortwave - netLongwave;
+
+        const et0 = (0.408 * slope * netRadiation + gamma * 900 / (mean + 273) * day.windSpeed * (es - ea)) /
+            (slope + gamma * (1 + 0.34 * day.windSpeed));
+        return Math.max(0, et0);
+    },
+
+    // ===========================
+    // CROP
+    // ===========================
+
+    // Growth stage index (0-3) on a day after planting, or -1 once the season is over
+    stageOf(crop, day) {
+        let end = 0;
+        return crop.stages.findIndex(days => day < (end += days));
+    },
+
+    // Kc flat through the initial and mid-season stages, linear through development and late season (FAO-56 fig. 25)
+    cropCoefficient(crop, day) {
+        const [ini, dev, mid, late] = crop.stages;
+        const [kcIni, kcMid, kcEnd] = crop.kc;
+
+        if (day < ini) return kcIni;
+        if (day < ini + dev) return kcIni + (kcMid - kcIni) * (day - ini) / dev;
+        if (day < ini + dev + mid) return kcMid;
+        return kcMid + (kcEnd - kcMid) * Math.min(1, (day - ini - dev - mid) / late);
+    },
+
+    // Effective rooting depth (m) - perennials are at full depth, annual roots grow until mid-season
+    rootDepth(crop, profile, day) {
+        const max = profile.rootDepth || crop.root;
+        if (crop.perennial) return max;
+
+        const [ini, dev] = crop.stages;
+        const start = Math.min(this.ROOT_DEPTH_START, max);
+        return start + (max - start) * Math.min(1, day / (ini + dev));
+    },
+
+    // ===========================
+    // WATER BALANCE
+    // ===========================
+
+    // Balance for a field with an irrigation profile, from planting through the forecast
+    async calculate(field) {
+        const inputs = await WeatherAPI.getEvapotranspirationInputs(field.irrigation.plantingDate, this.FORECAST_DAYS);
+        const events = await this.getEvents(field.id);
+        return { field, ...this.simulate(field.irrigation, inputs, events) };
+    },
+
+    // Balance for a field by id, or null when it has no irrigation profile
+    async forField(fieldId) {
+        const field = await Utils.db.get('fields', fieldId);
+        return field?.irrigation ? this.calculate(field) : null;
+    },
+
+    // Daily root-zone depletion (FAO-56 eq. 85), starting at field capacity on the planting date.
+    // Logged rain replaces the forecast amount for its day; logged irrigation counts at the field's efficiency.
+    // From today on, a day that ends past the readily available water is refilled to field capacity and scheduled.
+    simulate(profile, inputs, events = []) {
+        const crop = this.CROPS[profile.crop];
+        const soil = this.SOILS[profile.soil] || this.SOILS.loam;
+        const efficiency = (profile.efficiency || this.DEFAULT_EFFICIENCY) / 100;
+        const today = new Date().toLocaleDateString('en-CA');
+        const planted = new Date(`${profile.plantingDate}T00:00`);
+        const seasonDays = crop.stages.reduce((sum, days) => sum + days, 0);
+
+        const logged = {};
+        events.forEach(event => {
+            if (!logged[event.date]) logged[event.date] = { rain: null, irrigation: 0 };
+            if (event.type === 'rain') logged[event.date].rain = (logged[event.date].rain || 0) + event.amount;
+            else logged[event.date].irrigation += event.amount;
+        });
+
+        let depletion = 0;
+        const days = [];
+
+        for (const day of inputs.days) {
+            const dayOfSeason = Math.round((new Date(`${day.date}T00:00`) - planted) / 86400000);
+            if (dayOfSeason < 0) continue;
+            if (dayOfSeason >= seasonDays) break;
+
+            const et0 = this.et0(day, inputs.latitude, inputs.elevation || 0);
+            const kc = this.cropCoefficient(crop, dayOfSeason);
+            const rootDepth = this.rootDepth(crop, profile, dayOfSeason);
+            const taw = 1000 * (soil.fc - soil.wp) * rootDepth;
+            // FAO-56 adjusts p for the day's demand (Table 22 footnote)
+            const p = Math.max(0.1, Math.min(0.8, crop.p + 0.04 * (5 - kc * et0)));
+            const raw = p * taw;
+            const ks = depletion > raw ? Math.max(0, (taw - depletion) / (taw - raw)) : 1;
+            const etc = ks * kc * et0;
+
+            const entry = logged[day.date];
+            const rain = entry?.rain ?? day.precipitation;
+            const effectiveRain = rain < this.LIGHT_RAIN_FACTOR * et0 ? 0 : rain;
+            const irrigation = (entry?.irrigation || 0) * efficiency;
+
+            depletion = depletion - effectiveRain - irrigation + etc;
+            const drainage = Math.max(0, -depletion);
+            depletion = Math.min(taw, Math.max(0, depletion));
+
+            const scheduled = day.date >= today && depletion > raw ?
+                { net: depletion, gross: depletion / efficiency } : null;
+
+            days.push({
+                date: day.date,
+                forecast: day.forecast,
+                dayOfSeason,
+                stage: this.stageOf(crop, dayOfSeason),
+                et0, kc, ks, etc,
+                rain, rainLogged: entry?.rain != null, effectiveRain, irrigation,
+                rootDepth, taw, raw, p,
+                depletion, drainage, scheduled
+            });
+
+            if (scheduled) depletion = 0;
+        }
+
+        const seasonEnd = Utils.date.addDays(planted, seasonDays).toLocaleDateString('en-CA');
+        return {
+            profile,
+            crop,
+            soil,
+            efficiency,
+            days,
+            today: days.find(day => day.date === today) || null,
+            schedule: days.filter(day => day.scheduled),
+            seasonEnd,
+            ended: seasonEnd <= today
+        };
+    },
+
+    // Irrigation alerts for every field with a profile, when a scheduled irrigation is due within ALERT_DAYS
+    async getAlerts() {
+        const fields = (await FieldHistory.getFields()).filter(field => field.irrigation);
+        const until = Utils.date.addDays(new Date(), this.ALERT_DAYS).toLocaleDateString('en-CA');
+        const now = new Date();
+        const alerts = [];
+
+        for (const field of fields) {
+            const balance = await this.calculate(field);
+            const next = balance.schedule[0];
+            if (!next || next.date > until) continue;
+
+            const due = next.date === balance.today?.date;
+            alerts.push({
+                id: `irrigation_${field.id}`,
+                severity: due ? 'warning' : 'advisory',
+                type: 'irrigation',
+                title: `💧 Irrigate ${field.name}`,
+                message: `${balance.crop.name} root zone ${due ? 'is' : 'will be'} ${Math.round(next.depletion / next.taw * 100)}% depleted ${due ? 'today' : `by ${Utils.date.getDayName(`${next.date}T00:00`)}`}, past the ${Math.round(next.p * 100)}% the crop tolerates. Apply ${this.formatDepth(next.scheduled)}.`,
+                advice: [
+                    'Irrigate early in the morning to cut evaporation losses',
+                    'Log the irrigation so the water balance stays accurate',
+                    'Check soil moisture by hand at root depth before a large application'
+                ],
+                timestamp: now.toISOString(),
+                expiresAt: new Date(now.getTime() + 12 * 60 * 60 * 1000).toISOString()
+            });
+        }
+
+        return alerts;
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    formatDepth(scheduled) {
+        return `${Math.round(scheduled.gross)} mm (${Math.round(scheduled.net)} mm net)`;
+    },
+
+    // One-line application advice for The Eye's irrigation panel
+    describeNeed(balance) {
+        const next = balance.schedule[0];
+        const current = balance.today || balance.days[balance.days.length - 1];
+        const depleted = current ? `root zone ${Math.round(current.depletion / current.taw * 100)}% depleted` : 'season over';
+
+        if (next) {
+            return `${this.formatDepth(next.scheduled)} ${next.date === current?.date ? 'today' : `on ${Utils.date.format(`${next.date}T00:00`, 'short')}`} - ${depleted} (water balance)`;
+        }
+        return `None due in the next ${this.FORECAST_DAYS} days - ${depleted} (water balance)`;
+    },
+
+    renderBalance(balance) {
+        const { crop, soil } = balance;
+        const current = balance.today;
+
+        if (!current) {
+            return `<p class="helper-text">🌾 The ${crop.name} season from ${Utils.date.format(`${balance.profile.plantingDate}T00:00`, 'short')} ended on ${Utils.date.format(`${balance.seasonEnd}T00:00`, 'short')}. Update the planting date for the next crop.</p>`;
+        }
+
+        const depletedPct = Math.round(current.depletion / current.taw * 100);
+        const status = current.scheduled ? 'due' : balance.schedule.length ? 'soon' : 'ok';
+        const today = new Date().toLocaleDateString('en-CA');
+        const from = Utils.date.addDays(`${today}T00:00`, -this.HISTORY_DAYS).toLocaleDateString('en-CA');
+
+        return `
+            <div class="irrigation-summary">
+                <strong>${crop.name}</strong>
+                <span>${this.STAGE_NAMES[current.stage]} · day ${current.dayOfSeason + 1} · Kc ${current.kc.toFixed(2)} · roots ${current.rootDepth.toFixed(2)} m</span>
+                <span class="irrigation-status ${status}">${status === 'due' ? '💧 Irrigate today' : status === 'soon' ? '🕒 Irrigation coming up' : '✅ No irrigation needed'}</span>
+            </div>
+            <div class="irrigation-gauge" title="Root-zone depletion">
+                <div class="irrigation-gauge-fill ${status}" style="width: ${depletedPct}%"></div>
+                <div class="irrigation-gauge-threshold" style="left: ${Math.round(current.p * 100)}%"></div>
+            </div>
+            <small class="helper-text">${Math.round(current.depletion)} mm used of ${Math.round(current.taw)} mm available (${soil.name.toLowerCase()}) · irrigate past ${Math.round(current.raw)} mm (${Math.round(current.p * 100)}%)</small>
+
+            <h4>📅 Schedule</h4>
+            ${balance.schedule.length ? `
+                <ul class="irrigation-schedule">
+                    ${balance.schedule.map(day => `
+                        <li><strong>${Utils.date.format(`${day.date}T00:00`, 'medium')}</strong> ${this.formatDepth(day.scheduled)}</li>
+                    `).join('')}
+                </ul>
+            ` : `<p class="helper-text">Nothing due in the next ${this.FORECAST_DAYS} days.</p>`}
+
+            <div class="irrigation-table">
+                <table>
+                    <thead>
+                        <tr><th>Date</th><th>ET₀</th><th>Kc</th><th>ETc</th><th>Rain</th><th>Irrig.</th><th>Depletion</th></tr>
+                    </thead>
+                    <tbody>
+                        ${balance.days.filter(day => day.date >= from).map(day => `
+                            <tr class="${day.forecast ? 'forecast' : ''} ${day.scheduled ? 'scheduled' : ''}">
+                                <td>${Utils.date.format(`${day.date}T00:00`, 'short')}</td>
+                                <td>${day.et0.toFixed(1)}</td>
+                                <td>${day.kc.toFixed(2)}</td>
+                                <td>${day.etc.toFixed(1)}</td>
+                                <td>${day.rain ? `${day.rain.toFixed(1)}${day.rainLogged ? ' 📝' : ''}` : '–'}</td>
+                                <td>${day.irrigation ? day.irrigation.toFixed(1) : day.scheduled ? `💧 ${Math.round(day.scheduled.net)}` : '–'}</td>
+                                <td>${Math.round(day.depletion)} / ${Math.round(day.raw)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="helper-text">All depths in mm. ET₀ is FAO-56 Penman-Monteith from Open-Meteo; depletion starts at field capacity on the planting date, and logged irrigation counts at ${Math.round(balance.efficiency * 100)}% efficiency. 📝 marks your own rain readings.</p>
+        `;
+    },
+
+    async renderEvents(fieldId) {
+        const container = $('#irrigation-events');
+        if (!container) return;
+
+        const events = fieldId ? await this.getEvents(fieldId) : [];
+        container.innerHTML = events.length ? events.slice(0, 10).map(event => `
+            <div class="irrigation-event">
+                <span>${event.type === 'rain' ? '🌧️' : '💧'} ${Utils.date.format(`${event.date}T00:00`, 'short')}</span>
+                <strong>${event.amount} mm</strong>
+                <button class="irrigation-event-delete" data-id="${event.id}" title="Delete">✕</button>
+            </div>
+        `).join('') : '<p class="helper-text">No rain or irrigation logged for this field.</p>';
+
+        $$('.irrigation-event-delete').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteEvent(btn.dataset.id));
+        });
+    }
+};
+
+// Export
+window.Irrigation = Irrigation;
@@ -0,0 +1,291 @@
+// Lesion Analyzer for KrishiMitra
+// Measures diseased leaf area from colour: leaf vs background, then chlorotic / necrotic tissue within the leaf
+
+const LesionAnalyzer = {
+    SAMPLE_SIZE: 768,       // px - longest side analysed
+    LEAF_CLOSING: 0.025,    // Closing radius (share of image size) that bridges lesions cutting into the leaf outline
+    MIN_LEAF_SHARE: 0.03,   // Less leaf than this in the frame - nothing to measure
+
+    CLASS: { BACKGROUND: 0, HEALTHY: 1, CHLOROTIC: 2, NECROTIC: 3, MISSING: 4 },
+
+    // Horsfall-Barratt grades - equal steps of visual discrimination around 50% diseased area
+    HORSFALL_BARRATT: [
+        { grade: 1, min: 0, max: 0 },
+        { grade: 2, min: 0, max: 3 },
+        { grade: 3, min: 3, max: 6 },
+        { grade: 4, min: 6, max: 12 },
+        { grade: 5, min: 12, max: 25 },
+        { grade: 6, min: 25, max: 50 },
+        { grade: 7, min: 50, max: 75 },
+        { grade: 8, min: 75, max: 88 },
+        { grade: 9, min: 88, max: 94 },
+        { grade: 10, min: 94, max: 97 },
+        { grade: 11, min: 97, max: 100 },
+        { grade: 12, min: 100, max: 100 }
+    ],
+
+    OVERLAY: {
+        background: 0.65,               // Darkening outside the leaf
+        tint: 0.55,                     // Colour strength over lesions
+        chlorotic: [255, 214, 0],
+        necrotic: [211, 47, 47],
+        missing: [142, 36, 170]
+    },
+
+    // Measure a base64 photo
+    // Returns { diseasedPct, chloroticPct, necroticPct, missingPct, leafShare, horsfallBarratt, overlay } or null when no leaf is found
+    async analyze(imageBase64, mimeType) {
+        const blob = await (await fetch(`data:${mimeType};base64,${imageBase64}`)).blob();
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, this.SAMPLE_SIZE / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const segmentation = this.segment(imageData.data, canvas.width, canvas.height);
+        if (!segmentation) return null;
+
+        ctx.putImageData(this.renderOverlay(imageData, segmentation.classes), 0, 0);
+
+        return {
+            ...segmentation.stats,
+            overlay: canvas.toDataURL('image/jpeg', 0.8),
+            width: canvas.width,
+            height: canvas.height,
+            analyzedAt: new Date().toISOString()
+        };
+    },
+
+    // Colour class of one pixel: 1 green, 2 yellow (chlorotic), 3 brown/black (necrotic), 0 other
+    classifyPixel(r, g, b) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const v = max / 255;
+        const s = max ? (max - min) / max : 0;
+
+        if (v < 0.1) return 3;                  // Near-black necrosis (only kept inside the leaf)
+        if (s < 0.15) return 0;                 // Grey/white - background, or holes and mildew once enclosed
+
+        const d = max - min;
+        let h;
+        if (max === r) h = 60 * (((g - b) / d) % 6);
+        else if (max === g) h = 60 * ((b - r) / d + 2);
+        else h = 60 * ((r - g) / d + 4);
+        if (h < 0) h += 360;
+
+        if (h >= 65 && h < 170 && v >= 0.12) return 1;
+        if (h >= 42 && h < 65 && s >= 0.25 && v >= 0.35) return 2;
+        if ((h < 42 || h >= 330) && s >= 0.2 && v < 0.8) return 3;
+        return 0;
+    },
+
+    // Per-pixel classes within the largest leaf, plus area shares
+    segment(data, width, height) {
+        const count = width * height;
+        const colour = new Uint8Array(count);
+        const green = new Uint8Array(count);
+
+        for (let i = 0; i < count; i++) {
+            colour[i] = this.classifyPixel(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+            if (data[i * 4 + 3] === 0) colour[i] = 0;
+            green[i] = colour[i] === 1 ? 1 : 0;
+        }
+
+        // Soil and bark are brown too - lesion colours only count inside the closed outline of the green tissue
+        const outline = this.close(green, width, height, Math.max(2, Math.round(this.LEAF_CLOSING * Math.max(width, height))));
+        const candidate = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            candidate[i] = colour[i] === 1 || (colour[i] > 1 && outline[i]) ? 1 : 0;
+        }
+
+        const leaf = this.largestComponent(candidate, width, height);
+        const enclosed = this.fillHoles(leaf, width, height);
+
+        const classes = new Uint8Array(count);
+        const totals = [0, 0, 0, 0, 0];
+        for (let i = 0; i < count; i++) {
+            if (!leaf[i] && !enclosed[i]) continue;
+            const cls = colour[i] === 1 ? this.CLASS.HEALTHY :
+                        colour[i] === 2 ? this.CLASS.CHLOROTIC :
+                        colour[i] === 3 ? this.CLASS.NECROTIC :
+                        this.CLASS.MISSING;     // Enclosed grey/white: shot holes, mildew, bleached tissue
+            classes[i] = cls;
+            totals[cls]++;
+        }
+
+        const leafArea = totals[1] + totals[2] + totals[3] + totals[4];
+        if (leafArea < this.MIN_LEAF_SHARE * count) return null;
+
+        const pct = value => +(value / leafArea * 100).toFixed(1);
+        const diseasedPct = pct(totals[2] + totals[3] + totals[4]);
+
+        return {
+            classes,
+            stats: {
+                diseasedPct,
+                chloroticPct: pct(totals[2]),
+                necroticPct: pct(totals[3]),
+                missingPct: pct(totals[4]),
+                leafShare: +(leafArea / count).toFixed(3),
+                horsfallBarratt: this.horsfallBarratt(diseasedPct)
+            }
+        };
+    },
+
+    // Square dilation through a summed-area table
+    dilate(mask, width, height, radius) {
+        const sat = new Uint32Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let row = 0;
+            for (let x = 0; x < width; x++) {
+                row += mask[y * width + x];
+                sat[(y + 1) * (width + 1) + x + 1] = sat[y * (width + 1) + x + 1] + row;
+            }
+        }
+
+        const out = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                const sum = sat[y1 * (width + 1) + x1] - sat[y0 * (width + 1) + x1] -
+                            sat[y1 * (width + 1) + x0] + sat[y0 * (width + 1) + x0];
+                out[y * width + x] = sum > 0 ? 1 : 0;
+            }
+        }
+        return out;
+    },
+
+    // Morphological closing - dilation then erosion (erosion = inverted dilation of the inverse)
+    close(mask, width, height, radius) {
+        const dilated = this.dilate(mask, width, height, radius);
+        const inverse = dilated.map(v => 1 - v);
+        return this.dilate(inverse, width, height, radius).map(v => 1 - v);
+    },
+
+    // Largest 4-connected region of a mask
+    largestComponent(mask, width, height) {
+        const labels = new Int32Array(width * height);
+        const stack = new Int32Array(width * height);
+        let best = 0;
+        let bestSize = 0;
+        let label = 0;
+
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || labels[start]) continue;
+
+            label++;
+            let size = 0;
+            let top = 0;
+            stack[top++] = start;
+            labels[start] = label;
+
+            while (top) {
+                const i = stack[--top];
+                size++;
+                const x = i % width;
+                const neighbours = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    i >= width ? i - width : -1,
+                    i < mask.length - width ? i + width : -1
+                ];
+                for (const n of neighbours) {
+                    if (n >= 0 && mask[n] && !labels[n]) {
+                        labels[n] = label;
+                        stack[top++] = n;
+                    }
+                }
+            }
+
+            if (size > bestSize) {
+                bestSize = size;
+                best = label;
+            }
+        }
+
+        const out = new Uint8Array(width * height);
+        for (let i = 0; i < out.length; i++) out[i] = labels[i] === best && best ? 1 : 0;
+        return out;
+    },
+
+    // Pixels outside the mask that can't be reached from the image border
+    fillHoles(mask, width, height) {
+        const outside = new Uint8Array(width * height);
+        const stack = new Int32Array(width * height);
+        let top = 0;
+
+        const seed = i => {
+            if (!mask[i] && !outside[i]) {
+                outside[i] = 1;
+                stack[top++] = i;
+            }
+        };
+        for (let x = 0; x < width; x++) {
+            seed(x);
+            seed((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            seed(y * width);
+            seed(y * width + width - 1);
+        }
+
+        while (top) {
+            const i = stack[--top];
+            const x = i % width;
+            if (x > 0) seed(i - 1);
+            if (x < width - 1) seed(i + 1);
+            if (i >= width) seed(i - width);
+            if (i < mask.length - width) seed(i + width);
+        }
+
+        const holes = new Uint8Array(width * height);
+        for (let i = 0; i < holes.length; i++) holes[i] = !mask[i] && !outside[i] ? 1 : 0;
+        return holes;
+    },
+
+    // Grade for a diseased-area percentage
+    horsfallBarratt(pct) {
+        if (pct <= 0) return { grade: 1, range: '0%' };
+        if (pct >= 100) return { grade: 12, range: '100%' };
+
+        const step = this.HORSFALL_BARRATT.find(g => g.grade > 1 && g.grade < 12 && pct <= g.max);
+        return { grade: step.grade, range: `${step.min}-${step.max}%` };
+    },
+
+    // Photo with the background darkened and lesion classes tinted
+    renderOverlay(imageData, classes) {
+        const { data } = imageData;
+        const o = this.OVERLAY;
+        const tints = {
+            [this.CLASS.CHLOROTIC]: o.chlorotic,
+            [this.CLASS.NECROTIC]: o.necrotic,
+            [this.CLASS.MISSING]: o.missing
+        };
+
+        for (let i = 0; i < classes.length; i++) {
+            const p = i * 4;
+            if (classes[i] === this.CLASS.BACKGROUND) {
+                data[p] *= 1 - o.background;
+                data[p + 1] *= 1 - o.background;
+                data[p + 2] *= 1 - o.background;
+            } else if (tints[classes[i]]) {
+                const tint = tints[classes[i]];
+                data[p] += (tint[0] - data[p]) * o.tint;
+                data[p + 1] += (tint[1] - data[p + 1]) * o.tint;
+                data[p + 2] += (tint[2] - data[p + 2]) * o.tint;
+            }
+        }
+        return imageData;
+    }
+};
+
+// Export
+window.LesionAnalyzer = LesionAnalyzer;
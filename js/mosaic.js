@@ -0,0 +1,451 @@
+// Orthomosaic Builder for KrishiMitra
+// Places overlapping nadir drone frames on one north-up ground grid from their EXIF GPS, altitude and heading
+
+const MosaicBuilder = {
+    ALIGN_SEARCH_METERS: 6,     // Feature alignment looks this far around the GPS position...
+    ALIGN_MAX_RADIUS: 24,       // ...but never more than this many alignment-grid pixels
+    ALIGN_MIN_CORRELATION: 0.6, // Weaker matches keep the GPS position
+    ALIGN_MIN_SAMPLES: 300,     // Overlapping samples needed before a correlation is trusted
+    FILL_SCALE: 0.25,           // Resolution of the gap-filling first render pass
+
+    // Read EXIF from every frame - pixels are decoded later, one frame at a time
+    async readFrames(files, onProgress) {
+        const frames = [];
+        for (const [i, file] of files.entries()) {
+            frames.push({ file, name: file.name, meta: await ExifReader.read(file) });
+            if (onProgress) onProgress((i + 1) / files.length);
+        }
+
+        // Capture order - alignment matches each frame against the ones flown before it
+        return frames.sort((a, b) =>
+            (a.meta?.dateTime || '').localeCompare(b.meta?.dateTime || '') || a.name.localeCompare(b.name)
+        );
+    },
+
+    // Frame counts shown before stitching
+    summarize(frames) {
+        const withGPS = frames.filter(frame => frame.meta?.hasGPS);
+        return {
+            total: frames.length,
+            withGPS: withGPS.length,
+            missingAltitude: withGPS.filter(frame => !(frame.meta.relativeAltitude > 0)).length
+        };
+    },
+
+    // Stitch frames into one georeferenced image
+    // options: { altitude: fallback meters above ground, align: refine placement with image features }
+    // onProgress(stage, fraction) with stage 'place', 'align' or 'render'
+    async build(frames, { altitude = null, align = false } = {}, onProgress) {
+        const progress = (stage) => (fraction) => onProgress && onProgress(stage, fraction);
+
+        const { placed, skipped } = await this.placeFrames(frames, altitude, progress('place'));
+        if (placed.length < 2) {
+            throw new Error(`Only ${placed.length} frame${placed.length === 1 ? '' : 's'} could be placed - frames need GPS, flight altitude and camera data`);
+        }
+
+        const layout = this.createLayout(placed);
+        const aligned = align ? await this.align(layout, progress('align')) : 0;
+        this.computeSeams(layout.frames);
+        const canvas = await this.render(layout, progress('render'));
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('Mosaic is too large to encode')), 'image/png');
+        });
+
+        return {
+            blob,
+            preview: this.toJPEG(canvas),
+            width: layout.width,
+            height: layout.height,
+            georef: GeoExport.fromLocalGrid({
+                origin: layout.origin,
+                west: layout.west,
+                north: layout.north,
+                gsd: layout.gsd,
+                width: layout.width,
+                height: layout.height,
+                description: `Mosaic of ${placed.length} frames · ${(layout.gsd * 100).toFixed(1)}cm/px`
+            }),
+            frameCount: placed.length,
+            aligned,
+            skipped,
+            // Capture date and camera of the first frame stand in for the whole flight
+            meta: placed[0].meta
+        };
+    },
+
+    // ===========================
+    // PLACEMENT
+    // ===========================
+
+    // Georeference each frame; frames that can't be placed are returned with the reason
+    async placeFrames(frames, fallbackAltitude, onProgress) {
+        const placed = [];
+        const skipped = [];
+
+        for (const [i, frame] of frames.entries()) {
+            const size = frame.meta?.hasGPS ? await this.getFrameSize(frame) : null;
+            const georef = size && GeoExport.fromExif(frame.meta, size.width, size.height, fallbackAltitude);
+
+            if (georef) {
+                placed.push({ ...frame, ...size, georef });
+            } else {
+                skipped.push({
+                    name: frame.name,
+                    reason: !frame.meta?.hasGPS ? 'no GPS' :
+                            !size ? 'unreadable' :
+                            'no altitude, camera data or not nadir'
+                });
+            }
+            if (onProgress) onProgress((i + 1) / frames.length);
+        }
+
+        return { placed, skipped };
+    },
+
+    // Pixel size from EXIF, else by decoding the frame
+    async getFrameSize(frame) {
+        if (frame.meta.imageWidth && frame.meta.imageHeight) {
+            return { width: frame.meta.imageWidth, height: frame.meta.imageHeight };
+        }
+
+        try {
+            const bitmap = await createImageBitmap(frame.file);
+            const size = { width: bitmap.width, height: bitmap.height };
+            bitmap.close();
+            return size;
+        } catch (error) {
+            console.warn(`Could not decode ${frame.name}:`, error);
+            return null;
+        }
+    },
+
+    // Common north-up pixel grid on a local metric plane around the flight's mean position
+    // Each frame gets an affine transform from its own pixels to mosaic pixels
+    createLayout(frames) {
+        const lon0 = frames.reduce((sum, frame) => sum + frame.meta.longitude, 0) / frames.length;
+        const lat0 = frames.reduce((sum, frame) => sum + frame.meta.latitude, 0) / frames.length;
+        const metersPerLon = GeoExport.METERS_PER_DEGREE * Math.cos(lat0 * Math.PI / 180);
+        const toLocal = ([lon, lat]) => [(lon - lon0) * metersPerLon, (lat - lat0) * GeoExport.METERS_PER_DEGREE];
+
+        frames.forEach(frame => {
+            frame.corners = [[0, 0], [frame.width, 0], [frame.width, frame.height], [0, frame.height]]
+                .map(([x, y]) => toLocal(frame.georef.toLonLat(x, y)));
+        });
+
+        const [west, south, east, north] = GeoExport.getBBox(frames.flatMap(frame => frame.corners));
+
+        // Median frame resolution, coarsened if the mosaic would exceed the size limit
+        const gsds = frames.map(frame => frame.georef.gsd).sort((a, b) => a - b);
+        const gsd = Math.max(
+            gsds[Math.floor(gsds.length / 2)],
+            Math.max(east - west, north - south) / CONFIG.MOSAIC_MAX_SIZE
+        );
+        const toMosaic = ([e, n]) => [(e - west) / gsd, (north - n) / gsd];
+
+        frames.forEach(frame => {
+            const [p0, p1, , p3] = frame.corners.map(toMosaic);
+            frame.transform = {
+                a: (p1[0] - p0[0]) / frame.width,
+                b: (p1[1] - p0[1]) / frame.width,
+                c: (p3[0] - p0[0]) / frame.height,
+                d: (p3[1] - p0[1]) / frame.height,
+                e: p0[0],
+                f: p0[1]
+            };
+            frame.offset = [0, 0];
+        });
+
+        return {
+            frames,
+            origin: [lon0, lat0],
+            west,
+            north,
+            gsd,
+            width: Math.max(1, Math.ceil((east - west) / gsd)),
+            height: Math.max(1, Math.ceil((north - south) / gsd))
+        };
+    },
+
+    // Frame pixel → mosaic pixel, including the alignment offset
+    project(frame, x, y) {
+        const t = frame.transform;
+        return [
+            t.a * x + t.c * y + t.e + frame.offset[0],
+            t.b * x + t.d * y + t.f + frame.offset[1]
+        ];
+    },
+
+    // Frame footprint in mosaic pixels
+    outline(frame) {
+        return [[0, 0], [frame.width, 0], [frame.width, frame.height], [0, frame.height]]
+            .map(([x, y]) => this.project(frame, x, y));
+    },
+
+    // ===========================
+    // FEATURE ALIGNMENT
+    // ===========================
+
+    // Refine GPS placement by matching each frame against the frames placed before it
+    // (normalized cross-correlation of grayscale images on a coarse grid, translation only)
+    // Returns the number of frames that were moved
+    async align(layout, onProgress) {
+        const scale = Math.min(1, CONFIG.MOSAIC_ALIGN_SIZE / Math.max(layout.width, layout.height));
+        const width = Math.ceil(layout.width * scale);
+        const height = Math.ceil(layout.height * scale);
+        const reference = { width, height, gray: new Float32Array(width * height), filled: new Uint8Array(width * height) };
+        const radius = Math.max(1, Math.min(this.ALIGN_MAX_RADIUS, Math.ceil(this.ALIGN_SEARCH_METERS * scale / layout.gsd)));
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        let aligned = 0;
+
+        for (const [i, frame] of layout.frames.entries()) {
+            const [minX, minY, maxX, maxY] = GeoExport.getBBox(this.outline(frame).map(([x, y]) => [x * scale, y * scale]));
+            const x0 = Math.floor(minX);
+            const y0 = Math.floor(minY);
+            canvas.width = Math.max(1, Math.ceil(maxX) - x0);
+            canvas.height = Math.max(1, Math.ceil(maxY) - y0);
+
+            const bitmap = await this.decode(frame, scale);
+            this.drawFrame(ctx, frame, bitmap, { scale, shift: [x0, y0] });
+            bitmap.close();
+
+            const patch = this.toGray(ctx.getImageData(0, 0, canvas.width, canvas.height));
+            patch.x0 = x0;
+            patch.y0 = y0;
+
+            let dx = 0;
+            let dy = 0;
+            if (i > 0) {
+                const match = this.findOffset(reference, patch, radius);
+                if (match && match.score >= this.ALIGN_MIN_CORRELATION) {
+                    ({ dx, dy } = match);
+                    frame.offset = [dx / scale, dy / scale];
+                    if (dx || dy) aligned++;
+                }
+            }
+
+            // Only uncovered ground is added, so every frame is matched against the earliest views
+            for (let py = 0; py < patch.height; py++) {
+                const gy = y0 + py + dy;
+                if (gy < 0 || gy >= height) continue;
+                for (let px = 0; px < patch.width; px++) {
+                    const gx = x0 + px + dx;
+                    const value = patch.gray[py * patch.width + px];
+                    if (gx < 0 || gx >= width || Number.isNaN(value)) continue;
+
+                    const g = gy * width + gx;
+                    if (reference.filled[g]) continue;
+                    reference.gray[g] = value;
+                    reference.filled[g] = 1;
+                }
+            }
+
+            if (onProgress) onProgress((i + 1) / layout.frames.length);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return aligned;
+    },
+
+    // Luminance of opaque pixels, NaN elsewhere
+    toGray(imageData) {
+        const { data, width, height } = imageData;
+        const gray = new Float32Array(width * height);
+        for (let p = 0; p < gray.length; p++) {
+            const i = p * 4;
+            gray[p] = data[i + 3] === 255 ? 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] : NaN;
+        }
+        return { gray, width, height };
+    },
+
+    // Best shift of a patch against the reference within ±radius: every second offset first, then the
+    // neighbours of the best one. Returns { dx, dy, score } or null without enough overlap
+    findOffset(reference, patch, radius) {
+        let best = null;
+        const consider = (dx, dy) => {
+            const score = this.correlate(reference, patch, dx, dy);
+            if (score !== null && (!best || score > best.score)) best = { dx, dy, score };
+        };
+
+        for (let dy = -radius; dy <= radius; dy += 2) {
+            for (let dx = -radius; dx <= radius; dx += 2) {
+                consider(dx, dy);
+            }
+        }
+        if (!best) return null;
+
+        const { dx: cx, dy: cy } = best;
+        for (let dy = cy - 1; dy <= cy + 1; dy++) {
+            for (let dx = cx - 1; dx <= cx + 1; dx++) {
+                if ((dx !== cx || dy !== cy) && Math.abs(dx) <= radius && Math.abs(dy) <= radius) consider(dx, dy);
+            }
+        }
+        return best;
+    },
+
+    // Normalized cross-correlation over the overlap (sampled every second pixel), or null if too small
+    correlate(reference, patch, dx, dy) {
+        let n = 0, sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+
+        for (let py = 0; py < patch.height; py += 2) {
+            const gy = patch.y0 + py + dy;
+            if (gy < 0 || gy >= reference.height) continue;
+            for (let px = 0; px < patch.width; px += 2) {
+                const gx = patch.x0 + px + dx;
+                if (gx < 0 || gx >= reference.width) continue;
+
+                const a = patch.gray[py * patch.width + px];
+                const g = gy * reference.width + gx;
+                if (Number.isNaN(a) || !reference.filled[g]) continue;
+
+                const b = reference.gray[g];
+                n++;
+                sa += a;
+                sb += b;
+                saa += a * a;
+                sbb += b * b;
+                sab += a * b;
+            }
+        }
+
+        if (n < this.ALIGN_MIN_SAMPLES) return null;
+        const variance = (n * saa - sa * sa) * (n * sbb - sb * sb);
+        return variance > 0 ? (n * sab - sa * sb) / Math.sqrt(variance) : null;
+    },
+
+    // ===========================
+    // SEAMS & RENDERING
+    // ===========================
+
+    // Each frame keeps the part of its footprint nearer its own center than any overlapping frame's
+    // (a Voronoi cell), so seams run midway between exposures and every spot comes from the most nadir view
+    computeSeams(frames) {
+        const centers = frames.map(frame => this.project(frame, frame.width / 2, frame.height / 2));
+        const outlines = frames.map(frame => this.outline(frame));
+        const boxes = outlines.map(outline => GeoExport.getBBox(outline));
+        const overlaps = (a, b) => a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+
+        frames.forEach((frame, i) => {
+            const [cx, cy] = centers[i];
+            let seam = outlines[i];
+
+            frames.forEach((other, j) => {
+                if (i === j || seam.length < 3 || !overlaps(boxes[i], boxes[j])) return;
+                // Keep the side of the perpendicular bisector facing this frame's center
+                const [ox, oy] = centers[j];
+                seam = this.clipHalfPlane(seam, ox - cx, oy - cy, (ox * ox + oy * oy - cx * cx - cy * cy) / 2);
+            });
+
+            frame.seam = seam;
+        });
+    },
+
+    // Sutherland-Hodgman clip of a polygon to nx·x + ny·y <= limit
+    clipHalfPlane(polygon, nx, ny, limit) {
+        const output = [];
+        polygon.forEach((point, k) => {
+            const next = polygon[(k + 1) % polygon.length];
+            const d1 = nx * point[0] + ny * point[1] - limit;
+            const d2 = nx * next[0] + ny * next[1] - limit;
+
+            if (d1 <= 0) output.push(point);
+            if ((d1 <= 0) !== (d2 <= 0)) {
+                const t = d1 / (d1 - d2);
+                output.push([point[0] + t * (next[0] - point[0]), point[1] + t * (next[1] - point[1])]);
+            }
+        });
+        return output;
+    },
+
+    // Two passes: whole footprints at low resolution fill ground that no seam cell covers (where the
+    // nearest frame doesn't reach), then every frame's seam cell at full resolution
+    async render(layout, onProgress) {
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        const ctx = canvas.getContext('2d');
+        const { frames } = layout;
+        const steps = frames.length * 2;
+        let done = 0;
+
+        for (const fill of [true, false]) {
+            for (const frame of frames) {
+                if (fill || frame.seam.length >= 3) {
+                    const bitmap = await this.decode(frame, fill ? this.FILL_SCALE : 1);
+                    this.drawFrame(ctx, frame, bitmap, { clip: fill ? null : frame.seam });
+                    bitmap.close();
+                }
+                done++;
+                if (onProgress) onProgress(done / steps);
+            }
+        }
+
+        return canvas;
+    },
+
+    // Decode a frame at roughly the resolution it is drawn (scale is mosaic→canvas pixels)
+    async decode(frame, scale) {
+        const t = frame.transform;
+        const ratio = Math.min(1, Math.hypot(t.a, t.b) * scale);
+        try {
+            return await createImageBitmap(frame.file, {
+                resizeWidth: Math.max(1, Math.round(frame.width * ratio)),
+                resizeHeight: Math.max(1, Math.round(frame.height * ratio)),
+                resizeQuality: 'medium'
+            });
+        } catch (error) {
+            // Older browsers reject the resize options
+            return createImageBitmap(frame.file);
+        }
+    },
+
+    // Draw a decoded frame through its transform
+    // scale/shift map mosaic pixels onto the target canvas; clip is a polygon in mosaic pixels
+    drawFrame(ctx, frame, bitmap, { scale = 1, shift = [0, 0], clip = null } = {}) {
+        const t = frame.transform;
+        // Bitmap pixels → frame pixels (the decoder may ignore the requested size)
+        const sx = frame.width / bitmap.width;
+        const sy = frame.height / bitmap.height;
+
+        ctx.save();
+        if (clip) {
+            ctx.beginPath();
+            clip.forEach(([x, y], k) => {
+                const point = [x * scale - shift[0], y * scale - shift[1]];
+                if (k) ctx.lineTo(...point);
+                else ctx.moveTo(...point);
+            });
+            ctx.closePath();
+            ctx.clip();
+        }
+        ctx.setTransform(
+            t.a * sx * scale,
+            t.b * sx * scale,
+            t.c * sy * scale,
+            t.d * sy * scale,
+            (t.e + frame.offset[0]) * scale - shift[0],
+            (t.f + frame.offset[1]) * scale - shift[1]
+        );
+        ctx.drawImage(bitmap, 0, 0);
+        ctx.restore();
+    },
+
+    // Downscaled JPEG for the Gemini request (no-data areas become black)
+    toJPEG(canvas, maxSize = 2048) {
+        const scale = Math.min(1, maxSize / Math.max(canvas.width, canvas.height));
+        const output = document.createElement('canvas');
+        output.width = Math.max(1, Math.round(canvas.width * scale));
+        output.height = Math.max(1, Math.round(canvas.height * scale));
+
+        const ctx = output.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, output.width, output.height);
+        ctx.drawImage(canvas, 0, 0, output.width, output.height);
+        return output.toDataURL('image/jpeg', 0.9);
+    }
+};
+
+// Export
+window.MosaicBuilder = MosaicBuilder;
@@ -0,0 +1,317 @@
+// Pest Phenology for KrishiMitra
+// Degree-day accumulation from a biofix date, with observed and forecast temperatures from WeatherAPI,
+// predicting when each pest stage - egg hatch, larval windows - falls
+
+const Phenology = {
+    // Published degree-day models in °C; the stage targets are approximate - local extension models take precedence
+    // base/upper: development thresholds; start/end: degree-days after biofix
+    MODELS: {
+        codlingMoth: {
+            name: 'Codling moth',
+            scientificName: 'Cydia pomonella',
+            crops: ['apple', 'pear', 'walnut'],
+            base: 10,
+            upper: 31.1,
+            biofix: 'First sustained moth catch in pheromone traps',
+            stages: [
+                { name: '1st generation egg hatch', start: 139, end: 417, spray: true, action: 'Cover sprays while larvae hatch, before they enter the fruit' },
+                { name: '2nd flight', start: 556, end: 694, spray: false, action: 'Check pheromone traps for the second flight' },
+                { name: '2nd generation egg hatch', start: 694, end: 972, spray: true, action: 'Second cover spray window' }
+            ]
+        },
+        cornEarworm: {
+            name: 'Corn earworm / cotton bollworm',
+            scientificName: 'Helicoverpa zea, H. armigera',
+            crops: ['maize', 'cotton', 'tomato', 'chickpea', 'pigeon-pea', 'jowar'],
+            base: 12.8,
+            upper: 33.3,
+            biofix: 'Peak moth catch in pheromone traps (egg laying starts)',
+            stages: [
+                { name: 'Egg hatch', start: 40, end: 70, spray: true, action: 'Spray as eggs hatch, before larvae bore into ears, bolls or pods' },
+                { name: 'Early larvae', start: 70, end: 140, spray: true, action: 'Last window for good control of small larvae' },
+                { name: 'Late larvae', start: 140, end: 250, spray: false, action: 'Larvae inside the fruit escape sprays - scout for the next flight' }
+            ]
+        },
+        fallArmyworm: {
+            name: 'Fall armyworm',
+            scientificName: 'Spodoptera frugiperda',
+            crops: ['maize', 'jowar', 'bajra', 'rice', 'sugarcane'],
+            base: 10.9,
+            upper: 32,
+            biofix: 'First moth catch or first egg masses on leaves',
+            stages: [
+                { name: 'Egg hatch', start: 36, end: 60, spray: true, action: 'Scout whorls for window-pane feeding' },
+                { name: 'Early larvae', start: 60, end: 150, spray: true, action: 'Spray into the whorl while larvae are small' },
+                { name: 'Late larvae', start: 150, end: 260, spray: false, action: 'Large larvae deep in the whorl are hard to reach - plan for the next generation' }
+            ]
+        },
+        diamondbackMoth: {
+            name: 'Diamondback moth',
+            scientificName: 'Plutella xylostella',
+            crops: ['cabbage', 'cauliflower', 'mustard'],
+            base: 7.4,
+            upper: 32,
+            biofix: 'First sustained moth catch in pheromone traps',
+            stages: [
+                { name: 'Egg hatch', start: 45, end: 65, spray: true, action: 'Start scouting for leaf mining by young larvae' },
+                { name: 'Early larvae', start: 65, end: 130, spray: true, action: 'Spray (Bt works best) while larvae are small' },
+                { name: 'Late larvae and pupae', start: 130, end: 290, spray: false, action: 'Next moth flight follows - keep traps in place' }
+            ]
+        }
+    },
+
+    FORECAST_DAYS: 16,
+    PROJECTION_DAYS: 7,     // recent days whose mean heat projects stage dates past the forecast
+    STATUS_ICONS: { past: '✅', active: '🔴', upcoming: '🕒' },
+
+    prediction: null,
+
+    // Wire up the phenology card on The Strategist page
+    init() {
+        const select = $('#phenology-model');
+        if (!select) return;
+
+        select.innerHTML = `
+            <option value="">Select a pest...</option>
+            ${Object.entries(this.MODELS).map(([key, model]) => `<option value="${key}">${model.name}</option>`).join('')}
+        `;
+
+        const { model = '', biofix = '' } = this.settings;
+        select.value = model;
+        $('#phenology-biofix').value = biofix;
+        this.updateBiofixHint();
+
+        select.addEventListener('change', () => this.updateBiofixHint());
+        $('#phenology-run')?.addEventListener('click', () => this.run());
+    },
+
+    // { model, biofix } last used
+    get settings() {
+        return Utils.storage.get(CONFIG.STORAGE_KEYS.PHENOLOGY, {});
+    },
+
+    set settings(value) {
+        Utils.storage.set(CONFIG.STORAGE_KEYS.PHENOLOGY, value);
+    },
+
+    updateBiofixHint() {
+        const model = this.MODELS[$('#phenology-model').value];
+        const hint = $('#phenology-biofix-hint');
+        if (hint) {
+            hint.textContent = model ? `Biofix: ${model.biofix}. Suits ${model.crops.join(', ')}.` : 'Pick the pest you trap for.';
+        }
+    },
+
+    // Calculate from the card and keep the choice for strategy generation
+    async run() {
+        const model = $('#phenology-model').value;
+        const biofix = $('#phenology-biofix').value;
+        const container = $('#phenology-results');
+
+        if (!model || !biofix) {
+            Utils.toast.error('Choose a pest and its biofix date');
+            return;
+        }
+        if (biofix > new Date().toLocaleDateString('en-CA')) {
+            Utils.toast.error('The biofix date cannot be in the future');
+            return;
+        }
+
+        this.settings = { model, biofix };
+        container.innerHTML = '<div class="forecast-loading"><div class="spinner"></div><p>Accumulating degree-days...</p></div>';
+
+        try {
+            this.prediction = await this.predict(model, biofix);
+            container.innerHTML = this.renderPrediction(this.prediction);
+        } catch (error) {
+            console.error('Phenology error:', error);
+            container.innerHTML = '<p class="helper-text">⚠️ Could not load temperatures for your location. Try again when online.</p>';
+        }
+    },
+
+    // Prediction for the saved model and biofix, or null when none is set
+    async current() {
+        const { model, biofix } = this.settings;
+        if (!model || !biofix || !this.MODELS[model]) return null;
+
+        if (this.prediction?.key === model && this.prediction.biofix === biofix &&
+            this.prediction.today === new Date().toLocaleDateString('en-CA')) {
+            return this.prediction;
+        }
+        this.prediction = await this.predict(model, biofix);
+        return this.prediction;
+    },
+
+    // ===========================
+    // DEGREE-DAYS
+    // ===========================
+
+    // Degree-days of one day - single sine method with a horizontal cutoff at the upper threshold
+    degreeDays(tempMin, tempMax, base, upper) {
+        const min = Math.min(tempMin, tempMax);
+        const max = Math.max(tempMin, tempMax);
+
+        if (max <= base) return 0;
+        if (min >= upper) return upper - base;
+
+        const mean = (max + min) / 2;
+        if (min >= base && max <= upper) return mean - base;
+
+        const amplitude = (max - min) / 2;
+        const from = min < base ? Math.asin((base - mean) / amplitude) : -Math.PI / 2;
+        const to = max > upper ? Math.asin((upper - mean) / amplitude) : Math.PI / 2;
+
+        let dd = ((mean - base) * (to - from) + amplitude * (Math.cos(from) - Math.cos(to))) / Math.PI;
+        if (max > upper) dd += (upper - base) * (Math.PI / 2 - to) / Math.PI;
+        return dd;
+    },
+
+    // Accumulated degree-days per day since the biofix and the date each stage starts and ends
+    async predict(key, biofix) {
+        const model = this.MODELS[key];
+        const temperatures = await WeatherAPI.getDailyTemperatures(biofix, this.FORECAST_DAYS);
+        if (!temperatures.length) throw new Error('No temperatures returned');
+
+        let total = 0;
+        const days = temperatures.map(day => {
+            const dd = this.degreeDays(day.tempMin, day.tempMax, model.base, model.upper);
+            total += dd;
+            return { ...day, dd, total };
+        });
+
+        const today = new Date().toLocaleDateString('en-CA');
+        const toDate = [...days].reverse().find(day => day.date <= today)?.total || 0;
+        const recent = days.slice(-this.PROJECTION_DAYS);
+        const ratePerDay = recent.reduce((sum, day) => sum + day.dd, 0) / recent.length;
+
+        const stages = model.stages.map(stage => {
+            const start = this.dateOf(days, stage.start, ratePerDay);
+            const end = this.dateOf(days, stage.end, ratePerDay);
+            const status = toDate >= stage.end ? 'past' : toDate >= stage.start ? 'active' : 'upcoming';
+            return { ...stage, startDate: start.date, startEstimated: start.estimated, endDate: end.date, endEstimated: end.estimated, status };
+        });
+
+        return { key, model, biofix, today, degreeDays: toDate, ratePerDay, days, stages };
+    },
+
+    // First day the accumulation reaches a target - projected at the recent rate beyond the forecast
+    dateOf(days, target, ratePerDay) {
+        const reached = days.find(day => day.total >= target);
+        if (reached) return { date: reached.date, estimated: reached.forecast };
+
+        const last = days[days.length - 1];
+        if (ratePerDay <= 0) return { date: null, estimated: true };
+
+        const extra = Math.ceil((target - last.total) / ratePerDay);
+        return { date: Utils.date.addDays(`${last.date}T00:00`, extra).toLocaleDateString('en-CA'), estimated: true };
+    },
+
+    // Spray stages that are still open
+    sprayWindows(prediction) {
+        return prediction.stages.filter(stage => stage.spray && stage.status !== 'past' && stage.startDate);
+    },
+
+    // Spray stage covering a date (YYYY-MM-DD), if any
+    stageOn(prediction, date) {
+        return this.sprayWindows(prediction).find(stage => stage.startDate <= date && (!stage.endDate || date <= stage.endDate));
+    },
+
+    // Headline for the Gemini prompt
+    summarize(prediction) {
+        return {
+            pest: `${prediction.model.name} (${prediction.model.scientificName})`,
+            biofix: prediction.biofix,
+            degreeDaysSinceBiofix: Math.round(prediction.degreeDays),
+            thresholdsC: { base: prediction.model.base, upper: prediction.model.upper },
+            stages: prediction.stages.map(({ name, startDate, endDate, status, spray }) => ({ name, startDate, endDate, status, sprayWindow: spray }))
+        };
+    },
+
+    // Calendar days for stage starts and spray window ends within the plan: [{ date, tasks }]
+    calendarEntries(prediction, durationDays) {
+        const last = Utils.date.addDays(`${prediction.today}T00:00`, durationDays).toLocaleDateString('en-CA');
+        const pest = prediction.model.name;
+        const entries = [];
+
+        prediction.stages.filter(stage => stage.status !== 'past').forEach(stage => {
+            if (stage.startDate && stage.startDate <= last) {
+                const date = stage.startDate < prediction.today ? prediction.today : stage.startDate;
+                entries.push({
+                    date: new Date(`${date}T00:00`),
+                    tasks: [`<span class="calendar-task ${stage.spray ? 'spray' : 'inspect'}">🐛 ${pest}: ${stage.name}${stage.status === 'active' ? ' (now)' : ''}${stage.startEstimated ? ' ≈' : ''} - ${stage.action}</span>`]
+                });
+            }
+            if (stage.spray && stage.endDate && stage.endDate <= last) {
+                entries.push({
+                    date: new Date(`${stage.endDate}T00:00`),
+                    tasks: [`<span class="calendar-task inspect">🐛 ${pest}: ${stage.name} spray window closes${stage.endEstimated ? ' ≈' : ''}</span>`]
+                });
+            }
+        });
+        return entries;
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    formatRange(stage) {
+        const format = (date, estimated) => date ? `${estimated ? '≈ ' : ''}${Utils.date.format(`${date}T00:00`, 'short')}` : 'beyond forecast';
+        return `${format(stage.startDate, stage.startEstimated)} – ${format(stage.endDate, stage.endEstimated)}`;
+    },
+
+    renderPrediction(prediction) {
+        const { model } = prediction;
+        const lastObserved = [...prediction.days].reverse().find(day => !day.forecast);
+
+        return `
+            <div class="phenology-summary">
+                <strong>${model.name}</strong> <em>${model.scientificName}</em>
+                <span class="phenology-dd">${Math.round(prediction.degreeDays)} DD°C since ${Utils.date.format(`${prediction.biofix}T00:00`, 'short')}</span>
+            </div>
+            <div class="phenology-stages">
+                ${prediction.stages.map(stage => `
+                    <div class="phenology-stage ${stage.status} ${stage.spray ? 'spray' : ''}">
+                        <span class="phenology-stage-icon">${this.STATUS_ICONS[stage.status]}</span>
+                        <div class="phenology-stage-info">
+                            <strong>${stage.name}</strong> <small>${stage.start}–${stage.end} DD</small>
+                            <span class="history-item-meta">${this.formatRange(stage)}${stage.spray ? ' · 🧪 Spray window' : ''}</span>
+                            <small>${stage.action}</small>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="helper-text">Base ${model.base}°C, upper ${model.upper}°C, single sine. Observed to ${lastObserved ? Utils.date.format(`${lastObserved.date}T00:00`, 'short') : 'today'}, then forecast; ≈ dates are projected at ${prediction.ratePerDay.toFixed(1)} DD/day. Confirm stages by scouting.</p>
+        `;
+    },
+
+    // Degree-day spray windows for The Strategist's spray timing
+    renderWindows(prediction) {
+        const windows = this.sprayWindows(prediction);
+        const pest = prediction.model.name;
+
+        if (!windows.length) {
+            return `
+                <h4 style="margin-bottom: 1rem;">🐛 Degree-Day Windows</h4>
+                <p class="helper-text">All ${pest} spray windows from the ${Utils.date.format(`${prediction.biofix}T00:00`, 'short')} biofix have passed. Set a new biofix when the next flight starts.</p>
+            `;
+        }
+
+        return `
+            <h4 style="margin-bottom: 1rem;">🐛 Degree-Day Windows</h4>
+            ${windows.map(stage => `
+                <div class="timing-window">
+                    <span class="timing-icon">🐛</span>
+                    <div class="timing-details">
+                        <div class="timing-title">${pest}: ${stage.name} · ${this.formatRange(stage)}</div>
+                        <div class="timing-desc">${stage.action} (${stage.start}–${stage.end} DD°C, now ${Math.round(prediction.degreeDays)})</div>
+                    </div>
+                    ${stage.status === 'active' ? '<span class="timing-badge">Spray now</span>' : ''}
+                </div>
+            `).join('')}
+        `;
+    }
+};
+
+// Export
+window.Phenology = Phenology;
@@ -0,0 +1,276 @@
+// On-device Plant Classifier for KrishiMitra
+// Offline fallback for The Specialist - an ONNX Runtime Web image model returning top-k disease/pest labels
+
+const PlantClassifier = {
+    MEAN: [0.485, 0.456, 0.406],   // ImageNet normalization the model was trained with
+    STD: [0.229, 0.224, 0.225],
+
+    session: null,
+    labels: null,
+    loading: null,
+    installed: null,   // false once the server reports no model file (see models/crop-disease/README.md)
+
+    // Generic guidance per problem type - the model only names the problem, Gemini fills in specifics later
+    TYPE_INFO: {
+        fungal: {
+            description: 'Fungal or water-mould leaf disease. Spores spread by wind, rain splash and contaminated tools, and infections build up quickly in warm, humid weather.',
+            lifecycle: 'Survives on crop debris, seed or alternate hosts. Spores germinate on wet leaves, and new lesions can release spores again within 1-2 weeks under favourable conditions.',
+            organic: [
+                { name: 'Remove infected leaves', description: 'Pick off and destroy affected leaves and fruit. Do not compost them.' },
+                { name: 'Copper or sulphur spray', description: 'Apply a copper- or sulphur-based fungicide approved for the crop. Follow the label rate.', timing: 'Early morning, before rain' },
+                { name: 'Bacillus subtilis bio-fungicide', description: 'Preventive biological spray on healthy foliage next to infected plants.' }
+            ],
+            chemical: [
+                { name: 'Protectant fungicide', description: 'Mancozeb or chlorothalonil where registered for this crop.', timing: 'At first symptoms, repeated at label intervals', safety: 'Observe the pre-harvest interval' },
+                { name: 'Systemic fungicide', description: 'A strobilurin or triazole product. Rotate modes of action to avoid resistance.', safety: 'Wear gloves and a mask while spraying' }
+            ],
+            prevention: [
+                'Avoid overhead irrigation and water at the base of plants',
+                'Improve airflow with wider spacing and pruning',
+                'Rotate crops and clear crop debris after harvest',
+                'Use resistant varieties and certified seed'
+            ]
+        },
+        bacterial: {
+            description: 'Bacterial disease. Bacteria enter through wounds and natural openings, and spread with splashing water, handling and infected planting material.',
+            lifecycle: 'Persists in seed, debris and some insect vectors. Spreads fastest in warm, wet weather and through working among wet plants.',
+            organic: [
+                { name: 'Rogue infected plants', description: 'Remove badly affected plants and destroy them away from the field.' },
+                { name: 'Copper spray', description: 'Fixed copper slows spread on new growth. It does not cure existing lesions.', timing: 'Before rain, at label intervals' }
+            ],
+            chemical: [
+                { name: 'Copper plus mancozeb', description: 'Tank mix where registered. It improves protection over copper alone.', safety: 'Observe the pre-harvest interval' },
+                { name: 'Control insect vectors', description: 'Where the disease is vector-borne, treat the vector as advised by local extension services.' }
+            ],
+            prevention: [
+                'Use disease-free seed and transplants',
+                'Do not work among plants while the leaves are wet',
+                'Disinfect pruning tools between plants',
+                'Rotate away from host crops for at least two seasons'
+            ]
+        },
+        viral: {
+            description: 'Viral disease. Infected plants cannot be cured. Viruses are spread by insect vectors, contact, tools or infected seed.',
+            lifecycle: 'Carried by whiteflies, aphids or thrips, or spread mechanically on hands and tools. Symptoms appear 1-3 weeks after infection.',
+            organic: [
+                { name: 'Remove infected plants', description: 'Pull up infected plants early and bag them to protect the rest of the crop.' },
+                { name: 'Manage vectors', description: 'Yellow sticky traps, reflective mulch and neem oil reduce whiteflies and aphids.' }
+            ],
+            chemical: [
+                { name: 'Vector control', description: 'Use a systemic insecticide against the vector only where monitoring shows it is needed. Rotate chemical groups.', safety: 'Protect pollinators and do not spray during flowering' }
+            ],
+            prevention: [
+                'Plant resistant or tolerant varieties',
+                'Use insect-proof nursery netting',
+                'Control weeds that host the virus and its vectors',
+                'Wash hands and tools after handling infected plants'
+            ]
+        },
+        pest: {
+            description: 'Insect or mite pest. Feeding damage reduces photosynthesis and vigour, and populations can grow quickly in hot, dry conditions.',
+            lifecycle: 'Short generations of 1-3 weeks let numbers build quickly. Pests spread between plants and are carried in on wind, tools and workers.',
+            organic: [
+                { name: 'Neem oil or insecticidal soap', description: 'Spray the undersides of leaves thoroughly.', timing: 'Evening, repeated every 5-7 days' },
+                { name: 'Biological control', description: 'Release or conserve natural enemies such as predatory mites, lady beetles and lacewings.' },
+                { name: 'Water spray', description: 'A strong water jet knocks mites and aphids off the leaves.' }
+            ],
+            chemical: [
+                { name: 'Selective acaricide or insecticide', description: 'Use a product registered for the pest. Rotate modes of action because resistance develops quickly.', safety: 'Observe the pre-harvest interval and avoid broad-spectrum sprays that kill beneficials' }
+            ],
+            prevention: [
+                'Scout the undersides of leaves weekly',
+                'Avoid water stress and dusty conditions that favour mites',
+                'Remove weeds and crop residues that shelter pests',
+                'Preserve beneficial insects by limiting broad-spectrum sprays'
+            ]
+        },
+        healthy: {
+            description: 'No disease or pest symptoms recognised on this leaf.',
+            lifecycle: 'Not applicable.',
+            organic: [],
+            chemical: [],
+            prevention: [
+                'Keep scouting weekly, since early symptoms are easy to miss',
+                'Maintain balanced nutrition and irrigation',
+                'Photograph any new spots or discolouration and diagnose them early'
+            ]
+        }
+    },
+
+    // Load ONNX Runtime, the model and its labels once
+    load() {
+        if (this.session) return Promise.resolve(this.session);
+
+        if (!this.loading) {
+            this.loading = (async () => {
+                const model = await this.fetchModel();
+                await this.loadRuntime();
+
+                const [session, labels] = await Promise.all([
+                    ort.InferenceSession.create(model, { executionProviders: ['wasm'] }),
+                    fetch(CONFIG.CLASSIFIER_LABELS_URL).then(response => {
+                        if (!response.ok) throw new Error(`Labels request failed: ${response.status}`);
+                        return response.json();
+                    })
+                ]);
+
+                this.session = session;
+                this.labels = labels.classes || labels;
+                return session;
+            })().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+
+        return this.loading;
+    },
+
+    // Model bytes - a 404 means the model was never installed, which is not a load failure
+    async fetchModel() {
+        const response = await fetch(CONFIG.CLASSIFIER_MODEL_URL);
+        if (response.status === 404) {
+            this.installed = false;
+            const error = new Error('Offline model not installed');
+            error.notInstalled = true;
+            throw error;
+        }
+        if (!response.ok) throw new Error(`Model request failed: ${response.status}`);
+
+        this.installed = true;
+        return new Uint8Array(await response.arrayBuffer());
+    },
+
+    // Inject the ONNX Runtime Web script - CORS mode so the service worker can cache it
+    loadRuntime() {
+        if (window.ort) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CONFIG.CLASSIFIER_RUNTIME_URL;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => {
+                ort.env.wasm.wasmPaths = CONFIG.CLASSIFIER_RUNTIME_URL.replace(/[^/]*$/, '');
+                ort.env.wasm.numThreads = 1; // threaded builds need cross-origin isolation
+                resolve();
+            };
+            script.onerror = () => {
+                script.remove();
+                reject(new Error('Could not load the on-device model runtime'));
+            };
+            document.head.appendChild(script);
+        });
+    },
+
+    // Fetch the runtime and model while online so they are cached for offline use
+    async preload() {
+        try {
+            await this.load();
+            console.log('🧠 On-device classifier ready');
+        } catch (error) {
+            if (error.notInstalled) {
+                console.info('On-device classifier not installed - run npm run model:install');
+            } else {
+                console.warn('On-device classifier unavailable:', error.message);
+            }
+        }
+    },
+
+    // Top-k predictions for a base64 image: [{ label, crop, name, scientificName, type, severity, confidence }]
+    async classify(imageBase64, mimeType, topK = CONFIG.CLASSIFIER_TOP_K) {
+        const session = await this.load();
+        const size = CONFIG.CLASSIFIER_INPUT_SIZE;
+        const input = await this.preprocess(imageBase64, mimeType, size);
+
+        const outputs = await session.run({
+            [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, size, size])
+        });
+        const probabilities = this.softmax(Array.from(outputs[session.outputNames[0]].data));
+
+        return probabilities
+            .map((probability, index) => ({ index, probability }))
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, topK)
+            .map(({ index, probability }) => ({
+                ...this.describe(index),
+                confidence: Math.round(probability * 100)
+            }));
+    },
+
+    // Centre-crop, resize and normalize into a 1×3×size×size NCHW tensor
+    async preprocess(imageBase64, mimeType, size) {
+        const blob = await (await fetch(`data:${mimeType};base64,${imageBase64}`)).blob();
+        const bitmap = await createImageBitmap(blob);
+        const side = Math.min(bitmap.width, bitmap.height);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side, 0, 0, size, size);
+        bitmap.close();
+
+        const { data } = ctx.getImageData(0, 0, size, size);
+        const plane = size * size;
+        const input = new Float32Array(3 * plane);
+
+        for (let i = 0; i < plane; i++) {
+            for (let c = 0; c < 3; c++) {
+                input[c * plane + i] = (data[i * 4 + c] / 255 - this.MEAN[c]) / this.STD[c];
+            }
+        }
+
+        return input;
+    },
+
+    // Softmax over logits - outputs that already sum to 1 are passed through
+    softmax(scores) {
+        const sum = scores.reduce((total, score) => total + score, 0);
+        if (scores.every(score => score >= 0 && score <= 1) && Math.abs(sum - 1) < 1e-3) return scores;
+
+        const max = Math.max(...scores);
+        const exps = scores.map(score => Math.exp(score - max));
+        const total = exps.reduce((a, b) => a + b, 0);
+        return exps.map(value => value / total);
+    },
+
+    // Label metadata for a class index
+    describe(index) {
+        const entry = this.labels?.[index];
+        if (!entry) {
+            return { label: `class_${index}`, crop: '', name: `Unknown class ${index}`, scientificName: '', type: 'fungal', severity: 'Moderate' };
+        }
+        if (typeof entry === 'string') {
+            return { label: entry, crop: '', name: entry.replace(/_+/g, ' ').trim(), scientificName: '', type: 'fungal', severity: 'Moderate' };
+        }
+        return { ...entry };
+    },
+
+    // Predictions in the result shape SpecialistModule.displayResults expects
+    toResult(predictions) {
+        const top = predictions[0];
+        const info = this.TYPE_INFO[top.type] || this.TYPE_INFO.fungal;
+        const name = top.type === 'healthy' || !top.crop ? top.name : `${top.name} (${top.crop})`;
+
+        return {
+            identification: {
+                name,
+                scientificName: top.scientificName,
+                confidence: top.confidence
+            },
+            description: info.description,
+            lifecycle: info.lifecycle,
+            riskAssessment: { severity: top.severity },
+            organicTreatments: info.organic,
+            chemicalTreatments: info.chemical,
+            preventionTips: info.prevention,
+            offline: {
+                predictions,
+                classifiedAt: new Date().toISOString()
+            }
+        };
+    }
+};
+
+// Export
+window.PlantClassifier = PlantClassifier;
@@ -0,0 +1,215 @@
+// Variable-Rate Prescription Builder for KrishiMitra
+// Turns zone statistics into a rate grid and writes ISO-XML TaskData and Shapefile prescriptions
+
+const PrescriptionBuilder = {
+    // Application rate units with their ISOBUS data dictionary entries
+    // DDI 0x0006 = setpoint mass per area (mg/m²), 0x0001 = setpoint volume per area (mm³/m²)
+    UNITS: {
+        'kg/ha': { label: 'kg/ha', ddi: '0006', toDDI: 100, totalUnit: 'kg', totalFactor: 1 },
+        'L/ha': { label: 'L/ha', ddi: '0001', toDDI: 100, totalUnit: 'L', totalFactor: 1 },
+        'mm': { label: 'mm', ddi: '0001', toDDI: 1000000, totalUnit: 'm³', totalFactor: 10 }
+    },
+
+    // Defaults per prescription type (rates match the text recommendations)
+    DEFAULTS: {
+        fertilizer: { product: 'Urea (46-0-0)', unit: 'kg/ha', minRate: 100, maxRate: 150, index: 'ndvi' },
+        irrigation: { product: 'Irrigation water', unit: 'mm', minRate: 15, maxRate: 30, index: 'ndwi' }
+    },
+
+    // Build a prescription
+    // zones: [{ id, name, value }] where value is the driving index (lower = weaker = more product)
+    // zoneAt(px, py) returns the zone index under a pixel, or -1
+    build({ zones, zoneAt, width, height, georef, settings }) {
+        const unit = this.UNITS[settings.unit] || this.UNITS['kg/ha'];
+        const zoneRates = this.calculateZoneRates(zones, settings);
+        const grid = georef ?
+            this.createGeoGrid(width, height, georef, settings.cellSize) :
+            this.createPixelGrid(width, height, settings);
+
+        // Rate per cell, -1 = outside the imaged area
+        const rates = new Float32Array(grid.cols * grid.rows).fill(-1);
+        const cellZones = new Int16Array(grid.cols * grid.rows).fill(-1);
+
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.cols; col++) {
+                const [px, py] = grid.cellToPixel(col, row);
+                if (px < 0 || py < 0 || px >= width || py >= height) continue;
+
+                const zoneIndex = zoneAt(px, py);
+                if (zoneIndex < 0 || !zoneRates[zoneIndex]) continue;
+
+                const i = row * grid.cols + col;
+                rates[i] = zoneRates[zoneIndex].rate;
+                cellZones[i] = zoneIndex;
+                zoneRates[zoneIndex].cells++;
+            }
+        }
+
+        zoneRates.forEach(zone => {
+            zone.areaHa = zone.cells * grid.cellArea / 10000;
+            zone.total = zone.rate * zone.areaHa * unit.totalFactor;
+        });
+
+        const totalArea = zoneRates.reduce((sum, z) => sum + z.areaHa, 0);
+        const totalProduct = zoneRates.reduce((sum, z) => sum + z.total, 0);
+        const flatRateTotal = settings.maxRate * totalArea * unit.totalFactor;
+
+        return {
+            settings: { ...settings },
+            unit,
+            grid,
+            rates,
+            cellZones,
+            zoneRates,
+            totalArea,
+            totalProduct,
+            averageRate: totalArea > 0 ? totalProduct / (totalArea * unit.totalFactor) : 0,
+            savings: flatRateTotal - totalProduct,
+            georeferenced: !!georef
+        };
+    },
+
+    // Scale rates linearly between min and max by each zone's index value
+    calculateZoneRates(zones, settings) {
+        const values = zones.map(z => z.value).filter(Number.isFinite);
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+        const step = settings.rateStep || 1;
+
+        return zones.map(zone => {
+            const t = high > low ? (zone.value - low) / (high - low) : 0.5;
+            const raw = settings.maxRate - t * (settings.maxRate - settings.minRate);
+            return {
+                id: zone.id,
+                name: zone.name,
+                value: zone.value,
+                rate: Math.round(raw / step) * step,
+                cells: 0,
+                areaHa: 0,
+                total: 0
+            };
+        });
+    },
+
+    // North-up WGS84 grid covering the image footprint (row 0 is the southern edge, as in ISO-XML)
+    createGeoGrid(width, height, georef, cellSize) {
+        const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(([x, y]) => georef.toLonLat(x, y));
+        const [minLon, minLat, maxLon, maxLat] = GeoExport.getBBox(corners);
+        const centerLat = (minLat + maxLat) / 2;
+
+        const cellLat = cellSize / GeoExport.METERS_PER_DEGREE;
+        const cellLon = cellSize / (GeoExport.METERS_PER_DEGREE * Math.cos(centerLat * Math.PI / 180));
+
+        return {
+            type: 'geo',
+            cols: Math.max(1, Math.ceil((maxLon - minLon) / cellLon)),
+            rows: Math.max(1, Math.ceil((maxLat - minLat) / cellLat)),
+            minLon,
+            minLat,
+            cellLon,
+            cellLat,
+            cellSize,
+            cellArea: cellSize * cellSize,
+            boundary: [...corners, corners[0]],
+            cellToPixel: (col, row) => georef.toPixel(minLon + (col + 0.5) * cellLon, minLat + (row + 0.5) * cellLat)
+        };
+    },
+
+    // Pixel-aligned grid for images without a georeference (areas from the user-entered field size)
+    createPixelGrid(width, height, settings) {
+        const metersPerPixel = Math.sqrt((settings.fieldAreaHa || 1) * 10000 / (width * height));
+        const cellPixels = Math.max(1, settings.cellSize / metersPerPixel);
+        const cols = Math.max(1, Math.ceil(width / cellPixels));
+        const rows = Math.max(1, Math.ceil(height / cellPixels));
+
+        return {
+            type: 'pixel',
+            cols,
+            rows,
+            cellSize: settings.cellSize,
+            cellArea: Math.pow(cellPixels * metersPerPixel, 2),
+            // Row 0 at the bottom of the image to match the geo grid orientation
+            cellToPixel: (col, row) => [(col + 0.5) * cellPixels, height - (row + 0.5) * cellPixels]
+        };
+    },
+
+    // Outline of a grid cell as a closed lon/lat ring
+    cellRing(grid, col, row) {
+        const west = grid.minLon + col * grid.cellLon;
+        const south = grid.minLat + row * grid.cellLat;
+        const east = west + grid.cellLon;
+        const north = south + grid.cellLat;
+        return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+    },
+
+    // ===========================
+    // EXPORTS
+    // ===========================
+
+    // ISO 11783-10 TaskData: TASKDATA.XML plus a type-2 grid (one int32 rate per cell, in DDI units)
+    toISOXML(prescription, name = 'KrishiMitra prescription') {
+        const { grid, rates, unit, settings, totalArea } = prescription;
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/"/g, '&quot;');
+
+        const binary = new DataView(new ArrayBuffer(rates.length * 4));
+        rates.forEach((rate, i) => {
+            binary.setInt32(i * 4, rate > 0 ? Math.round(rate * unit.toDDI) : 0, true);
+        });
+
+        const boundary = grid.boundary.map(([lon, lat]) =>
+            `<PNT A="2" C="${lat.toFixed(9)}" D="${lon.toFixed(9)}"/>`
+        ).join('');
+
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<ISO11783_TaskData VersionMajor="4" VersionMinor="2" ManagementSoftwareManufacturer="${CONFIG.APP_NAME}" ManagementSoftwareVersion="${CONFIG.VERSION}" DataTransferOrigin="1">
+  <PDT A="PDT1" B="${escape(settings.product)}"/>
+  <PFD A="PFD1" C="${escape(name)}" D="${Math.round(totalArea * 10000)}">
+    <PLN A="1"><LSG A="1">${boundary}</LSG></PLN>
+  </PFD>
+  <TSK A="TSK1" B="${escape(name)}" E="PFD1" G="1">
+    <TZN A="1" B="Prescription">
+      <PDV A="${unit.ddi}" B="0" C="PDT1"/>
+    </TZN>
+    <GRD A="${grid.minLat.toFixed(9)}" B="${grid.minLon.toFixed(9)}" C="${grid.cellLat.toFixed(9)}" D="${grid.cellLon.toFixed(9)}" E="${grid.cols}" F="${grid.rows}" G="GRD00001" H="${binary.byteLength}" I="2" J="1"/>
+  </TSK>
+</ISO11783_TaskData>
+`;
+
+        return GeoExport.createZip([
+            { name: 'TASKDATA/TASKDATA.XML', data: new TextEncoder().encode(xml) },
+            { name: 'TASKDATA/GRD00001.BIN', data: new Uint8Array(binary.buffer) }
+        ]);
+    },
+
+    // Rate shapefile: one square polygon per grid cell with Rate/Product/Unit attributes
+    toShapefile(prescription, layerName = 'prescription') {
+        const { grid, rates, cellZones, zoneRates, unit, settings } = prescription;
+        const features = [];
+
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.cols; col++) {
+                const i = row * grid.cols + col;
+                if (rates[i] < 0) continue;
+
+                features.push({
+                    type: 'Feature',
+                    properties: {
+                        Rate: rates[i],
+                        Product: settings.product,
+                        Unit: unit.label,
+                        Zone: zoneRates[cellZones[i]]?.id || ''
+                    },
+                    geometry: { type: 'Polygon', coordinates: [this.cellRing(grid, col, row)] }
+                });
+            }
+        }
+
+        return GeoExport.createZip(GeoExport.toShapefile({ type: 'FeatureCollection', features }, layerName));
+    }
+};
+
+// Export
+window.PrescriptionBuilder = PrescriptionBuilder;
@@ -0,0 +1,311 @@
+// Product Database for KrishiMitra
+// Locally imported pesticide labels - active ingredient, MoA group, registered crops and targets, label rate, PHI and REI -
+// used to check the products Gemini suggests
+
+const ProductDB = {
+    SCHEMES: ['IRAC', 'FRAC', 'HRAC'],     // Insecticide, fungicide and herbicide mode-of-action groups
+
+    // Accepted CSV/JSON column names (lowercased, spaces and punctuation removed) per field
+    COLUMNS: {
+        name: ['name', 'product', 'productname', 'tradename', 'brand'],
+        activeIngredients: ['activeingredient', 'activeingredients', 'active', 'ai'],
+        groups: ['group', 'groups', 'moa', 'moagroup'],
+        crops: ['crops', 'crop', 'registeredcrops'],
+        targets: ['targets', 'target', 'pests', 'targetpests', 'diseases'],
+        rate: ['rate', 'labelrate', 'dosage'],
+        rateMin: ['ratemin', 'minrate'],
+        rateMax: ['ratemax', 'maxrate'],
+        rateUnit: ['rateunit', 'unit'],
+        phi: ['phi', 'phidays', 'preharvestinterval'],
+        rei: ['rei', 'reihours', 'reentryinterval'],
+        rainfast: ['rainfast', 'rainfasthours', 'rainfastness', 'rainfastperiod'],
+        formulation: ['formulation', 'type'],
+        notes: ['notes', 'remarks']
+    },
+
+    products: [],
+    ready: null,
+
+    // Load the imported products into memory
+    init() {
+        this.ready = this.load();
+        return this.ready;
+    },
+
+    async load() {
+        try {
+            this.products = await Utils.db.getAll('products');
+        } catch (error) {
+            console.error('Could not load product database:', error);
+            this.products = [];
+        }
+        return this.products;
+    },
+
+    // Hide suggestions whose label does not list the crop (otherwise they are flagged)
+    get hideUnregistered() {
+        return Utils.storage.get(CONFIG.STORAGE_KEYS.HIDE_UNREGISTERED, false);
+    },
+
+    set hideUnregistered(value) {
+        Utils.storage.set(CONFIG.STORAGE_KEYS.HIDE_UNREGISTERED, value);
+    },
+
+    // ===========================
+    // IMPORT / EXPORT
+    // ===========================
+
+    // Import a CSV or JSON file; products with a name already in the database replace it
+    async importFile(file) {
+        const text = await file.text();
+        const rows = /\.json$/i.test(file.name) || text.trim().startsWith('[') || text.trim().startsWith('{') ?
+            this.parseJSON(text) : this.parseCSV(text);
+
+        const products = rows.map(row => this.normalize(row)).filter(Boolean);
+        if (!products.length) throw new Error('No products with a name were found in the file');
+
+        const existing = new Set(this.products.map(product => product.id));
+        await Utils.db.run('products', 'readwrite', store => {
+            products.forEach(product => store.put(product));
+            return store.count();
+        });
+        await this.load();
+
+        const updated = products.filter(product => existing.has(product.id)).length;
+        return { added: products.length - updated, updated, skipped: rows.length - products.length };
+    },
+
+    // The database as JSON, in the shape importFile reads back
+    exportBlob() {
+        const products = this.products.map(({ importedAt, ...product }) => product);
+        return new Blob([JSON.stringify({ products }, null, 2)], { type: 'application/json' });
+    },
+
+    async clear() {
+        await Utils.db.run('products', 'readwrite', store => store.clear());
+        this.products = [];
+    },
+
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : data.products || [];
+    },
+
+    // Rows as objects keyed by the header line - quoted fields, comma or tab delimited
+    parseCSV(text) {
+        const source = text.replace(/^﻿/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = firstLine.includes('\t') ? '\t' : ',';
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header = [], ...rows] = records.filter(r => r.some(value => value.trim()));
+        return rows.map(values => Object.fromEntries(header.map((key, i) => [key.trim(), (values[i] || '').trim()])));
+    },
+
+    // One imported row to a product record, or null without a name
+    normalize(row) {
+        const keys = Object.keys(row);
+        const pick = field => {
+            const key = keys.find(k => this.COLUMNS[field].includes(k.toLowerCase().replace(/[^a-z]/g, '')));
+            return key === undefined ? undefined : row[key];
+        };
+        const list = value => Array.isArray(value) ? value.map(String) : String(value ?? '').split(/[;|]/);
+        const number = value => {
+            const n = parseFloat(value);
+            return Number.isFinite(n) ? n : null;
+        };
+
+        const name = String(pick('name') ?? '').trim();
+        if (!name) return null;
+
+        // Rate as separate min/max/unit columns, an object, or text such as "2-2.5 kg/ha"
+        let rate = pick('rate');
+        if (rate && typeof rate === 'object') {
+            rate = { min: number(rate.min), max: number(rate.max), unit: rate.unit || '' };
+        } else if (rate) {
+            const m = String(rate).match(/([\d.]+)\s*(?:-|–|to)?\s*([\d.]+)?\s*(.*)/);
+            rate = m ? { min: number(m[1]), max: number(m[2] ?? m[1]), unit: m[3].trim() } : null;
+        } else {
+            rate = { min: number(pick('rateMin')), max: number(pick('rateMax')), unit: String(pick('rateUnit') ?? '').trim() };
+        }
+        if (rate && rate.min === null && rate.max === null) rate = null;
+        if (rate && rate.min === null) rate.min = rate.max;
+        if (rate && rate.max === null) rate.max = rate.min;
+
+        return {
+            id: Utils.string.slugify(name),
+            name,
+            activeIngredients: list(pick('activeIngredients')).map(s => s.trim()).filter(Boolean),
+            groups: list(pick('groups')).map(group => this.parseGroup(group)).filter(Boolean),
+            crops: list(pick('crops')).map(s => s.trim()).filter(Boolean),
+            targets: list(pick('targets')).map(s => s.trim()).filter(Boolean),
+            rate,
+            phi: number(pick('phi')),      // days
+            rei: number(pick('rei')),      // hours
+            rainfast: number(pick('rainfast')),    // hours
+            formulation: String(pick('formulation') ?? '').trim(),
+            notes: String(pick('notes') ?? '').trim(),
+            importedAt: new Date().toISOString()
+        };
+    },
+
+    // "FRAC M3", "IRAC:4A" or { scheme, code } to { scheme, code }
+    parseGroup(group) {
+        if (group && typeof group === 'object') {
+            return group.code ? { scheme: String(group.scheme || '').toUpperCase(), code: String(group.code) } : null;
+        }
+        const m = String(group).trim().match(/^(IRAC|FRAC|HRAC)?\s*[:\s-]?\s*(\S.*)$/i);
+        return m ? { scheme: (m[1] || '').toUpperCase(), code: m[2].trim() } : null;
+    },
+
+    // ===========================
+    // MATCHING
+    // ===========================
+
+    // Lowercase words separated by single spaces, padded for whole-word search
+    words(text) {
+        return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+    },
+
+    // Products a suggested treatment refers to - by trade name first, then by all active ingredients
+    // Only the name/product/activeIngredient fields are searched; descriptions often mention alternatives
+    match(treatment) {
+        if (!this.products.length || !treatment || typeof treatment !== 'object') return null;
+
+        const text = this.words([treatment.name, treatment.product, treatment.treatment, treatment.activeIngredient].filter(Boolean).join(' '));
+        if (!text.trim()) return null;
+
+        const byName = this.products
+            .filter(product => text.includes(this.words(product.name)))
+            .sort((a, b) => b.name.length - a.name.length);
+        if (byName.length) return { products: byName.slice(0, 1), by: 'name' };
+
+        const byActive = this.products.filter(product => product.activeIngredients.length &&
+            product.activeIngredients.every(active => text.includes(this.words(active))));
+        return byActive.length ? { products: byActive, by: 'active' } : null;
+    },
+
+    // true / false when the label lists crops, null when the crop or the crop list is unknown
+    isRegistered(product, crop) {
+        if (!crop || !product.crops.length) return null;
+
+        const singular = word => word.replace(/oes$/, 'o').replace(/ies$/, 'y').replace(/s$/, '');
+        const target = singular(this.words(crop).trim());
+        return product.crops.some(c => {
+            const registered = singular(this.words(c).trim());
+            return registered === target || this.words(registered).includes(this.words(target)) ||
+                   this.words(target).includes(this.words(registered));
+        });
+    },
+
+    // Suggested treatments paired with their label data: [{ treatment, product, registered, alternatives, by }]
+    // Unregistered suggestions are dropped when hideUnregistered is on
+    annotate(treatments, crop) {
+        const annotated = treatments.map(treatment => {
+            const match = this.match(treatment);
+            if (!match) return { treatment, product: null, registered: null, alternatives: 0, by: null };
+
+            // Among products sharing the active ingredient, prefer one registered for this crop
+            const product = match.products.find(p => this.isRegistered(p, crop)) ||
+                            match.products.find(p => this.isRegistered(p, crop) === null) ||
+                            match.products[0];
+            return {
+                treatment,
+                product,
+                registered: this.isRegistered(product, crop),
+                alternatives: match.products.length - 1,
+                by: match.by
+            };
+        });
+
+        const shown = this.hideUnregistered ? annotated.filter(entry => entry.registered !== false) : annotated;
+        return { items: shown, hidden: annotated.length - shown.length };
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    formatGroup(group) {
+        return group.scheme ? `${group.scheme} ${group.code}` : group.code;
+    },
+
+    // Label data card shown under a matched treatment
+    renderLabel({ product, registered, alternatives, by }, crop) {
+        if (!product) return '';
+
+        const rate = product.rate ?
+            (product.rate.min === product.rate.max ? `${product.rate.min}` : `${product.rate.min}-${product.rate.max}`) +
+            (product.rate.unit ? ` ${product.rate.unit}` : '') : '';
+        const registration = registered === true ? `✅ Registered for ${crop}` :
+                             registered === false ? `⛔ Not registered for ${crop} - do not use on this crop` :
+                             crop ? '❔ Registered crops not listed in your database' : '❔ Crop unknown - check the label crop list';
+
+        return `
+            <div class="label-data ${registered === false ? 'unregistered' : ''}">
+                <div class="label-data-head">
+                    📋 <strong>${product.name}</strong>${product.activeIngredients.length ? ` · ${product.activeIngredients.join(' + ')}` : ''}
+                </div>
+                <div class="label-tags">
+                    ${product.groups.map(group => `<span class="label-tag moa">${this.formatGroup(group)}</span>`).join('')}
+                    ${rate ? `<span class="label-tag">Rate ${rate}</span>` : ''}
+                    ${product.phi !== null ? `<span class="label-tag">PHI ${product.phi} d</span>` : ''}
+                    ${product.rei !== null ? `<span class="label-tag">REI ${product.rei} h</span>` : ''}
+                    ${product.rainfast != null ? `<span class="label-tag">Rainfast ${product.rainfast} h</span>` : ''}
+                </div>
+                <small>${registration}</small>
+                ${by === 'active' && alternatives ? `<small>Matched by active ingredient - ${alternatives} other product${alternatives === 1 ? '' : 's'} in your database</small>` : ''}
+            </div>
+        `;
+    },
+
+    // Note under a suggestion the database doesn't know
+    renderUnmatched() {
+        return '<small class="label-missing">❔ Not in your product database - check the label before use</small>';
+    },
+
+    // Footer for a treatment list: hidden count, or a nudge to import labels
+    renderFooter(hidden, crop) {
+        if (!this.products.length) {
+            return '<p class="helper-text">Import your registered products in ⚙️ Settings to check these suggestions against label rates, PHI and REI.</p>';
+        }
+        return hidden ? `<p class="helper-text">${hidden} suggestion${hidden === 1 ? '' : 's'} hidden - not registered for ${crop}.</p>` : '';
+    }
+};
+
+// Export
+window.ProductDB = ProductDB;
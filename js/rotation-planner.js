@@ -0,0 +1,330 @@
+// Resistance Rotation Planner for KrishiMitra
+// Checks a season's sprays - recorded and planned - against IRAC/FRAC rotation rules
+// and suggests products from other mode-of-action groups for the same target
+
+const RotationPlanner = {
+    SEASON_DAYS: 180,      // sprays further back belong to an earlier season
+
+    // Rotation limits per group, first match wins - general IRAC/FRAC guidance; the product label
+    // and local advisories take precedence
+    RULES: [
+        { match: /^(FRAC )?(M|P)\d/, lowRisk: true },                       // multi-site contact, host defence inducers
+        { match: /^IRAC UN/, lowRisk: true },                               // botanicals of unknown mode of action
+        { match: /^FRAC 11$/, maxConsecutive: 2, maxPerSeason: 3 },         // QoI (strobilurins)
+        { match: /^FRAC (1|4)$/, maxConsecutive: 1, maxPerSeason: 2 },      // benzimidazoles, phenylamides
+        { match: /^FRAC (3|7|40)$/, maxConsecutive: 2, maxPerSeason: 3 },   // DMI, SDHI, CAA
+        { match: /^IRAC 28$/, maxConsecutive: 1, maxPerSeason: 2 },         // diamides: one window per generation
+        { match: /./, maxConsecutive: 1, maxPerSeason: 3 }
+    ],
+
+    // Mode-of-action group of common active ingredients, for products not in the product database
+    ACTIVE_GROUPS: [
+        [/carbaryl|methomyl|carbofuran|thiodicarb/, 'IRAC', '1A'],
+        [/chlorpyrifos|malathion|dimethoate|profenofos|quinalphos|acephate|monocrotophos|diazinon|triazophos/, 'IRAC', '1B'],
+        [/fipronil|ethiprole/, 'IRAC', '2B'],
+        [/cypermethrin|deltamethrin|cyhalothrin|bifenthrin|permethrin|fenvalerate|cyfluthrin|pyrethrin/, 'IRAC', '3A'],
+        [/imidacloprid|thiamethoxam|acetamiprid|clothianidin|thiacloprid|dinotefuran/, 'IRAC', '4A'],
+        [/sulfoxaflor/, 'IRAC', '4C'],
+        [/flupyradifurone/, 'IRAC', '4D'],
+        [/spinosad|spinetoram/, 'IRAC', '5'],
+        [/abamectin|emamectin|milbemectin/, 'IRAC', '6'],
+        [/pyriproxyfen/, 'IRAC', '7C'],
+        [/pymetrozine/, 'IRAC', '9B'],
+        [/hexythiazox/, 'IRAC', '10A'],
+        [/etoxazole/, 'IRAC', '10B'],
+        [/bacillus thuringiensis|\bbtk?\b/, 'IRAC', '11A'],
+        [/diafenthiuron/, 'IRAC', '12A'],
+        [/propargite/, 'IRAC', '12C'],
+        [/chlorfenapyr/, 'IRAC', '13'],
+        [/cartap/, 'IRAC', '14'],
+        [/novaluron|lufenuron|diflubenzuron|teflubenzuron/, 'IRAC', '15'],
+        [/buprofezin/, 'IRAC', '16'],
+        [/methoxyfenozide|tebufenozide/, 'IRAC', '18'],
+        [/fenpyroximate|tolfenpyrad|pyridaben/, 'IRAC', '21A'],
+        [/indoxacarb/, 'IRAC', '22A'],
+        [/metaflumizone/, 'IRAC', '22B'],
+        [/spiromesifen|spirotetramat/, 'IRAC', '23'],
+        [/chlorantraniliprole|cyantraniliprole|flubendiamide|tetraniliprole/, 'IRAC', '28'],
+        [/flonicamid/, 'IRAC', '29'],
+        [/azadirachtin|neem/, 'IRAC', 'UN'],
+        [/carbendazim|thiophanate|benomyl|thiabendazole/, 'FRAC', '1'],
+        [/iprodione/, 'FRAC', '2'],
+        [/tebuconazole|propiconazole|hexaconazole|difenoconazole|myclobutanil|flutriafol|epoxiconazole|prothioconazole|metconazole|penconazole/, 'FRAC', '3'],
+        [/metalaxyl|mefenoxam/, 'FRAC', '4'],
+        [/boscalid|fluopyram|fluxapyroxad|thifluzamide|penthiopyrad/, 'FRAC', '7'],
+        [/azoxystrobin|pyraclostrobin|trifloxystrobin|kresoxim|picoxystrobin|famoxadone|fenamidone/, 'FRAC', '11'],
+        [/tricyclazole/, 'FRAC', '16.1'],
+        [/cyazofamid|amisulbrom/, 'FRAC', '21'],
+        [/zoxamide/, 'FRAC', '22'],
+        [/kasugamycin/, 'FRAC', '24'],
+        [/streptomycin/, 'FRAC', '25'],
+        [/validamycin/, 'FRAC', '26'],
+        [/cymoxanil/, 'FRAC', '27'],
+        [/propamocarb/, 'FRAC', '28'],
+        [/fluazinam/, 'FRAC', '29'],
+        [/dimethomorph|mandipropamid|iprovalicarb|benthiavalicarb/, 'FRAC', '40'],
+        [/ametoctradin/, 'FRAC', '45'],
+        [/oxathiapiprolin/, 'FRAC', '49'],
+        [/fosetyl|phosphorous acid/, 'FRAC', 'P7'],
+        [/copper|bordeaux/, 'FRAC', 'M1'],
+        [/\bsul(ph|f)ur\b/, 'FRAC', 'M2'],
+        [/mancozeb|maneb|zineb|propineb|metiram|thiram|ziram/, 'FRAC', 'M3'],
+        [/captan|folpet/, 'FRAC', 'M4'],
+        [/chlorothalonil/, 'FRAC', 'M5']
+    ],
+
+    // Active ingredients generally used against a target, first match wins
+    // Offered when the product database has no label for the target
+    TARGET_ACTIVES: [
+        { match: /aphid|whitefl|jassid|leafhopper|hopper|psyllid|mealybug/, actives: ['Flonicamid', 'Pymetrozine', 'Spirotetramat', 'Sulfoxaflor', 'Flupyradifurone', 'Imidacloprid', 'Buprofezin', 'Pyriproxyfen', 'Diafenthiuron'] },
+        { match: /thrip/, actives: ['Spinetoram', 'Fipronil', 'Tolfenpyrad', 'Cyantraniliprole', 'Abamectin'] },
+        { match: /mite/, actives: ['Abamectin', 'Hexythiazox', 'Etoxazole', 'Fenpyroximate', 'Spiromesifen', 'Propargite'] },
+        { match: /caterpillar|bollworm|borer|armyworm|looper|fruit ?worm|cutworm|helicoverpa|spodoptera|diamondback|leaf ?folder/, actives: ['Chlorantraniliprole', 'Emamectin benzoate', 'Spinetoram', 'Indoxacarb', 'Novaluron', 'Bacillus thuringiensis', 'Chlorfenapyr', 'Methoxyfenozide'] },
+        { match: /late blight|downy mildew|phytophthora|pythium|damping/, actives: ['Mandipropamid', 'Cymoxanil', 'Metalaxyl', 'Cyazofamid', 'Ametoctradin', 'Oxathiapiprolin', 'Propamocarb', 'Fosetyl-Al', 'Mancozeb', 'Chlorothalonil'] },
+        { match: /sheath blight/, actives: ['Validamycin', 'Hexaconazole', 'Thifluzamide', 'Azoxystrobin'] },
+        { match: /powdery mildew/, actives: ['Sulphur', 'Myclobutanil', 'Hexaconazole', 'Azoxystrobin', 'Fluopyram'] },
+        { match: /rust/, actives: ['Tebuconazole', 'Propiconazole', 'Azoxystrobin', 'Mancozeb'] },
+        { match: /blast/, actives: ['Tricyclazole', 'Azoxystrobin', 'Kasugamycin'] },
+        { match: /bacterial|canker|xanthomonas|pseudomonas/, actives: ['Copper oxychloride', 'Kasugamycin', 'Streptomycin'] },
+        { match: /blight|leaf spot|alternaria|septoria|cercospora|anthracnose|scab/, actives: ['Azoxystrobin', 'Difenoconazole', 'Boscalid', 'Fluopyram', 'Chlorothalonil', 'Mancozeb', 'Captan'] }
+    ],
+
+    // ===========================
+    // GROUPS
+    // ===========================
+
+    // "FRAC M 03" and "FRAC M3" compare equal
+    key(group) {
+        const code = String(group.code).toUpperCase().replace(/\s+/g, '').replace(/^([A-Z]+)0+(?=\d)/, '$1');
+        return ProductDB.formatGroup({ scheme: group.scheme, code });
+    },
+
+    // Mode-of-action groups of a spray or suggestion - from its label, else from its active ingredients
+    groupsOf(source) {
+        const label = ProductDB.match(source)?.products[0];
+        if (label?.groups.length) return [...new Set(label.groups.map(group => this.key(group)))];
+
+        const text = [source.activeIngredient, source.product, source.name, source.treatment]
+            .filter(Boolean).join(' ').toLowerCase();
+        return [...new Set(this.ACTIVE_GROUPS
+            .filter(([pattern]) => pattern.test(text))
+            .map(([, scheme, code]) => this.key({ scheme, code })))];
+    },
+
+    ruleFor(group) {
+        return this.RULES.find(rule => rule.match.test(group));
+    },
+
+    // A spray record, treatment suggestion or schedule entry in the shape the checks use
+    toEntry(source, planned = false) {
+        return {
+            id: planned ? null : source.id || null,
+            date: planned ? null : source.appliedAt || null,
+            fieldId: source.fieldId || null,
+            crop: source.crop || '',
+            product: source.product || source.name || source.treatment || 'Product',
+            activeIngredient: source.activeIngredient || '',
+            target: source.target || (Array.isArray(source.targetPests) ? source.targetPests.join(', ') : ''),
+            groups: this.groupsOf(source),
+            planned
+        };
+    },
+
+    // ===========================
+    // HISTORY
+    // ===========================
+
+    // Recorded sprays of the same field (or crop) in the season before a date, oldest first
+    // context: { fieldId, crop, appliedAt, id } - id leaves out the record being edited
+    async getHistory(context) {
+        const records = await SprayRecords.getAll();
+        return this.seasonOf(records.map(record => this.toEntry(record)), context);
+    },
+
+    seasonOf(entries, { id = null, fieldId = null, crop = '', appliedAt = SprayRecords.localDateTime() } = {}) {
+        if (!fieldId && !crop) return [];
+
+        const start = SprayRecords.localDateTime(Utils.date.addDays(appliedAt, -this.SEASON_DAYS));
+        const sameCrop = entry => !!crop && entry.crop.toLowerCase() === crop.toLowerCase();
+
+        return entries
+            .filter(entry => entry.id !== id && entry.date >= start && entry.date < appliedAt)
+            .filter(entry => fieldId ? entry.fieldId === fieldId || (!entry.fieldId && sameCrop(entry)) : sameCrop(entry))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    // Rotation issues of every record against its own field's season, by record id
+    reviewRecords(records) {
+        const entries = records.map(record => this.toEntry(record));
+        const issues = {};
+
+        entries.forEach(entry => {
+            const [checked] = this.analyze([...this.seasonOf(entries, { ...entry, appliedAt: entry.date }), entry]).slice(-1);
+            if (checked.issues.length) issues[entry.id] = checked.issues;
+        });
+        return issues;
+    },
+
+    // ===========================
+    // CHECKS
+    // ===========================
+
+    // Entries in application order with their issues: [{ ...entry, issues: [{ type, group, count, limit }] }]
+    // An entry whose group is unknown neither counts nor breaks a run
+    analyze(entries) {
+        const counts = {};
+        let runs = {};
+
+        return entries.map(entry => {
+            const issues = [];
+            const nextRuns = {};
+
+            entry.groups.forEach(group => {
+                const rule = this.ruleFor(group);
+                counts[group] = (counts[group] || 0) + 1;
+                nextRuns[group] = (runs[group] || 0) + 1;
+                if (rule.lowRisk) return;
+
+                if (nextRuns[group] > rule.maxConsecutive) {
+                    issues.push({ type: 'consecutive', group, count: nextRuns[group], limit: rule.maxConsecutive });
+                }
+                if (counts[group] > rule.maxPerSeason) {
+                    issues.push({ type: 'season', group, count: counts[group], limit: rule.maxPerSeason });
+                }
+            });
+
+            if (entry.groups.length) runs = nextRuns;
+            return { ...entry, issues };
+        });
+    },
+
+    // Planned sprays after the recorded ones, with alternatives where a planned spray breaks the rotation
+    plan(history, planned, crop) {
+        const entries = this.analyze([...history, ...planned.map(source => this.toEntry(source, true))]);
+
+        return entries.map((entry, i) => entry.planned && entry.issues.length ?
+            { ...entry, alternatives: this.alternatives(entry, entries.slice(0, i), crop) } :
+            { ...entry, alternatives: [] });
+    },
+
+    // One suggestion as the next spray after the recorded ones
+    check(history, source, crop) {
+        const [entry] = this.plan(history, [source], crop).slice(-1);
+        return { ...entry, seasonCount: history.length };
+    },
+
+    // Products from groups that neither repeat the previous spray nor are used up for the season
+    // Labels listing the target come first, then general options for the target
+    alternatives(entry, earlier, crop) {
+        const excluded = new Set(entry.groups);
+        const previous = [...earlier].reverse().find(e => e.groups.length);
+        previous?.groups.forEach(group => excluded.add(group));
+
+        const counts = {};
+        earlier.forEach(e => e.groups.forEach(group => { counts[group] = (counts[group] || 0) + 1; }));
+        Object.entries(counts).forEach(([group, count]) => {
+            const rule = this.ruleFor(group);
+            if (!rule.lowRisk && count >= rule.maxPerSeason) excluded.add(group);
+        });
+
+        const target = entry.target.toLowerCase();
+        if (!target) return [];
+
+        const fits = groups => groups.length && groups.every(group => !excluded.has(group));
+        const singular = text => ProductDB.words(text).replace(/(\w)s /g, '$1 ');
+        const targetWords = singular(target);
+
+        const labels = ProductDB.products
+            .filter(product => (product.targets || []).some(t => targetWords.includes(singular(t)) || singular(t).includes(targetWords)))
+            .filter(product => ProductDB.isRegistered(product, crop) !== false)
+            .map(product => ({ name: product.name, groups: product.groups.map(group => this.key(group)), source: 'label' }))
+            .filter(option => fits(option.groups));
+
+        const general = (this.TARGET_ACTIVES.find(row => row.match.test(target))?.actives || [])
+            .map(active => ({ name: active, groups: this.groupsOf({ activeIngredient: active }), source: 'general' }))
+            .filter(option => fits(option.groups));
+
+        return [...labels, ...general].slice(0, 6);
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    describe(issue) {
+        return issue.type === 'consecutive' ?
+            `${issue.group} ${issue.count}× in a row (rotate after ${issue.limit})` :
+            `${issue.group} ${issue.count}× this season (limit ${issue.limit})`;
+    },
+
+    renderGroups(groups) {
+        return groups.length ?
+            groups.map(group => `<span class="label-tag moa">${group}</span>`).join('') :
+            '<span class="label-tag">Group unknown</span>';
+    },
+
+    renderAlternatives(entry) {
+        if (!entry.issues.length) return '';
+        if (!entry.target) return '<small>Enter the target pest or disease to get options from other groups.</small>';
+        if (!entry.alternatives.length) return '<small>No option from another group found for this target - ask your local extension officer.</small>';
+
+        return `
+            <small>Rotate to:</small>
+            <div class="label-tags">
+                ${entry.alternatives.map(option => `<span class="label-tag">${option.name} · ${option.groups.join(', ')}</span>`).join('')}
+            </div>
+            ${entry.alternatives.some(option => option.source === 'general') ? '<small>General options - check the label is registered for your crop.</small>' : ''}
+        `;
+    },
+
+    // Rotation note under a single suggestion (from check)
+    renderCheck(entry) {
+        if (!entry.groups.length) return '';
+
+        const status = entry.issues.length ? entry.issues.map(issue => `<small>⚠️ ${this.describe(issue)}</small>`).join('') :
+                       entry.seasonCount ? '<small>✅ Rotates with this season\'s sprays</small>' :
+                       '<small>No earlier sprays recorded this season</small>';
+        return `
+            <div class="rotation-check ${entry.issues.length ? 'warning' : ''}">
+                <div class="label-tags">🔄 ${this.renderGroups(entry.groups)}</div>
+                ${status}
+                ${this.renderAlternatives(entry)}
+            </div>
+        `;
+    },
+
+    // Recorded sprays followed by a planned schedule (from plan)
+    renderPlan(entries, crop) {
+        if (!entries.some(entry => entry.planned && entry.groups.length)) {
+            return `
+                <h4 style="margin: 1.5rem 0 1rem;">🔄 Resistance Rotation</h4>
+                <p class="helper-text">The mode-of-action groups of these products are unknown. Import their labels in ⚙️ Settings to check the rotation.</p>
+            `;
+        }
+
+        const recorded = entries.filter(entry => !entry.planned).length;
+        const conflicts = entries.filter(entry => entry.planned && entry.issues.length).length;
+
+        return `
+            <h4 style="margin: 1.5rem 0 1rem;">🔄 Resistance Rotation</h4>
+            <p class="helper-text">${recorded ? `${recorded} spray${recorded === 1 ? '' : 's'} recorded on ${crop} this season, then the planned schedule.` : `No sprays recorded on ${crop || 'this crop'} this season.`}
+                ${conflicts ? `${conflicts} planned spray${conflicts === 1 ? ' breaks' : 's break'} the rotation.` : 'The schedule rotates mode-of-action groups.'}</p>
+            <div class="rotation-sequence">
+                ${entries.map(entry => `
+                    <div class="rotation-step ${entry.planned ? 'planned' : ''} ${entry.issues.length ? 'warning' : ''}">
+                        <div class="rotation-step-head">
+                            <span class="history-item-meta">${entry.planned ? 'Planned' : Utils.date.format(entry.date, 'short')}</span>
+                            <strong>${entry.product}</strong>
+                        </div>
+                        <div class="label-tags">${this.renderGroups(entry.groups)}</div>
+                        ${entry.issues.map(issue => `<small>⚠️ ${this.describe(issue)}</small>`).join('')}
+                        ${entry.planned ? this.renderAlternatives(entry) : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+};
+
+// Export
+window.RotationPlanner = RotationPlanner;
@@ -3,11 +3,22 @@
 const SpecialistModule = {
     currentImage: null,
     currentImageMime: null,
+    currentImageMeta: null, // { location, capturedAt } from the photo's EXIF
+    currentCaseId: null,
+    currentQuality: null,   // ImageQuality report of the main photo
+    primaryView: 'upper',   // what the main photo shows
+    extraViews: [],         // further views of the same plant: [{ view, data, mime, dataUrl }]
+    viewTarget: null,       // view being added through the file picker
+    viewImages: [],         // image per result "views" entry, in the order sent
     cameraStream: null,
+    queuedId: null,         // queue entry of the photo whose results are shown
+    processingQueue: false,
     
     // Initialize module
     init() {
         this.setupEventListeners();
+        this.setupOfflineQueue();
+        DiagnosisCases.init();
     },
     
     // Setup event listeners
@@ -66,6 +77,27 @@ const SpecialistModule = {
         if (diagnoseBtn) {
             diagnoseBtn.addEventListener('click', () => this.diagnose());
         }
+        
+        // Extra views
+        const primaryView = $('#specialist-primary-view');
+        const viewInput = $('#specialist-view-input');
+        
+        if (primaryView) {
+            primaryView.addEventListener('change', () => this.setPrimaryView(primaryView.value));
+        }
+        
+        if (viewInput) {
+            viewInput.addEventListener('change', (e) => {
+                if (e.target.files.length) this.addView(this.viewTarget, e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+        
+        // Case record
+        const caseSaveBtn = $('#case-save-btn');
+        if (caseSaveBtn) {
+            caseSaveBtn.addEventListener('click', () => this.saveCaseNotes());
+        }
     },
     
     // Switch tabs
@@ -120,7 +152,7 @@ const SpecialistModule = {
     },
     
     // Capture photo from camera
-    capturePhoto() {
+    async capturePhoto() {
         const video = $('#camera-feed');
         const canvas = $('#camera-canvas');
         
@@ -140,12 +172,14 @@ const SpecialistModule = {
         
         this.currentImage = base64;
         this.currentImageMime = 'image/jpeg';
-        
-        // Show preview
-        this.showPreview(dataUrl);
+        this.currentImageMeta = null;
         
         // Stop camera
         this.stopCamera();
+        
+        // Show preview
+        this.showPreview(dataUrl);
+        this.showQuality(await this.checkQuality(canvas));
     },
     
     // Handle file selection
@@ -170,8 +204,20 @@ const SpecialistModule = {
             this.currentImage = base64;
             this.currentImageMime = Utils.file.getMimeType(file);
             
+            // GPS position and capture time for the case record
+            const meta = await ExifReader.read(file);
+            this.currentImageMeta = {
+                location: meta?.hasGPS ? { lat: meta.latitude, lon: meta.longitude, source: 'photo' } : null,
+                capturedAt: meta?.dateTime || null
+            };
+            
             this.showPreview(dataUrl);
-            Utils.toast.success('Image loaded successfully');
+            
+            const quality = await this.checkQuality(file);
+            this.showQuality(quality);
+            if (quality?.verdict !== 'reject') {
+                Utils.toast.success('Image loaded successfully');
+            }
         } catch (error) {
             Utils.toast.error('Failed to load image');
             console.error(error);
@@ -193,12 +239,21 @@ const SpecialistModule = {
         // Hide tab buttons temporarily
         const tabBtns = $('.capture-tabs');
         if (tabBtns) tabBtns.style.display = 'none';
+        
+        this.populateCaseFields();
+        this.renderViewSlots();
     },
     
     // Retake photo
     retake() {
         this.currentImage = null;
         this.currentImageMime = null;
+        this.currentImageMeta = null;
+        this.currentCaseId = null;
+        this.currentQuality = null;
+        this.queuedId = null;
+        this.primaryView = 'upper';
+        this.extraViews = [];
         
         const preview = $('#specialist-preview');
         const tabUpload = $('#tab-upload');
@@ -210,6 +265,8 @@ const SpecialistModule = {
         if (tabUpload) tabUpload.classList.add('active');
         if (results) results.classList.add('hidden');
         if (fileInput) fileInput.value = '';
+        $('#specialist-case')?.classList.add('hidden');
+        $('#specialist-quality')?.classList.add('hidden');
         if (tabBtns) tabBtns.style.display = 'flex';
         
         // Reset tab buttons
@@ -230,6 +287,12 @@ const SpecialistModule = {
             return;
         }
         
+        // Poor photos give confident wrong answers - make retaking the default
+        if (this.currentQuality?.verdict === 'reject' &&
+            !confirm(`This photo may lead to a wrong diagnosis:\n\n${ImageQuality.getAdvice(this.currentQuality)}\n\nDiagnose anyway?`)) {
+            return;
+        }
+        
         const diagnoseBtn = $('#specialist-diagnose-btn');
         const btnText = diagnoseBtn.querySelector('.btn-text');
         const btnLoader = diagnoseBtn.querySelector('.btn-loader');
@@ -240,11 +303,23 @@ const SpecialistModule = {
         diagnoseBtn.disabled = true;
         
         try {
-            const result = await GeminiAPI.diagnosePlant(this.currentImage, this.currentImageMime);
+            if (!navigator.onLine) {
+                await this.diagnoseOffline();
+                return;
+            }
+            
+            const images = this.getDiagnosisImages();
+            const result = await GeminiAPI.diagnosePlantViews(images);
             
             // Display results
+            this.queuedId = null;
+            this.viewImages = images.map(image => `data:${image.mimeType};base64,${image.data}`);
             this.displayResults(result);
             
+            // Measure the lesions, then keep the case - position lookup can take a while, so don't hold the button
+            const lesions = await this.measureLesions();
+            this.saveCase(result, 'gemini', { lesions });
+            
             // Log activity
             Utils.activity.log('diagnosis', 'Plant Diagnosis', {
                 name: result.identification?.name || result.name || 'Unknown',
@@ -253,8 +328,12 @@ const SpecialistModule = {
             
             Utils.toast.success('Diagnosis complete!');
         } catch (error) {
-            Utils.toast.error('Diagnosis failed: ' + error.message);
             console.error(error);
+            if (this.isNetworkError(error)) {
+                await this.diagnoseOffline();
+            } else {
+                Utils.toast.error('Diagnosis failed: ' + error.message);
+            }
         } finally {
             // Reset button
             btnText.classList.remove('hidden');
@@ -264,7 +343,8 @@ const SpecialistModule = {
     },
     
     // Display diagnosis results
-    displayResults(result) {
+    // crop: the crop treatments are checked against - the entered crop, else the one Gemini detected
+    displayResults(result, crop = $('#specialist-crop')?.value.trim() || result.crop || '') {
         const resultsContainer = $('#specialist-results');
         
         if (resultsContainer) {
@@ -322,11 +402,21 @@ const SpecialistModule = {
         this.updateRiskIndicator(riskLevel);
         
         // Update treatments
-        this.updateTreatments(result);
+        this.updateTreatments(result, crop);
         
         // Update prevention tips
         this.updatePreventionTips(result);
         
+        // Multi-view results say which photo supports which finding
+        this.renderViewEvidence(result);
+        
+        // On-device results carry the alternatives and a pending notice
+        this.renderOfflineNotice(result.offline);
+        
+        // Case panel and measured severity are filled in once measured, stored or reopened
+        $('#specialist-case')?.classList.add('hidden');
+        $('#diagnosis-lesions-section')?.classList.add('hidden');
+        
         // Scroll to results
         resultsContainer.scrollIntoView({ behavior: 'smooth' });
     },
@@ -362,12 +452,7 @@ const SpecialistModule = {
         const riskFill = $('#risk-fill');
         const riskLabel = $('#risk-label');
         
-        const riskLower = (riskLevel || 'moderate').toLowerCase();
-        let riskClass = 'moderate';
-        
-        if (riskLower.includes('low')) riskClass = 'low';
-        else if (riskLower.includes('high')) riskClass = 'high';
-        else if (riskLower.includes('critical') || riskLower.includes('severe')) riskClass = 'critical';
+        const riskClass = this.getRiskClass(riskLevel);
         
         if (riskFill) {
             riskFill.className = `risk-fill ${riskClass}`;
@@ -379,8 +464,18 @@ const SpecialistModule = {
         }
     },
     
+    // Severity text to one of low / moderate / high / critical
+    getRiskClass(riskLevel) {
+        const riskLower = (riskLevel || 'moderate').toLowerCase();
+        
+        if (riskLower.includes('low')) return 'low';
+        if (riskLower.includes('high')) return 'high';
+        if (riskLower.includes('critical') || riskLower.includes('severe')) return 'critical';
+        return 'moderate';
+    },
+    
     // Update treatments
-    updateTreatments(result) {
+    updateTreatments(result, crop) {
         const organicContainer = $('#organic-treatments');
         const chemicalContainer = $('#chemical-treatments');
         
@@ -389,7 +484,7 @@ const SpecialistModule = {
                        result.organic || result.treatments?.organic || [];
         
         if (organicContainer) {
-            organicContainer.innerHTML = this.formatTreatments(organic, 'organic');
+            organicContainer.innerHTML = this.formatTreatments(organic, 'organic', crop);
         }
         
         // Chemical treatments
@@ -397,12 +492,50 @@ const SpecialistModule = {
                         result.chemical || result.treatments?.chemical || [];
         
         if (chemicalContainer) {
-            chemicalContainer.innerHTML = this.formatTreatments(chemical, 'chemical');
+            chemicalContainer.innerHTML = this.formatTreatments(chemical, 'chemical', crop);
+        }
+        
+        // Tank mix calculator from any treatment card
+        const lists = { organic, chemical };
+        $$('#organic-treatments .tank-mix-btn:not(.spray-record-btn), #chemical-treatments .tank-mix-btn:not(.spray-record-btn)').forEach(btn => {
+            btn.addEventListener('click', () => TankMix.open([lists[btn.dataset.type][btn.dataset.index]]));
+        });
+        
+        // Spray record prefilled with the treatment, diagnosis, crop and field
+        $$('#organic-treatments .spray-record-btn, #chemical-treatments .spray-record-btn').forEach(btn => {
+            btn.addEventListener('click', () => SprayRecords.startRecord(
+                SprayRecords.fromTreatment(lists[btn.dataset.type][btn.dataset.index], {
+                    crop,
+                    target: DiagnosisCases.summarize(result).name,
+                    fieldId: $('#specialist-field-select')?.value || null,
+                    caseId: this.currentCaseId,
+                    source: 'specialist'
+                })
+            ));
+        });
+        
+        // Resistance rotation against this season's sprays
+        this.checkRotation(chemical, crop, DiagnosisCases.summarize(result).name);
+    },
+    
+    // Each chemical suggestion as the next spray after this season's sprays on the field or crop
+    async checkRotation(treatments, crop, target) {
+        if (!Array.isArray(treatments) || treatments.length === 0) return;
+        
+        try {
+            const history = await RotationPlanner.getHistory({ fieldId: $('#specialist-field-select')?.value || null, crop });
+            $$('#chemical-treatments .treatment-item[data-index]').forEach(item => {
+                const treatment = treatments[item.dataset.index];
+                const check = RotationPlanner.check(history, { ...treatment, target }, crop);
+                item.querySelector('.tank-mix-btn')?.insertAdjacentHTML('beforebegin', RotationPlanner.renderCheck(check));
+            });
+        } catch (error) {
+            console.error('Could not check the spray rotation:', error);
         }
     },
     
-    // Format treatments HTML
-    formatTreatments(treatments, type) {
+    // Format treatments HTML, with label data from the product database
+    formatTreatments(treatments, type, crop) {
         if (!treatments || (Array.isArray(treatments) && treatments.length === 0)) {
             return '<p class="text-muted">No specific treatments recommended.</p>';
         }
@@ -412,19 +545,25 @@ const SpecialistModule = {
         }
         
         if (Array.isArray(treatments)) {
-            return treatments.map(t => {
+            const { items, hidden } = ProductDB.annotate(treatments, crop);
+            
+            return items.map(({ treatment: t, ...label }) => {
                 if (typeof t === 'string') {
                     return `<div class="treatment-item"><p>${t}</p></div>`;
                 }
                 return `
-                    <div class="treatment-item">
+                    <div class="treatment-item" data-index="${treatments.indexOf(t)}">
                         <h5>${t.name || t.treatment || t.product || 'Treatment'}</h5>
                         <p>${t.description || t.application || t.instructions || t.dosage || ''}</p>
                         ${t.timing ? `<small><strong>Timing:</strong> ${t.timing}</small>` : ''}
                         ${t.safety ? `<small><strong>Safety:</strong> ${t.safety}</small>` : ''}
+                        ${label.product ? ProductDB.renderLabel(label, crop) :
+                          type === 'chemical' && ProductDB.products.length ? ProductDB.renderUnmatched() : ''}
+                        <button class="tank-mix-btn" data-type="${type}" data-index="${treatments.indexOf(t)}">🧮 Tank mix</button>
+                        <button class="tank-mix-btn spray-record-btn" data-type="${type}" data-index="${treatments.indexOf(t)}">📝 Record spray</button>
                     </div>
                 `;
-            }).join('');
+            }).join('') + (type === 'chemical' || hidden ? ProductDB.renderFooter(hidden, crop) : '');
         }
         
         // Object format
@@ -463,6 +602,665 @@ const SpecialistModule = {
                 </ul>
             `;
         }
+    },
+    
+    // ==========================================
+    // IMAGE QUALITY
+    // ==========================================
+    
+    // Quality report for a photo - a failed check never blocks loading the image
+    async checkQuality(source) {
+        try {
+            return await ImageQuality.assess(source, { purpose: 'diagnosis' });
+        } catch (error) {
+            console.warn('Image quality check failed:', error);
+            return null;
+        }
+    },
+    
+    // Report under the preview, with retake guidance for poor photos
+    showQuality(quality) {
+        this.currentQuality = quality;
+        
+        const container = $('#specialist-quality');
+        if (!container) return;
+        
+        container.classList.toggle('hidden', !quality);
+        container.innerHTML = quality ? ImageQuality.renderReport(quality) : '';
+        
+        if (quality?.verdict === 'reject') {
+            Utils.toast.show(`Please retake: ${ImageQuality.getAdvice(quality)}`, 'warning', 8000);
+        }
+    },
+    
+    // ==========================================
+    // LESION SEVERITY
+    // ==========================================
+    
+    // Diseased leaf area of the main photo (null when no leaf is found or measuring fails)
+    async measureLesions() {
+        let lesions = null;
+        try {
+            lesions = await LesionAnalyzer.analyze(this.currentImage, this.currentImageMime);
+        } catch (error) {
+            console.error('Lesion measurement failed:', error);
+        }
+        
+        this.renderLesions(lesions);
+        return lesions;
+    },
+    
+    // Overlay, diseased-area percentage and Horsfall-Barratt grade
+    renderLesions(lesions) {
+        const section = $('#diagnosis-lesions-section');
+        const container = $('#diagnosis-lesions');
+        if (!section || !container) return;
+        
+        section.classList.remove('hidden');
+        
+        if (!lesions) {
+            container.innerHTML = '<p class="history-hint">No leaf could be measured in this photo. For a measured severity, photograph a single leaf that fills most of the frame.</p>';
+            return;
+        }
+        
+        const hb = lesions.horsfallBarratt;
+        const breakdown = [
+            { key: 'chlorotic', label: 'Chlorotic (yellowing)', value: lesions.chloroticPct },
+            { key: 'necrotic', label: 'Necrotic (brown/dead)', value: lesions.necroticPct },
+            { key: 'missing', label: 'Holes, mildew or bleached', value: lesions.missingPct }
+        ];
+        
+        container.innerHTML = `
+            <div class="lesion-summary">
+                <img src="${lesions.overlay}" alt="Lesion overlay" class="lesion-overlay">
+                <div class="lesion-stats">
+                    <div class="lesion-headline">
+                        <span class="lesion-pct">${lesions.diseasedPct}%</span>
+                        <span>diseased leaf area</span>
+                    </div>
+                    <div class="lesion-hb">Horsfall-Barratt grade <strong>${hb.grade}</strong> of 12 (${hb.range})</div>
+                    <ul class="lesion-breakdown">
+                        ${breakdown.map(b => `
+                            <li><span class="lesion-swatch ${b.key}"></span>${b.label}<strong>${b.value}%</strong></li>
+                        `).join('')}
+                    </ul>
+                    <small class="text-muted">Measured from leaf colour in the main photo. Shadows, glare and green backgrounds can affect the estimate.</small>
+                </div>
+            </div>
+        `;
+    },
+    
+    // ==========================================
+    // MULTI-VIEW CAPTURE
+    // ==========================================
+    
+    getViewLabel(id) {
+        return CONFIG.DIAGNOSIS_VIEWS.find(view => view.id === id)?.label || id;
+    },
+    
+    // Photos to send, main photo first: [{ data, mimeType, label }]
+    getDiagnosisImages() {
+        return [
+            { data: this.currentImage, mimeType: this.currentImageMime, label: this.getViewLabel(this.primaryView) },
+            ...this.extraViews.map(view => ({ data: view.data, mimeType: view.mime, label: this.getViewLabel(view.view) }))
+        ];
+    },
+    
+    // Relabel the main photo - an extra photo already holding that view takes the old label
+    setPrimaryView(view) {
+        const clash = this.extraViews.find(extra => extra.view === view);
+        if (clash) clash.view = this.primaryView;
+        
+        this.primaryView = view;
+        this.renderViewSlots();
+    },
+    
+    // Add (or replace) the photo for one view
+    async addView(view, file) {
+        const validation = Utils.file.validateImage(file);
+        if (!validation.valid) {
+            Utils.toast.error(validation.error);
+            return;
+        }
+        
+        try {
+            const base64 = await Utils.file.toBase64(file);
+            const dataUrl = await this.createThumbnail(base64, Utils.file.getMimeType(file), CONFIG.DIAGNOSIS_VIEW_SIZE, 0.85);
+            const quality = await this.checkQuality(file);
+            const entry = { view, data: dataUrl.split(',')[1], mime: 'image/jpeg', dataUrl, quality };
+            
+            if (quality?.verdict === 'reject') {
+                Utils.toast.show(`${this.getViewLabel(view)}: ${ImageQuality.getAdvice(quality)}`, 'warning', 8000);
+            }
+            
+            const existing = this.extraViews.findIndex(extra => extra.view === view);
+            if (existing >= 0) {
+                this.extraViews[existing] = entry;
+            } else {
+                this.extraViews.push(entry);
+            }
+            
+            this.renderViewSlots();
+        } catch (error) {
+            Utils.toast.error('Failed to load image');
+            console.error(error);
+        }
+    },
+    
+    removeView(view) {
+        this.extraViews = this.extraViews.filter(extra => extra.view !== view);
+        this.renderViewSlots();
+    },
+    
+    // Main-photo label picker and one slot per remaining view
+    renderViewSlots() {
+        const select = $('#specialist-primary-view');
+        const container = $('#specialist-view-slots');
+        if (!select || !container) return;
+        
+        select.innerHTML = CONFIG.DIAGNOSIS_VIEWS.map(view =>
+            `<option value="${view.id}">${view.icon} ${view.label}</option>`
+        ).join('');
+        select.value = this.primaryView;
+        
+        const full = 1 + this.extraViews.length >= CONFIG.MAX_DIAGNOSIS_VIEWS;
+        
+        container.innerHTML = CONFIG.DIAGNOSIS_VIEWS
+            .filter(view => view.id !== this.primaryView)
+            .map(view => {
+                const extra = this.extraViews.find(e => e.view === view.id);
+                if (extra) {
+                    return `
+                        <div class="view-slot filled ${extra.quality?.verdict === 'reject' ? 'poor' : ''}">
+                            <img src="${extra.dataUrl}" alt="${view.label}">
+                            <span>${extra.quality?.verdict === 'reject' ? '⚠️' : view.icon} ${view.label}</span>
+                            <button class="view-slot-remove" data-view="${view.id}" title="Remove">&times;</button>
+                        </div>
+                    `;
+                }
+                return `
+                    <button class="view-slot" data-view="${view.id}" ${full ? 'disabled' : ''}>
+                        <span class="view-slot-icon">${view.icon}</span>
+                        <span>+ ${view.label}</span>
+                    </button>
+                `;
+            }).join('');
+        
+        $$('#specialist-view-slots button.view-slot').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.viewTarget = btn.dataset.view;
+                $('#specialist-view-input')?.click();
+            });
+        });
+        $$('.view-slot-remove').forEach(btn => {
+            btn.addEventListener('click', () => this.removeView(btn.dataset.view));
+        });
+    },
+    
+    // Small copies of every photo in a multi-view diagnosis, for the case record
+    async createViewThumbnails() {
+        if (!this.extraViews.length) return [];
+        
+        return Promise.all(this.getDiagnosisImages().map(async image => ({
+            label: image.label,
+            thumbnail: await this.createThumbnail(image.data, image.mimeType).catch(() => null)
+        })));
+    },
+    
+    // Consensus banner, per-photo findings and ruled-out look-alikes
+    renderViewEvidence(result) {
+        const section = $('#diagnosis-views-section');
+        const container = $('#diagnosis-views');
+        if (!section || !container) return;
+        
+        const views = Array.isArray(result.views) ? result.views : [];
+        section.classList.toggle('hidden', views.length === 0);
+        if (!views.length) return;
+        
+        const consensus = result.consensus || {};
+        const agreement = (consensus.agreement || '').toLowerCase();
+        const agreementIcons = { strong: '🤝', partial: '⚖️', conflicting: '⚠️' };
+        const ruledOut = Array.isArray(consensus.ruledOut) ? consensus.ruledOut : [];
+        
+        container.innerHTML = `
+            ${consensus.summary ? `
+                <div class="view-consensus ${agreement}">
+                    <strong>${agreementIcons[agreement] || '🔎'} ${consensus.agreement ? `${consensus.agreement} agreement` : 'Consensus'} across ${views.length} photos</strong>
+                    <p>${consensus.summary}</p>
+                </div>
+            ` : ''}
+            <div class="view-evidence-grid">
+                ${views.map(view => {
+                    const image = this.viewImages[(view.image || 0) - 1];
+                    const findings = Array.isArray(view.findings) ? view.findings : [view.findings].filter(Boolean);
+                    return `
+                        <div class="view-evidence ${(view.weight || '').toLowerCase()}">
+                            ${image ? `<img src="${image}" alt="${view.view || 'Photo'}">` : ''}
+                            <div class="view-evidence-info">
+                                <strong>${view.image ? `#${view.image} · ` : ''}${view.view || 'Photo'}</strong>
+                                ${view.weight ? `<span class="view-weight">${view.weight}</span>` : ''}
+                                <p class="view-supports">→ ${view.supports || 'Inconclusive'}</p>
+                                ${findings.length ? `<ul>${findings.map(f => `<li>${f}</li>`).join('')}</ul>` : ''}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            ${ruledOut.length ? `
+                <div class="view-ruled-out">
+                    <strong>Ruled out</strong>
+                    <ul>
+                        ${ruledOut.map(r => typeof r === 'string' ? `<li>${r}</li>` : `<li><strong>${r.name}</strong> - ${r.reason || ''}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+        `;
+    },
+    
+    // ==========================================
+    // CASE RECORDS
+    // ==========================================
+    
+    // Field picker for the photo being diagnosed
+    async populateCaseFields() {
+        const select = $('#specialist-field-select');
+        if (!select) return;
+        
+        try {
+            const fields = await FieldHistory.getFields();
+            const current = select.value || Utils.storage.get(CONFIG.STORAGE_KEYS.LAST_FIELD);
+            
+            select.innerHTML = `
+                <option value="">— No field —</option>
+                ${fields.map(field => `<option value="${field.id}">${field.name}</option>`).join('')}
+            `;
+            select.value = fields.some(field => field.id === current) ? current : '';
+        } catch (error) {
+            console.warn('Fields unavailable:', error);
+        }
+    },
+    
+    // Save the current photo and result as a case (id is reused for queued offline photos)
+    // extra: { id } to reuse a queue entry's id, { lesions } from measureLesions
+    async saveCase(result, source, extra = {}) {
+        try {
+            const [thumbnail, location, views] = await Promise.all([
+                this.createThumbnail(this.currentImage, this.currentImageMime, 320).catch(() => null),
+                this.currentImageMeta?.location || DiagnosisCases.getPosition(),
+                this.createViewThumbnails()
+            ]);
+            
+            const record = await DiagnosisCases.create({
+                ...extra,
+                result,
+                source,
+                thumbnail,
+                fieldId: $('#specialist-field-select')?.value || null,
+                crop: $('#specialist-crop')?.value.trim() || '',
+                location,
+                views,
+                quality: this.currentQuality,
+                capturedAt: this.currentImageMeta?.capturedAt
+            });
+            
+            this.currentCaseId = record.id;
+            this.renderCase(record);
+            return record;
+        } catch (error) {
+            console.error('Could not save diagnosis case:', error);
+            Utils.toast.warning('Diagnosis could not be saved to history');
+            return null;
+        }
+    },
+    
+    // Show a stored case in the result view
+    openCase(record) {
+        this.currentCaseId = record.id;
+        this.queuedId = record.pending ? record.id : null;
+        this.viewImages = (record.views || []).map(view => view.thumbnail);
+        this.displayResults(record.result, record.crop || record.result.crop || '');
+        this.renderCase(record);
+    },
+    
+    // Case photo, details, notes and outcome under the results
+    renderCase(record) {
+        const panel = $('#specialist-case');
+        if (!panel || record.id !== this.currentCaseId) return;
+        
+        const thumb = $('#case-thumb');
+        if (thumb) {
+            thumb.src = record.thumbnail || '';
+            thumb.classList.toggle('hidden', !record.thumbnail);
+        }
+        
+        const meta = $('#case-meta');
+        if (meta) {
+            meta.innerHTML = [
+                `🕒 ${Utils.date.format(record.capturedAt || record.createdAt, 'full')}`,
+                record.crop ? `🌱 ${record.crop}` : '',
+                record.fieldName ? `🗺️ ${record.fieldName}` : '',
+                record.quality ? `📷 Photo quality ${record.quality.score}/100` : '',
+                DiagnosisCases.formatLocation(record.location),
+                record.pending ? '📴 On-device result - full diagnosis pending' : ''
+            ].filter(Boolean).join('<br>');
+        }
+        
+        const outcome = $('#case-outcome');
+        if (outcome) {
+            outcome.innerHTML = Object.entries(DiagnosisCases.OUTCOMES).map(([value, o]) =>
+                `<option value="${value}">${o.icon} ${o.label}</option>`
+            ).join('');
+            outcome.value = record.outcome;
+        }
+        
+        const notes = $('#case-notes');
+        if (notes) notes.value = record.notes || '';
+        
+        if (record.lesions !== undefined) this.renderLesions(record.lesions);
+        
+        panel.classList.remove('hidden');
+    },
+    
+    // Store the notes and outcome typed into the case panel
+    async saveCaseNotes() {
+        if (!this.currentCaseId) return;
+        
+        try {
+            await DiagnosisCases.update(this.currentCaseId, {
+                notes: $('#case-notes')?.value.trim() || '',
+                outcome: $('#case-outcome')?.value || 'open'
+            });
+            Utils.toast.success('Case updated');
+        } catch (error) {
+            console.error('Could not update case:', error);
+            Utils.toast.error('Could not save the case notes');
+        }
+    },
+    
+    // ==========================================
+    // OFFLINE DIAGNOSIS QUEUE
+    // ==========================================
+    
+    // Resume queued diagnoses whenever the connection comes back
+    setupOfflineQueue() {
+        window.addEventListener('online', () => {
+            Utils.toast.info('Back online - running queued diagnoses');
+            this.processQueue();
+        });
+        
+        this.renderQueue();
+        
+        if (navigator.onLine) {
+            this.processQueue();
+            // Warm the service worker cache with the model once the app has settled
+            if (!navigator.connection?.saveData) {
+                setTimeout(() => PlantClassifier.preload(), 5000);
+            }
+        }
+    },
+    
+    // Offline, or GeminiAPI.request's fetch itself rejected - other TypeErrors are bugs, not connectivity
+    isNetworkError(error) {
+        return !navigator.onLine || !!error?.isNetworkError;
+    },
+    
+    // Classify on-device and queue the photo for a full Gemini diagnosis
+    async diagnoseOffline() {
+        const entry = {
+            id: Utils.generateId(),
+            image: this.currentImage,
+            mime: this.currentImageMime,
+            view: this.primaryView,
+            views: this.extraViews.map(({ view, data, mime }) => ({ view, data, mime })),
+            thumbnail: null,
+            status: 'pending',
+            offlineResult: null,
+            result: null,
+            createdAt: new Date().toISOString()
+        };
+        
+        try {
+            entry.thumbnail = await this.createThumbnail(entry.image, entry.mime);
+        } catch (error) {
+            console.error('Thumbnail failed:', error);
+        }
+        
+        let modelMissing = false;
+        try {
+            const predictions = await PlantClassifier.classify(entry.image, entry.mime);
+            entry.offlineResult = PlantClassifier.toResult(predictions);
+        } catch (error) {
+            modelMissing = !!error.notInstalled;
+            if (!modelMissing) console.error('On-device classification failed:', error);
+        }
+        
+        try {
+            await Utils.db.put('diagnosisQueue', entry);
+        } catch (error) {
+            console.error('Could not queue diagnosis:', error);
+            Utils.toast.error('Could not save the photo for later diagnosis');
+        }
+        
+        this.queuedId = entry.id;
+        this.viewImages = this.getDiagnosisImages().map(image => `data:${image.mimeType};base64,${image.data}`);
+        this.renderQueue();
+        
+        if (entry.offlineResult) {
+            this.displayResults(entry.offlineResult);
+            
+            Utils.activity.log('diagnosis', 'Offline Plant Diagnosis', {
+                name: entry.offlineResult.identification.name,
+                confidence: entry.offlineResult.identification.confidence
+            });
+            
+            Utils.toast.warning('Offline - showing on-device result. Full diagnosis will run when you are back online.');
+        } else if (modelMissing) {
+            Utils.toast.warning('Offline model not installed - photo saved. It will be diagnosed when you are back online.');
+        } else {
+            Utils.toast.warning('Offline - photo saved. It will be diagnosed when you are back online.');
+        }
+        
+        const lesions = await this.measureLesions();
+        this.saveCase(entry.offlineResult, 'on-device', { id: entry.id, lesions });
+    },
+    
+    // Downscaled JPEG copy - small previews for the queue and cases, larger for extra views
+    async createThumbnail(imageBase64, mimeType, size = 160, quality = 0.7) {
+        const blob = await (await fetch(`data:${mimeType};base64,${imageBase64}`)).blob();
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        
+        return canvas.toDataURL('image/jpeg', quality);
+    },
+    
+    // Send pending photos to Gemini, oldest first
+    async processQueue() {
+        if (this.processingQueue || !navigator.onLine) return;
+        this.processingQueue = true;
+        
+        try {
+            const pending = (await Utils.db.getAll('diagnosisQueue'))
+                .filter(entry => entry.status === 'pending')
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            
+            for (const entry of pending) {
+                try {
+                    const result = await GeminiAPI.diagnosePlantViews([
+                        { data: entry.image, mimeType: entry.mime, label: this.getViewLabel(entry.view || 'upper') },
+                        ...(entry.views || []).map(view => ({ data: view.data, mimeType: view.mime, label: this.getViewLabel(view.view) }))
+                    ]);
+                    const name = result.identification?.name || result.name || 'Unknown';
+                    
+                    // The full image is only needed until Gemini has seen it
+                    await Utils.db.put('diagnosisQueue', {
+                        ...entry,
+                        image: null,
+                        views: [],
+                        status: 'done',
+                        result,
+                        completedAt: new Date().toISOString()
+                    });
+                    
+                    Utils.activity.log('diagnosis', 'Plant Diagnosis', {
+                        name,
+                        confidence: result.identification?.confidence || result.confidence || 0
+                    });
+                    
+                    const record = await DiagnosisCases.update(entry.id, { result, source: 'gemini', pending: false })
+                        .catch(error => {
+                            console.error('Could not update diagnosis case:', error);
+                            return null;
+                        });
+                    
+                    if (this.queuedId === entry.id) {
+                        this.displayResults(result);
+                        if (record) this.renderCase(record);
+                    }
+                    Utils.toast.success(`Full diagnosis ready: ${name}`);
+                } catch (error) {
+                    console.error('Queued diagnosis failed:', error);
+                    // Still offline - leave the rest for the next 'online' event
+                    if (this.isNetworkError(error)) break;
+                    
+                    await Utils.db.put('diagnosisQueue', { ...entry, status: 'failed', error: error.message });
+                }
+                
+                this.renderQueue();
+            }
+        } catch (error) {
+            console.error('Diagnosis queue error:', error);
+        } finally {
+            this.processingQueue = false;
+            this.renderQueue();
+        }
+    },
+    
+    // Queued photos with their on-device label and Gemini status
+    async renderQueue() {
+        const card = $('#specialist-queue');
+        const container = $('#specialist-queue-list');
+        if (!card || !container) return;
+        
+        let entries = [];
+        try {
+            entries = await Utils.db.getAll('diagnosisQueue');
+        } catch (error) {
+            console.error('Could not read diagnosis queue:', error);
+        }
+        
+        card.classList.toggle('hidden', entries.length === 0);
+        if (!entries.length) return;
+        
+        entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        
+        const status = {
+            pending: '⏳ Waiting for connection',
+            done: '✅ Full diagnosis ready',
+            failed: '❌ Diagnosis failed'
+        };
+        
+        container.innerHTML = entries.map(entry => {
+            const offline = entry.offlineResult?.identification;
+            const full = entry.result?.identification || entry.result;
+            const title = full?.name || offline?.name ||
+                (PlantClassifier.installed === false ? 'Offline model not installed' : 'Not identified offline');
+            
+            return `
+                <div class="history-item queue-item ${entry.status}">
+                    ${entry.thumbnail ? `<img src="${entry.thumbnail}" alt="Queued photo" class="history-thumb">` : '<div class="history-thumb queue-thumb-empty">🌿</div>'}
+                    <div class="history-item-info">
+                        <strong>${title}</strong>
+                        <span>${status[entry.status]}${offline && entry.status !== 'done' ? ` · 📴 ${offline.confidence}% on-device` : ''}</span>
+                        <span class="history-item-meta">${Utils.date.format(entry.createdAt, 'full')}${entry.error ? ` · ${entry.error}` : ''}</span>
+                    </div>
+                    ${entry.status === 'done' || entry.offlineResult ? `<button class="action-btn secondary queue-view" data-id="${entry.id}">View</button>` : ''}
+                    ${entry.status === 'failed' ? `<button class="action-btn secondary queue-retry" data-id="${entry.id}">Retry</button>` : ''}
+                    <button class="history-delete queue-dismiss" data-id="${entry.id}" title="Dismiss">🗑️</button>
+                </div>
+            `;
+        }).join('');
+        
+        $$('.queue-view').forEach(btn => {
+            btn.addEventListener('click', () => this.viewQueued(btn.dataset.id));
+        });
+        $$('.queue-retry').forEach(btn => {
+            btn.addEventListener('click', () => this.retryQueued(btn.dataset.id));
+        });
+        $$('.queue-dismiss').forEach(btn => {
+            btn.addEventListener('click', () => this.dismissQueued(btn.dataset.id));
+        });
+    },
+    
+    // Show the best available result for a queued photo
+    async viewQueued(id) {
+        const entry = await Utils.db.get('diagnosisQueue', id);
+        if (!entry) return;
+        
+        const record = await DiagnosisCases.get(id);
+        if (record?.result) {
+            this.openCase(record);
+            return;
+        }
+        
+        this.queuedId = id;
+        this.displayResults(entry.result || entry.offlineResult);
+    },
+    
+    // Put a failed entry back in line
+    async retryQueued(id) {
+        const entry = await Utils.db.get('diagnosisQueue', id);
+        if (!entry) return;
+        
+        await Utils.db.put('diagnosisQueue', { ...entry, status: 'pending', error: null });
+        this.renderQueue();
+        
+        if (navigator.onLine) {
+            this.processQueue();
+        } else {
+            Utils.toast.info('Will retry when you are back online');
+        }
+    },
+    
+    // Remove a queued photo
+    async dismissQueued(id) {
+        try {
+            await Utils.db.delete('diagnosisQueue', id);
+            if (this.queuedId === id) this.queuedId = null;
+            this.renderQueue();
+        } catch (error) {
+            console.error('Could not remove queued diagnosis:', error);
+            Utils.toast.error('Could not remove the queued photo');
+        }
+    },
+    
+    // Pending notice and runner-up labels under an on-device result
+    renderOfflineNotice(offline) {
+        const container = $('#diagnosis-offline');
+        if (!container) return;
+        
+        container.classList.toggle('hidden', !offline);
+        if (!offline) return;
+        
+        const queued = this.queuedId ? 'Full diagnosis is queued and will run automatically when you are back online.' : '';
+        
+        container.innerHTML = `
+            <p><strong>📴 On-device result</strong> - identified without a connection. Treatment advice is general for this problem type. ${queued}</p>
+            <div class="offline-predictions">
+                ${offline.predictions.map(p => `
+                    <div class="offline-prediction">
+                        <span>${p.name}${p.crop && p.type !== 'healthy' ? ` <small>(${p.crop})</small>` : ''}</span>
+                        <div class="offline-prediction-bar"><div style="width: ${p.confidence}%"></div></div>
+                        <span>${p.confidence}%</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 };
 
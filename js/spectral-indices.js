@@ -0,0 +1,652 @@
+// Spectral Indices for KrishiMitra
+// Index math, colormaps and the single-pass tile processor shared by The Eye and its Web Workers
+
+const SpectralIndices = {
+    // Stress classes shown on the stress map, lowest health first (thresholds match stressToColor)
+    STRESS_CLASSES: [
+        { id: 'critical', label: 'Critical', min: 0 },
+        { id: 'high', label: 'High stress', min: 0.2 },
+        { id: 'moderate', label: 'Moderate stress', min: 0.4 },
+        { id: 'good', label: 'Good', min: 0.6 },
+        { id: 'excellent', label: 'Excellent', min: 0.8 }
+    ],
+
+    // Land-cover mask classes - only canopy pixels count toward zone health
+    // 'excluded' is never assigned by classifyCover; it marks pixels inside user-drawn exclusion polygons
+    COVER_CLASSES: [
+        { id: 'canopy', label: 'Crop canopy', color: { r: 46, g: 160, b: 67 } },
+        { id: 'soil', label: 'Bare soil', color: { r: 166, g: 124, b: 82 } },
+        { id: 'shadow', label: 'Shadow', color: { r: 45, g: 45, b: 70 } },
+        { id: 'water', label: 'Water', color: { r: 30, g: 110, b: 220 } },
+        { id: 'other', label: 'Roads & other', color: { r: 190, g: 190, b: 190 } },
+        { id: 'excluded', label: 'Excluded', color: { r: 230, g: 0, b: 200 } }
+    ],
+
+    // Cover value for transparent pixels (outside a stitched mosaic) - they have no class and no statistics
+    NO_DATA: 255,
+
+    COVER_THRESHOLDS: {
+        canopyNDVI: 0.2,        // Vegetation: NDVI above this...
+        canopyExG: 0.02,        // ...and greener than it is red or blue
+        shadowBrightness: 40,   // Brightest band (0-255) below this is shadow
+        waterNDWI: 0.1,         // Open water: high NDWI with negative NDVI (measured NIR)
+        waterBlue: 15,          // ...or blue above red and green by this much, and not green
+        soilWarmth: 10          // Soil is warm-toned: red above blue by at least this much
+    },
+
+    // Colormaps - shared objects so the per-pixel loops don't allocate
+    NDVI_COLORS: [
+        { r: 0, g: 0, b: 150 },      // Water - blue
+        { r: 139, g: 90, b: 43 },    // Bare/urban - brown
+        { r: 255, g: 255, b: 150 },  // Sparse - yellow
+        { r: 192, g: 255, b: 62 },   // Moderate - yellow-green
+        { r: 76, g: 187, b: 23 },    // Good - green
+        { r: 0, g: 100, b: 0 }       // Dense - dark green
+    ],
+
+    NDWI_COLORS: [
+        { r: 255, g: 50, b: 0 },     // Severe stress - red
+        { r: 255, g: 200, b: 0 },    // Mild stress - yellow
+        { r: 100, g: 200, b: 100 },  // Moderate - green
+        { r: 0, g: 200, b: 200 },    // Good - cyan
+        { r: 0, g: 100, b: 255 }     // High water - blue
+    ],
+
+    // Indexed by stress class
+    STRESS_COLORS: [
+        { r: 200, g: 0, b: 0 },      // Critical
+        { r: 255, g: 100, b: 0 },    // High stress
+        { r: 255, g: 200, b: 0 },    // Moderate stress
+        { r: 100, g: 200, b: 50 },   // Good
+        { r: 0, g: 150, b: 0 }       // Excellent
+    ],
+
+    // Colour ramps for registry indices, low → high
+    RAMPS: {
+        vegetation: [
+            { r: 139, g: 90, b: 43 },    // Bare soil - brown
+            { r: 255, g: 255, b: 150 },  // Sparse - yellow
+            { r: 192, g: 255, b: 62 },   // Moderate - yellow-green
+            { r: 76, g: 187, b: 23 },    // Good - green
+            { r: 0, g: 100, b: 0 }       // Dense - dark green
+        ],
+        chlorophyll: [
+            { r: 215, g: 48, b: 39 },    // Low chlorophyll - red
+            { r: 254, g: 224, b: 139 },  // Yellow
+            { r: 145, g: 207, b: 96 },   // Light green
+            { r: 0, g: 104, b: 55 }      // High chlorophyll - dark green
+        ]
+    },
+
+    // Vegetation index registry - every index The Eye can compute, in display order
+    // Each index declares its formula, the bands it needs, the value range its colormap spans and the colormap
+    // (a ramp of colours across the range, or a function of the value). compute() gets 0-255 band values.
+    // Core indices are always computed - they drive the health score, stress map and zoning
+    // (NIR is simulated from RGB when no NIR band is mapped; Blue falls back to 0 on sensors without it)
+    INDICES: {
+        ndvi: {
+            label: 'NDVI',
+            name: 'Normalized Difference Vegetation Index',
+            icon: '🌱',
+            formula: '(NIR - Red) / (NIR + Red)',
+            bands: ['red', 'nir'],
+            range: [-1, 1],
+            core: true,
+            warnBelow: 0.3,
+            description: 'General vigor and canopy density. Saturates over dense canopies.',
+            compute: (p) => SpectralIndices.ndvi(p.red, p.nir),
+            colormap: (value) => SpectralIndices.ndviToColor(value)
+        },
+        ndwi: {
+            label: 'NDWI',
+            name: 'Normalized Difference Water Index',
+            icon: '💧',
+            formula: '(Green - NIR) / (Green + NIR)',
+            bands: ['green', 'nir'],
+            range: [-1, 1],
+            core: true,
+            warnBelow: -0.1,
+            description: 'Canopy water content. Water stress shows here before wilting is visible.',
+            compute: (p) => SpectralIndices.ndwi(p.green, p.nir),
+            colormap: (value) => SpectralIndices.ndwiToColor(value)
+        },
+        savi: {
+            label: 'SAVI',
+            name: 'Soil-Adjusted Vegetation Index',
+            icon: '🟫',
+            formula: '1.5 × (NIR - Red) / (NIR + Red + 0.5)',
+            bands: ['red', 'nir'],
+            range: [-1, 1],
+            description: 'NDVI corrected for soil brightness - use it for sparse or early-season canopies.',
+            compute: (p) => {
+                const red = p.red / 255;
+                const nir = p.nir / 255;
+                return 1.5 * (nir - red) / (nir + red + 0.5);
+            },
+            colormap: 'vegetation'
+        },
+        msavi: {
+            label: 'MSAVI',
+            name: 'Modified Soil-Adjusted Vegetation Index',
+            icon: '🌾',
+            formula: '(2·NIR + 1 - √((2·NIR + 1)² - 8·(NIR - Red))) / 2',
+            bands: ['red', 'nir'],
+            range: [-1, 1],
+            description: 'Self-adjusting soil correction. Best for emergence and row crops with lots of bare ground.',
+            compute: (p) => {
+                const red = p.red / 255;
+                const nir = p.nir / 255;
+                const a = 2 * nir + 1;
+                return (a - Math.sqrt(Math.max(0, a * a - 8 * (nir - red)))) / 2;
+            },
+            colormap: 'vegetation'
+        },
+        gndvi: {
+            label: 'GNDVI',
+            name: 'Green Normalized Difference Vegetation Index',
+            icon: '🍃',
+            formula: '(NIR - Green) / (NIR + Green)',
+            bands: ['green', 'nir'],
+            range: [-1, 1],
+            description: 'More sensitive to chlorophyll than NDVI and slower to saturate in mid-season canopies.',
+            compute: (p) => SpectralIndices.normalizedDifference(p.nir, p.green),
+            colormap: 'chlorophyll'
+        },
+        ndre: {
+            label: 'NDRE',
+            name: 'Normalized Difference Red Edge',
+            icon: '🧪',
+            formula: '(NIR - RedEdge) / (NIR + RedEdge)',
+            bands: ['rededge', 'nir'],
+            range: [-0.2, 0.6],
+            description: 'Nitrogen and chlorophyll status in dense, late-season canopies where NDVI saturates.',
+            compute: (p) => SpectralIndices.normalizedDifference(p.nir, p.rededge),
+            colormap: 'chlorophyll'
+        },
+        vari: {
+            label: 'VARI',
+            name: 'Visible Atmospherically Resistant Index',
+            icon: '🌤️',
+            formula: '(Green - Red) / (Green + Red - Blue)',
+            bands: ['red', 'green', 'blue'],
+            range: [-1, 1],
+            core: true,
+            description: 'RGB-only greenness, corrected for haze. Works with any camera.',
+            compute: (p) => SpectralIndices.vari(p.red, p.green, p.blue),
+            colormap: 'vegetation'
+        },
+        exg: {
+            label: 'ExG',
+            name: 'Excess Green Index',
+            icon: '🟩',
+            formula: '(2·Green - Red - Blue) / (Red + Green + Blue)',
+            bands: ['red', 'green', 'blue'],
+            range: [-0.5, 1],
+            core: true,
+            description: 'Separates green plants from soil and residue in RGB images.',
+            compute: (p) => SpectralIndices.exg(p.red, p.green, p.blue),
+            colormap: 'vegetation'
+        },
+        gli: {
+            label: 'GLI',
+            name: 'Green Leaf Index',
+            icon: '🌿',
+            formula: '(2·Green - Red - Blue) / (2·Green + Red + Blue)',
+            bands: ['red', 'green', 'blue'],
+            range: [-1, 1],
+            description: 'RGB leaf cover and vigor - a good NDVI stand-in for flights without NIR.',
+            compute: (p) => {
+                const denominator = 2 * p.green + p.red + p.blue;
+                return denominator === 0 ? 0 : (2 * p.green - p.red - p.blue) / denominator;
+            },
+            colormap: 'vegetation'
+        },
+        tgi: {
+            label: 'TGI',
+            name: 'Triangular Greenness Index',
+            icon: '🔺',
+            formula: 'Green - 0.39·Red - 0.61·Blue',
+            bands: ['red', 'green', 'blue'],
+            range: [-0.2, 0.3],
+            description: 'Chlorophyll estimate from RGB cameras, tracking leaf nitrogen without NIR.',
+            compute: (p) => (p.green - 0.39 * p.red - 0.61 * p.blue) / 255,
+            colormap: 'chlorophyll'
+        }
+    },
+
+    // Registry indices computable from a set of bands (NIR can always be simulated)
+    getAvailableIndices(bands) {
+        const available = new Set([...bands, 'nir']);
+        return Object.keys(this.INDICES).filter(id => {
+            const index = this.INDICES[id];
+            return index.core || index.bands.every(band => available.has(band));
+        });
+    },
+
+    // Colour for an index value
+    indexToColor(index, value) {
+        if (typeof index.colormap === 'function') return index.colormap(value);
+        return this.rampColor(this.normalize(index, value), this.RAMPS[index.colormap]);
+    },
+
+    // Position of a value within an index's range (0-1, clamped)
+    normalize(index, value) {
+        const [min, max] = index.range;
+        return Math.max(0, Math.min(1, (value - min) / (max - min)));
+    },
+
+    // Linear interpolation along a colour ramp (t in 0-1)
+    rampColor(t, colors) {
+        const position = t * (colors.length - 1);
+        const i = Math.min(colors.length - 2, Math.floor(position));
+        const f = position - i;
+        const a = colors[i];
+        const b = colors[i + 1];
+        return {
+            r: a.r + (b.r - a.r) * f,
+            g: a.g + (b.g - a.g) * f,
+            b: a.b + (b.b - a.b) * f
+        };
+    },
+
+    // (a - b) / (a + b)
+    normalizedDifference(a, b) {
+        const denominator = a + b;
+        return denominator === 0 ? 0 : (a - b) / denominator;
+    },
+
+    // sRGB-encoded 0-255 value → linear light on the same 0-255 scale
+    // Calibration gains only hold for values proportional to radiance, which JPEG/PNG pixels are not
+    srgbToLinear(value) {
+        const c = value / 255;
+        return 255 * (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+    },
+
+    // Simulate NIR band from RGB
+    // Plants reflect strongly in NIR - we simulate this using green channel boosted by inverse red
+    simulateNIR(r, g, b) {
+        // Healthy vegetation: high green reflectance, low red absorption
+        // NIR approximation: emphasize green, reduce red influence
+        const nir = Math.min(255, (g * 1.4) + (255 - r) * 0.3 - b * 0.2);
+        return Math.max(0, Math.round(nir));
+    },
+
+    // NDVI = (NIR - Red) / (NIR + Red)
+    ndvi(r, nir) {
+        const denominator = nir + r;
+        return denominator === 0 ? 0 : (nir - r) / denominator;
+    },
+
+    // NDWI = (Green - NIR) / (Green + NIR) - indicates water content
+    ndwi(g, nir) {
+        const denominator = g + nir;
+        return denominator === 0 ? 0 : (g - nir) / denominator;
+    },
+
+    // VARI (Visible Atmospherically Resistant Index) - RGB only
+    vari(r, g, b) {
+        const denominator = g + r - b;
+        return denominator === 0 ? 0 : (g - r) / denominator;
+    },
+
+    // Excess Green Index on normalized chromatic coordinates
+    exg(r, g, b) {
+        const total = r + g + b;
+        return total === 0 ? 0 : (2 * g - r - b) / total;
+    },
+
+    // Combined stress indicator (0 = stressed, 1 = healthy)
+    // Low NDVI + Low VARI + Low ExG = High Stress
+    pixelHealth(ndvi, vari, exg) {
+        return (ndvi + 1) / 2 * 0.5 + (vari + 1) / 2 * 0.3 + (exg + 1) / 2 * 0.2;
+    },
+
+    // NDVI to color (standard colormap)
+    ndviToColor(ndvi) {
+        const c = this.NDVI_COLORS;
+        if (ndvi < -0.2) return c[0];
+        if (ndvi < 0) return c[1];
+        if (ndvi < 0.2) return c[2];
+        if (ndvi < 0.4) return c[3];
+        if (ndvi < 0.6) return c[4];
+        return c[5];
+    },
+
+    // NDWI to color (high = more water content, low = water stress)
+    ndwiToColor(ndwi) {
+        const c = this.NDWI_COLORS;
+        if (ndwi > 0.3) return c[4];
+        if (ndwi > 0.1) return c[3];
+        if (ndwi > -0.1) return c[2];
+        if (ndwi > -0.3) return c[1];
+        return c[0];
+    },
+
+    // Cover class index for a pixel (0-255 band values)
+    // Simulated NIR can't see water, so blue-dominant non-green pixels also count as water
+    classifyCover(r, g, b, brightness, ndvi, ndwi, exg) {
+        const t = this.COVER_THRESHOLDS;
+        if ((ndwi > t.waterNDWI && ndvi < 0) || (b - Math.max(r, g) > t.waterBlue && exg < 0)) return 3;
+        if (brightness < t.shadowBrightness) return 2;
+        if (ndvi > t.canopyNDVI && exg > t.canopyExG) return 0;
+        if (r >= g && r - b > t.soilWarmth) return 1;
+        return 4;
+    },
+
+    // Pixel ranges [start, end) of a row inside exclusion polygons (rings of [x, y] pixel coordinates)
+    exclusionSpans(polygons, y) {
+        const spans = [];
+        polygons.forEach(ring => {
+            const crossings = [];
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [x1, y1] = ring[j];
+                const [x2, y2] = ring[i];
+                if ((y1 <= y) !== (y2 <= y)) {
+                    crossings.push(x1 + (y - y1) / (y2 - y1) * (x2 - x1));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                // Pixels whose centres fall inside the crossing pair
+                spans.push([Math.ceil(crossings[i] - 0.5), Math.ceil(crossings[i + 1] - 0.5)]);
+            }
+        });
+        return spans;
+    },
+
+    // Stress score to class index
+    stressToClass(score) {
+        for (let i = this.STRESS_CLASSES.length - 1; i > 0; i--) {
+            if (score > this.STRESS_CLASSES[i].min) return i;
+        }
+        return 0;
+    },
+
+    // Stress score (0-1) to color
+    stressToColor(score) {
+        return this.STRESS_COLORS[this.stressToClass(score)];
+    },
+
+    // ===========================
+    // TILE PROCESSING
+    // ===========================
+
+    // Process one tile in a single pass over its pixels
+    // job: {
+    //   id, tile: { x, y, width, height },
+    //   source: { rgba } or { bands: { red, green, blue?, nir?, rededge? }, mask? } with { data, scale } per band,
+    //                                              (fully transparent rgba pixels and mask 0 pixels are no-data)
+    //   indices: [ids],                            - registry indices to compute (core indices always included)
+    //   exclusions: [[[x, y], ...]],               - user-drawn polygons in image pixels, masked out of zone scoring
+    //   calibration: { gains, linearize } | null,   - per-band reflectance gains applied before any index
+    //   overview: { scale, width, height },        - composites and index arrays are written at overview resolution
+    //   grid: { cellSize, cols, rows }             - stress grid used for vector export and zone statistics
+    // }
+    processTile(job) {
+        const { tile, source, overview, grid } = job;
+        const { width: w, height: h } = tile;
+
+        const ids = job.indices || Object.keys(this.INDICES).filter(id => this.INDICES[id].core);
+        const indexList = ids.map(id => this.INDICES[id]);
+        const indexCount = ids.length;
+        const iNDVI = ids.indexOf('ndvi');
+        const iNDWI = ids.indexOf('ndwi');
+        const iVARI = ids.indexOf('vari');
+        const iEXG = ids.indexOf('exg');
+        const values = new Float64Array(indexCount);
+
+        // Overview pixels sampled from this tile (nearest neighbour)
+        const ox0 = this.overviewStart(tile.x, overview);
+        const ox1 = this.overviewStart(tile.x + w, overview);
+        const oy0 = this.overviewStart(tile.y, overview);
+        const oy1 = this.overviewStart(tile.y + h, overview);
+        const ow = ox1 - ox0;
+        const oh = oy1 - oy0;
+        const colTarget = new Int32Array(w).fill(-1);
+        const rowTarget = new Int32Array(h).fill(-1);
+        for (let ox = ox0; ox < ox1; ox++) {
+            colTarget[this.overviewSource(ox, overview, tile.x, w)] = ox - ox0;
+        }
+        for (let oy = oy0; oy < oy1; oy++) {
+            rowTarget[this.overviewSource(oy, overview, tile.y, h)] = oy - oy0;
+        }
+
+        // Stress-grid cell lookups per column/row
+        const cx0 = Math.floor(tile.x / grid.cellSize);
+        const cy0 = Math.floor(tile.y / grid.cellSize);
+        const cellCols = Math.floor((tile.x + w - 1) / grid.cellSize) - cx0 + 1;
+        const cellRows = Math.floor((tile.y + h - 1) / grid.cellSize) - cy0 + 1;
+        const colCell = new Int32Array(w);
+        const rowCell = new Int32Array(h);
+        for (let x = 0; x < w; x++) colCell[x] = Math.floor((tile.x + x) / grid.cellSize) - cx0;
+        for (let y = 0; y < h; y++) rowCell[y] = (Math.floor((tile.y + y) / grid.cellSize) - cy0) * cellCols;
+
+        // Accumulators - per cell: health, then each index in `ids` order
+        // Canopy sums repeat the index sums over canopy pixels only (zone statistics ignore soil, shadow, etc.)
+        const stride = indexCount + 1;
+        const cellSums = new Float64Array(cellCols * cellRows * stride);
+        const cellCounts = new Uint32Array(cellCols * cellRows);
+        const canopySums = new Float64Array(cellCols * cellRows * indexCount);
+        const canopyCounts = new Uint32Array(cellCols * cellRows);
+        const indexSums = new Float64Array(indexCount);
+        const coverCounts = new Uint32Array(this.COVER_CLASSES.length);
+        const excludedClass = this.COVER_CLASSES.length - 1;
+        const exclusions = job.exclusions || [];
+        const excludedRow = new Uint8Array(w);
+        let noData = 0;
+
+        // Overview outputs
+        const size = ow * oh;
+        const cir = new Uint8ClampedArray(size * 4);
+        const ndviMap = new Uint8ClampedArray(size * 4);
+        const ndwiMap = new Uint8ClampedArray(size * 4);
+        const stressMap = new Uint8ClampedArray(size * 4);
+        const nirMap = new Uint8ClampedArray(size * 4);
+        const ndviValues = new Float32Array(size);
+        const ndwiValues = new Float32Array(size);
+        const variValues = new Float32Array(size);
+        const healthValues = new Float32Array(size);
+        const coverValues = new Uint8Array(size);
+        // Every index quantized to 0-255 across its range - colorized on demand for the index tabs
+        const levels = indexList.map(() => new Uint8Array(size));
+
+        const rgba = source.rgba;
+        const bands = source.bands;
+        const mask = source.mask;
+        const pixel = { red: 0, green: 0, blue: 0, nir: 0, rededge: 0 };
+
+        // Indices use calibrated values; cover classes and display composites keep the raw ones
+        const gains = job.calibration ? job.calibration.gains : null;
+        const linear = job.calibration && job.calibration.linearize ?
+            Float64Array.from({ length: 256 }, (_, v) => this.srgbToLinear(v)) : null;
+        const gain = (role) => (gains && gains[role]) || 1;
+        const gRed = gain('red');
+        const gGreen = gain('green');
+        const gBlue = gain('blue');
+        const gNIR = gain('nir');
+        const gRedEdge = gain('rededge');
+
+        for (let y = 0; y < h; y++) {
+            const cellRow = rowCell[y];
+            const outRow = rowTarget[y];
+
+            if (exclusions.length) {
+                excludedRow.fill(0);
+                this.exclusionSpans(exclusions, tile.y + y + 0.5).forEach(([start, end]) => {
+                    excludedRow.fill(1, Math.max(0, start - tile.x), Math.max(0, Math.min(w, end - tile.x)));
+                });
+            }
+
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x;
+                let r, g, b, nir, rededge = 0;
+
+                // Transparent or GDAL no-data pixels (e.g. black ortho borders) stay out of every statistic
+                if (rgba ? rgba[i * 4 + 3] === 0 : mask && !mask[i]) {
+                    if (outRow >= 0 && colTarget[x] >= 0) coverValues[outRow * ow + colTarget[x]] = this.NO_DATA;
+                    noData++;
+                    continue;
+                }
+
+                if (rgba) {
+                    r = rgba[i * 4];
+                    g = rgba[i * 4 + 1];
+                    b = rgba[i * 4 + 2];
+                    nir = this.simulateNIR(r, g, b);
+                } else {
+                    r = bands.red.data[i] * bands.red.scale;
+                    g = bands.green.data[i] * bands.green.scale;
+                    // Sensors without a blue band (e.g. Sequoia) reduce VARI/ExG to their green-red forms
+                    b = bands.blue ? bands.blue.data[i] * bands.blue.scale || 0 : 0;
+                    nir = bands.nir ? bands.nir.data[i] * bands.nir.scale : this.simulateNIR(r, g, b);
+                    if (bands.rededge) rededge = bands.rededge.data[i] * bands.rededge.scale;
+                }
+
+                if (linear) {
+                    pixel.red = linear[r] * gRed;
+                    pixel.green = linear[g] * gGreen;
+                    pixel.blue = linear[b] * gBlue;
+                    pixel.nir = linear[nir] * gNIR;
+                    pixel.rededge = 0;
+                } else if (gains) {
+                    pixel.red = r * gRed;
+                    pixel.green = g * gGreen;
+                    pixel.blue = b * gBlue;
+                    pixel.nir = nir * gNIR;
+                    pixel.rededge = rededge * gRedEdge;
+                } else {
+                    pixel.red = r;
+                    pixel.green = g;
+                    pixel.blue = b;
+                    pixel.nir = nir;
+                    pixel.rededge = rededge;
+                }
+                for (let k = 0; k < indexCount; k++) {
+                    values[k] = indexList[k].compute(pixel);
+                }
+
+                const ndvi = values[iNDVI];
+                const ndwi = values[iNDWI];
+                const vari = values[iVARI];
+                const exg = values[iEXG];
+                const health = this.pixelHealth(ndvi, vari, exg);
+
+                // Brightest band - measured NIR keeps dark-but-vigorous canopy out of the shadow class
+                const brightness = Math.max(r, g, b, bands && bands.nir ? nir : 0);
+                const cover = excludedRow[x] ? excludedClass : this.classifyCover(r, g, b, brightness, ndvi, ndwi, exg);
+                coverCounts[cover]++;
+
+                const cell = cellRow + colCell[x];
+                const c = cell * stride;
+                cellSums[c] += health;
+                for (let k = 0; k < indexCount; k++) {
+                    indexSums[k] += values[k];
+                    cellSums[c + 1 + k] += values[k];
+                }
+                cellCounts[cell]++;
+
+                if (cover === 0) {
+                    const cc = cell * indexCount;
+                    for (let k = 0; k < indexCount; k++) {
+                        canopySums[cc + k] += values[k];
+                    }
+                    canopyCounts[cell]++;
+                }
+
+                if (outRow < 0 || colTarget[x] < 0) continue;
+
+                const o = outRow * ow + colTarget[x];
+                const p = o * 4;
+                ndviValues[o] = ndvi;
+                ndwiValues[o] = ndwi;
+                variValues[o] = vari;
+                healthValues[o] = health;
+                coverValues[o] = cover;
+                for (let k = 0; k < indexCount; k++) {
+                    levels[k][o] = Math.round(this.normalize(indexList[k], values[k]) * 255);
+                }
+
+                // CIR: NIR→R, R→G, G→B
+                this.writeColor(cir, p, nir, r, g);
+
+                let color = this.ndviToColor(ndvi);
+                this.writeColor(ndviMap, p, color.r, color.g, color.b);
+                color = this.ndwiToColor(ndwi);
+                this.writeColor(ndwiMap, p, color.r, color.g, color.b);
+                color = this.stressToColor(health);
+                this.writeColor(stressMap, p, color.r, color.g, color.b);
+
+                // NIR-enhanced: vegetation red-yellow by vigor, soil tan, water/shadow blue
+                if (ndvi > 0.2) {
+                    const vigor = Math.min(1, (ndvi + 1) / 2);
+                    this.writeColor(nirMap, p, 255 * vigor, 100 + 155 * vigor, 50 * (1 - vigor));
+                } else if (ndvi > -0.1) {
+                    this.writeColor(nirMap, p, 180, 140, 100);
+                } else {
+                    this.writeColor(nirMap, p, 50, 80, 150);
+                }
+            }
+        }
+
+        return {
+            id: job.id,
+            pixels: w * h - noData,
+            indices: ids,
+            sums: indexSums,
+            cover: coverCounts,
+            grid: {
+                cx0,
+                cy0,
+                cols: cellCols,
+                rows: cellRows,
+                stride,
+                sums: cellSums,
+                counts: cellCounts,
+                canopySums,
+                canopyCounts
+            },
+            overview: {
+                x: ox0,
+                y: oy0,
+                width: ow,
+                height: oh,
+                composites: { cir, ndvi: ndviMap, ndwi: ndwiMap, stress: stressMap, nirEnhanced: nirMap },
+                indices: { ndvi: ndviValues, ndwi: ndwiValues, vari: variValues, health: healthValues, cover: coverValues },
+                levels: Object.fromEntries(ids.map((id, k) => [id, levels[k]]))
+            }
+        };
+    },
+
+    // First overview pixel whose source sample lies at or after a full-res coordinate
+    // Using the same formula for both tile edges partitions the overview exactly between tiles
+    overviewStart(coord, overview) {
+        return Math.max(0, Math.ceil(coord * overview.scale - 0.5));
+    },
+
+    // Tile-relative source pixel for an overview pixel
+    overviewSource(o, overview, start, length) {
+        const source = Math.floor((o + 0.5) / overview.scale) - start;
+        return Math.min(length - 1, Math.max(0, source));
+    },
+
+    // Write an opaque RGBA pixel
+    writeColor(data, p, r, g, b) {
+        data[p] = r;
+        data[p + 1] = g;
+        data[p + 2] = b;
+        data[p + 3] = 255;
+    },
+
+    // ArrayBuffers referenced by a job or result, for zero-copy postMessage
+    getTransferables(value, list = []) {
+        if (ArrayBuffer.isView(value)) {
+            if (!list.includes(value.buffer)) list.push(value.buffer);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => this.getTransferables(item, list));
+        }
+        return list;
+    }
+};
+
+// Export (self is window on the page and the global scope inside workers)
+self.SpectralIndices = SpectralIndices;
@@ -0,0 +1,9 @@
+// Spectral Worker for KrishiMitra
+// Runs SpectralIndices.processTile off the main thread - one tile per message
+
+importScripts('spectral-indices.js');
+
+self.onmessage = (e) => {
+    const result = SpectralIndices.processTile(e.data);
+    self.postMessage(result, SpectralIndices.getTransferables(result));
+};
@@ -0,0 +1,670 @@
+// Spray Records for KrishiMitra
+// Application log for certifiers and regulators - what was sprayed where, by whom and in what weather,
+// with pre-harvest interval (PHI) checks and CSV / PDF export
+
+const SprayRecords = {
+    COMPASS: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'],
+
+    // Export columns: [header, value]
+    COLUMNS: [
+        ['Date', r => r.appliedAt.slice(0, 10)],
+        ['Time', r => r.appliedAt.slice(11, 16)],
+        ['Field', r => r.fieldName],
+        ['Crop', r => r.crop],
+        ['Product', r => r.product],
+        ['Active ingredient', r => r.activeIngredient],
+        ['Rate', r => r.rate !== null ? `${r.rate} ${r.rateUnit}`.trim() : ''],
+        ['Area', r => r.area !== null ? `${r.area} ${r.areaUnit}` : ''],
+        ['Total product', r => r.totalProduct],
+        ['Target', r => r.target],
+        ['Operator', r => r.operator],
+        ['Equipment', r => r.equipment],
+        ['Temp (°C)', r => r.weather.temperature ?? ''],
+        ['RH (%)', r => r.weather.humidity ?? ''],
+        ['Wind (km/h)', r => r.weather.windSpeed ?? ''],
+        ['Wind dir', r => r.weather.windDirection || ''],
+        ['Conditions', r => r.weather.description || ''],
+        ['PHI (days)', r => r.phi ?? ''],
+        ['Harvest from', r => r.harvestAfter || ''],
+        ['REI (h)', r => r.rei ?? ''],
+        ['Re-entry from', r => r.reentryAfter ? r.reentryAfter.replace('T', ' ') : ''],
+        ['Notes', r => r.notes]
+    ],
+
+    // PDF table columns: [header, width in pt, value] - A4 landscape leaves 782 pt between margins
+    PDF_COLUMNS: [
+        ['Date / time', 62, r => r.appliedAt.replace('T', ' ')],
+        ['Field / crop', 78, r => [r.fieldName, r.crop].filter(Boolean).join(' / ')],
+        ['Product', 96, r => r.product],
+        ['Active ingredient', 86, r => r.activeIngredient],
+        ['Rate', 56, r => r.rate !== null ? `${r.rate} ${r.rateUnit}`.trim() : ''],
+        ['Area', 42, r => r.area !== null ? `${r.area} ${r.areaUnit}` : ''],
+        ['Target', 70, r => r.target],
+        ['Operator', 62, r => r.operator],
+        ['Weather', 100, r => SprayRecords.formatWeather(r.weather)],
+        ['PHI / harvest from', 68, r => r.phi !== null ? `${r.phi} d / ${r.harvestAfter}` : ''],
+        ['REI', 62, r => r.rei !== null ? `${r.rei} h` : '']
+    ],
+
+    records: [],
+    rotationIssues: {},     // record id -> RotationPlanner issues
+    editingId: null,
+    prefill: null,
+
+    // Wire up the spray log page
+    init() {
+        $('#spray-new-btn')?.addEventListener('click', () => this.startRecord());
+        $('#spray-cancel-btn')?.addEventListener('click', () => this.closeForm());
+        $('#spray-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveForm();
+        });
+        $('#spray-weather-btn')?.addEventListener('click', () => this.fillWeather());
+        $('#spray-product')?.addEventListener('change', () => this.fillFromProductDB());
+
+        // Rotation check follows the product, target, field and date being entered
+        const checkRotation = Utils.debounce(() => this.checkRotation(), 300);
+        ['#spray-applied-at', '#spray-field', '#spray-crop', '#spray-product', '#spray-active', '#spray-target'].forEach(selector => {
+            $(selector)?.addEventListener('change', checkRotation);
+            $(selector)?.addEventListener('input', checkRotation);
+        });
+        $('#spray-export-csv')?.addEventListener('click', () => this.exportCSV());
+        $('#spray-export-pdf')?.addEventListener('click', () => this.exportPDF());
+        $('#spray-harvest-check')?.addEventListener('click', () => this.checkHarvestForm());
+        $('#spray-harvest-save')?.addEventListener('click', () => this.saveHarvestDate());
+
+        ['#spray-filter-field', '#spray-filter-from', '#spray-filter-to'].forEach(selector => {
+            $(selector)?.addEventListener('change', () => this.renderList());
+        });
+    },
+
+    // ===========================
+    // STORAGE
+    // ===========================
+
+    // All records, latest application first
+    async getAll() {
+        const records = await Utils.db.getAll('sprayRecords');
+        return records.sort((a, b) => b.appliedAt.localeCompare(a.appliedAt));
+    },
+
+    // Store a record, deriving the harvest and re-entry dates from PHI and REI
+    async save(record) {
+        const full = {
+            id: Utils.generateId(),
+            createdAt: new Date().toISOString(),
+            ...record,
+            harvestAfter: record.phi !== null ? this.addDays(record.appliedAt, record.phi) : null,
+            reentryAfter: record.rei !== null ? this.addHours(record.appliedAt, record.rei) : null,
+            updatedAt: new Date().toISOString()
+        };
+        await Utils.db.put('sprayRecords', full);
+        return full;
+    },
+
+    async remove(id) {
+        await Utils.db.delete('sprayRecords', id);
+        this.records = this.records.filter(record => record.id !== id);
+        this.rotationIssues = RotationPlanner.reviewRecords(this.records);
+        this.renderList();
+    },
+
+    // Local YYYY-MM-DD, days after a local date-time
+    addDays(dateTime, days) {
+        const d = Utils.date.addDays(`${dateTime.slice(0, 10)}T00:00`, Math.ceil(days));
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    // Local YYYY-MM-DDTHH:mm, hours after a local date-time
+    addHours(dateTime, hours) {
+        return this.localDateTime(new Date(new Date(dateTime).getTime() + hours * 3600000));
+    },
+
+    localDateTime(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    },
+
+    // ===========================
+    // PRE-HARVEST INTERVAL
+    // ===========================
+
+    // Records on a field whose PHI has not run out by the given date (YYYY-MM-DD), latest ending first
+    async getHarvestBlocks(fieldId, date) {
+        const records = await Utils.db.getAll('sprayRecords', 'fieldId', fieldId);
+        return records
+            .filter(record => record.harvestAfter && record.appliedAt.slice(0, 10) <= date && date < record.harvestAfter)
+            .sort((a, b) => b.harvestAfter.localeCompare(a.harvestAfter));
+    },
+
+    // Check the harvest date typed into the harvest card
+    async checkHarvestForm() {
+        const fieldId = $('#spray-harvest-field')?.value;
+        const date = $('#spray-harvest-date')?.value;
+        if (!fieldId || !date) {
+            Utils.toast.warning('Choose a field and a harvest date');
+            return null;
+        }
+
+        const blocks = await this.getHarvestBlocks(fieldId, date);
+        this.renderHarvestResult(date, blocks);
+        return blocks;
+    },
+
+    // Keep a planned harvest date on the field - refused while a PHI is still running
+    async saveHarvestDate() {
+        const blocks = await this.checkHarvestForm();
+        if (!blocks) return;
+
+        if (blocks.length) {
+            Utils.toast.error(`Harvest blocked until ${FieldHistory.formatDate(blocks[0].harvestAfter)} - pre-harvest interval of ${blocks[0].product}`);
+            return;
+        }
+
+        const fields = await FieldHistory.getFields();
+        const field = fields.find(f => f.id === $('#spray-harvest-field').value);
+        if (!field) return;
+
+        await Utils.db.put('fields', { ...field, harvestDate: $('#spray-harvest-date').value });
+        Utils.toast.success(`Planned harvest for ${field.name} saved`);
+        this.populateFieldSelects();
+    },
+
+    renderHarvestResult(date, blocks) {
+        const container = $('#spray-harvest-result');
+        if (!container) return;
+
+        container.innerHTML = blocks.length ? `
+            <div class="harvest-result blocked">
+                <strong>⛔ Harvest on ${FieldHistory.formatDate(date)} falls inside a pre-harvest interval</strong>
+                <ul>
+                    ${blocks.map(r => `<li>${r.product} sprayed ${Utils.date.format(r.appliedAt, 'medium')} - harvest from ${FieldHistory.formatDate(r.harvestAfter)} (PHI ${r.phi} d)</li>`).join('')}
+                </ul>
+            </div>
+        ` : `
+            <div class="harvest-result clear">✅ No pre-harvest interval is running on ${FieldHistory.formatDate(date)}</div>
+        `;
+    },
+
+    // ===========================
+    // FORM
+    // ===========================
+
+    // Record draft from a treatment suggestion or spray schedule entry
+    // context: { crop, target, fieldId, caseId, area: { value, unit }, source }
+    fromTreatment(treatment, context = {}) {
+        const label = ProductDB.match(treatment)?.products[0];
+        const text = [treatment.applicationRate, treatment.dosage, treatment.description].filter(Boolean).join(' ');
+        const rate = label?.rate ? { value: label.rate.min, unit: label.rate.unit } : (() => {
+            const parsed = TankMix.parseRate(text);
+            return parsed ? { value: parsed.value, unit: `${parsed.unit}/${parsed.basis}` } : null;
+        })();
+
+        return {
+            product: label?.name || treatment.product || treatment.name || treatment.treatment || '',
+            activeIngredient: label ? label.activeIngredients.join('; ') : treatment.activeIngredient || '',
+            rate: rate?.value ?? null,
+            rateUnit: rate?.unit || '',
+            phi: label?.phi ?? null,
+            rei: label?.rei ?? null,
+            target: context.target || (treatment.targetPests || []).join(', '),
+            crop: context.crop || '',
+            fieldId: context.fieldId || null,
+            caseId: context.caseId || null,
+            area: context.area?.value > 0 ? context.area.value : null,
+            areaUnit: context.area?.unit || 'ha',
+            source: context.source || 'manual'
+        };
+    },
+
+    // Open the form on the spray log page, optionally prefilled (or editing an existing record)
+    async startRecord(prefill = {}, record = null) {
+        if (App.currentPage !== 'sprays') App.navigateTo('sprays');
+        await this.populateFieldSelects();
+
+        this.editingId = record?.id || null;
+        this.prefill = record || prefill;
+        const values = {
+            appliedAt: this.localDateTime(),
+            operator: Utils.storage.get(CONFIG.STORAGE_KEYS.SPRAY_OPERATOR, ''),
+            areaUnit: 'ha',
+            weather: {},
+            ...this.prefill
+        };
+
+        const set = (selector, value) => {
+            const input = $(selector);
+            if (input) input.value = value ?? '';
+        };
+        set('#spray-applied-at', values.appliedAt);
+        set('#spray-field', values.fieldId || '');
+        set('#spray-crop', values.crop);
+        set('#spray-product', values.product);
+        set('#spray-active', values.activeIngredient);
+        set('#spray-rate', values.rate);
+        set('#spray-rate-unit', values.rateUnit);
+        set('#spray-area', values.area);
+        set('#spray-area-unit', values.areaUnit);
+        set('#spray-total', values.totalProduct);
+        set('#spray-target', values.target);
+        set('#spray-operator', values.operator);
+        set('#spray-equipment', values.equipment);
+        set('#spray-phi', values.phi);
+        set('#spray-rei', values.rei);
+        set('#spray-notes', values.notes);
+        this.setWeatherInputs(values.weather);
+
+        $('#spray-form-title').textContent = record ? '✏️ Edit Spray Record' : '📝 New Spray Record';
+        $('#spray-form-card')?.classList.remove('hidden');
+        $('#spray-form-card')?.scrollIntoView({ behavior: 'smooth' });
+
+        this.checkRotation();
+
+        // A new record is for a spray happening now - take the weather straight away
+        if (!record && navigator.onLine) this.fillWeather();
+    },
+
+    closeForm() {
+        $('#spray-form-card')?.classList.add('hidden');
+        this.editingId = null;
+        this.prefill = null;
+    },
+
+    setWeatherInputs(weather = {}) {
+        $('#spray-temp').value = weather.temperature ?? '';
+        $('#spray-humidity').value = weather.humidity ?? '';
+        $('#spray-wind').value = weather.windSpeed ?? '';
+        $('#spray-wind-dir').value = weather.windDirection || '';
+        $('#spray-conditions').value = weather.description || '';
+    },
+
+    // Current conditions from the weather service
+    async fillWeather() {
+        const btn = $('#spray-weather-btn');
+        if (btn) btn.disabled = true;
+
+        try {
+            const weather = await WeatherAPI.getCurrentWeather();
+            this.setWeatherInputs({
+                temperature: weather.temperature,
+                humidity: weather.humidity,
+                windSpeed: weather.windSpeed,
+                windDirection: weather.windDirection !== undefined ? this.compass(weather.windDirection) : '',
+                description: weather.description
+            });
+        } catch (error) {
+            Utils.toast.warning('Could not fetch the weather - enter the conditions by hand');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    },
+
+    compass(degrees) {
+        return this.COMPASS[Math.round(degrees / 22.5) % 16];
+    },
+
+    // PHI, REI and active ingredient from the product database when the product name matches a label
+    fillFromProductDB() {
+        const label = ProductDB.match({ name: $('#spray-product').value })?.products[0];
+        if (!label) return;
+
+        if (!$('#spray-active').value) $('#spray-active').value = label.activeIngredients.join('; ');
+        if ($('#spray-phi').value === '' && label.phi !== null) $('#spray-phi').value = label.phi;
+        if ($('#spray-rei').value === '' && label.rei !== null) $('#spray-rei').value = label.rei;
+        if (!$('#spray-rate-unit').value && label.rate) {
+            $('#spray-rate').value = label.rate.min;
+            $('#spray-rate-unit').value = label.rate.unit;
+        }
+    },
+
+    // Mode-of-action rotation of the spray being entered against the field's or crop's earlier sprays this season
+    async checkRotation() {
+        const container = $('#spray-rotation');
+        if (!container) return;
+
+        const draft = {
+            id: this.editingId,
+            appliedAt: $('#spray-applied-at').value || this.localDateTime(),
+            fieldId: $('#spray-field').value || null,
+            crop: $('#spray-crop').value.trim(),
+            product: $('#spray-product').value.trim(),
+            activeIngredient: $('#spray-active').value.trim(),
+            target: $('#spray-target').value.trim()
+        };
+        if (!draft.product && !draft.activeIngredient) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const history = await RotationPlanner.getHistory(draft);
+            container.innerHTML = RotationPlanner.renderCheck(RotationPlanner.check(history, draft, draft.crop));
+        } catch (error) {
+            console.error('Could not check the spray rotation:', error);
+        }
+    },
+
+    // Validate and store the form
+    async saveForm() {
+        const number = selector => {
+            const value = parseFloat($(selector).value);
+            return Number.isFinite(value) ? value : null;
+        };
+        const text = selector => $(selector)?.value.trim() || '';
+
+        const fieldId = $('#spray-field').value || null;
+        const fields = await FieldHistory.getFields();
+        const field = fields.find(f => f.id === fieldId);
+
+        const record = {
+            ...(this.editingId ? this.records.find(r => r.id === this.editingId) : {}),
+            appliedAt: $('#spray-applied-at').value,
+            fieldId,
+            fieldName: field?.name || '',
+            crop: text('#spray-crop'),
+            product: text('#spray-product'),
+            activeIngredient: text('#spray-active'),
+            rate: number('#spray-rate'),
+            rateUnit: text('#spray-rate-unit'),
+            area: number('#spray-area'),
+            areaUnit: $('#spray-area-unit').value,
+            totalProduct: text('#spray-total'),
+            target: text('#spray-target'),
+            operator: text('#spray-operator'),
+            equipment: text('#spray-equipment'),
+            phi: number('#spray-phi'),
+            rei: number('#spray-rei'),
+            weather: {
+                temperature: number('#spray-temp'),
+                humidity: number('#spray-humidity'),
+                windSpeed: number('#spray-wind'),
+                windDirection: text('#spray-wind-dir'),
+                description: text('#spray-conditions')
+            },
+            notes: text('#spray-notes'),
+            caseId: this.prefill?.caseId || null,
+            source: this.prefill?.source || 'manual'
+        };
+        if (this.editingId) record.id = this.editingId;
+
+        if (!record.appliedAt || !record.product || !record.operator) {
+            Utils.toast.error('Date, product and operator are required');
+            return;
+        }
+
+        // A PHI running past the field's planned harvest needs confirming
+        if (field?.harvestDate && record.phi !== null) {
+            const harvestAfter = this.addDays(record.appliedAt, record.phi);
+            if (record.appliedAt.slice(0, 10) <= field.harvestDate && field.harvestDate < harvestAfter &&
+                !confirm(`The ${record.phi}-day PHI runs until ${FieldHistory.formatDate(harvestAfter)}, after the planned harvest on ${FieldHistory.formatDate(field.harvestDate)}. Save anyway?`)) {
+                return;
+            }
+        }
+
+        try {
+            await this.save(record);
+            Utils.storage.set(CONFIG.STORAGE_KEYS.SPRAY_OPERATOR, record.operator);
+            Utils.activity.log('spray', `Sprayed ${record.product}`, { field: record.fieldName, crop: record.crop });
+            Utils.toast.success('Spray record saved');
+            this.closeForm();
+            this.render();
+        } catch (error) {
+            console.error('Could not save spray record:', error);
+            Utils.toast.error('Could not save the spray record');
+        }
+    },
+
+    // ===========================
+    // UI
+    // ===========================
+
+    async render() {
+        try {
+            this.records = await this.getAll();
+        } catch (error) {
+            console.error('Could not load spray records:', error);
+            Utils.toast.error('Could not load spray records');
+            this.records = [];
+        }
+        this.rotationIssues = RotationPlanner.reviewRecords(this.records);
+
+        await this.populateFieldSelects();
+        this.renderList();
+    },
+
+    // Field pickers on the form, filter and harvest card, keeping their current choices
+    async populateFieldSelects() {
+        let fields = [];
+        try {
+            fields = await FieldHistory.getFields();
+        } catch (error) {
+            console.warn('Fields unavailable:', error);
+        }
+
+        [['#spray-field', 'No field'], ['#spray-filter-field', 'All fields'], ['#spray-harvest-field', 'Choose a field']]
+            .forEach(([selector, empty]) => {
+                const select = $(selector);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = `
+                    <option value="">${empty}</option>
+                    ${fields.map(field => `<option value="${field.id}">${field.name}${field.harvestDate && selector === '#spray-harvest-field' ? ` (harvest ${FieldHistory.formatDate(field.harvestDate, 'short')})` : ''}</option>`).join('')}
+                `;
+                select.value = fields.some(field => field.id === current) ? current : '';
+            });
+    },
+
+    // Records matching the page filters
+    getFiltered() {
+        const fieldId = $('#spray-filter-field')?.value || '';
+        const from = $('#spray-filter-from')?.value || '';
+        const to = $('#spray-filter-to')?.value || '';
+
+        return this.records.filter(record => {
+            const day = record.appliedAt.slice(0, 10);
+            if (fieldId && record.fieldId !== fieldId) return false;
+            if (from && day < from) return false;
+            if (to && day > to) return false;
+            return true;
+        });
+    },
+
+    formatWeather(weather = {}) {
+        return [
+            weather.temperature !== null && weather.temperature !== undefined ? `${weather.temperature}°C` : '',
+            weather.humidity !== null && weather.humidity !== undefined ? `${weather.humidity}% RH` : '',
+            weather.windSpeed !== null && weather.windSpeed !== undefined ? `${weather.windSpeed} km/h ${weather.windDirection || ''}`.trim() : '',
+            weather.description || ''
+        ].filter(Boolean).join(', ');
+    },
+
+    renderList() {
+        const container = $('#spray-list');
+        if (!container) return;
+
+        const records = this.getFiltered();
+        const today = this.localDateTime().slice(0, 10);
+        const now = this.localDateTime();
+
+        if (!this.records.length) {
+            container.innerHTML = '<p class="history-hint">No sprays recorded yet. Record one here, or from a treatment in The Specialist or a spray schedule in The Strategist.</p>';
+            return;
+        }
+        if (!records.length) {
+            container.innerHTML = '<p class="history-hint">No records match these filters.</p>';
+            return;
+        }
+
+        container.innerHTML = records.map(record => `
+            <div class="spray-card glass-card" data-id="${record.id}">
+                <div class="spray-card-info">
+                    <strong>🧪 ${record.product}${record.activeIngredient ? ` <small>(${record.activeIngredient})</small>` : ''}</strong>
+                    <span>${[record.fieldName, record.crop, record.target].filter(Boolean).join(' · ') || 'No field recorded'}</span>
+                    <span class="history-item-meta">${Utils.date.format(record.appliedAt, 'full')} · 👤 ${record.operator}${record.rate !== null ? ` · ${record.rate} ${record.rateUnit}` : ''}${record.area !== null ? ` · ${record.area} ${record.areaUnit}` : ''}</span>
+                    ${this.formatWeather(record.weather) ? `<span class="history-item-meta">🌤️ ${this.formatWeather(record.weather)}</span>` : ''}
+                    <div class="case-card-tags">
+                        ${record.harvestAfter ? `<span class="case-tag ${record.harvestAfter > today ? 'phi-active' : ''}">🌾 Harvest from ${FieldHistory.formatDate(record.harvestAfter)}</span>` : '<span class="case-tag">PHI not recorded</span>'}
+                        ${record.reentryAfter && record.reentryAfter > now ? `<span class="case-tag phi-active">🚷 Re-entry after ${Utils.date.format(record.reentryAfter, 'full')}</span>` : ''}
+                        ${(this.rotationIssues[record.id] || []).map(issue => `<span class="case-tag rotation">🔄 ${RotationPlanner.describe(issue)}</span>`).join('')}
+                    </div>
+                </div>
+                <button class="history-delete" data-id="${record.id}" title="Delete record">🗑️</button>
+            </div>
+        `).join('');
+
+        $$('.spray-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const record = this.records.find(r => r.id === card.dataset.id);
+                if (record) this.startRecord({}, record);
+            });
+        });
+        $$('.spray-card .history-delete').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (confirm('Delete this spray record? Regulators may require you to keep it.')) {
+                    this.remove(btn.dataset.id).catch(error => {
+                        console.error('Could not delete spray record:', error);
+                        Utils.toast.error('Could not delete the record');
+                    });
+                }
+            });
+        });
+    },
+
+    // ===========================
+    // EXPORT
+    // ===========================
+
+    // Filtered records, oldest first as logs are read
+    getExportRecords() {
+        const records = this.getFiltered().slice().reverse();
+        if (!records.length) Utils.toast.warning('No spray records to export');
+        return records;
+    },
+
+    exportFilename(extension) {
+        return `krishimitra-spray-log-${this.localDateTime().slice(0, 10)}.${extension}`;
+    },
+
+    toCSV(records) {
+        const escape = value => {
+            const text = String(value ?? '');
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [
+            this.COLUMNS.map(([header]) => escape(header)).join(','),
+            ...records.map(record => this.COLUMNS.map(([, value]) => escape(value(record))).join(','))
+        ].join('\r\n');
+    },
+
+    exportCSV() {
+        const records = this.getExportRecords();
+        if (!records.length) return;
+
+        // BOM so spreadsheet apps read the file as UTF-8
+        GeoExport.download(new Blob(['﻿' + this.toCSV(records)], { type: 'text/csv' }), this.exportFilename('csv'));
+        Utils.toast.success(`Exported ${records.length} record${records.length === 1 ? '' : 's'}`);
+    },
+
+    exportPDF() {
+        const records = this.getExportRecords();
+        if (!records.length) return;
+
+        GeoExport.download(this.toPDF(records), this.exportFilename('pdf'));
+        Utils.toast.success(`Exported ${records.length} record${records.length === 1 ? '' : 's'}`);
+    },
+
+    // Text in the PDF's WinAnsi encoding; other characters become '?'
+    pdfText(text) {
+        const special = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94 };
+        return Array.from(String(text ?? ''), ch => {
+            const code = ch.charCodeAt(0);
+            const byte = special[ch] ?? (code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : 0x3f);
+            const out = String.fromCharCode(byte);
+            return out === '(' || out === ')' || out === '\\' ? `\\${out}` : out;
+        }).join('').replace(/[\r\n]+/g, ' ');
+    },
+
+    // Clip text to a column width - Helvetica averages about half an em per character
+    pdfFit(text, width, size) {
+        const max = Math.floor(width / (size * 0.5));
+        const value = String(text ?? '');
+        return value.length > max ? `${value.slice(0, Math.max(1, max - 1))}…` : value;
+    },
+
+    // Landscape A4 log as a PDF Blob, drawn with the built-in Helvetica fonts
+    toPDF(records) {
+        const pageWidth = 842;
+        const pageHeight = 595;
+        const margin = 30;
+        const size = 7;
+        const lineHeight = 11;
+        const rowsPerPage = Math.floor((pageHeight - 2 * margin - 80) / lineHeight);
+        const pages = [];
+
+        for (let start = 0; start === 0 || start < records.length; start += rowsPerPage) {
+            const rows = records.slice(start, start + rowsPerPage);
+            const ops = [];
+            const text = (x, y, value, font = 'F1', fontSize = size) =>
+                ops.push(`BT /${font} ${fontSize} Tf ${x} ${y} Td (${this.pdfText(value)}) Tj ET`);
+
+            let y = pageHeight - margin - 14;
+            text(margin, y, 'Pesticide Application Record', 'F2', 14);
+            text(pageWidth - margin - 160, y, `Printed ${this.localDateTime().replace('T', ' ')}`, 'F1', 8);
+            y -= 24;
+
+            let x = margin;
+            this.PDF_COLUMNS.forEach(([header, width]) => {
+                text(x, y, this.pdfFit(header, width - 4, size), 'F2');
+                x += width;
+            });
+            ops.push(`${margin} ${y - 4} m ${pageWidth - margin} ${y - 4} l S`);
+            y -= lineHeight + 2;
+
+            rows.forEach(record => {
+                let cx = margin;
+                this.PDF_COLUMNS.forEach(([, width, value]) => {
+                    text(cx, y, this.pdfFit(value(record), width - 4, size));
+                    cx += width;
+                });
+                ops.push(`0.85 G ${margin} ${y - 3} m ${pageWidth - margin} ${y - 3} l S 0 G`);
+                y -= lineHeight;
+            });
+
+            text(margin, margin + 14, 'Operator signature: ______________________        Checked by: ______________________', 'F1', 8);
+            text(pageWidth - margin - 60, margin + 14, `Page ${pages.length + 1}`, 'F1', 8);
+            pages.push(ops.join('\n'));
+        }
+
+        // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream per page
+        const objects = [];
+        const pageIds = pages.map((_, i) => 5 + i * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        pages.forEach((content, i) => {
+            objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+            objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+        });
+
+        // Every character is one byte, so string lengths are byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = pdf.length;
+            pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return new Blob([Uint8Array.from(pdf, ch => ch.charCodeAt(0))], { type: 'application/pdf' });
+    }
+};
+
+// Export
+window.SprayRecords = SprayRecords;
@@ -4,6 +4,7 @@ const StrategistModule = {
     currentStrategy: null,
     stressImages: [],
     stressAnalysis: null,
+    hourly: [],
     
     // Initialize module
     init() {
@@ -23,6 +24,9 @@ const StrategistModule = {
         
         // Stress detection image upload handlers
         this.setupStressUpload();
+        
+        // Disease risk strip follows the chosen crop
+        $('#crop-type')?.addEventListener('change', () => this.displayDiseaseRisk());
     },
     
     // Setup stress detection upload
@@ -299,7 +303,16 @@ const StrategistModule = {
         
         try {
             const forecast = await WeatherAPI.getForecast(7);
+            
+            // Hourly detail with leaf wetness, for the wet-hour totals and the day view
+            try {
+                this.hourly = await WeatherAPI.getHourlyForecast(7);
+            } catch (e) {
+                this.hourly = [];
+            }
+            
             this.displayForecast(forecast);
+            this.displayDiseaseRisk();
         } catch (error) {
             container.innerHTML = `
                 <div class="forecast-error">
@@ -310,21 +323,97 @@ const StrategistModule = {
         }
     },
     
-    // Display forecast
+    // Daily infection risk from the disease models for the chosen crop
+    async displayDiseaseRisk() {
+        const container = $('#disease-risk-strip');
+        if (!container) return;
+        
+        try {
+            const evaluation = await DiseaseModels.evaluate();
+            container.innerHTML = DiseaseModels.renderStrip(evaluation, $('#crop-type')?.value || '');
+        } catch (error) {
+            console.error('Disease risk error:', error);
+            container.innerHTML = '';
+        }
+    },
+    
+    // Display forecast, with leaf-wet hours per day when hourly data loaded
     displayForecast(forecast) {
         const container = $('#forecast-container');
         if (!container) return;
         
-        container.innerHTML = forecast.slice(0, 5).map(day => `
-            <div class="forecast-day">
-                <span class="forecast-day-name">${day.dayName}</span>
-                <span class="forecast-icon">${day.emoji}</span>
-                <div class="forecast-temps">
-                    <span class="forecast-high">${day.tempMax}°</span>
-                    <span class="forecast-low">${day.tempMin}°</span>
+        const wetness = WeatherAPI.summarizeWetness(this.hourly);
+        
+        container.innerHTML = forecast.slice(0, 5).map(day => {
+            const wet = wetness.find(w => w.date === day.date);
+            return `
+                <div class="forecast-day ${wet ? 'has-detail' : ''}" data-date="${day.date}">
+                    <span class="forecast-day-name">${day.dayName}</span>
+                    <span class="forecast-icon">${day.emoji}</span>
+                    ${wet ? `<span class="forecast-wet" title="Estimated leaf-wet hours">💧 ${wet.wetHours} h</span>` : ''}
+                    <div class="forecast-temps">
+                        <span class="forecast-high">${day.tempMax}°</span>
+                        <span class="forecast-low">${day.tempMin}°</span>
+                    </div>
                 </div>
+            `;
+        }).join('');
+        
+        $$('#forecast-container .forecast-day.has-detail').forEach(dayEl => {
+            dayEl.addEventListener('click', () => this.toggleForecastDetail(dayEl.dataset.date));
+        });
+    },
+    
+    // Hour-by-hour view of one forecast day; clicking the same day again closes it
+    toggleForecastDetail(date) {
+        const container = $('#forecast-detail');
+        if (!container) return;
+        
+        const open = container.dataset.date === date && !container.classList.contains('hidden');
+        $$('#forecast-container .forecast-day').forEach(dayEl => {
+            dayEl.classList.toggle('active', !open && dayEl.dataset.date === date);
+        });
+        
+        if (open) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const hours = this.hourly.filter(hour => hour.time.startsWith(date));
+        const [totals] = WeatherAPI.summarizeWetness(hours);
+        
+        container.dataset.date = date;
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="forecast-detail-header">
+                <strong>${Utils.date.format(`${date}T00:00`, 'long')}</strong>
+                <small>💧 ${totals.wetHours} h leaf-wet · 🌧️ ${totals.rainHours} h rain</small>
             </div>
-        `).join('');
+            <div class="forecast-detail-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Time</th><th>Temp</th><th>Dew pt</th><th>RH</th><th>Cloud</th><th>Rain</th><th>Wind</th><th>Leaf</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${hours.map(hour => `
+                            <tr class="${hour.leafWet ? 'wet' : ''}">
+                                <td>${hour.time.slice(11, 16)}</td>
+                                <td>${Math.round(hour.temperature)}°</td>
+                                <td>${Number.isFinite(hour.dewPoint) ? `${Math.round(hour.dewPoint)}°` : '–'}</td>
+                                <td>${hour.humidity}%</td>
+                                <td>${hour.cloudCover ?? '–'}%</td>
+                                <td>${hour.precipitation ? `${hour.precipitation} mm` : '–'}</td>
+                                <td>${Math.round(hour.windSpeed)}</td>
+                                <td>${hour.leafWet ? '💧 Wet' : 'Dry'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="helper-text">Leaf wetness is estimated from rain and the dew point depression (wet from ${WeatherAPI.LEAF_WET_ONSET}°C, dry above ${WeatherAPI.LEAF_WET_DRY_OFF}°C). Wind in km/h.</p>
+        `;
     },
     
     // Generate IPM strategy
@@ -375,6 +464,13 @@ const StrategistModule = {
                 console.log('Weather not available for strategy');
             }
             
+            // Degree-day stage dates for the pest model set on the phenology card
+            try {
+                farmData.phenology = await Phenology.current();
+            } catch (e) {
+                console.log('Phenology not available for strategy');
+            }
+            
             const result = await GeminiAPI.generateIPMStrategy(farmData);
             this.currentStrategy = result;
             
@@ -422,7 +518,7 @@ const StrategistModule = {
         this.displayRiskAssessment(result);
         
         // Spray timing
-        this.displaySprayTiming(result);
+        this.displaySprayTiming(result, farmData);
         
         // Action calendar
         this.displayActionCalendar(result, farmData);
@@ -960,40 +1056,40 @@ const StrategistModule = {
     },
     
     // Display spray timing
-    async displaySprayTiming(result) {
+    async displaySprayTiming(result, farmData) {
         const container = $('#timing-calendar');
         if (!container) return;
         
         const timing = result.sprayTimingOptimization || result.sprayTiming || 
                       result.timingOptimization || result.optimalTiming || [];
         
-        // Try to get actual spray windows from weather
-        let windows = [];
-        try {
-            windows = await WeatherAPI.findSprayWindows();
-        } catch (e) {
-            console.log('Could not fetch spray windows');
-        }
-        
-        // Combine AI recommendations with weather windows
+        // Combine AI recommendations with degree-day and weather windows
         let html = '';
+        const phenology = farmData?.phenology;
+        const schedule = result.sprayProtocol?.schedule;
         
-        if (windows.length > 0) {
-            html += `
-                <h4 style="margin-bottom: 1rem;">🌤️ Optimal Windows (Weather-Based)</h4>
-                ${windows.slice(0, 5).map(w => `
-                    <div class="timing-window">
-                        <span class="timing-icon">⏰</span>
-                        <div class="timing-details">
-                            <div class="timing-title">${w.date} at ${w.hour}</div>
-                            <div class="timing-desc">Wind: ${w.conditions.windSpeed} km/h | Humidity: ${w.conditions.humidity}%</div>
-                        </div>
-                        ${w.isPrimeTime ? '<span class="timing-badge">Prime Time</span>' : ''}
-                    </div>
-                `).join('')}
-            `;
+        if (phenology) {
+            html += Phenology.renderWindows(phenology);
         }
         
+        // Weather windows are scored for the job once the card is on the page
+        const rainfast = this.scheduleRainfast(schedule, farmData?.crop);
+        html += `
+            <h4 style="margin: ${phenology ? '1.5rem 0 1rem' : '0 0 1rem'};">🌤️ Spray Windows (Weather-Scored)</h4>
+            <div class="spray-job">
+                <div class="form-group">
+                    <label for="spray-job-duration">Job length (hours)</label>
+                    <input type="number" id="spray-job-duration" min="1" max="12" step="1" value="2">
+                </div>
+                <div class="form-group">
+                    <label for="spray-job-rainfast">Rainfast time (hours)</label>
+                    <input type="number" id="spray-job-rainfast" min="0" max="48" step="0.5" value="${rainfast ?? WeatherAPI.DEFAULT_RAINFAST}">
+                    <small class="helper-text">${rainfast !== null ? 'Slowest label in the spray schedule' : 'Typical value - import rainfast hours with your product labels'}</small>
+                </div>
+            </div>
+            <div class="spray-windows" id="spray-windows"></div>
+        `;
+        
         if (timing && (Array.isArray(timing) ? timing.length > 0 : true)) {
             html += `
                 <h4 style="margin: 1.5rem 0 1rem;">📋 Strategy Recommendations</h4>
@@ -1016,13 +1112,88 @@ const StrategistModule = {
             }
         }
         
-        if (!html) {
-            html = `
+        // Products in the spray schedule, checked against the product database
+        if (Array.isArray(schedule) && schedule.length > 0) {
+            const { items, hidden } = ProductDB.annotate(schedule, farmData?.crop);
+            
+            html += `
+                <h4 style="margin: 1.5rem 0 1rem;">🧪 Spray Schedule</h4>
+                ${items.map(({ treatment: s, ...label }) => `
+                    <div class="timing-window">
+                        <span class="timing-icon">${(s.type || '').toLowerCase() === 'organic' ? '🌿' : '🧪'}</span>
+                        <div class="timing-details">
+                            <div class="timing-title">${s.product || s.name || 'Product'}${s.timing ? ` - ${s.timing}` : ''}</div>
+                            <div class="timing-desc">${[s.applicationRate, (s.targetPests || []).join(', '), s.notes].filter(Boolean).join(' | ')}</div>
+                            ${label.product ? ProductDB.renderLabel(label, farmData?.crop) :
+                              ProductDB.products.length ? ProductDB.renderUnmatched() : ''}
+                            <button class="tank-mix-btn" data-index="${schedule.indexOf(s)}">🧮 Tank mix</button>
+                            <button class="tank-mix-btn spray-record-btn" data-index="${schedule.indexOf(s)}">📝 Record spray</button>
+                        </div>
+                    </div>
+                `).join('')}
+                ${ProductDB.renderFooter(hidden, farmData?.crop)}
+            `;
+        }
+        
+        container.innerHTML = html;
+        
+        this.displaySprayWindows(phenology);
+        ['#spray-job-duration', '#spray-job-rainfast'].forEach(selector => {
+            $(selector).addEventListener('change', () => this.displaySprayWindows(phenology));
+        });
+        
+        // Tank mix calculator, prefilled with the farm size (acres)
+        const area = { value: parseFloat(farmData?.size), unit: 'acre' };
+        $$('#timing-calendar .tank-mix-btn:not(.spray-record-btn)').forEach(btn => {
+            btn.addEventListener('click', () => TankMix.open([schedule[btn.dataset.index]], { area }));
+        });
+        $$('#timing-calendar .spray-record-btn').forEach(btn => {
+            btn.addEventListener('click', () => SprayRecords.startRecord(
+                SprayRecords.fromTreatment(schedule[btn.dataset.index], { crop: farmData?.crop, area, source: 'strategist' })
+            ));
+        });
+        
+        // Planned schedule checked against this season's recorded sprays on the crop
+        if (Array.isArray(schedule) && schedule.length > 0) {
+            try {
+                const history = await RotationPlanner.getHistory({ crop: farmData?.crop });
+                container.insertAdjacentHTML('beforeend',
+                    RotationPlanner.renderPlan(RotationPlanner.plan(history, schedule, farmData?.crop), farmData?.crop));
+            } catch (error) {
+                console.error('Could not check the spray rotation:', error);
+            }
+        }
+    },
+    
+    // Slowest rainfast time (hours) among the schedule's products in the product database, or null
+    scheduleRainfast(schedule, crop) {
+        if (!Array.isArray(schedule)) return null;
+        
+        const times = ProductDB.annotate(schedule, crop).items
+            .map(item => item.product?.rainfast)
+            .filter(time => time != null);
+        return times.length ? Math.max(...times) : null;
+    },
+    
+    // Weather windows long enough for the job, each with its factor scores
+    async displaySprayWindows(phenology) {
+        const container = $('#spray-windows');
+        if (!container) return;
+        
+        const duration = Math.max(1, parseInt($('#spray-job-duration').value) || 1);
+        const rainfast = Math.max(0, parseFloat($('#spray-job-rainfast').value) || 0);
+        
+        let windows;
+        try {
+            windows = await WeatherAPI.findSprayWindows({ duration, rainfast });
+        } catch (e) {
+            console.log('Could not fetch spray windows');
+            container.innerHTML = `
                 <div class="timing-window">
                     <span class="timing-icon">🌅</span>
                     <div class="timing-details">
                         <div class="timing-title">Early Morning (6-9 AM)</div>
-                        <div class="timing-desc">Best for most applications. Low wind, dew present.</div>
+                        <div class="timing-desc">Best for most applications once any inversion lifts. Forecast unavailable - check conditions on site.</div>
                     </div>
                     <span class="timing-badge">Recommended</span>
                 </div>
@@ -1034,9 +1205,32 @@ const StrategistModule = {
                     </div>
                 </div>
             `;
+            return;
         }
         
-        container.innerHTML = html;
+        if (!windows.length) {
+            container.innerHTML = `<p class="helper-text">No ${duration}-hour block scores ${WeatherAPI.SPRAY_MIN_SCORE}+ in the next 3 days with ${rainfast} h to rainfast.</p>`;
+            return;
+        }
+        
+        // Weather windows inside a degree-day spray window come first
+        const stageOf = w => phenology ? Phenology.stageOn(phenology, w.time.slice(0, 10)) : null;
+        const ranked = phenology ? [...windows].sort((a, b) => !!stageOf(b) - !!stageOf(a)) : windows;
+        
+        container.innerHTML = ranked.slice(0, 5).map(w => `
+            <div class="timing-window">
+                <span class="timing-icon">⏰</span>
+                <div class="timing-details">
+                    <div class="timing-title">${w.date} ${w.hour} – ${w.end} (${w.hours} h)${stageOf(w) ? ` | 🐛 ${stageOf(w).name}` : ''}</div>
+                    <div class="spray-factors">
+                        ${w.factors.map(factor => `
+                            <span class="spray-factor ${factor.score >= 0.9 ? 'good' : factor.score >= 0.6 ? 'fair' : 'poor'}" title="${Math.round(factor.score * 100)}/100 at the weakest hour">${factor.label}: ${factor.value}</span>
+                        `).join('')}
+                    </div>
+                </div>
+                <span class="timing-badge">${w.score}/100</span>
+            </div>
+        `).join('') + `<p class="helper-text">Hourly score = 100 × the product of the factor scores; windows are unbroken runs of hours at ${WeatherAPI.SPRAY_MIN_SCORE}+. Factors show the weakest hour of each window.</p>`;
     },
     
     // Display action calendar
@@ -1047,20 +1241,23 @@ const StrategistModule = {
         const actions = result.actionCalendar || result.actionPlan || result.calendar || [];
         const duration = parseInt(farmData.duration);
         
+        // Degree-day stage dates join the calendar
+        const phenologyDays = farmData.phenology ? Phenology.calendarEntries(farmData.phenology, duration) : [];
+        
         if (!actions || (Array.isArray(actions) && actions.length === 0)) {
             // Generate default calendar
-            container.innerHTML = this.generateDefaultCalendar(duration);
+            container.innerHTML = this.generateDefaultCalendar(duration, phenologyDays);
             return;
         }
         
         if (typeof actions === 'string') {
-            container.innerHTML = `<p>${actions}</p>`;
+            container.innerHTML = `<p>${actions}</p>` + this.renderCalendar(phenologyDays);
             return;
         }
         
         const today = new Date();
         
-        container.innerHTML = actions.slice(0, 10).map((action, index) => {
+        const days = actions.slice(0, 10).map((action, index) => {
             // Parse the date from various formats
             let date = this.parseActionDate(action, index, today);
             
@@ -1075,28 +1272,38 @@ const StrategistModule = {
                 tasks = ['Scheduled task'];
             }
             
-            return `
-                <div class="calendar-day">
-                    <div class="calendar-date">
-                        <div class="calendar-date-day">${date.getDate()}</div>
-                        <div class="calendar-date-month">${date.toLocaleDateString('en-US', { month: 'short' })}</div>
-                    </div>
-                    <div class="calendar-tasks">
-                        ${tasks.map(task => {
-                            const taskType = this.getTaskType(task);
-                            const taskName = typeof task === 'object' 
-                                ? (task.name || task.task || task.description || task.activity || task.action || 'Task') 
-                                : (task || 'Task');
-                            return `<span class="calendar-task ${taskType}">${taskName}</span>`;
-                        }).join('')}
-                    </div>
+            return {
+                date,
+                tasks: tasks.map(task => {
+                    const taskType = this.getTaskType(task);
+                    const taskName = typeof task === 'object' 
+                        ? (task.name || task.task || task.description || task.activity || task.action || 'Task') 
+                        : (task || 'Task');
+                    return `<span class="calendar-task ${taskType}">${taskName}</span>`;
+                })
+            };
+        });
+        
+        container.innerHTML = this.renderCalendar([...days, ...phenologyDays]);
+    },
+    
+    // Calendar days in date order: [{ date, tasks: [task HTML] }]
+    renderCalendar(days) {
+        return [...days].sort((a, b) => a.date - b.date).map(day => `
+            <div class="calendar-day">
+                <div class="calendar-date">
+                    <div class="calendar-date-day">${day.date.getDate()}</div>
+                    <div class="calendar-date-month">${day.date.toLocaleDateString('en-US', { month: 'short' })}</div>
                 </div>
-            `;
-        }).join('');
+                <div class="calendar-tasks">
+                    ${day.tasks.join('')}
+                </div>
+            </div>
+        `).join('');
     },
     
     // Generate default calendar
-    generateDefaultCalendar(duration) {
+    generateDefaultCalendar(duration, extraDays = []) {
         const tasks = [
             { day: 1, tasks: ['Initial field inspection', 'Install monitoring traps'], type: 'inspect' },
             { day: 7, tasks: ['Scout for pests', 'Check trap counts'], type: 'inspect' },
@@ -1110,21 +1317,12 @@ const StrategistModule = {
         
         const today = new Date();
         
-        return tasks.filter(t => t.day <= duration).map(task => {
-            const date = Utils.date.addDays(today, task.day);
-            
-            return `
-                <div class="calendar-day">
-                    <div class="calendar-date">
-                        <div class="calendar-date-day">${date.getDate()}</div>
-                        <div class="calendar-date-month">${date.toLocaleDateString('en-US', { month: 'short' })}</div>
-                    </div>
-                    <div class="calendar-tasks">
-                        ${task.tasks.map(t => `<span class="calendar-task ${task.type}">${t}</span>`).join('')}
-                    </div>
-                </div>
-            `;
-        }).join('');
+        const days = tasks.filter(t => t.day <= duration).map(task => ({
+            date: Utils.date.addDays(today, task.day),
+            tasks: task.tasks.map(t => `<span class="calendar-task ${task.type}">${t}</span>`)
+        }));
+        
+        return this.renderCalendar([...days, ...extraDays]);
     },
     
     // Get task type for styling
@@ -0,0 +1,487 @@
+// Tank-Mix Calculator for KrishiMitra
+// Product per tank, number of tanks and total product from area, tank size, carrier volume and label rate,
+// plus mixing order and compatibility checks for tank mixes
+
+const TankMix = {
+    // Conversions to hectares, litres, millilitres (liquid products) and grams (dry products)
+    AREA: { ha: 1, acre: 0.404686, m2: 0.0001 },
+    VOLUME: { L: 1, gal: 3.78541 },
+    CARRIER: { 'L/ha': 1, 'gal/acre': 3.78541 / 0.404686 },
+    AMOUNT: {
+        mL: { kind: 'liquid', factor: 1 },
+        L: { kind: 'liquid', factor: 1000 },
+        tsp: { kind: 'liquid', factor: 4.92892 },
+        tbsp: { kind: 'liquid', factor: 14.7868 },
+        'fl oz': { kind: 'liquid', factor: 29.5735 },
+        cup: { kind: 'liquid', factor: 236.588 },
+        pt: { kind: 'liquid', factor: 473.176 },
+        qt: { kind: 'liquid', factor: 946.353 },
+        gal: { kind: 'liquid', factor: 3785.41 },
+        g: { kind: 'dry', factor: 1 },
+        kg: { kind: 'dry', factor: 1000 },
+        oz: { kind: 'dry', factor: 28.3495 },
+        lb: { kind: 'dry', factor: 453.592 }
+    },
+    // Rate basis - per area sprayed, or per volume of spray liquid
+    BASIS: {
+        ha: { type: 'area', ha: 1 },
+        acre: { type: 'area', ha: 0.404686 },
+        L: { type: 'volume', litres: 1 },
+        '100 L': { type: 'volume', litres: 100 },
+        gal: { type: 'volume', litres: 3.78541 },
+        '100 gal': { type: 'volume', litres: 378.541 }
+    },
+    // Spelled-out units in treatment text
+    UNIT_ALIASES: [
+        [/^(ml|millilit(er|re)s?)$/, 'mL'], [/^(l|lit(er|re)s?|ltrs?)$/, 'L'],
+        [/^(g|gm|grams?)$/, 'g'], [/^(kg|kilograms?|kgs)$/, 'kg'],
+        [/^(tsp|teaspoons?)$/, 'tsp'], [/^(tbsp|tablespoons?)$/, 'tbsp'],
+        [/^(fl\.? ?oz|fluid ounces?)$/, 'fl oz'], [/^(oz|ounces?)$/, 'oz'],
+        [/^(lbs?|pounds?)$/, 'lb'], [/^cups?$/, 'cup'], [/^(pt|pints?)$/, 'pt'],
+        [/^(qt|quarts?)$/, 'qt'], [/^(gal|gallons?)$/, 'gal'],
+        [/^(ha|hectares?)$/, 'ha'], [/^(ac|acres?)$/, 'acre']
+    ],
+
+    // Formulations in mixing order (lower goes in first)
+    FORMULATIONS: {
+        WSP: { label: 'Water-soluble packet', order: 1 },
+        WP: { label: 'Wettable powder', order: 2, tip: 'Pre-mix into a slurry in a bucket' },
+        WG: { label: 'Water-dispersible granule', order: 2, tip: 'Let it disperse fully before the next product' },
+        SP: { label: 'Soluble powder', order: 2 },
+        SC: { label: 'Suspension concentrate', order: 3, tip: 'Shake the container well' },
+        CS: { label: 'Capsule suspension', order: 3 },
+        OD: { label: 'Oil dispersion', order: 4 },
+        SE: { label: 'Suspo-emulsion', order: 4 },
+        EC: { label: 'Emulsifiable concentrate', order: 4, tip: 'Pour in slowly with the agitator running' },
+        EW: { label: 'Emulsion in water', order: 4 },
+        SL: { label: 'Soluble liquid', order: 5 },
+        ADJ: { label: 'Adjuvant, surfactant or oil', order: 6, tip: 'Add last unless the label says otherwise' }
+    },
+    FORMULATION_ALIASES: { WDG: 'WG', DF: 'WG', WS: 'WP', F: 'SC', FL: 'SC', SG: 'SP', ME: 'EW', SOLUTION: 'SL' },
+
+    // Active ingredients that should not share a tank - a matches one product, b another
+    COMPATIBILITY: [
+        {
+            a: /copper|bordeaux/, b: /phosph[io]|fosetyl/, level: 'danger',
+            message: 'Copper with phosphite or fosetyl lowers the pH and releases copper that burns leaves - spray separately'
+        },
+        {
+            a: /\bsulph?ur\b|\bsulfur\b/, b: /\boil\b|neem|paraffin/, level: 'danger',
+            message: 'Sulphur with oils (or within 2 weeks of an oil spray) scorches foliage'
+        },
+        {
+            a: /bacillus|\bbt\b|trichoderma|beauveria|metarhizium|pseudomonas|lecanicillium|verticillium/,
+            b: /copper|mancozeb|carbendazim|chlorothalonil|captan|propiconazole|hexaconazole|tebuconazole|\bsulph?ur\b|\bsulfur\b/,
+            level: 'warning',
+            message: 'Fungicides can kill live biological products - apply the biological on its own'
+        },
+        {
+            a: /lime sulph?ur|bordeaux|hydrated lime/, b: /chlorpyrifos|malathion|dimethoate|profenofos|quinalphos|acephate|carbaryl|methomyl|monocrotophos/,
+            level: 'warning',
+            message: 'Alkaline mixes such as lime sulphur or Bordeaux break down organophosphate and carbamate insecticides'
+        }
+    ],
+
+    system: 'metric',
+    products: [],
+    settings: null,
+    modalReady: false,
+
+    // ===========================
+    // PARSING
+    // ===========================
+
+    // Canonical unit for a spelled-out unit, or null
+    unit(text) {
+        const value = String(text || '').trim().toLowerCase();
+        const alias = this.UNIT_ALIASES.find(([pattern]) => pattern.test(value));
+        return alias ? alias[1] : null;
+    },
+
+    // First rate in text such as "2 tbsp per gallon", "2-2.5 kg/ha" or "250 g per 100 L"
+    // Returns { value, max, unit, basis } or null
+    parseRate(text) {
+        const m = String(text || '').match(/(\d+(?:\.\d+)?)\s*(?:(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(ml|millilit(?:er|re)s?|lit(?:er|re)s?|ltrs?|l|kgs?|kilograms?|grams?|gm|g|fl\.? ?oz|fluid ounces?|oz|ounces?|lbs?|pounds?|tsp|teaspoons?|tbsp|tablespoons?|cups?|pints?|pt|quarts?|qt|gallons?|gal)\.?\s*(?:\/|per|in|of)\s*(?:(100)\s*)?(lit(?:er|re)s?|ltrs?|l|gallons?|gal|hectares?|ha|acres?|ac)\b/i);
+        if (!m) return null;
+
+        const unit = this.unit(m[3]);
+        let basis = this.unit(m[5]);
+        if (m[4] && (basis === 'L' || basis === 'gal')) basis = `100 ${basis}`;
+        if (!unit || !basis) return null;
+
+        return { value: parseFloat(m[1]), max: m[2] ? parseFloat(m[2]) : null, unit, basis };
+    },
+
+    // Formulation code in a product name such as "Mancozeb 75% WP", or ''
+    parseFormulation(text) {
+        const codes = [...Object.keys(this.FORMULATIONS), ...Object.keys(this.FORMULATION_ALIASES)].join('|');
+        const m = String(text || '').match(new RegExp(`\\b(${codes})\\b`));
+        if (m) return this.FORMULATION_ALIASES[m[1]] || m[1];
+        return /surfactant|adjuvant|sticker|spreader|crop oil|wetting agent/i.test(text || '') ? 'ADJ' : '';
+    },
+
+    // Calculator product from a treatment suggestion - label rate from the product database when it has one
+    fromTreatment(treatment) {
+        const label = ProductDB.match(treatment)?.products[0];
+        const name = treatment.product || treatment.name || treatment.treatment || 'Product';
+        const text = [treatment.applicationRate, treatment.dosage, treatment.description, treatment.application, treatment.instructions]
+            .filter(Boolean).join(' ');
+
+        let rate = null;
+        if (label?.rate) {
+            rate = this.parseRate(`${label.rate.min}-${label.rate.max} ${label.rate.unit}`);
+        }
+        rate = rate || this.parseRate(text);
+
+        return {
+            id: Utils.generateId(),
+            name: label ? label.name : name,
+            activeIngredient: label ? label.activeIngredients.join('; ') : treatment.activeIngredient || '',
+            rate: rate?.value ?? '',
+            rateMax: rate?.max ?? null,
+            unit: rate?.unit || 'mL',
+            basis: rate?.basis || 'ha',
+            formulation: this.parseFormulation([label?.formulation, name].filter(Boolean).join(' ')),
+            groups: label?.groups || [],
+            source: label ? 'label' : rate ? 'suggestion' : 'manual'
+        };
+    },
+
+    // ===========================
+    // CALCULATION
+    // ===========================
+
+    // Tanks and product amounts - amounts in mL (liquid) or g (dry)
+    // application: { area, areaUnit, tank, tankUnit, carrier, carrierUnit }
+    calculate(application, products) {
+        const areaHa = application.area * this.AREA[application.areaUnit];
+        const tankL = application.tank * this.VOLUME[application.tankUnit];
+        const carrierLha = application.carrier * this.CARRIER[application.carrierUnit];
+        if (!(areaHa > 0 && tankL > 0 && carrierLha > 0)) return null;
+
+        const sprayL = areaHa * carrierLha;
+        const tanks = sprayL / tankL;
+        const fullTanks = Math.floor(tanks + 1e-9);
+        const lastTankShare = tanks - fullTanks > 0.005 ? tanks - fullTanks : 0;
+        const haPerTank = tankL / carrierLha;
+
+        return {
+            sprayL,
+            tankL,
+            haPerTank,
+            tanks,
+            fullTanks,
+            lastTankShare,
+            tankCount: fullTanks + (lastTankShare ? 1 : 0),
+            products: products.map(product => {
+                const amount = this.AMOUNT[product.unit];
+                const basis = this.BASIS[product.basis];
+                const rate = parseFloat(product.rate);
+                if (!amount || !basis || !(rate > 0)) return { ...product, valid: false };
+
+                // Per-area rates scale with the area one tank covers, per-volume rates with the tank volume
+                const perTank = basis.type === 'area' ?
+                    rate * amount.factor / basis.ha * haPerTank :
+                    rate * amount.factor / basis.litres * tankL;
+
+                return {
+                    ...product,
+                    valid: true,
+                    kind: amount.kind,
+                    perTank,
+                    lastTank: perTank * lastTankShare,
+                    total: perTank * tanks
+                };
+            })
+        };
+    },
+
+    // Mixing steps, products sorted by formulation
+    mixingOrder(products) {
+        const sorted = products
+            .map((product, index) => ({ product, index, info: this.FORMULATIONS[product.formulation] }))
+            .sort((a, b) => (a.info?.order ?? 4.5) - (b.info?.order ?? 4.5) || a.index - b.index);
+
+        return [
+            'Fill the tank ½-⅔ with clean water and start the agitator',
+            ...sorted.map(({ product, info }) =>
+                `Add ${product.name || 'product'}${info ? ` (${info.label})` : ' (formulation unknown - check the label)'}${info?.tip ? ` - ${info.tip.toLowerCase()}` : ''}`),
+            'Top up with the rest of the water and keep agitating while you spray'
+        ];
+    },
+
+    // Compatibility warnings for the products in the tank: [{ level, message }]
+    checkCompatibility(products) {
+        const texts = products.map(product => `${product.name} ${product.activeIngredient || ''}`.toLowerCase());
+        const warnings = [];
+
+        this.COMPATIBILITY.forEach(rule => {
+            const conflict = texts.some((a, i) => rule.a.test(a) && texts.some((b, j) => i !== j && rule.b.test(b)));
+            if (conflict) warnings.push({ level: rule.level, message: rule.message });
+        });
+
+        // Same mode-of-action group twice adds cost and resistance pressure, not protection
+        const groups = products.flatMap(product => (product.groups || []).map(group => ProductDB.formatGroup(group)));
+        [...new Set(groups.filter((group, i) => groups.indexOf(group) !== i))].forEach(group => {
+            warnings.push({ level: 'warning', message: `Two products share ${group} - pick one, or pair it with a different mode of action` });
+        });
+
+        const dry = products.filter(product => this.FORMULATIONS[product.formulation]?.order === 2).length;
+        const oily = products.filter(product => ['EC', 'EW', 'OD', 'SE'].includes(product.formulation)).length;
+        if (dry && oily) {
+            warnings.push({ level: 'info', message: 'Powders and granules with emulsifiable products can form lumps - disperse the dry product completely first' });
+        }
+
+        if (products.length > 1) {
+            warnings.push({ level: 'info', message: 'Do a jar test with the same water and proportions before mixing a new combination' });
+        }
+        return warnings;
+    },
+
+    // Amount in a readable unit for the chosen system
+    formatAmount(amount, kind) {
+        if (kind === 'dry') {
+            if (this.system === 'imperial') {
+                const oz = amount / this.AMOUNT.oz.factor;
+                return oz >= 16 ? `${(oz / 16).toFixed(2)} lb` : `${oz.toFixed(oz < 10 ? 2 : 1)} oz`;
+            }
+            return amount >= 1000 ? `${(amount / 1000).toFixed(2)} kg` : `${amount.toFixed(amount < 10 ? 1 : 0)} g`;
+        }
+        if (this.system === 'imperial') {
+            const flOz = amount / this.AMOUNT['fl oz'].factor;
+            return flOz >= 128 ? `${(flOz / 128).toFixed(2)} gal` : `${flOz.toFixed(flOz < 10 ? 2 : 1)} fl oz`;
+        }
+        return amount >= 1000 ? `${(amount / 1000).toFixed(2)} L` : `${amount.toFixed(amount < 10 ? 1 : 0)} mL`;
+    },
+
+    formatVolume(litres) {
+        return this.system === 'imperial' ? `${(litres / this.VOLUME.gal).toFixed(1)} gal` : `${litres.toFixed(litres < 100 ? 1 : 0)} L`;
+    },
+
+    formatArea(ha) {
+        return this.system === 'imperial' ? `${(ha / this.AREA.acre).toFixed(2)} acre` : `${ha.toFixed(2)} ha`;
+    },
+
+    // ===========================
+    // MODAL
+    // ===========================
+
+    // Add treatments to the mix and open the calculator
+    // options.area: { value, unit } to prefill the area, e.g. the Strategist farm size
+    open(treatments = [], options = {}) {
+        this.setupModal();
+
+        treatments.forEach(treatment => {
+            const product = this.fromTreatment(treatment);
+            if (!this.products.some(p => p.name.toLowerCase() === product.name.toLowerCase())) {
+                this.products.push(product);
+            }
+        });
+
+        if (options.area?.value > 0) {
+            this.settings.area = options.area.value;
+            this.settings.areaUnit = options.area.unit;
+            this.convertInputs(this.system);
+        }
+
+        this.fillInputs();
+        this.renderProducts();
+        this.update();
+        $('#tank-mix-modal')?.classList.add('open');
+    },
+
+    close() {
+        $('#tank-mix-modal')?.classList.remove('open');
+    },
+
+    // Wire the modal once
+    setupModal() {
+        if (this.modalReady) return;
+        this.modalReady = true;
+
+        this.settings = Utils.storage.get(CONFIG.STORAGE_KEYS.TANK_MIX, null) || {
+            system: 'metric', area: 1, areaUnit: 'ha', tank: 16, tankUnit: 'L', carrier: 500, carrierUnit: 'L/ha'
+        };
+        this.system = this.settings.system;
+
+        const modal = $('#tank-mix-modal');
+        modal?.querySelector('.modal-overlay')?.addEventListener('click', () => this.close());
+        $('#close-tank-mix')?.addEventListener('click', () => this.close());
+
+        $$('.unit-system-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.readInputs();
+                this.convertInputs(btn.dataset.system);
+                this.fillInputs();
+                this.update();
+            });
+        });
+
+        ['#tank-mix-area', '#tank-mix-tank', '#tank-mix-carrier'].forEach(selector => {
+            $(selector)?.addEventListener('input', () => {
+                this.readInputs();
+                this.update();
+            });
+        });
+
+        $('#tank-mix-add')?.addEventListener('click', () => {
+            this.products.push({ id: Utils.generateId(), name: '', activeIngredient: '', rate: '', unit: 'mL', basis: 'ha', formulation: '', groups: [], source: 'manual' });
+            this.renderProducts();
+            this.update();
+        });
+
+        $('#tank-mix-clear')?.addEventListener('click', () => {
+            this.products = [];
+            this.renderProducts();
+            this.update();
+        });
+    },
+
+    // Switch metric/imperial, converting the application inputs
+    convertInputs(system) {
+        const s = this.settings;
+        const round = value => +value.toFixed(2);
+        const target = system === 'imperial' ?
+            { areaUnit: 'acre', tankUnit: 'gal', carrierUnit: 'gal/acre' } :
+            { areaUnit: 'ha', tankUnit: 'L', carrierUnit: 'L/ha' };
+
+        s.area = round(s.area * this.AREA[s.areaUnit] / this.AREA[target.areaUnit]);
+        s.tank = round(s.tank * this.VOLUME[s.tankUnit] / this.VOLUME[target.tankUnit]);
+        s.carrier = round(s.carrier * this.CARRIER[s.carrierUnit] / this.CARRIER[target.carrierUnit]);
+        Object.assign(s, target, { system });
+        this.system = system;
+    },
+
+    fillInputs() {
+        const s = this.settings;
+        $('#tank-mix-area').value = s.area;
+        $('#tank-mix-tank').value = s.tank;
+        $('#tank-mix-carrier').value = s.carrier;
+        $('#tank-mix-area-unit').textContent = s.areaUnit === 'acre' ? 'acres' : 'ha';
+        $('#tank-mix-tank-unit').textContent = s.tankUnit;
+        $('#tank-mix-carrier-unit').textContent = s.carrierUnit;
+        $$('.unit-system-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.system === s.system));
+    },
+
+    readInputs() {
+        this.settings.area = parseFloat($('#tank-mix-area').value) || 0;
+        this.settings.tank = parseFloat($('#tank-mix-tank').value) || 0;
+        this.settings.carrier = parseFloat($('#tank-mix-carrier').value) || 0;
+    },
+
+    // Editable product rows
+    renderProducts() {
+        const container = $('#tank-mix-products');
+        if (!container) return;
+
+        if (!this.products.length) {
+            container.innerHTML = '<p class="helper-text">No products yet. Add one, or open the calculator from a treatment.</p>';
+            return;
+        }
+
+        const options = (values, selected) => values.map(value =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('');
+
+        container.innerHTML = this.products.map(product => `
+            <div class="tank-mix-product" data-id="${product.id}">
+                <input type="text" class="tank-mix-name" value="${product.name}" placeholder="Product name">
+                <div class="tank-mix-rate">
+                    <input type="number" class="tank-mix-rate-value" value="${product.rate}" min="0" step="any" placeholder="Rate">
+                    <select class="tank-mix-rate-unit">${options(Object.keys(this.AMOUNT), product.unit)}</select>
+                    <span>per</span>
+                    <select class="tank-mix-rate-basis">${options(Object.keys(this.BASIS), product.basis)}</select>
+                </div>
+                <select class="tank-mix-formulation">
+                    <option value="">Formulation?</option>
+                    ${Object.entries(this.FORMULATIONS).map(([code, f]) =>
+                        `<option value="${code}" ${code === product.formulation ? 'selected' : ''}>${code} - ${f.label}</option>`).join('')}
+                </select>
+                <button class="history-delete" title="Remove product">🗑️</button>
+                ${product.rateMax ? `<small>Label range ${product.rate}-${product.rateMax} ${product.unit}/${product.basis}</small>` : ''}
+                ${product.source === 'manual' && product.name ? '<small>No rate found in the suggestion - enter the label rate</small>' : ''}
+            </div>
+        `).join('');
+
+        $$('.tank-mix-product').forEach(row => {
+            const product = this.products.find(p => p.id === row.dataset.id);
+            const bind = (selector, key, event = 'change') => {
+                row.querySelector(selector).addEventListener(event, (e) => {
+                    product[key] = e.target.value;
+                    if (key === 'name' && !product.formulation) product.formulation = this.parseFormulation(e.target.value);
+                    this.update();
+                });
+            };
+            bind('.tank-mix-name', 'name', 'input');
+            bind('.tank-mix-rate-value', 'rate', 'input');
+            bind('.tank-mix-rate-unit', 'unit');
+            bind('.tank-mix-rate-basis', 'basis');
+            bind('.tank-mix-formulation', 'formulation');
+
+            row.querySelector('.history-delete').addEventListener('click', () => {
+                this.products = this.products.filter(p => p.id !== product.id);
+                this.renderProducts();
+                this.update();
+            });
+        });
+    },
+
+    // Recalculate the results, mixing order and warnings; the application inputs are remembered
+    update() {
+        const results = $('#tank-mix-results');
+        if (!results) return;
+
+        const s = this.settings;
+        Utils.storage.set(CONFIG.STORAGE_KEYS.TANK_MIX, s);
+        const calc = this.calculate(s, this.products);
+
+        if (!calc) {
+            results.innerHTML = '<p class="helper-text">Enter the area, tank size and spray volume.</p>';
+        } else {
+            const tanksText = calc.lastTankShare ?
+                `${calc.fullTanks} full + 1 partial (${Math.round(calc.lastTankShare * 100)}%)` :
+                `${calc.fullTanks} full`;
+
+            results.innerHTML = `
+                <div class="tank-mix-summary">
+                    <div><span class="tank-mix-value">${calc.tankCount}</span><span>tank${calc.tankCount === 1 ? '' : 's'}</span><small>${tanksText}</small></div>
+                    <div><span class="tank-mix-value">${this.formatVolume(calc.sprayL)}</span><span>spray liquid</span></div>
+                    <div><span class="tank-mix-value">${this.formatArea(calc.haPerTank)}</span><span>per tank</span></div>
+                </div>
+                ${calc.products.length ? `
+                    <table class="tank-mix-table">
+                        <thead><tr><th>Product</th><th>Per tank</th>${calc.lastTankShare ? '<th>Last tank</th>' : ''}<th>Total</th></tr></thead>
+                        <tbody>
+                            ${calc.products.map(p => `
+                                <tr>
+                                    <td>${p.name || 'Unnamed product'}</td>
+                                    ${p.valid ? `
+                                        <td>${this.formatAmount(p.perTank, p.kind)}</td>
+                                        ${calc.lastTankShare ? `<td>${this.formatAmount(p.lastTank, p.kind)}</td>` : ''}
+                                        <td>${this.formatAmount(p.total, p.kind)}</td>
+                                    ` : `<td colspan="${calc.lastTankShare ? 3 : 2}" class="tank-mix-missing">Enter a rate</td>`}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            `;
+        }
+
+        const order = $('#tank-mix-order');
+        if (order) {
+            const named = this.products.filter(product => product.name);
+            const warnings = this.checkCompatibility(named);
+            const icons = { danger: '⛔', warning: '⚠️', info: 'ℹ️' };
+
+            order.innerHTML = named.length ? `
+                <h4>🥣 Mixing Order</h4>
+                <ol class="tank-mix-steps">${this.mixingOrder(named).map(step => `<li>${step}</li>`).join('')}</ol>
+                ${warnings.map(w => `<div class="tank-mix-warning ${w.level}">${icons[w.level]} ${w.message}</div>`).join('')}
+                <p class="helper-text">Always follow the product labels - they override these general rules.</p>
+            ` : '';
+        }
+    }
+};
+
+// Export
+window.TankMix = TankMix;
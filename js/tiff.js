@@ -0,0 +1,461 @@
+// TIFF / GeoTIFF Reader for KrishiMitra
+// Decodes multi-band drone imagery (MicaSense, Parrot Sequoia, Pix4D/ODM stacks) into per-band sample arrays
+
+const TiffReader = {
+    // Tag IDs used by the decoder
+    TAGS: {
+        IMAGE_WIDTH: 256,
+        IMAGE_LENGTH: 257,
+        BITS_PER_SAMPLE: 258,
+        COMPRESSION: 259,
+        PHOTOMETRIC: 262,
+        IMAGE_DESCRIPTION: 270,
+        STRIP_OFFSETS: 273,
+        SAMPLES_PER_PIXEL: 277,
+        ROWS_PER_STRIP: 278,
+        STRIP_BYTE_COUNTS: 279,
+        PLANAR_CONFIGURATION: 284,
+        PREDICTOR: 317,
+        TILE_WIDTH: 322,
+        TILE_LENGTH: 323,
+        TILE_OFFSETS: 324,
+        TILE_BYTE_COUNTS: 325,
+        EXTRA_SAMPLES: 338,
+        SAMPLE_FORMAT: 339,
+        XMP: 700,
+        MODEL_PIXEL_SCALE: 33550,
+        MODEL_TIEPOINT: 33922,
+        MODEL_TRANSFORMATION: 34264,
+        EXIF_IFD: 34665,
+        GEO_KEY_DIRECTORY: 34735,
+        GEO_DOUBLE_PARAMS: 34736,
+        GPS_IFD: 34853,
+        GDAL_METADATA: 42112,
+        GDAL_NODATA: 42113
+    },
+
+    // Byte size of each TIFF field type
+    TYPE_SIZES: { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 },
+
+    // Check if a file looks like a TIFF (browsers often leave the MIME type empty)
+    isTiff(file) {
+        return file.type === 'image/tiff' || /\.tiff?$/i.test(file.name || '');
+    },
+
+    // Read a TIFF file and return its bands as separate typed arrays
+    async read(file) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+
+        const byteOrder = view.getUint16(0);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+            throw new Error('Not a TIFF file');
+        }
+        const littleEndian = byteOrder === 0x4949;
+
+        const magic = view.getUint16(2, littleEndian);
+        if (magic === 43) {
+            throw new Error('BigTIFF files are not supported - export as standard GeoTIFF');
+        }
+        if (magic !== 42) {
+            throw new Error('Invalid TIFF header');
+        }
+
+        const tags = this.parseIFD(view, view.getUint32(4, littleEndian), littleEndian);
+        const image = await this.decodeImage(buffer, view, tags, littleEndian);
+
+        return {
+            name: file.name,
+            ...image,
+            tags,
+            exif: this.parseSubIFD(view, tags, this.TAGS.EXIF_IFD, littleEndian),
+            gps: this.parseSubIFD(view, tags, this.TAGS.GPS_IFD, littleEndian),
+            bandNames: this.readBandNames(tags, image.samplesPerPixel)
+        };
+    },
+
+    // Parse a sub-IFD (EXIF or GPS) referenced by a pointer tag
+    parseSubIFD(view, tags, pointerTag, littleEndian) {
+        const offset = this.getTag(tags, pointerTag);
+        if (!offset || offset >= view.byteLength) return {};
+        try {
+            return this.parseIFD(view, offset, littleEndian);
+        } catch (error) {
+            console.warn('Skipping unreadable TIFF sub-IFD:', error);
+            return {};
+        }
+    },
+
+    // Parse an Image File Directory into a { tagId: value } map
+    parseIFD(view, offset, littleEndian) {
+        const tags = {};
+        const count = view.getUint16(offset, littleEndian);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const valueCount = view.getUint32(entry + 4, littleEndian);
+            const size = (this.TYPE_SIZES[type] || 1) * valueCount;
+            const valueOffset = size > 4 ? view.getUint32(entry + 8, littleEndian) : entry + 8;
+
+            if (valueOffset + size > view.byteLength) continue;
+            tags[tag] = this.readTagValue(view, type, valueCount, valueOffset, littleEndian);
+        }
+
+        return tags;
+    },
+
+    // Read a single tag value
+    readTagValue(view, type, count, offset, littleEndian) {
+        if (type === 2) {
+            let str = '';
+            for (let i = 0; i < count; i++) {
+                const c = view.getUint8(offset + i);
+                if (c === 0) break;
+                str += String.fromCharCode(c);
+            }
+            return str;
+        }
+
+        if (type === 1 || type === 7) {
+            return new Uint8Array(view.buffer, view.byteOffset + offset, count).slice();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            switch (type) {
+                case 3: values.push(view.getUint16(offset + i * 2, littleEndian)); break;
+                case 4:
+                case 13: values.push(view.getUint32(offset + i * 4, littleEndian)); break;
+                case 5: values.push(view.getUint32(offset + i * 8, littleEndian) / view.getUint32(offset + i * 8 + 4, littleEndian)); break;
+                case 6: values.push(view.getInt8(offset + i)); break;
+                case 8: values.push(view.getInt16(offset + i * 2, littleEndian)); break;
+                case 9: values.push(view.getInt32(offset + i * 4, littleEndian)); break;
+                case 10: values.push(view.getInt32(offset + i * 8, littleEndian) / view.getInt32(offset + i * 8 + 4, littleEndian)); break;
+                case 11: values.push(view.getFloat32(offset + i * 4, littleEndian)); break;
+                case 12: values.push(view.getFloat64(offset + i * 8, littleEndian)); break;
+            }
+        }
+        return values;
+    },
+
+    // Get the first value of a numeric tag
+    getTag(tags, id, defaultValue = null) {
+        const value = tags[id];
+        if (value === undefined) return defaultValue;
+        return Array.isArray(value) ? value[0] : value;
+    },
+
+    // Decode image data (strips or tiles) into one typed array per sample
+    async decodeImage(buffer, view, tags, littleEndian) {
+        const T = this.TAGS;
+        const width = this.getTag(tags, T.IMAGE_WIDTH);
+        const height = this.getTag(tags, T.IMAGE_LENGTH);
+        const samplesPerPixel = this.getTag(tags, T.SAMPLES_PER_PIXEL, 1);
+        const bitsPerSample = this.getTag(tags, T.BITS_PER_SAMPLE, 1);
+        const sampleFormat = this.getTag(tags, T.SAMPLE_FORMAT, 1);
+        const compression = this.getTag(tags, T.COMPRESSION, 1);
+        const predictor = this.getTag(tags, T.PREDICTOR, 1);
+        const planar = this.getTag(tags, T.PLANAR_CONFIGURATION, 1) === 2;
+
+        if (!width || !height) {
+            throw new Error('TIFF is missing image dimensions');
+        }
+        if (![8, 16, 32, 64].includes(bitsPerSample)) {
+            throw new Error(`Unsupported TIFF bit depth: ${bitsPerSample}`);
+        }
+        if (predictor === 3) {
+            throw new Error('Floating-point predictor is not supported - re-export without compression');
+        }
+
+        const tiled = tags[T.TILE_OFFSETS] !== undefined;
+        const blockWidth = tiled ? this.getTag(tags, T.TILE_WIDTH) : width;
+        const blockHeight = tiled ? this.getTag(tags, T.TILE_LENGTH) : this.getTag(tags, T.ROWS_PER_STRIP, height);
+        const offsets = [].concat(tiled ? tags[T.TILE_OFFSETS] : tags[T.STRIP_OFFSETS]);
+        const byteCounts = [].concat(tiled ? tags[T.TILE_BYTE_COUNTS] : tags[T.STRIP_BYTE_COUNTS]);
+
+        const blocksAcross = Math.ceil(width / blockWidth);
+        const blocksDown = Math.ceil(height / blockHeight);
+        const blocksPerPlane = blocksAcross * blocksDown;
+        const samplesPerBlock = planar ? 1 : samplesPerPixel;
+        const bytesPerSample = bitsPerSample / 8;
+
+        const ArrayType = this.getArrayType(bitsPerSample, sampleFormat);
+        const bands = [];
+        for (let s = 0; s < samplesPerPixel; s++) {
+            bands.push(new ArrayType(width * height));
+        }
+
+        for (let i = 0; i < offsets.length; i++) {
+            const plane = planar ? Math.floor(i / blocksPerPlane) : 0;
+            const blockIndex = i % blocksPerPlane;
+            const blockX = (blockIndex % blocksAcross) * blockWidth;
+            const blockY = Math.floor(blockIndex / blocksAcross) * blockHeight;
+
+            // Strips are only as tall as the rows left; tiles are always full size
+            const rows = tiled ? blockHeight : Math.min(blockHeight, height - blockY);
+            const expectedBytes = blockWidth * rows * samplesPerBlock * bytesPerSample;
+
+            const raw = new Uint8Array(buffer, offsets[i], byteCounts[i]);
+            const bytes = await this.decompress(raw, compression, expectedBytes);
+            const samples = this.toSamples(bytes, bitsPerSample, sampleFormat, littleEndian, blockWidth * rows * samplesPerBlock);
+
+            if (predictor === 2) {
+                this.undoHorizontalPredictor(samples, blockWidth, rows, samplesPerBlock);
+            }
+
+            // Copy the visible part of the block into the band arrays
+            const copyWidth = Math.min(blockWidth, width - blockX);
+            const copyHeight = Math.min(rows, height - blockY);
+            for (let y = 0; y < copyHeight; y++) {
+                for (let x = 0; x < copyWidth; x++) {
+                    const src = (y * blockWidth + x) * samplesPerBlock;
+                    const dst = (blockY + y) * width + blockX + x;
+                    if (planar) {
+                        bands[plane][dst] = samples[src];
+                    } else {
+                        for (let s = 0; s < samplesPerPixel; s++) {
+                            bands[s][dst] = samples[src + s];
+                        }
+                    }
+                }
+            }
+        }
+
+        return {
+            width,
+            height,
+            samplesPerPixel,
+            bitsPerSample,
+            sampleFormat,
+            photometric: this.getTag(tags, T.PHOTOMETRIC, 1),
+            extraSamples: [].concat(tags[T.EXTRA_SAMPLES] || []),
+            noData: tags[T.GDAL_NODATA] !== undefined ? parseFloat(tags[T.GDAL_NODATA]) : null,
+            bands
+        };
+    },
+
+    // Pick the typed array matching the sample format
+    getArrayType(bits, format) {
+        if (format === 3) return bits === 64 ? Float64Array : Float32Array;
+        if (format === 2) return bits === 8 ? Int8Array : bits === 16 ? Int16Array : Int32Array;
+        return bits === 8 ? Uint8Array : bits === 16 ? Uint16Array : Uint32Array;
+    },
+
+    // Convert raw bytes into numeric samples honoring byte order
+    toSamples(bytes, bits, format, littleEndian, count) {
+        const ArrayType = this.getArrayType(bits, format);
+        const samples = new ArrayType(count);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const available = Math.min(count, Math.floor(bytes.byteLength / (bits / 8)));
+
+        for (let i = 0; i < available; i++) {
+            if (bits === 8) {
+                samples[i] = format === 2 ? view.getInt8(i) : view.getUint8(i);
+            } else if (bits === 16) {
+                samples[i] = format === 2 ? view.getInt16(i * 2, littleEndian) : view.getUint16(i * 2, littleEndian);
+            } else if (bits === 32) {
+                samples[i] = format === 3 ? view.getFloat32(i * 4, littleEndian) :
+                             format === 2 ? view.getInt32(i * 4, littleEndian) : view.getUint32(i * 4, littleEndian);
+            } else {
+                samples[i] = view.getFloat64(i * 8, littleEndian);
+            }
+        }
+
+        return samples;
+    },
+
+    // Reverse horizontal differencing (TIFF predictor 2)
+    undoHorizontalPredictor(samples, width, rows, samplesPerPixel) {
+        for (let y = 0; y < rows; y++) {
+            const rowStart = y * width * samplesPerPixel;
+            for (let i = samplesPerPixel; i < width * samplesPerPixel; i++) {
+                samples[rowStart + i] += samples[rowStart + i - samplesPerPixel];
+            }
+        }
+    },
+
+    // Decompress a strip or tile
+    async decompress(raw, compression, expectedBytes) {
+        switch (compression) {
+            case 1:
+                return raw;
+            case 5:
+                return this.decodeLZW(raw, expectedBytes);
+            case 8:
+            case 32946:
+                return this.inflate(raw);
+            case 32773:
+                return this.decodePackBits(raw, expectedBytes);
+            case 7:
+                throw new Error('JPEG-compressed TIFFs are not supported - export with LZW, Deflate or no compression');
+            default:
+                throw new Error(`Unsupported TIFF compression: ${compression}`);
+        }
+    },
+
+    // Deflate via the browser's native DecompressionStream
+    async inflate(raw) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Deflate-compressed TIFFs need a newer browser');
+        }
+        const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    // LZW decoder (MSB-first codes with TIFF "early change")
+    decodeLZW(input, expectedBytes) {
+        const output = new Uint8Array(expectedBytes);
+        const prefix = new Int32Array(4096);
+        const suffix = new Uint8Array(4096);
+        const lengths = new Uint16Array(4096);
+        const firstChar = new Uint8Array(4096);
+
+        for (let i = 0; i < 256; i++) {
+            prefix[i] = -1;
+            suffix[i] = i;
+            lengths[i] = 1;
+            firstChar[i] = i;
+        }
+
+        let outPos = 0;
+        let bitPos = 0;
+        let codeLength = 9;
+        let nextCode = 258;
+        let oldCode = -1;
+        const totalBits = input.length * 8;
+
+        const readCode = () => {
+            const byteIndex = bitPos >> 3;
+            const chunk = (input[byteIndex] << 16) | ((input[byteIndex + 1] || 0) << 8) | (input[byteIndex + 2] || 0);
+            const code = (chunk >> (24 - (bitPos & 7) - codeLength)) & ((1 << codeLength) - 1);
+            bitPos += codeLength;
+            return code;
+        };
+
+        const writeString = (code) => {
+            const length = lengths[code];
+            let pos = outPos + length - 1;
+            let current = code;
+            while (current !== -1) {
+                if (pos < expectedBytes) output[pos] = suffix[current];
+                pos--;
+                current = prefix[current];
+            }
+            outPos += length;
+        };
+
+        const addEntry = (previous, char) => {
+            if (nextCode >= 4096) return;
+            prefix[nextCode] = previous;
+            suffix[nextCode] = char;
+            lengths[nextCode] = lengths[previous] + 1;
+            firstChar[nextCode] = firstChar[previous];
+            nextCode++;
+            if (nextCode === (1 << codeLength) - 1 && codeLength < 12) {
+                codeLength++;
+            }
+        };
+
+        while (bitPos + codeLength <= totalBits && outPos < expectedBytes) {
+            const code = readCode();
+
+            if (code === 257) break;
+
+            if (code === 256) {
+                codeLength = 9;
+                nextCode = 258;
+                oldCode = -1;
+                continue;
+            }
+
+            // A code beyond the next free entry means the stream is corrupt
+            if (code > nextCode) break;
+
+            if (oldCode === -1) {
+                writeString(code);
+            } else if (code < nextCode) {
+                writeString(code);
+                addEntry(oldCode, firstChar[code]);
+            } else {
+                const char = firstChar[oldCode];
+                writeString(oldCode);
+                if (outPos < expectedBytes) output[outPos] = char;
+                outPos++;
+                addEntry(oldCode, char);
+            }
+            oldCode = code;
+        }
+
+        return output;
+    },
+
+    // PackBits run-length decoder
+    decodePackBits(input, expectedBytes) {
+        const output = new Uint8Array(expectedBytes);
+        let inPos = 0;
+        let outPos = 0;
+
+        while (inPos < input.length && outPos < expectedBytes) {
+            const header = (input[inPos++] << 24) >> 24;
+            if (header >= 0) {
+                for (let i = 0; i <= header && outPos < expectedBytes; i++) {
+                    output[outPos++] = input[inPos++];
+                }
+            } else if (header !== -128) {
+                const value = input[inPos++];
+                for (let i = 0; i < 1 - header && outPos < expectedBytes; i++) {
+                    output[outPos++] = value;
+                }
+            }
+        }
+
+        return output;
+    },
+
+    // Extract band names from GDAL metadata, XMP (MicaSense) or the image description
+    readBandNames(tags, samplesPerPixel) {
+        const names = new Array(samplesPerPixel).fill('');
+
+        const gdal = tags[this.TAGS.GDAL_METADATA];
+        if (typeof gdal === 'string') {
+            const itemRegex = /<Item[^>]*name="DESCRIPTION"[^>]*sample="(\d+)"[^>]*>([^<]*)<\/Item>/gi;
+            let match;
+            while ((match = itemRegex.exec(gdal)) !== null) {
+                const sample = parseInt(match[1]);
+                if (sample < samplesPerPixel) names[sample] = match[2].trim();
+            }
+        }
+
+        const xmp = this.getXMP(tags);
+        const bandName = xmp.match(/BandName\s*=\s*"([^"]+)"/i) || xmp.match(/<Camera:BandName>([^<]+)</i);
+        if (bandName && samplesPerPixel === 1 && !names[0]) {
+            names[0] = bandName[1].trim();
+        }
+
+        const description = tags[this.TAGS.IMAGE_DESCRIPTION];
+        if (typeof description === 'string' && samplesPerPixel === 1 && !names[0] && description.length < 40) {
+            names[0] = description.trim();
+        }
+
+        return names;
+    },
+
+    // Decode the XMP packet as text
+    getXMP(tags) {
+        const xmp = tags[this.TAGS.XMP];
+        if (!xmp) return '';
+        if (typeof xmp === 'string') return xmp;
+        return new TextDecoder().decode(xmp);
+    },
+
+    // Largest raw value for the sample format - used to scale bands to the 0-255 range
+    getMaxValue(image) {
+        if (image.sampleFormat === 3) return 1;
+        return Math.pow(2, image.bitsPerSample) - 1;
+    }
+};
+
+// Export
+window.TiffReader = TiffReader;
@@ -32,6 +32,80 @@ const Utils = {
         }
     },
     
+    // IndexedDB utilities - stores are declared in CONFIG.DB_STORES
+    db: {
+        connection: null,
+        
+        open() {
+            if (!this.connection) {
+                this.connection = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+                    
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        Object.entries(CONFIG.DB_STORES).forEach(([name, schema]) => {
+                            const store = db.objectStoreNames.contains(name) ?
+                                request.transaction.objectStore(name) :
+                                db.createObjectStore(name, { keyPath: schema.keyPath });
+                            (schema.indexes || []).forEach(index => {
+                                if (!store.indexNames.contains(index)) store.createIndex(index, index);
+                            });
+                        });
+                    };
+                    // Another tab holds an older version open - the upgrade waits until it closes
+                    request.onblocked = () => {
+                        console.warn('IndexedDB upgrade blocked by another open tab');
+                        Utils.toast.warning('Close other KrishiMitra tabs to finish updating your data');
+                    };
+                    request.onsuccess = () => {
+                        const db = request.result;
+                        // A newer version opened in another tab - let its upgrade go ahead
+                        db.onversionchange = () => {
+                            db.close();
+                            this.connection = null;
+                            Utils.toast.warning('KrishiMitra was updated in another tab - reload this page');
+                        };
+                        resolve(db);
+                    };
+                    request.onerror = () => reject(request.error);
+                }).catch(error => {
+                    this.connection = null;
+                    throw error;
+                });
+            }
+            return this.connection;
+        },
+        
+        async run(storeName, mode, action) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = action(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        },
+        
+        put(storeName, value) {
+            return this.run(storeName, 'readwrite', store => store.put(value));
+        },
+        
+        get(storeName, key) {
+            return this.run(storeName, 'readonly', store => store.get(key));
+        },
+        
+        getAll(storeName, index = null, value = undefined) {
+            return this.run(storeName, 'readonly', store =>
+                index ? store.index(index).getAll(value) : store.getAll()
+            );
+        },
+        
+        delete(storeName, key) {
+            return this.run(storeName, 'readwrite', store => store.delete(key));
+        }
+    },
+    
     // Toast notifications
     toast: {
         show(message, type = 'info', duration = 4000) {
@@ -123,7 +123,7 @@ const WeatherAPI = {
         }
         
         try {
-            const url = `${CONFIG.WEATHER_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&current=temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m,is_day&timezone=auto`;
+            const url = `${CONFIG.WEATHER_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&current=temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m,wind_direction_10m,is_day&timezone=auto`;
             
             const response = await fetch(url);
             
@@ -139,6 +139,7 @@ const WeatherAPI = {
                 temperature: Math.round(data.current.temperature_2m),
                 humidity: data.current.relative_humidity_2m,
                 windSpeed: Math.round(data.current.wind_speed_10m),
+                windDirection: data.current.wind_direction_10m,
                 weatherCode: data.current.weather_code,
                 isDay: isDay,
                 emoji: Utils.getWeatherEmoji(data.current.weather_code, isDay),
@@ -203,10 +204,73 @@ const WeatherAPI = {
         }
     },
     
-    // Get hourly data for spray timing
-    async getHourlyForecast(days = 3) {
+    // Daily min/max temperatures from a past date (YYYY-MM-DD) through the forecast
+    // The forecast API reaches back 92 days; older days come from the archive, which runs a few days behind
+    async getDailyTemperatures(startDate, forecastDays = 16) {
+        const cacheKey = `temps_${this.location.lat}_${this.location.lon}_${startDate}_${forecastDays}`;
+        
+        // Check cache
+        if (this.cache[cacheKey] && Date.now() - this.cache[cacheKey].timestamp < this.cacheExpiry) {
+            return this.cache[cacheKey].data;
+        }
+        
+        try {
+            const today = new Date().toLocaleDateString('en-CA');
+            const daysBack = Math.max(0, Math.round((new Date(`${today}T00:00`) - new Date(`${startDate}T00:00`)) / 86400000));
+            const byDate = {};
+            
+            const addDays = (daily) => daily.time.forEach((date, i) => {
+                const tempMax = daily.temperature_2m_max[i];
+                const tempMin = daily.temperature_2m_min[i];
+                if (date < startDate || tempMax === null || tempMin === null) return;
+                byDate[date] = { date, tempMax, tempMin, forecast: date > today };
+            });
+            
+            if (daysBack > 92) {
+                const archiveEnd = Utils.date.addDays(`${today}T00:00`, -5).toLocaleDateString('en-CA');
+                const url = `${CONFIG.WEATHER_ARCHIVE_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&daily=temperature_2m_max,temperature_2m_min&start_date=${startDate}&end_date=${archiveEnd}&timezone=auto`;
+                const response = await fetch(url);
+                
+                if (!response.ok) {
+                    throw new Error('Temperature history fetch failed');
+                }
+                
+                addDays((await response.json()).daily);
+            }
+            
+            const url = `${CONFIG.WEATHER_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&daily=temperature_2m_max,temperature_2m_min&past_days=${Math.min(daysBack, 92)}&forecast_days=${forecastDays}&timezone=auto`;
+            const response = await fetch(url);
+            
+            if (!response.ok) {
+                throw new Error('Temperature forecast fetch failed');
+            }
+            
+            addDays((await response.json()).daily);
+            
+            const temperatures = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+            
+            // Cache the result
+            this.cache[cacheKey] = {
+                data: temperatures,
+                timestamp: Date.now()
+            };
+            
+            return temperatures;
+        } catch (error) {
+            console.error('Temperature history error:', error);
+            throw error;
+        }
+    },
+    
+    // Leaf wetness estimate: wet with rain, or once the dew point depression falls to 2°C,
+    // staying wet until it climbs past 3.8°C (dew point depression model, Gillespie et al.)
+    LEAF_WET_ONSET: 2,
+    LEAF_WET_DRY_OFF: 3.8,
+    
+    // Get hourly data for spray timing, disease models and leaf wetness (pastDays adds observed hours)
+    async getHourlyForecast(days = 3, pastDays = 0) {
         try {
-            const url = `${CONFIG.WEATHER_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&hourly=temperature_2m,relative_humidity_2m,wind_speed_10m,precipitation_probability&forecast_days=${days}&timezone=auto`;
+            const url = `${CONFIG.WEATHER_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&hourly=temperature_2m,relative_humidity_2m,dew_point_2m,wind_speed_10m,wind_gusts_10m,precipitation_probability,precipitation,cloud_cover,is_day&forecast_days=${days}${pastDays ? `&past_days=${pastDays}` : ''}&timezone=auto`;
             
             const response = await fetch(url);
             
@@ -216,59 +280,321 @@ const WeatherAPI = {
             
             const data = await response.json();
             
-            return data.hourly.time.map((time, i) => ({
+            const hourly = data.hourly.time.map((time, i) => ({
                 time: time,
                 temperature: data.hourly.temperature_2m[i],
                 humidity: data.hourly.relative_humidity_2m[i],
+                dewPoint: data.hourly.dew_point_2m[i],
                 windSpeed: data.hourly.wind_speed_10m[i],
-                precipProbability: data.hourly.precipitation_probability[i]
+                windGusts: data.hourly.wind_gusts_10m[i],
+                precipProbability: data.hourly.precipitation_probability[i],
+                precipitation: data.hourly.precipitation[i],
+                cloudCover: data.hourly.cloud_cover[i],
+                isDay: data.hourly.is_day[i] === 1
             }));
+            
+            return this.estimateLeafWetness(hourly);
         } catch (error) {
             console.error('Hourly forecast error:', error);
             throw error;
         }
     },
     
-    // Find optimal spray windows
-    async findSprayWindows() {
+    // Add a leafWet flag to consecutive hours
+    estimateLeafWetness(hourly) {
+        let wet = false;
+        
+        return hourly.map(hour => {
+            const depression = hour.temperature !== null && hour.dewPoint !== null ? hour.temperature - hour.dewPoint : null;
+            
+            if (hour.precipitation > 0) {
+                wet = true;
+            } else if (depression === null) {
+                wet = false;
+            } else if (depression <= this.LEAF_WET_ONSET) {
+                wet = true;
+            } else if (depression > this.LEAF_WET_DRY_OFF) {
+                wet = false;
+            }
+            
+            return { ...hour, dewPointDepression: depression, leafWet: wet };
+        });
+    },
+    
+    // Daily totals of wet hours from hourly data: [{ date, wetHours, rainHours, hours }]
+    summarizeWetness(hourly) {
+        const days = {};
+        
+        hourly.forEach(hour => {
+            const date = hour.time.slice(0, 10);
+            if (!days[date]) days[date] = { date, wetHours: 0, rainHours: 0, hours: 0 };
+            days[date].hours++;
+            if (hour.leafWet) days[date].wetHours++;
+            if (hour.precipitation > 0) days[date].rainHours++;
+        });
+        
+        return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+    },
+    
+    // Daily leaf wetness totals for the forecast (pastDays adds observed days)
+    async getDailyWetness(days = 7, pastDays = 0) {
+        return this.summarizeWetness(await this.getHourlyForecast(days, pastDays));
+    },
+    
+    // Daily FAO-56 Penman-Monteith inputs from a past date (YYYY-MM-DD) through the forecast:
+    // { latitude, elevation, days: [{ date, tempMax, tempMin, rhMax, rhMin, windSpeed (m/s at 2 m), radiation (MJ/m²), precipitation (mm), forecast }] }
+    // Built from hourly values, which the forecast and archive APIs both carry; same 92-day split as getDailyTemperatures
+    async getEvapotranspirationInputs(startDate, forecastDays = 7) {
+        const cacheKey = `et0_${this.location.lat}_${this.location.lon}_${startDate}_${forecastDays}`;
+        
+        // Check cache
+        if (this.cache[cacheKey] && Date.now() - this.cache[cacheKey].timestamp < this.cacheExpiry) {
+            return this.cache[cacheKey].data;
+        }
+        
         try {
-            const hourly = await this.getHourlyForecast(3);
-            const windows = [];
-            
-            hourly.forEach((hour, i) => {
-                // Optimal conditions: low wind (<10 km/h), no rain (<20% prob), moderate temp (15-25°C)
-                const isOptimal = 
-                    hour.windSpeed < 10 &&
-                    hour.precipProbability < 20 &&
-                    hour.temperature >= 15 &&
-                    hour.temperature <= 30;
+            const today = new Date().toLocaleDateString('en-CA');
+            const daysBack = Math.max(0, Math.round((new Date(`${today}T00:00`) - new Date(`${startDate}T00:00`)) / 86400000));
+            const variables = 'temperature_2m,relative_humidity_2m,wind_speed_10m,shortwave_radiation,precipitation';
+            const hoursByDate = {};
+            let elevation = null;
+            
+            const addHours = (data) => {
+                elevation = data.elevation;
+                data.hourly.time.forEach((time, i) => {
+                    const date = time.slice(0, 10);
+                    if (date < startDate) return;
+                    if (!hoursByDate[date]) hoursByDate[date] = {};
+                    hoursByDate[date][time] = {
+                        temperature: data.hourly.temperature_2m[i],
+                        humidity: data.hourly.relative_humidity_2m[i],
+                        windSpeed: data.hourly.wind_speed_10m[i],
+                        radiation: data.hourly.shortwave_radiation[i],
+                        precipitation: data.hourly.precipitation[i]
+                    };
+                });
+            };
+            
+            if (daysBack > 92) {
+                const archiveEnd = Utils.date.addDays(`${today}T00:00`, -5).toLocaleDateString('en-CA');
+                const url = `${CONFIG.WEATHER_ARCHIVE_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&hourly=${variables}&start_date=${startDate}&end_date=${archiveEnd}&timezone=auto`;
+                const response = await fetch(url);
                 
-                if (isOptimal) {
-                    const date = new Date(hour.time);
-                    const hourOfDay = date.getHours();
-                    
-                    // Prefer early morning (6-9) or late afternoon (17-19)
-                    const isPrimeTime = (hourOfDay >= 6 && hourOfDay <= 9) || (hourOfDay >= 17 && hourOfDay <= 19);
+                if (!response.ok) {
+                    throw new Error('Evapotranspiration history fetch failed');
+                }
+                
+                addHours(await response.json());
+            }
+            
+            const url = `${CONFIG.WEATHER_API_URL}?latitude=${this.location.lat}&longitude=${this.location.lon}&hourly=${variables}&past_days=${Math.min(daysBack, 92)}&forecast_days=${forecastDays}&timezone=auto`;
+            const response = await fetch(url);
+            
+            if (!response.ok) {
+                throw new Error('Evapotranspiration forecast fetch failed');
+            }
+            
+            addHours(await response.json());
+            
+            // Whole days only - km/h at 10 m becomes m/s at 2 m (FAO-56 eq. 47), W/m² hourly means sum to MJ/m²
+            // Local DST days have 23-25 hours but at most 24 distinct timestamps - allow one missing hour, not larger gaps
+            const days = Object.entries(hoursByDate).map(([date, byTime]) => {
+                const hours = Object.values(byTime);
+                if (hours.length < 23 || hours.some(h => Object.values(h).some(value => value === null))) return null;
+                
+                const temps = hours.map(h => h.temperature);
+                const humidities = hours.map(h => h.humidity);
+                const sum = (key) => hours.reduce((total, h) => total + h[key], 0);
+                
+                return {
+                    date,
+                    tempMax: Math.max(...temps),
+                    tempMin: Math.min(...temps),
+                    rhMax: Math.max(...humidities),
+                    rhMin: Math.min(...humidities),
+                    windSpeed: sum('windSpeed') / hours.length / 3.6 * 4.87 / Math.log(67.8 * 10 - 5.42),
+                    radiation: sum('radiation') * 0.0036,
+                    precipitation: sum('precipitation'),
+                    forecast: date > today
+                };
+            }).filter(Boolean).sort((a, b) => a.date.localeCompare(b.date));
+            
+            const inputs = { latitude: this.location.lat, elevation, days };
+            
+            // Cache the result
+            this.cache[cacheKey] = {
+                data: inputs,
+                timestamp: Date.now()
+            };
+            
+            return inputs;
+        } catch (error) {
+            console.error('Evapotranspiration input error:', error);
+            throw error;
+        }
+    },
+    
+    // Spray-condition scoring: each factor scores 0-1 and an hour's score is 100 × their product,
+    // so one unsuitable factor rules the hour out. Windows are runs of hours at SPRAY_MIN_SCORE or above.
+    SPRAY_MIN_SCORE: 60,
+    DEFAULT_RAINFAST: 4,    // hours after application before rain stops washing product off
+    
+    SPRAY_FACTORS: {
+        deltaT: 'Delta-T',
+        wind: 'Wind',
+        gusts: 'Gusts',
+        inversion: 'Inversion',
+        rainfast: 'Rainfast',
+        temperature: 'Temperature',
+        leaves: 'Dry leaves'
+    },
+    
+    // Wet-bulb temperature (°C) from air temperature and relative humidity (Stull 2011)
+    wetBulb(temp, humidity) {
+        return temp * Math.atan(0.151977 * Math.sqrt(humidity + 8.313659)) +
+            Math.atan(temp + humidity) - Math.atan(humidity - 1.676331) +
+            0.00391838 * Math.pow(humidity, 1.5) * Math.atan(0.023101 * humidity) - 4.686035;
+    },
+    
+    // Straight line between breakpoints [[x, score], ...], flat beyond the ends
+    interpolate(x, points) {
+        if (x <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (x <= x1) {
+                const [x0, y0] = points[i - 1];
+                return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+            }
+        }
+        return points[points.length - 1][1];
+    },
+    
+    // Factor scores for spraying at hourly[i], with the product needing `rainfast` dry hours afterwards
+    sprayFactors(hourly, i, rainfast) {
+        const hour = hourly[i];
+        const deltaT = hour.temperature - this.wetBulb(hour.temperature, hour.humidity);
+        
+        // Surface inversions build from dusk to dawn under calm, clear skies
+        const twilight = hour.isDay && (hourly[i - 1]?.isDay === false || hourly[i + 1]?.isDay === false);
+        const night = hour.isDay ? (twilight ? 0.5 : 0) : 1;
+        const calm = this.interpolate(hour.windSpeed, [[5, 1], [11, 0]]);
+        const clear = this.interpolate(hour.cloudCover ?? 100, [[30, 1], [80, 0.3]]);
+        const inversionRisk = night * calm * clear;
+        
+        // Rain from the start of application until the product is rainfast
+        // Near the end of the forecast the look-ahead is cut short, so a dry result can't be trusted
+        const needed = Math.max(1, Math.ceil(rainfast)) + 1;
+        const ahead = hourly.slice(i, i + needed);
+        const rainChance = Math.max(...ahead.map(h => h.precipitation >= 0.5 ? Math.max(h.precipProbability, 80) : h.precipProbability));
+        const rainAt = ahead.find(h => h.precipitation >= 0.5 || h.precipProbability >= 50);
+        const unknown = !rainAt && ahead.length < needed;
+        
+        return [
+            {
+                key: 'deltaT',
+                value: `${deltaT.toFixed(1)}°C`,
+                // 2-8 is ideal; above 10 droplets evaporate before landing, below 2 they hang in the air
+                score: this.interpolate(deltaT, [[0, 0.6], [2, 1], [8, 1], [10, 0.5], [12, 0]])
+            },
+            {
+                key: 'wind',
+                value: `${Math.round(hour.windSpeed)} km/h`,
+                score: this.interpolate(hour.windSpeed, [[2, 0.7], [3, 1], [12, 1], [20, 0.3], [25, 0]])
+            },
+            {
+                key: 'gusts',
+                value: hour.windGusts != null ? `${Math.round(hour.windGusts)} km/h` : '–',
+                score: hour.windGusts != null ? this.interpolate(hour.windGusts, [[20, 1], [40, 0]]) : 1
+            },
+            {
+                key: 'inversion',
+                value: inversionRisk >= 0.5 ? 'Likely' : inversionRisk > 0.1 ? 'Possible' : 'Unlikely',
+                score: 1 - 0.9 * inversionRisk
+            },
+            {
+                key: 'rainfast',
+                value: rainAt ? `Rain ${new Date(rainAt.time).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}` : unknown ? 'Unknown' : `Dry ${rainfast} h`,
+                score: unknown ? Math.min(0.5, 1 - rainChance / 100) : 1 - rainChance / 100
+            },
+            {
+                key: 'temperature',
+                value: `${Math.round(hour.temperature)}°C`,
+                // Cold slows uptake; heat drives evaporation and volatility
+                score: this.interpolate(hour.temperature, [[2, 0.4], [10, 1], [28, 1], [35, 0]])
+            },
+            {
+                key: 'leaves',
+                value: hour.leafWet ? 'Wet' : 'Dry',
+                score: hour.leafWet ? 0.4 : 1
+            }
+        ].map(factor => ({ ...factor, label: this.SPRAY_FACTORS[factor.key] }));
+    },
+    
+    // Hourly forecast from the current hour with a spray score and its factors
+    async getSprayScores(rainfast = this.DEFAULT_RAINFAST, days = 3) {
+        const hourly = await this.getHourlyForecast(days);
+        const now = new Date();
+        now.setMinutes(0, 0, 0);
+        const from = Math.max(0, hourly.findIndex(hour => new Date(hour.time) >= now));
+        
+        return hourly.slice(from).map((hour, i) => {
+            const factors = this.sprayFactors(hourly, from + i, rainfast);
+            return {
+                ...hour,
+                sprayScore: Math.round(100 * factors.reduce((product, factor) => product * factor.score, 1)),
+                factors
+            };
+        });
+    },
+    
+    // Contiguous blocks of sprayable hours long enough for the job (duration in hours), best first
+    async findSprayWindows({ duration = 2, rainfast = this.DEFAULT_RAINFAST } = {}) {
+        try {
+            const hours = await this.getSprayScores(rainfast);
+            const runs = [];
+            let run = [];
+            
+            hours.forEach(hour => {
+                if (hour.sprayScore >= this.SPRAY_MIN_SCORE) {
+                    run.push(hour);
+                } else {
+                    if (run.length) runs.push(run);
+                    run = [];
+                }
+            });
+            if (run.length) runs.push(run);
+            
+            return runs
+                .filter(block => block.length >= duration)
+                .map(block => {
+                    const first = block[0];
+                    const last = block[block.length - 1];
+                    const date = new Date(first.time);
+                    const end = new Date(new Date(last.time).getTime() + 60 * 60 * 1000)
+                        .toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
                     
-                    windows.push({
-                        time: hour.time,
-                        date: Utils.date.format(hour.time, 'medium'),
+                    return {
+                        time: first.time,
+                        endTime: last.time,
+                        date: Utils.date.format(first.time, 'medium'),
                         hour: date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+                        end,
+                        hours: block.length,
                         conditions: {
-                            temperature: hour.temperature,
-                            humidity: hour.humidity,
-                            windSpeed: hour.windSpeed,
-                            precipProbability: hour.precipProbability
+                            temperature: first.temperature,
+                            humidity: first.humidity,
+                            windSpeed: first.windSpeed,
+                            precipProbability: first.precipProbability
                         },
-                        isPrimeTime,
-                        score: isPrimeTime ? 100 : 80
-                    });
-                }
-            });
-            
-            // Sort by score and limit
-            return windows
-                .sort((a, b) => b.score - a.score)
+                        score: Math.round(block.reduce((sum, hour) => sum + hour.sprayScore, 0) / block.length),
+                        minScore: Math.min(...block.map(hour => hour.sprayScore)),
+                        // Each factor at its weakest hour in the block
+                        factors: first.factors.map((factor, f) => block
+                            .map(hour => hour.factors[f])
+                            .reduce((worst, current) => current.score < worst.score ? current : worst))
+                    };
+                })
+                .sort((a, b) => b.score - a.score || a.time.localeCompare(b.time))
                 .slice(0, 10);
         } catch (error) {
             console.error('Spray window error:', error);
@@ -395,286 +721,42 @@ const WeatherAPI = {
             const alerts = [];
             const now = new Date();
             
-            // === SEVERE ALERTS (Red) ===
-            
-            // Extreme heat (>40°C)
-            if (current.temperature > 40) {
-                alerts.push({
-                    id: 'extreme_heat',
-                    severity: 'severe',
-                    type: 'temperature',
-                    title: '🔥 Extreme Heat Warning',
-                    message: `Temperature is ${current.temperature}°C! Crops are at high risk of heat stress and wilting. Avoid fieldwork during midday.`,
-                    advice: [
-                        'Increase irrigation frequency',
-                        'Apply mulch to retain soil moisture',
-                        'Provide shade for sensitive crops',
-                        'Harvest ripe produce early morning'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 6 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // Frost warning (<2°C)
-            if (current.temperature < 2) {
-                alerts.push({
-                    id: 'frost_warning',
-                    severity: 'severe',
-                    type: 'temperature',
-                    title: '❄️ Frost Warning',
-                    message: `Temperature is ${current.temperature}°C! Risk of frost damage to crops.`,
-                    advice: [
-                        'Cover sensitive plants with cloth or plastic',
-                        'Move potted plants indoors',
-                        'Avoid watering in evening',
-                        'Harvest frost-sensitive produce immediately'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 12 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // Severe thunderstorm
-            if ([95, 96, 99].includes(current.weatherCode)) {
-                alerts.push({
-                    id: 'thunderstorm',
-                    severity: 'severe',
-                    type: 'storm',
-                    title: '⛈️ Severe Thunderstorm',
-                    message: 'Active thunderstorm detected! Seek shelter immediately and avoid open fields.',
-                    advice: [
-                        'Stop all outdoor activities',
-                        'Secure loose equipment',
-                        'Stay away from tall trees',
-                        'Check drainage systems'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 3 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // Heavy rain (code 65, 82)
-            if ([65, 82].includes(current.weatherCode)) {
-                alerts.push({
-                    id: 'heavy_rain',
-                    severity: 'severe',
-                    type: 'precipitation',
-                    title: '🌧️ Heavy Rain Alert',
-                    message: 'Heavy rainfall in progress. Risk of waterlogging and soil erosion.',
-                    advice: [
-                        'Check field drainage',
-                        'Avoid spraying pesticides',
-                        'Postpone fertilizer application',
-                        'Monitor for fungal disease outbreaks'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 6 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // === WARNING ALERTS (Orange) ===
-            
-            // High temperature (35-40°C)
-            if (current.temperature >= 35 && current.temperature <= 40) {
-                alerts.push({
-                    id: 'high_heat',
-                    severity: 'warning',
-                    type: 'temperature',
-                    title: '🌡️ Heat Stress Warning',
-                    message: `High temperature of ${current.temperature}°C detected. Crops may experience stress.`,
-                    advice: [
-                        'Irrigate during cooler hours',
-                        'Monitor plants for wilting',
-                        'Avoid fieldwork 11am-3pm'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 8 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // Cold weather (2-5°C)
-            if (current.temperature >= 2 && current.temperature < 5) {
-                alerts.push({
-                    id: 'cold_weather',
-                    severity: 'warning',
-                    type: 'temperature',
-                    title: '🥶 Cold Weather Advisory',
-                    message: `Temperature is ${current.temperature}°C. Sensitive crops may be affected.`,
-                    advice: [
-                        'Monitor overnight temperatures',
-                        'Prepare frost protection materials',
-                        'Delay planting of warm-season crops'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 12 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // High wind (>25 km/h)
-            if (current.windSpeed > 25) {
-                alerts.push({
-                    id: 'high_wind',
-                    severity: 'warning',
-                    type: 'wind',
-                    title: '💨 High Wind Warning',
-                    message: `Wind speed is ${current.windSpeed} km/h. Not suitable for spraying.`,
-                    advice: [
-                        'Do not spray pesticides or herbicides',
-                        'Secure greenhouse covers',
-                        'Support tall plants and trellises',
-                        'Delay foliar feeding'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 6 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // Low humidity (<30%)
-            if (current.humidity < 30) {
-                alerts.push({
-                    id: 'low_humidity',
-                    severity: 'warning',
-                    type: 'humidity',
-                    title: '🏜️ Low Humidity Alert',
-                    message: `Humidity is only ${current.humidity}%. Increased water stress possible.`,
-                    advice: [
-                        'Increase irrigation frequency',
-                        'Apply anti-transpirant sprays',
-                        'Add mulch to reduce evaporation'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 8 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // === ADVISORY ALERTS (Yellow/Info) ===
+            // === THRESHOLD ALERTS ===
             
-            // Moderate wind (15-25 km/h)
-            if (current.windSpeed >= 15 && current.windSpeed <= 25) {
-                alerts.push({
-                    id: 'moderate_wind',
-                    severity: 'advisory',
-                    type: 'wind',
-                    title: '🍃 Windy Conditions',
-                    message: `Wind at ${current.windSpeed} km/h. Consider spray timing carefully.`,
-                    advice: [
-                        'Use low-drift nozzles if spraying',
-                        'Spray in early morning when calmer',
-                        'Reduce spray pressure'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 4 * 60 * 60 * 1000).toISOString()
-                });
-            }
+            // Frost, heat, wind, humidity, storm and forecast rules at the crop and stage thresholds (see AlertRules)
+            alerts.push(...AlertRules.evaluate({ current, forecast, hourly, now }));
             
-            // High humidity (>85%) - disease risk
-            if (current.humidity > 85) {
-                alerts.push({
-                    id: 'high_humidity',
-                    severity: 'advisory',
-                    type: 'humidity',
-                    title: '💧 High Humidity Advisory',
-                    message: `Humidity at ${current.humidity}%. Increased risk of fungal diseases.`,
-                    advice: [
-                        'Scout for early signs of fungal infection',
-                        'Improve air circulation in dense plantings',
-                        'Consider preventive fungicide application',
-                        'Avoid overhead irrigation'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 8 * 60 * 60 * 1000).toISOString()
-                });
-            }
+            // === DISEASE INFECTION MODELS ===
             
-            // Fog conditions
-            if ([45, 48].includes(current.weatherCode)) {
-                alerts.push({
-                    id: 'fog',
-                    severity: 'advisory',
-                    type: 'visibility',
-                    title: '🌫️ Fog Advisory',
-                    message: 'Foggy conditions detected. Increased disease pressure possible.',
-                    advice: [
-                        'Delay spraying until fog lifts',
-                        'Monitor for fungal diseases',
-                        'Extended leaf wetness may increase infections'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 4 * 60 * 60 * 1000).toISOString()
-                });
+            try {
+                const diseaseAlerts = await DiseaseModels.getAlerts();
+                if (diseaseAlerts.length > 0) {
+                    // The models replace the generic humidity advisory
+                    const humidity = alerts.findIndex(a => a.id === 'high_humidity');
+                    if (humidity >= 0) alerts.splice(humidity, 1);
+                    alerts.push(...diseaseAlerts);
+                }
+            } catch (e) {
+                console.log('Disease models not available for alerts');
             }
             
-            // === FORECAST-BASED ALERTS ===
+            // === IRRIGATION (field water balances) ===
             
-            // Rain coming in next 24-48 hours
-            const rainDays = forecast.slice(0, 3).filter(d => d.precipProbability > 60);
-            if (rainDays.length > 0 && ![61, 63, 65, 80, 81, 82].includes(current.weatherCode)) {
-                alerts.push({
-                    id: 'rain_forecast',
-                    severity: 'info',
-                    type: 'forecast',
-                    title: '🌧️ Rain Expected',
-                    message: `Rain likely on ${rainDays.map(d => d.dayName).join(', ')} (${rainDays[0].precipProbability}% chance).`,
-                    advice: [
-                        'Complete spraying today if needed',
-                        'Harvest mature produce before rain',
-                        'Check drainage systems',
-                        'Apply protective fungicides now'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // Temperature drop coming
-            const tempDropDays = forecast.slice(1, 4).filter(d => d.tempMin < 5);
-            if (tempDropDays.length > 0 && current.temperature > 10) {
-                alerts.push({
-                    id: 'temp_drop',
-                    severity: 'info',
-                    type: 'forecast',
-                    title: '📉 Cold Spell Coming',
-                    message: `Temperature expected to drop to ${Math.min(...tempDropDays.map(d => d.tempMin))}°C.`,
-                    advice: [
-                        'Prepare frost protection',
-                        'Delay transplanting tender seedlings',
-                        'Harvest frost-sensitive crops'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 48 * 60 * 60 * 1000).toISOString()
-                });
-            }
-            
-            // Heat wave coming
-            const heatWaveDays = forecast.slice(1, 4).filter(d => d.tempMax > 38);
-            if (heatWaveDays.length >= 2 && current.temperature < 35) {
-                alerts.push({
-                    id: 'heat_wave',
-                    severity: 'warning',
-                    type: 'forecast',
-                    title: '🔥 Heat Wave Approaching',
-                    message: `Temperatures above 38°C expected for ${heatWaveDays.length} days.`,
-                    advice: [
-                        'Prepare irrigation systems',
-                        'Harvest before heat peak',
-                        'Apply shade cloth if available',
-                        'Schedule work for early morning'
-                    ],
-                    timestamp: now.toISOString(),
-                    expiresAt: new Date(now.getTime() + 48 * 60 * 60 * 1000).toISOString()
-                });
+            try {
+                alerts.push(...await Irrigation.getAlerts());
+            } catch (e) {
+                console.log('Irrigation balance not available for alerts');
             }
             
             // === OPTIMAL CONDITIONS (Positive Alert) ===
             
             // Good spray window in next 6 hours
-            const goodSprayHours = hourly.slice(0, 6).filter(h => 
-                h.windSpeed < 10 && 
-                h.precipProbability < 20 && 
-                h.temperature >= 15 && 
-                h.temperature <= 30
-            );
+            let goodSprayHours = [];
+            try {
+                goodSprayHours = (await this.getSprayScores()).slice(0, 6).filter(h => h.sprayScore >= this.SPRAY_MIN_SCORE);
+            } catch (e) {
+                console.log('Spray scores not available for alerts');
+            }
             
             if (goodSprayHours.length >= 3 && alerts.filter(a => a.type === 'wind' || a.type === 'precipitation').length === 0) {
                 alerts.push({
@@ -682,10 +764,10 @@ const WeatherAPI = {
                     severity: 'good',
                     type: 'opportunity',
                     title: '✅ Good Spray Window',
-                    message: 'Next 6 hours have favorable conditions for pesticide application.',
+                    message: `${goodSprayHours.length} of the next 6 hours score ${this.SPRAY_MIN_SCORE}+ for pesticide application (best ${Math.max(...goodSprayHours.map(h => h.sprayScore))}/100).`,
                     advice: [
-                        'Low wind, no rain expected',
-                        'Optimal temperature for absorption',
+                        'Delta-T, wind and gusts suit spraying',
+                        'No rain expected before a typical product is rainfast',
                         'Apply pesticides/fertilizers now'
                     ],
                     timestamp: now.toISOString(),
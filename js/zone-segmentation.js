@@ -0,0 +1,480 @@
+// Management Zone Segmentation for KrishiMitra
+// Clusters per-pixel index vectors (k-means) into irregular zones with a minimum patch size
+
+const ZoneSegmenter = {
+    SAMPLE_SIZE: 50000,     // Pixels used to fit the cluster centres
+    MAX_ITERATIONS: 30,
+    MIN_CANOPY_PIXELS: 100, // Below this the cover mask is ignored and every pixel is clustered
+    FEATURES: ['ndvi', 'ndwi', 'health'],
+    UNASSIGNED: -1,         // Cells with no clustered pixels (no-data or no canopy) belong to no zone
+
+    // Segment the overview index arrays into zones on the stress-grid cells
+    // Only canopy pixels (indices.cover === 0) are clustered and scored; soil, shadow, water and excluded areas
+    // still fall inside a zone's outline but don't pull its health down
+    // Cells without any clustered pixel stay unassigned and are left out of outlines and areas
+    // Returns { zoneStats, zoneMap } - zoneStats sorted weakest first, zoneMap.labels holds the zone index per cell
+    // (-1 for unassigned cells)
+    segment({ indices, width, height, grid, zoneCount = 4, minAreaPct = 2 }) {
+        const { cols, rows, cellSize } = grid;
+        const canopy = this.getCanopyMask(indices);
+        const features = this.standardize(indices, canopy);
+        const centers = this.kmeans(features, zoneCount, canopy);
+
+        // Vote each overview pixel's cluster into the grid cell it falls in
+        const cellOf = this.mapOverviewToCells(indices, cellSize, cols);
+        const votes = new Uint32Array(cols * rows * centers.length);
+        const dims = this.FEATURES.length;
+        const pixels = indices.width * indices.height;
+
+        for (let p = 0; p < pixels; p++) {
+            if (canopy && !canopy[p]) continue;
+            const cluster = this.nearest(features, p * dims, centers);
+            votes[cellOf(p) * centers.length + cluster]++;
+        }
+
+        let classes = this.pickMajority(votes, cols, rows, centers.length);
+        classes = this.majorityFilter(classes, cols, rows, centers.length);
+
+        const assigned = classes.reduce((count, c) => count + (c !== this.UNASSIGNED), 0);
+        const minCells = Math.max(1, Math.round(assigned * minAreaPct / 100));
+        classes = this.mergeSmallPatches(classes, cols, rows, minCells);
+
+        return this.buildZones(classes, indices, cellOf, { width, height, cols, rows, cellSize });
+    },
+
+    // 1 for canopy pixels, or null when there's no cover mask or too little canopy to cluster
+    // (with too little canopy, images with no-data areas still get a mask of their valid pixels)
+    getCanopyMask(indices) {
+        if (!indices.cover) return null;
+
+        const mask = new Uint8Array(indices.cover.length);
+        const valid = new Uint8Array(indices.cover.length);
+        let count = 0;
+        let noData = 0;
+        indices.cover.forEach((cover, p) => {
+            if (cover === SpectralIndices.NO_DATA) {
+                noData++;
+                return;
+            }
+            valid[p] = 1;
+            if (cover === 0) {
+                mask[p] = 1;
+                count++;
+            }
+        });
+        if (count >= this.MIN_CANOPY_PIXELS) return mask;
+        return noData ? valid : null;
+    },
+
+    // z-scored feature vectors, interleaved per pixel (mean and spread taken over the masked pixels)
+    standardize(indices, mask = null) {
+        const pixels = indices.width * indices.height;
+        const dims = this.FEATURES.length;
+        const output = new Float32Array(pixels * dims);
+
+        this.FEATURES.forEach((name, d) => {
+            const values = indices[name];
+            let mean = 0;
+            let count = 0;
+            for (let p = 0; p < pixels; p++) {
+                if (mask && !mask[p]) continue;
+                mean += values[p];
+                count++;
+            }
+            mean /= count;
+
+            let variance = 0;
+            for (let p = 0; p < pixels; p++) {
+                if (mask && !mask[p]) continue;
+                variance += (values[p] - mean) ** 2;
+            }
+            const std = Math.sqrt(variance / count) || 1;
+
+            for (let p = 0; p < pixels; p++) output[p * dims + d] = (values[p] - mean) / std;
+        });
+
+        return output;
+    },
+
+    // k-means++ seeded k-means on a pixel sample (seeded so re-running gives the same zones)
+    kmeans(features, k, mask = null) {
+        const dims = this.FEATURES.length;
+        const pixels = features.length / dims;
+        const random = this.createRandom(42);
+        const candidates = mask ? mask.reduce((count, value) => count + value, 0) : pixels;
+        const step = Math.max(1, Math.floor(candidates / this.SAMPLE_SIZE));
+        const sample = [];
+        for (let p = 0, seen = 0; p < pixels; p++) {
+            if (mask && !mask[p]) continue;
+            if (seen++ % step === 0) sample.push(p * dims);
+        }
+
+        // k-means++ initialisation
+        const centers = [Array.from(features.subarray(sample[0], sample[0] + dims))];
+        const distances = new Float64Array(sample.length).fill(Infinity);
+
+        while (centers.length < Math.min(k, sample.length)) {
+            const latest = centers[centers.length - 1];
+            let total = 0;
+            sample.forEach((offset, i) => {
+                distances[i] = Math.min(distances[i], this.distance(features, offset, latest));
+                total += distances[i];
+            });
+            if (total === 0) break;
+
+            let target = random() * total;
+            let chosen = sample.length - 1;
+            for (let i = 0; i < sample.length; i++) {
+                target -= distances[i];
+                if (target <= 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+            centers.push(Array.from(features.subarray(sample[chosen], sample[chosen] + dims)));
+        }
+
+        // Lloyd iterations
+        for (let iteration = 0; iteration < this.MAX_ITERATIONS; iteration++) {
+            const sums = centers.map(() => new Float64Array(dims));
+            const counts = new Uint32Array(centers.length);
+
+            sample.forEach(offset => {
+                const c = this.nearest(features, offset, centers);
+                counts[c]++;
+                for (let d = 0; d < dims; d++) sums[c][d] += features[offset + d];
+            });
+
+            let moved = 0;
+            centers.forEach((center, c) => {
+                if (!counts[c]) return;
+                for (let d = 0; d < dims; d++) {
+                    const value = sums[c][d] / counts[c];
+                    moved = Math.max(moved, Math.abs(value - center[d]));
+                    center[d] = value;
+                }
+            });
+            if (moved < 1e-4) break;
+        }
+
+        return centers;
+    },
+
+    // Index of the closest cluster centre
+    nearest(features, offset, centers) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let c = 0; c < centers.length; c++) {
+            const distance = this.distance(features, offset, centers[c]);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = c;
+            }
+        }
+        return best;
+    },
+
+    // Squared distance between a pixel's features and a centre
+    distance(features, offset, center) {
+        let sum = 0;
+        for (let d = 0; d < center.length; d++) {
+            const diff = features[offset + d] - center[d];
+            sum += diff * diff;
+        }
+        return sum;
+    },
+
+    // Small deterministic PRNG (mulberry32)
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Overview pixel index → grid cell index (same nearest-neighbour sampling as the tile processor)
+    mapOverviewToCells(indices, cellSize, cols) {
+        const colCell = new Int32Array(indices.width);
+        const rowCell = new Int32Array(indices.height);
+        for (let x = 0; x < indices.width; x++) {
+            colCell[x] = Math.floor(Math.floor((x + 0.5) / indices.scale) / cellSize);
+        }
+        for (let y = 0; y < indices.height; y++) {
+            rowCell[y] = Math.floor(Math.floor((y + 0.5) / indices.scale) / cellSize) * cols;
+        }
+        return (p) => rowCell[Math.floor(p / indices.width)] + colCell[p % indices.width];
+    },
+
+    // Winning cluster per cell; cells without votes (no-data or no canopy) stay unassigned
+    pickMajority(votes, cols, rows, k) {
+        const classes = new Int16Array(cols * rows).fill(this.UNASSIGNED);
+
+        for (let cell = 0; cell < classes.length; cell++) {
+            let bestVotes = 0;
+            for (let c = 0; c < k; c++) {
+                if (votes[cell * k + c] > bestVotes) {
+                    bestVotes = votes[cell * k + c];
+                    classes[cell] = c;
+                }
+            }
+        }
+
+        return classes;
+    },
+
+    // 3x3 majority filter to remove single-cell speckle before vectorizing (unassigned cells neither vote nor change)
+    majorityFilter(classes, cols, rows, classCount) {
+        const output = new Int16Array(classes);
+        const counts = new Uint8Array(classCount);
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const current = classes[y * cols + x];
+                if (current === this.UNASSIGNED) continue;
+
+                counts.fill(0);
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 0 && ny >= 0 && nx < cols && ny < rows && classes[ny * cols + nx] !== this.UNASSIGNED) {
+                            counts[classes[ny * cols + nx]]++;
+                        }
+                    }
+                }
+
+                let best = current;
+                counts.forEach((count, c) => {
+                    if (count > counts[best]) best = c;
+                });
+                output[y * cols + x] = best;
+            }
+        }
+
+        return output;
+    },
+
+    // Absorb patches smaller than minCells into the neighbouring class they share the longest border with
+    mergeSmallPatches(classes, cols, rows, minCells) {
+        const output = new Int16Array(classes);
+
+        for (;;) {
+            const { labels, count } = GeoExport.labelComponents(output, cols, rows, this.UNASSIGNED);
+            const sizes = new Uint32Array(count);
+            labels.forEach(label => sizes[label]++);
+
+            const small = [];
+            for (let label = 0; label < count; label++) {
+                if (sizes[label] < minCells) small.push(label);
+            }
+            if (!small.length || count === 1) break;
+
+            // Shared border length per small patch and neighbouring class
+            const borders = new Map(small.map(label => [label, new Map()]));
+            for (let cell = 0; cell < labels.length; cell++) {
+                const border = borders.get(labels[cell]);
+                if (!border) continue;
+
+                const x = cell % cols;
+                const neighbors = [
+                    x > 0 ? cell - 1 : -1,
+                    x < cols - 1 ? cell + 1 : -1,
+                    cell >= cols ? cell - cols : -1,
+                    cell + cols < labels.length ? cell + cols : -1
+                ];
+                neighbors.forEach(n => {
+                    if (n < 0 || labels[n] < 0 || labels[n] === labels[cell]) return;
+                    border.set(labels[n], (border.get(labels[n]) || 0) + 1);
+                });
+            }
+
+            // Smallest first; skip patches touching one already merged this round so two can't swap classes
+            small.sort((a, b) => sizes[a] - sizes[b]);
+            const target = new Map();
+            const touched = new Set();
+
+            small.forEach(label => {
+                const border = borders.get(label);
+                if ([...border.keys()].some(n => touched.has(n))) return;
+
+                let best = -1;
+                let bestLength = 0;
+                border.forEach((length, neighbor) => {
+                    if (length > bestLength) {
+                        bestLength = length;
+                        best = neighbor;
+                    }
+                });
+                if (best < 0) return;
+
+                target.set(label, best);
+                touched.add(label);
+                touched.add(best);
+            });
+
+            if (!target.size) break;
+
+            const classOf = new Int16Array(count);
+            labels.forEach((label, cell) => {
+                if (label >= 0) classOf[label] = output[cell];
+            });
+            for (let cell = 0; cell < labels.length; cell++) {
+                if (target.has(labels[cell])) output[cell] = classOf[target.get(labels[cell])];
+            }
+        }
+
+        return output;
+    },
+
+    // Per-zone statistics, outlines and a label point, weakest zone first
+    buildZones(classes, indices, cellOf, { width, height, cols, rows, cellSize }) {
+        const classCount = Math.max(...classes) + 1;
+        const sums = Array.from({ length: classCount }, () => ({
+            pixels: 0, ndvi: 0, ndwi: 0, vari: 0, stressed: 0, cells: 0, cx: 0, cy: 0,
+            area: 0, canopy: 0, all: { pixels: 0, ndvi: 0, ndwi: 0, vari: 0, stressed: 0 },
+            minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity
+        }));
+
+        // Scores use canopy pixels only; a zone with no canopy at all falls back to every pixel it covers
+        const excluded = SpectralIndices.COVER_CLASSES.length - 1;
+        const add = (target, p) => {
+            const ndvi = indices.ndvi[p];
+            const ndwi = indices.ndwi[p];
+            target.pixels++;
+            target.ndvi += ndvi;
+            target.ndwi += ndwi;
+            target.vari += indices.vari[p];
+            // Count stressed pixels (low NDVI or low NDWI)
+            if (ndvi < 0.3 || ndwi < -0.2) target.stressed++;
+        };
+
+        const pixels = indices.width * indices.height;
+        for (let p = 0; p < pixels; p++) {
+            const c = classes[cellOf(p)];
+            if (c === this.UNASSIGNED) continue;
+            const zone = sums[c];
+            const cover = indices.cover ? indices.cover[p] : 0;
+            if (cover === SpectralIndices.NO_DATA) continue;
+            add(zone.all, p);
+            if (cover === excluded) continue;
+
+            zone.area++;
+            if (cover === 0) {
+                zone.canopy++;
+                add(zone, p);
+            }
+        }
+
+        sums.forEach(zone => {
+            if (!zone.pixels) Object.assign(zone, zone.all);
+        });
+
+        let assigned = 0;
+        classes.forEach((c, cell) => {
+            if (c === this.UNASSIGNED) return;
+            const zone = sums[c];
+            assigned++;
+            const x = cell % cols;
+            const y = (cell - x) / cols;
+            zone.cells++;
+            zone.cx += x + 0.5;
+            zone.cy += y + 0.5;
+            zone.minX = Math.min(zone.minX, x);
+            zone.minY = Math.min(zone.minY, y);
+            zone.maxX = Math.max(zone.maxX, x + 1);
+            zone.maxY = Math.max(zone.maxY, y + 1);
+        });
+
+        // Outlines: one polygon per connected part
+        const toPixel = ([vx, vy]) => [Math.min(vx * cellSize, width), Math.min(vy * cellSize, height)];
+        const { labels } = GeoExport.labelComponents(classes, cols, rows, this.UNASSIGNED);
+        const partClass = new Map();
+        labels.forEach((label, cell) => {
+            if (label >= 0) partClass.set(label, classes[cell]);
+        });
+        const polygons = sums.map(() => []);
+        GeoExport.traceRegions(labels, cols, rows).forEach((rings, label) => {
+            polygons[partClass.get(label)].push(rings.map(ring => ring.map(toPixel)));
+        });
+
+        const zones = [];
+        sums.forEach((zone, c) => {
+            if (!zone.cells || !zone.pixels) return;
+
+            const avgNDVI = zone.ndvi / zone.pixels;
+            const avgNDWI = zone.ndwi / zone.pixels;
+            const avgVARI = zone.vari / zone.pixels;
+
+            // Calculate health score (0-100)
+            const healthScore = Math.round(
+                Math.max(0, Math.min(100,
+                    ((avgNDVI + 1) / 2 * 60) +
+                    ((avgNDWI + 1) / 2 * 25) +
+                    ((avgVARI + 1) / 2 * 15)
+                ))
+            );
+
+            const bounds = toPixel([zone.minX, zone.minY]);
+            const end = toPixel([zone.maxX, zone.maxY]);
+
+            zones.push({
+                cluster: c,
+                bounds: { x: bounds[0], y: bounds[1], width: end[0] - bounds[0], height: end[1] - bounds[1] },
+                centroid: { x: (zone.cx / zone.cells) * cellSize, y: (zone.cy / zone.cells) * cellSize },
+                labelPoint: toPixel(this.findLabelCell(classes, c, zone.cx / zone.cells, zone.cy / zone.cells, cols)),
+                polygons: polygons[c],
+                areaPct: +(zone.cells / assigned * 100).toFixed(1),
+                canopyCover: zone.area ? +(zone.canopy / zone.area * 100).toFixed(1) : 0,
+                avgNDVI: avgNDVI.toFixed(3),
+                avgNDWI: avgNDWI.toFixed(3),
+                avgVARI: avgVARI.toFixed(3),
+                healthScore,
+                stressPercentage: (zone.stressed / zone.pixels * 100).toFixed(1),
+                waterStress: avgNDWI < -0.1,
+                vegetationStress: avgNDVI < 0.3
+            });
+        });
+
+        zones.sort((a, b) => a.healthScore - b.healthScore);
+
+        const zoneOfClass = new Int16Array(classCount).fill(-1);
+        zones.forEach((zone, i) => {
+            zone.zoneIndex = i;
+            zoneOfClass[zone.cluster] = i;
+        });
+
+        return {
+            zoneStats: zones,
+            zoneMap: {
+                cols,
+                rows,
+                cellSize,
+                labels: Int16Array.from(classes, c => c === this.UNASSIGNED ? -1 : zoneOfClass[c])
+            }
+        };
+    },
+
+    // Centre of the zone's cell nearest its centroid - inside the zone even when it is concave or split
+    findLabelCell(classes, c, cx, cy, cols) {
+        let best = null;
+        let bestDistance = Infinity;
+        classes.forEach((value, cell) => {
+            if (value !== c) return;
+            const x = cell % cols + 0.5;
+            const y = Math.floor(cell / cols) + 0.5;
+            const distance = (x - cx) ** 2 + (y - cy) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = [x, y];
+            }
+        });
+        return best;
+    }
+};
+
+// Export
+window.ZoneSegmenter = ZoneSegmenter;
@@ -0,0 +1,63 @@
+// KrishiMitra on-device model installer
+// Copies or downloads an exported ONNX crop disease model to models/crop-disease/model.onnx
+//
+// Usage: npm run model:install -- <path-or-url>
+//        CROP_MODEL_URL=<path-or-url> npm run model:install
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TARGET = path.join(__dirname, 'model.onnx');
+const LABELS = path.join(__dirname, 'labels.json');
+const MAX_SIZE = 50 * 1024 * 1024; // the service worker caches the whole file on the device
+
+// Read the model from a local file or an http(s) URL
+async function readModel(source) {
+    if (!/^https?:\/\//i.test(source)) {
+        return fs.promises.readFile(path.resolve(source));
+    }
+
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// Reject files that cannot be an ONNX model before they replace the installed one
+function checkModel(buffer) {
+    if (!buffer.length) throw new Error('Model file is empty');
+    if (buffer.length > MAX_SIZE) {
+        throw new Error(`Model is ${(buffer.length / 1048576).toFixed(1)} MB - keep it under ${MAX_SIZE / 1048576} MB for offline use`);
+    }
+    // An ONNX ModelProto starts with its ir_version field (protobuf tag 0x08)
+    if (buffer[0] !== 0x08) {
+        throw new Error('Not an ONNX model - export it with torch.onnx.export or tf2onnx first');
+    }
+}
+
+async function main() {
+    const source = process.argv[2] || process.env.CROP_MODEL_URL;
+    if (!source) {
+        console.error('Usage: npm run model:install -- <path-or-url to model.onnx>');
+        console.error('See models/crop-disease/README.md for how to export a compatible model.');
+        process.exit(1);
+    }
+
+    console.log(`📥 Reading ${source}...`);
+    const buffer = await readModel(source);
+    checkModel(buffer);
+
+    fs.writeFileSync(TARGET, buffer);
+
+    const classes = JSON.parse(fs.readFileSync(LABELS, 'utf8')).classes;
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    console.log(`✅ Installed ${path.relative(process.cwd(), TARGET)} (${(buffer.length / 1048576).toFixed(1)} MB, sha256 ${sha256})`);
+    console.log(`   The model must output ${classes.length} scores in labels.json order.`);
+}
+
+main().catch(error => {
+    console.error('❌ ' + error.message);
+    process.exit(1);
+});
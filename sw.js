@@ -2,6 +2,7 @@
 const CACHE_NAME = 'krishimitra-v1.0.0';
 const STATIC_CACHE = 'krishimitra-static-v1';
 const DYNAMIC_CACHE = 'krishimitra-dynamic-v1';
+const MODEL_CACHE = 'krishimitra-models-v1';
 
 // Assets to cache on install
 const STATIC_ASSETS = [
@@ -15,8 +16,30 @@ const STATIC_ASSETS = [
     '/js/gemini.js',
     '/js/weather.js',
     '/js/voice.js',
+    '/js/tiff.js',
+    '/js/exif.js',
+    '/js/geo-export.js',
+    '/js/prescription.js',
+    '/js/mosaic.js',
+    '/js/calibration.js',
+    '/js/image-quality.js',
+    '/js/lesion-analyzer.js',
+    '/js/spectral-indices.js',
+    '/js/spectral-worker.js',
+    '/js/zone-segmentation.js',
+    '/js/field-history.js',
+    '/js/phenology.js',
+    '/js/disease-models.js',
+    '/js/irrigation.js',
+    '/js/alert-rules.js',
     '/js/eye.js',
+    '/js/plant-classifier.js',
+    '/js/product-db.js',
+    '/js/tank-mix.js',
     '/js/specialist.js',
+    '/js/diagnosis-cases.js',
+    '/js/spray-records.js',
+    '/js/rotation-planner.js',
     '/js/strategist.js',
     '/js/partner.js',
     '/js/app.js',
@@ -25,6 +48,17 @@ const STATIC_ASSETS = [
     '/icons/icon-512.png'
 ];
 
+// On-device classifier files - large, so cached separately and never refreshed
+// (a new model ships under a new file name). model.onnx is not committed - install it with
+// `npm run model:install` (see models/crop-disease/README.md)
+const MODEL_ASSETS = [
+    '/models/crop-disease/model.onnx',
+    '/models/crop-disease/labels.json',
+    'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.3/dist/ort.min.js',
+    'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.3/dist/ort-wasm-simd.wasm',
+    'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.3/dist/ort-wasm.wasm'
+];
+
 // API endpoints to cache
 const API_CACHE_URLS = [
     'api.open-meteo.com'
@@ -42,8 +76,9 @@ self.addEventListener('install', event => {
             })
             .then(() => {
                 console.log('[Service Worker] Static assets cached');
-                return self.skipWaiting();
+                return cacheModelAssets();
             })
+            .then(() => self.skipWaiting())
             .catch(err => {
                 console.error('[Service Worker] Cache failed:', err);
             })
@@ -62,6 +97,7 @@ self.addEventListener('activate', event => {
                         .filter(name => {
                             return name !== STATIC_CACHE && 
                                    name !== DYNAMIC_CACHE &&
+                                   name !== MODEL_CACHE &&
                                    name.startsWith('krishimitra-');
                         })
                         .map(name => {
@@ -87,6 +123,12 @@ self.addEventListener('fetch', event => {
         return;
     }
     
+    // On-device model files
+    if (isModelAsset(url)) {
+        event.respondWith(modelCacheFirst(request));
+        return;
+    }
+    
     // Skip Gemini API requests (always fresh)
     if (url.hostname.includes('generativelanguage.googleapis.com')) {
         return;
@@ -128,6 +170,62 @@ async function cacheFirst(request) {
     }
 }
 
+// Model files - cache-first without background refresh
+async function modelCacheFirst(request) {
+    try {
+        const cache = await caches.open(MODEL_CACHE);
+        const cachedResponse = await cache.match(request);
+        
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        
+        const networkResponse = await fetch(request);
+        
+        if (networkResponse.ok) {
+            cache.put(request, networkResponse.clone());
+        }
+        
+        return networkResponse;
+    } catch (error) {
+        console.error('[Service Worker] Model fetch failed:', error);
+        return createOfflineResponse(request);
+    }
+}
+
+// Whether a URL is one of the model files
+function isModelAsset(url) {
+    const key = url.origin === self.location.origin ? url.pathname : url.href;
+    return MODEL_ASSETS.includes(key);
+}
+
+// Pre-cache model files - missing files are skipped so the app still installs without a model
+async function cacheModelAssets() {
+    const cache = await caches.open(MODEL_CACHE);
+    
+    // Without an installed model the runtime is never used, so don't download it
+    if (!(await cache.match(MODEL_ASSETS[0]))) {
+        const response = await fetch(MODEL_ASSETS[0], { method: 'HEAD' }).catch(() => null);
+        if (response?.status === 404) {
+            console.info('[Service Worker] On-device model not installed - skipping model cache');
+            return;
+        }
+    }
+    
+    const results = await Promise.allSettled(
+        MODEL_ASSETS.map(async asset => {
+            if (await cache.match(asset)) return;
+            const response = await fetch(asset, { mode: 'cors' });
+            if (!response.ok) throw new Error(`${asset}: ${response.status}`);
+            await cache.put(asset, response);
+        })
+    );
+    
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.warn('[Service Worker] Model asset not cached:', result.reason));
+}
+
 // Network-first strategy
 async function networkFirst(request) {
     try {